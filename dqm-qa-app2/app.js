@@ -10,73 +10,39 @@ const appState = {
     systemProvider: '',
     timeline: [],
     generalComments: '',
+    departureTime: '', // When the team leaves the vessel (datetime-local), for the dashboard countdown
+    checkStarts: {}, // '<plantIdx>:<checkType>' -> ISO time data entry began, until the check is logged
+    auditTrail: [], // Append-only change history (see audit.js)
     activeCheckType: null, // Tracks which check is currently open in the modal
     activePlantIndex: null // Tracks which plant the active check belongs to
 };
 
 let isRestoring = false; // Flag to prevent "empty scraping" during initial DOM reconstruction
 
-/**
- * Vessel Configuration & Profile Mappings.
- * Defines which QA checks are required for each vessel type/profile combination.
- */
-const vesselProfiles = {
-    'Scow': ['Monitoring', 'Ullage'],
-    'Hopper Dredge': ['Standard'],
-    'Pipeline Dredge': ['Standard', 'Small Business'],
-    'Mechanical Dredge': ['Standard']
-};
-
-/**
- * Mapping of Profile combinations to specific Check IDs.
- */
-const requiredChecks = {
-    'Scow-Monitoring': ['positionCheck', 'hullStatus', 'draftSensorLightFwd', 'draftSensorLightAft', 'draftSensorLoadedFwd', 'draftSensorLoadedAft'],
-    'Scow-Ullage': ['positionCheck', 'hullStatus', 'draftSensorLightFwd', 'draftSensorLightAft', 'draftSensorLoadedFwd', 'draftSensorLoadedAft', 'ullageLightFwd', 'ullageLightAft', 'ullageLoadedFwd', 'ullageLoadedAft'],
-    'Hopper Dredge-Standard': ['positionCheck', 'hullStatus', 'draftSensorLightFwd', 'draftSensorLightAft', 'draftSensorLoadedFwd', 'draftSensorLoadedAft', 'ullageLightFwd', 'ullageLightAft', 'ullageLoadedFwd', 'ullageLoadedAft', 'dragheadDepth'],
-    'Pipeline Dredge-Standard': ['positionCheck', 'suctionMouthDepth', 'velocity'],
-    'Pipeline Dredge-Small Business': ['positionCheck', 'suctionMouthDepth'],
-    'Mechanical Dredge-Standard': ['positionCheck', 'bucketDepth', 'bucketPosition']
-};
-
-/**
- * Human-readable display names for QA checks.
- */
-const checkNames = {
-    'positionCheck': 'Position Check',
-    'hullStatus': 'Hull Status Check',
-    'draftSensorLightFwd': 'Draft Sensor Check (Light - Forward)',
-    'draftSensorLightAft': 'Draft Sensor Check (Light - Aft)',
-    'draftSensorLoadedFwd': 'Draft Sensor Check (Loaded - Forward)',
-    'draftSensorLoadedAft': 'Draft Sensor Check (Loaded - Aft)',
-    'ullageLightFwd': 'Ullage Check (Light - Forward)',
-    'ullageLightAft': 'Ullage Check (Light - Aft)',
-    'ullageLoadedFwd': 'Ullage Check (Loaded - Forward)',
-    'ullageLoadedAft': 'Ullage Check (Loaded - Aft)',
-    'dragheadDepth': 'Draghead Depth Check',
-    'suctionMouthDepth': 'Suction Mouth Depth Check',
-    'velocity': 'Velocity Check',
-    'bucketDepth': 'Bucket/Grab Depth Check',
-    'bucketPosition': 'Bucket Position Check'
-};
-
 // ===== Initialization =====
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     initTheme();
-    
+
     // Inject version
     const versionEl = document.getElementById('app-version');
     if (versionEl && typeof APP_VERSION !== 'undefined') versionEl.textContent = `v${APP_VERSION}`;
 
     // 1. Load data FIRST before doing ANY initialization that might trigger a save
-    loadDraft();
+    await loadDraft();
 
     // 2. Perform UI setup and add default plant ONLY if nothing was loaded
     initializeApp();
 
     // 3. Prevent data loss on accidental navigation
     window.addEventListener('beforeunload', handleBeforeUnload);
+
+    // 4. Ask the browser to keep our data, and show how much space it uses
+    requestPersistentStorage();
+    updateStorageMeter();
+
+    // 5. Cache the app for offline use and watch for new versions
+    registerServiceWorker();
 });
 
 /**
@@ -131,26 +97,49 @@ function initializeApp() {
 
     // Event Listeners: Main Global Actions
     document.getElementById('add-plant-btn').addEventListener('click', addPlant);
-    document.getElementById('save-draft-btn').addEventListener('click', () => {
-        saveDraft();
-        showToast('Draft Saved');
+    document.getElementById('save-draft-btn').addEventListener('click', async () => {
+        await saveDraft();
+        if (!lastSaveFailed) showToast('Draft Saved');
     });
     document.getElementById('export-btn').addEventListener('click', exportJSON);
+    document.getElementById('send-report-btn').addEventListener('click', sendToTripReport);
+    document.getElementById('export-csv-btn').addEventListener('click', exportReadingsCSV);
+    document.getElementById('export-xlsx-btn').addEventListener('click', exportReadingsXLSX);
     document.getElementById('import-btn').addEventListener('click', () => {
         document.getElementById('import-file-input').value = ''; // Reset so same file can be re-selected
         document.getElementById('import-file-input').click();
     });
     document.getElementById('import-file-input').addEventListener('change', importJSON);
-    document.getElementById('clear-btn').addEventListener('click', () => {
-        if (confirm('Clear all data?')) {
+    document.getElementById('clear-btn').addEventListener('click', async () => {
+        if (confirm('Clear all data in this audit? Other audits are not affected.')) {
             window.removeEventListener('beforeunload', handleBeforeUnload);
-            localStorage.removeItem('dqm-window-qa-draft');
+            try {
+                // The change history survives the clear, with a record of what was removed
+                recordAuditEvent('clear', {
+                    before: { plants: appState.plants.length, entries: appState.timeline.length },
+                    entryHashes: {}
+                });
+                await saveDraft();
+                if (currentSession) await clearSessionRecords(currentSession.id, ['audit']);
+                await pruneOrphanPhotos();
+            } catch (e) {
+                console.error('Failed to clear audit:', e);
+            }
             location.reload();
         }
     });
 
+    // Session Manager Events
+    document.getElementById('sessions-btn').addEventListener('click', openSessionManager);
+    document.getElementById('session-close-btn').addEventListener('click', closeSessionManager);
+    document.getElementById('session-new-btn').addEventListener('click', createAndOpenSession);
+    document.getElementById('session-show-archived').addEventListener('change', renderSessionList);
+    document.getElementById('session-overlay').addEventListener('click', (e) => {
+        if (e.target.id === 'session-overlay') closeSessionManager();
+    });
+
     // Event Listeners: State Syncing (Global Header Fields)
-    ['check-date', 'weather-conditions', 'qa-team', 'system-provider', 'general-comments'].forEach(id => {
+    ['check-date', 'weather-conditions', 'qa-team', 'system-provider', 'general-comments', 'departure-time'].forEach(id => {
         const el = document.getElementById(id);
         if (el) el.addEventListener('input', updateAppState);
     });
@@ -161,6 +150,72 @@ function initializeApp() {
     document.getElementById('modal-close-btn').addEventListener('click', closeModal);
     document.getElementById('modal-cancel-btn').addEventListener('click', closeModal);
     document.getElementById('modal-log-btn').addEventListener('click', logActiveCheckToTimeline);
+    initCheckFormActions();
+
+    // Quick Entry Keypad Events (keypad.js)
+    initQuickEntry();
+
+    // Timeline / Dashboard Tabs
+    document.querySelectorAll('.view-tab').forEach(tab => {
+        tab.addEventListener('click', () => showMainView(tab.dataset.view));
+    });
+    // A dashboard row opens its check; rows are re-rendered, so one listener serves them all
+    document.getElementById('dashboard-plants').addEventListener('click', (e) => {
+        const row = e.target.closest('tr[data-check]');
+        if (row) openDashboardCheck(parseInt(row.dataset.plant, 10), row.dataset.check);
+    });
+    setInterval(() => {
+        if (!document.getElementById('dashboard-card').classList.contains('hidden')) renderDashboard();
+    }, 30000); // Keeps the departure countdown current
+
+    // Tolerance Editor Events
+    document.getElementById('tolerances-btn').addEventListener('click', openToleranceEditor);
+    document.getElementById('tolerance-close-btn').addEventListener('click', closeToleranceEditor);
+    document.getElementById('tolerance-done-btn').addEventListener('click', closeToleranceEditor);
+    document.getElementById('tolerance-reset-btn').addEventListener('click', resetToleranceProfile);
+    document.getElementById('tolerance-profile').addEventListener('change', renderToleranceTable);
+
+    // Check Pack Manager Events
+    document.getElementById('packs-btn').addEventListener('click', openCheckPackManager);
+    document.getElementById('pack-close-btn').addEventListener('click', closeCheckPackManager);
+    document.getElementById('pack-done-btn').addEventListener('click', closeCheckPackManager);
+    document.getElementById('pack-load-btn').addEventListener('click', () => {
+        document.getElementById('pack-file-input').value = ''; // Reset so same file can be re-selected
+        document.getElementById('pack-file-input').click();
+    });
+    document.getElementById('pack-file-input').addEventListener('change', importCheckPack);
+
+    // Vessel Registry Events
+    document.getElementById('vessels-btn').addEventListener('click', openVesselRegistry);
+    document.getElementById('vessel-close-btn').addEventListener('click', closeVesselRegistry);
+    document.getElementById('vessel-done-btn').addEventListener('click', closeVesselRegistry);
+    document.getElementById('vessel-new-btn').addEventListener('click', () => openVesselEditor(null));
+    document.getElementById('vessel-export-btn').addEventListener('click', exportVesselRegistry);
+    document.getElementById('vessel-import-btn').addEventListener('click', () => {
+        document.getElementById('vessel-file-input').value = ''; // Reset so same file can be re-selected
+        document.getElementById('vessel-file-input').click();
+    });
+    document.getElementById('vessel-file-input').addEventListener('change', importVesselRegistry);
+
+    // Vessel Trends Events
+    document.getElementById('trends-btn').addEventListener('click', openTrends);
+    document.getElementById('trend-close-btn').addEventListener('click', closeTrends);
+    document.getElementById('trend-done-btn').addEventListener('click', closeTrends);
+    document.getElementById('trend-vessel').addEventListener('change', renderTrends);
+    document.getElementById('trend-archive-btn').addEventListener('click', archiveAuditForTrends);
+    document.getElementById('trend-load-btn').addEventListener('click', () => {
+        document.getElementById('trend-file-input').value = ''; // Reset so same file can be re-selected
+        document.getElementById('trend-file-input').click();
+    });
+    document.getElementById('trend-file-input').addEventListener('change', importTrendFiles);
+
+    // Change History Events
+    document.getElementById('history-btn').addEventListener('click', openAuditHistory);
+    document.getElementById('history-close-btn').addEventListener('click', closeAuditHistory);
+    document.getElementById('history-done-btn').addEventListener('click', closeAuditHistory);
+    const auditUserInput = document.getElementById('audit-user');
+    auditUserInput.value = localStorage.getItem(AUDIT_USER_KEY) || '';
+    auditUserInput.addEventListener('input', () => localStorage.setItem(AUDIT_USER_KEY, auditUserInput.value.trim()));
 
     // Overlay click-to-close logic
     document.getElementById('picker-overlay').addEventListener('click', (e) => {
@@ -169,6 +224,21 @@ function initializeApp() {
     document.getElementById('modal-overlay').addEventListener('click', (e) => {
         if (e.target.id === 'modal-overlay') closeModal();
     });
+    document.getElementById('tolerance-overlay').addEventListener('click', (e) => {
+        if (e.target.id === 'tolerance-overlay') closeToleranceEditor();
+    });
+    document.getElementById('pack-overlay').addEventListener('click', (e) => {
+        if (e.target.id === 'pack-overlay') closeCheckPackManager();
+    });
+    document.getElementById('history-overlay').addEventListener('click', (e) => {
+        if (e.target.id === 'history-overlay') closeAuditHistory();
+    });
+    document.getElementById('vessel-overlay').addEventListener('click', (e) => {
+        if (e.target.id === 'vessel-overlay') closeVesselRegistry();
+    });
+    document.getElementById('trend-overlay').addEventListener('click', (e) => {
+        if (e.target.id === 'trend-overlay') closeTrends();
+    });
 
     // Start with at least one plant if none loaded from draft
     if (appState.plants.length === 0) addPlant();
@@ -179,8 +249,9 @@ function initializeApp() {
 /**
  * Shows a brief visual notification to the user.
  * @param {string} message - Text to display.
+ * @param {string} type - 'success' | 'error' | 'warning'
  */
-function showToast(message) {
+function showToast(message, type = 'success') {
     let toast = document.getElementById('save-toast');
     if (!toast) {
         toast = document.createElement('div');
@@ -202,6 +273,7 @@ function showToast(message) {
         document.body.appendChild(toast);
     }
     toast.textContent = message;
+    toast.style.background = { success: '#28a745', error: '#c0392b', warning: '#d68910' }[type] || '#28a745';
     toast.style.opacity = '1';
     toast.style.transform = 'translateY(0)';
 
@@ -209,7 +281,7 @@ function showToast(message) {
     toast.hideTimeout = setTimeout(() => {
         toast.style.opacity = '0';
         toast.style.transform = 'translateY(10px)';
-    }, 2000);
+    }, type === 'success' ? 2000 : 5000); // Problems stay up long enough to read
 }
 
 /**
@@ -226,12 +298,14 @@ function addTimelineComment() {
         const timeStr = `${year}-${month}-${day} ${clockTime}`;
 
         const entry = {
+            id: generateStorageId(),
             time: timeStr,
             activity: 'Comment',
             notes: notes.trim(),
             timestamp: now.toISOString()
         };
         appState.timeline.push(entry);
+        recordAuditEvent('log', { ...describeTimelineEntry(entry), after: { notes: entry.notes }, contentHash: hashTimelineEntry(entry) });
         renderTimeline();
         saveDraft();
     }
@@ -246,9 +320,72 @@ function updateAppState() {
     appState.qaTeam = document.getElementById('qa-team').value;
     appState.systemProvider = document.getElementById('system-provider').value;
     appState.generalComments = document.getElementById('general-comments').value;
+    appState.departureTime = document.getElementById('departure-time').value;
+    renderDashboard();
     saveDraft();
 }
 
+// ===== Offline App (Service Worker) =====
+
+/**
+ * Registers sw.js, which precaches the app so it reloads with no connectivity.
+ * A new deployment (new APP_VERSION) installs alongside the running one and waits;
+ * the update banner lets the user switch once their work is saved.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // A version may already be waiting from an earlier visit
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+            });
+        });
+
+        // Long shifts keep the page open; look for a deployment every hour while online
+        setInterval(() => { if (navigator.onLine) registration.update().catch(() => { }); }, 60 * 60 * 1000);
+    }).catch(err => console.error('Service worker registration failed:', err));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        location.reload();
+    });
+}
+
+/**
+ * Shows the "update available" banner for a waiting service worker, naming its version when it answers.
+ * @param {ServiceWorker} worker - The installed, waiting worker.
+ */
+function showUpdateBanner(worker) {
+    const banner = document.getElementById('update-banner');
+    if (!banner) return;
+
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => {
+        if (e.data && e.data.version) {
+            document.getElementById('update-banner-text').textContent =
+                `DQM QA Check v${e.data.version} is available (you have v${APP_VERSION}). Your drafts are kept.`;
+        }
+    };
+    worker.postMessage({ type: 'GET_VERSION' }, [channel.port2]);
+
+    document.getElementById('update-reload-btn').onclick = async () => {
+        // Flush pending draft writes before the page reloads into the new version
+        await saveDraft();
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    document.getElementById('update-dismiss-btn').onclick = () => banner.classList.add('hidden');
+    banner.classList.remove('hidden');
+}
+
 // ===== Plant Management =====
 
 let plantCounter = 0;
@@ -273,20 +410,49 @@ function addPlant() {
         </div>
         <div class="input-row">
             <select class="vessel-type" onchange="updateProfileOptions(this)">
-                <option value="">Type...</option>
-                <option value="Scow">Scow</option>
-                <option value="Hopper Dredge">Hopper</option>
-                <option value="Pipeline Dredge">Pipeline</option>
-                <option value="Mechanical Dredge">Mechanical</option>
+                ${vesselTypeOptionsHTML()}
             </select>
             <select class="vessel-profile" disabled>
                 <option value="">Profile...</option>
             </select>
         </div>
+        <div class="plant-registry">
+            <select class="vessel-registry-pick" onchange="pickRegistryVessel(this)">
+                ${registryPickOptionsHTML()}
+            </select>
+            <button type="button" class="btn-secondary" onclick="savePlantToRegistry(this)" title="Save this vessel and its offsets to the registry">💾 Save to Registry</button>
+        </div>
+        <small class="plant-notes"></small>
     `;
 
     container.appendChild(plantEntry);
-    plantEntry.querySelectorAll('input, select').forEach(el => el.addEventListener('change', updatePlants));
+    plantEntry.querySelectorAll('input, select:not(.vessel-registry-pick)').forEach(el => el.addEventListener('change', updatePlants));
+    plantEntry.querySelector('.plant-name').addEventListener('change', () => renderPlantNotes(plantEntry));
+    updatePlants();
+}
+
+/**
+ * Builds the vessel type <option>s from the registry's vessel profiles (check packs may add types).
+ */
+function vesselTypeOptionsHTML() {
+    return '<option value="">Type...</option>' + Object.keys(vesselProfiles)
+        .map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type.replace(/ Dredge$/, ''))}</option>`).join('');
+}
+
+/**
+ * Rebuilds the type and profile dropdowns of every plant row after the check packs change.
+ */
+function refreshVesselTypeOptions() {
+    document.querySelectorAll('.plant-entry').forEach(entry => {
+        const typeSelect = entry.querySelector('.vessel-type');
+        const profile = entry.querySelector('.vessel-profile').value;
+        const type = typeSelect.value;
+        typeSelect.innerHTML = vesselTypeOptionsHTML();
+        typeSelect.value = vesselProfiles[type] ? type : '';
+        updateProfileOptions(typeSelect);
+        const profileSelect = entry.querySelector('.vessel-profile');
+        if ([...profileSelect.options].some(o => o.value === profile)) profileSelect.value = profile;
+    });
     updatePlants();
 }
 
@@ -355,6 +521,7 @@ function updatePlants() {
         }
     });
     appState.plants = newPlants;
+    renderDashboard();
     saveDraft();
 }
 
@@ -375,9 +542,11 @@ function openPicker() {
 
         appState.plants.forEach((p, idx) => {
             const btn = document.createElement('button');
-            const isComplete = isPlantComplete(idx);
-            btn.className = `picker-btn vessel-select-btn ${isComplete ? 'check-logged' : ''}`;
-            btn.innerHTML = `<strong>${p.name || `Plant #${idx + 1}`}</strong><br><small>${p.vesselType}${isComplete ? ' (Complete)' : ''}</small>`;
+            const readiness = getPlantReadiness(idx);
+            const readinessClass = { 'complete': 'check-logged', 'failures': 'check-failed' }[readiness] || '';
+            const readinessLabel = { 'complete': ' (Complete)', 'failures': ' (Complete with Failures)' }[readiness] || '';
+            btn.className = `picker-btn vessel-select-btn ${readinessClass}`;
+            btn.innerHTML = `<strong>${p.name || `Plant #${idx + 1}`}</strong><br><small>${p.vesselType}${readinessLabel}</small>`;
             btn.onclick = () => {
                 appState.activePlantIndex = idx;
                 title.textContent = originalTitle;
@@ -403,13 +572,15 @@ function renderCheckPickerForPlant(plantIdx) {
     grid.innerHTML = '';
     const p = appState.plants[plantIdx];
     const key = `${p.vesselType}-${p.profile}`;
-    const checksToShow = requiredChecks[key] || Object.keys(checkNames);
+    const required = getRequiredChecks(key);
+    const checksToShow = required.length > 0 ? required : Object.keys(checkRegistry);
 
     checksToShow.forEach(type => {
         const btn = document.createElement('button');
         const isLogged = isCheckLogged(plantIdx, type);
-        btn.className = `picker-btn ${isLogged ? 'check-logged' : ''}`;
-        btn.textContent = checkNames[type];
+        const lastVerdict = getLatestVerdict(plantIdx, type);
+        btn.className = `picker-btn ${isLogged ? (lastVerdict === 'FAIL' ? 'check-failed' : 'check-logged') : ''}`;
+        btn.textContent = getCheckName(type);
         btn.onclick = () => {
             closePicker();
             openModal(type);
@@ -438,8 +609,9 @@ function openModal(checkType, snapshotData = null) {
 
     // Populate data from state if it exists for this plant's check
     const plant = appState.plants[appState.activePlantIndex];
-    title.textContent = `${plant.name || `Plant #${appState.activePlantIndex + 1}`} - ${checkNames[checkType]}`;
-    content.innerHTML = getCheckContent(checkType);
+    title.textContent = `${plant.name || `Plant #${appState.activePlantIndex + 1}`} - ${getCheckName(checkType)}`;
+    content.innerHTML = renderCheckForm(checkType);
+    refreshCheckForm(checkType);
 
     const dataToRestore = snapshotData || plant.checks[checkType];
 
@@ -449,44 +621,134 @@ function openModal(checkType, snapshotData = null) {
 
     // Attach listeners for auto-calc and real-time state syncing
     setTimeout(() => {
-        content.querySelectorAll('input, select, textarea').forEach(el => {
-            el.addEventListener('input', () => {
-                saveCheckData(checkType);
-                calculateDifferences(checkType);
-            });
-        });
+        bindCheckInputs(content, checkType);
         calculateDifferences(checkType);
+        // The keypad stays on from check to check until it is hidden
+        if (loadQuickEntrySettings().enabled && getQuickEntryFields().length > 0) openQuickEntry();
     }, 0);
 
+    // A reopened timeline entry is edited in place, and only saved as an audited change
+    document.getElementById('modal-log-btn').textContent = timelineEdit ? '💾 Save Changes to Entry' : '📋 Log to Timeline';
+
     modal.classList.remove('hidden');
     document.body.style.overflow = 'hidden'; // Prevent background scrolling
 }
 
 /**
- * Closes the main modal.
+ * Wires the check form's buttons, file inputs and signature pads through delegated listeners on the
+ * modal content. Their targets travel in data attributes, so ids (which check packs declare) are
+ * never written into inline handlers.
+ */
+function initCheckFormActions() {
+    const content = document.getElementById('modal-content');
+    content.addEventListener('click', (e) => {
+        const btn = e.target.closest('button');
+        if (!btn || !content.contains(btn)) return;
+        const d = btn.dataset;
+        if (d.pickFile) document.getElementById(d.pickFile)?.click();
+        else if (d.stampTime) stampTime(d.stampTime);
+        else if (d.readingsBlock) changeReadingsCount(d.readingsBlock, parseInt(d.readingsDelta, 10));
+        else if (d.gpsPrefix) captureGPS(d.gpsPrefix);
+        else if (d.signatureClear) clearSignature(d.signatureClear);
+    });
+    content.addEventListener('change', (e) => {
+        const el = e.target;
+        if (el.dataset.photoKey) handleCheckPhoto(el, el.dataset.photoKey);
+        else if (el.dataset.trackPrefix) importTrackFile(el, el.dataset.trackPrefix, el.dataset.trackSource);
+        else if (el.id === 'check-gallery-input') addGalleryPhotos(el);
+        else if (el.id === 'check-gallery-gps') setPhotoGpsStamp(el.checked);
+    });
+    ['pointerdown', 'pointermove', 'pointerup', 'pointercancel'].forEach(type => content.addEventListener(type, (e) => {
+        const role = e.target.dataset && e.target.dataset.signatureRole;
+        if (role) signaturePointer(e, role);
+    }));
+}
+
+/**
+ * Makes the inputs under an element recalculate and save the open check as they change.
+ * @param {Element} root - The modal content, or rows added to it later.
+ * @param {string} checkType - The open check.
+ */
+function bindCheckInputs(root, checkType) {
+    root.querySelectorAll('input, select, textarea').forEach(el => {
+        el.addEventListener('input', () => {
+            refreshCheckForm(checkType);
+            calculateDifferences(checkType);
+            saveCheckData(checkType);
+        });
+    });
+}
+
+/**
+ * Adds or removes the last reading of a variable 'readings' block in the open check.
+ * A removed reading's values are dropped from the check's data.
+ * @param {string} blockId - The block's id (see checks.js).
+ * @param {number} delta - +1 or -1.
+ */
+function changeReadingsCount(blockId, delta) {
+    const checkType = appState.activeCheckType;
+    const def = getCheckDefinition(checkType);
+    let block = null;
+    if (def) forEachCheckBlock(def, b => { if (b.kind === 'readings' && b.id === blockId) block = b; });
+    if (!block) return;
+
+    const current = getReadingsCount(block);
+    const count = Math.min(READINGS_MAX, Math.max(1, current + delta));
+    if (count === current) return;
+
+    const data = getActiveCheckData();
+    readingRowIds(block, current).slice(count * 3).forEach(id => delete data[id]);
+    setReadingRows(block, count);
+    bindCheckInputs(document.getElementById(`${blockId}-rows`), checkType);
+    calculateDifferences(checkType);
+    saveCheckData(checkType);
+}
+
+/**
+ * Closes the main modal. Unsaved changes to a reopened timeline entry are discarded.
  */
 function closeModal() {
+    closeQuickEntry(false);
     document.getElementById('modal-overlay').classList.add('hidden');
     document.body.style.overflow = 'auto';
     appState.activeCheckType = null;
+    timelineEdit = null;
 }
 
 /**
- * Persists the values from the modal's internal form to the application state.
- * @param {string} checkType - The check key.
+ * Returns the data object the open modal writes to: the working copy of a reopened timeline
+ * entry, or the active plant's current data for the check (created if missing).
+ * @returns {Object|null} null when no check is open.
  */
-function saveCheckData(checkType) {
-    const content = document.getElementById('modal-content');
+function getActiveCheckData() {
+    if (timelineEdit) return timelineEdit.data;
     const plant = appState.plants[appState.activePlantIndex];
+    const checkType = appState.activeCheckType;
+    if (!plant || !checkType) return null;
     if (!plant.checks[checkType]) plant.checks[checkType] = {};
+    return plant.checks[checkType];
+}
 
-    const data = plant.checks[checkType];
-    content.querySelectorAll('input, select, textarea').forEach(input => {
-        if (input.id) {
-            if (input.type === 'file') return;
-            data[input.id] = input.type === 'checkbox' ? input.checked : input.value;
-        }
+/**
+ * Persists the values of the check's declared fields from the modal to the application state.
+ * @param {string} checkType - The check key.
+ */
+function saveCheckData(checkType) {
+    const def = getCheckDefinition(checkType);
+    const data = getActiveCheckData();
+    if (!def || !data) return;
+
+    getCheckFieldIds(def).forEach(id => {
+        const input = document.getElementById(id);
+        if (input) data[id] = input.type === 'checkbox' ? input.checked : input.value;
     });
+
+    // The first entry of a new run starts the check's clock (reopened timeline entries are edits, not runs)
+    const startKey = checkStartKey(appState.activePlantIndex, checkType);
+    if (!timelineEdit && !appState.checkStarts[startKey]) {
+        appState.checkStarts[startKey] = new Date().toISOString();
+        renderDashboard();
+    }
     saveDraft();
 }
 
@@ -504,72 +766,40 @@ function restoreCheckData(checkType, data) {
         }
     });
 
-    // Special restoration for photo previews in Hull Status
-    if (checkType === 'hullStatus') {
-        const openPhoto = data['hull-open-photo'];
-        const closePhoto = data['hull-close-photo'];
-        if (openPhoto) {
-            const preview = document.getElementById('hull-open-preview');
-            if (preview) {
-                preview.src = openPhoto;
-                preview.style.display = 'block';
-            }
-        }
-        if (closePhoto) {
-            const preview = document.getElementById('hull-close-preview');
-            if (preview) {
-                preview.src = closePhoto;
-                preview.style.display = 'block';
-            }
-        }
-    }
+    // Photo previews (photos live in IndexedDB, state holds a reference)
+    restoreCheckExtras(checkType, data);
 
-    // Trigger UI toggles based on the restored values (e.g. simulated vs physical sections)
-    if (checkType === 'velocity') toggleVelocityMethod();
-    if (checkType === 'dragheadDepth') toggleDragheadSections();
-    if (checkType === 'draftSensorLight') toggleDraftLightMethod();
-    if (checkType === 'draftSensorLoaded') toggleDraftLoadedMethod();
-    if (checkType === 'positionCheck') togglePosFormat();
+    // Re-apply section visibility for the restored values (e.g. simulated vs physical sections)
+    refreshCheckForm(checkType);
 }
 
 // ===== Timeline & Logging =====
 
+let timelineEdit = null; // { index, data } while a logged timeline entry is open in the modal
+
 /**
  * Logs the current check in the modal to the activity timeline.
+ * When the modal holds a reopened timeline entry, saves the changes to that entry instead.
  */
 function logActiveCheckToTimeline() {
     const type = appState.activeCheckType;
     if (!type) return;
+    if (timelineEdit) {
+        saveTimelineEdit();
+        return;
+    }
+
+    if (!getCheckDefinition(type)) {
+        showToast('This check is not available – load its check pack first', 'warning');
+        return;
+    }
 
     // Ensure all current values are saved before logging
     saveCheckData(type);
 
+    // The definition's timelineDetail fields extend the name, e.g. which dragheads were checked
     const plant = appState.plants[appState.activePlantIndex];
-    let activityText = `[${plant.name || `Plant #${appState.activePlantIndex + 1}`}] ${checkNames[type]} Completed`;
-
-    // Dynamic naming enhancement for Draghead Depth (listing which sides were checked)
-    if (type === 'dragheadDepth') {
-        const sides = [];
-        const portChk = document.getElementById('dh-port-chk');
-        const centerChk = document.getElementById('dh-center-chk');
-        const stbdChk = document.getElementById('dh-stbd-chk');
-
-        if (portChk && portChk.checked) sides.push('Port');
-        if (centerChk && centerChk.checked) sides.push('Center');
-        if (stbdChk && stbdChk.checked) sides.push('Stbd');
-
-        // Fallback for case where checkboxes aren't in current DOM view (just in case)
-        if (sides.length === 0 && plant.checks[type]) {
-            const data = plant.checks[type];
-            if (data['dh-port-chk']) sides.push('Port');
-            if (data['dh-center-chk']) sides.push('Center');
-            if (data['dh-stbd-chk']) sides.push('Stbd');
-        }
-
-        if (sides.length > 0) {
-            activityText = `[${plant.name || `Plant #${appState.activePlantIndex + 1}`}] Draghead Depth Check (${sides.join(', ')}) Completed`;
-        }
-    }
+    const activityText = `[${plant.name || `Plant #${appState.activePlantIndex + 1}`}] ${getCheckActivityName(type, plant.checks[type])} Completed`;
 
     const now = new Date();
     const year = now.getFullYear();
@@ -579,16 +809,25 @@ function logActiveCheckToTimeline() {
     const timeStr = `${year}-${month}-${day} ${clockTime}`;
 
     const entry = {
+        id: generateStorageId(),
         time: timeStr,
         activity: activityText,
         notes: '',
         timestamp: now.toISOString(),
         plantIdx: appState.activePlantIndex,
         checkType: type,
-        data: JSON.parse(JSON.stringify(plant.checks[type])) // Capture a snapshot of the data
+        data: JSON.parse(JSON.stringify(plant.checks[type])), // Capture a snapshot of the data
+        verdict: evaluateCheckVerdict(type), // PASS/MARGINAL/FAIL per difference cell, with the tolerance applied
+        startedAt: appState.checkStarts[checkStartKey(appState.activePlantIndex, type)] || now.toISOString()
     };
+    delete appState.checkStarts[checkStartKey(appState.activePlantIndex, type)];
 
     appState.timeline.push(entry);
+    recordAuditEvent('log', { ...describeTimelineEntry(entry), after: entry.data, contentHash: hashTimelineEntry(entry) });
+
+    // Signatures attest to this logged record only; the next log of the check must be signed again
+    Object.keys(plant.checks[type]).filter(isSignatureKey).forEach(id => delete plant.checks[type][id]);
+
     renderTimeline();
     saveDraft();
     closeModal();
@@ -596,17 +835,69 @@ function logActiveCheckToTimeline() {
 
 /**
  * Reopens a QA check modal from a timeline entry.
+ * The modal edits a copy of the entry's snapshot; nothing changes until the edit is saved.
  * @param {number} plantIdx - Index of the plant.
  * @param {string} checkType - Type of the check.
  * @param {number} entryIdx - Index of the timeline entry (to pull snapshot data).
  */
 function openTimelineEntry(plantIdx, checkType, entryIdx) {
     if (plantIdx === undefined || !checkType) return;
+    const entry = appState.timeline[entryIdx];
+    if (!entry || !entry.data) return;
     appState.activePlantIndex = plantIdx;
 
-    // Pass the historical snapshot data to the modal
-    const snapshot = appState.timeline[entryIdx]?.data;
-    openModal(checkType, snapshot);
+    timelineEdit = { index: entryIdx, data: JSON.parse(JSON.stringify(entry.data)) };
+    openModal(checkType, timelineEdit.data);
+}
+
+/**
+ * Saves the changes made to a reopened timeline entry, with a reason, to the entry and the change history.
+ * If the entry is the check's latest log, the changes also carry over to the check's current data,
+ * which is what the Trip Report tabulates.
+ */
+function saveTimelineEdit() {
+    const type = appState.activeCheckType;
+    const idx = timelineEdit.index;
+    const entry = appState.timeline[idx];
+    saveCheckData(type);
+
+    const changes = diffCheckData(entry.data, timelineEdit.data);
+    if (Object.keys(changes.after).length === 0) {
+        closeModal();
+        return;
+    }
+    const reason = prompt('Reason for changing this logged record (kept in the change history):');
+    if (reason === null) return;
+    if (!reason.trim()) {
+        showToast('A reason is required to change a logged record', 'warning');
+        return;
+    }
+
+    entry.data = JSON.parse(JSON.stringify(timelineEdit.data));
+    entry.verdict = evaluateCheckVerdict(type);
+    entry.editedAt = new Date().toISOString();
+    recordAuditEvent('edit', {
+        ...describeTimelineEntry(entry),
+        before: changes.before,
+        after: changes.after,
+        reason: reason.trim(),
+        contentHash: hashTimelineEntry(entry)
+    });
+
+    const plant = appState.plants[entry.plantIdx];
+    const isLatestLog = !appState.timeline.some((e, i) => i > idx && e.plantIdx === entry.plantIdx && e.checkType === type);
+    if (plant && isLatestLog) {
+        if (!plant.checks[type]) plant.checks[type] = {};
+        Object.keys(changes.after).filter(id => !isSignatureKey(id)).forEach(id => {
+            if (entry.data[id] === undefined) delete plant.checks[type][id];
+            else plant.checks[type][id] = JSON.parse(JSON.stringify(entry.data[id])); // The gallery is an array; never share it with the entry
+        });
+    }
+
+    renderTimeline();
+    saveDraft();
+    closeModal();
+    showToast('Entry Updated');
 }
 
 /**
@@ -616,22 +907,46 @@ function isCheckLogged(plantIdx, checkType) {
     return appState.timeline.some(entry => entry.plantIdx === plantIdx && entry.checkType === checkType);
 }
 
+/**
+ * Returns the overall verdict of the most recent timeline entry for a plant's check, or null.
+ */
+function getLatestVerdict(plantIdx, checkType) {
+    for (let i = appState.timeline.length - 1; i >= 0; i--) {
+        const entry = appState.timeline[i];
+        if (entry.plantIdx === plantIdx && entry.checkType === checkType) {
+            return entry.verdict ? entry.verdict.overall : null;
+        }
+    }
+    return null;
+}
+
 /**
  * Checks if all required QA elements for a plant are in the timeline.
  */
 function isPlantComplete(plantIdx) {
+    return getPlantReadiness(plantIdx) !== 'incomplete';
+}
+
+/**
+ * Classifies a plant's readiness from its logged checks.
+ * A required check counts by its most recent log, so re-running a failed check can clear the failure.
+ * @returns {string} 'incomplete', 'complete' or 'failures' (complete, but at least one check failed).
+ */
+function getPlantReadiness(plantIdx) {
     const p = appState.plants[plantIdx];
-    if (!p) return false;
+    if (!p) return 'incomplete';
     const key = `${p.vesselType}-${p.profile}`;
-    const required = requiredChecks[key] || [];
-    if (required.length === 0) return false;
-    return required.every(type => isCheckLogged(plantIdx, type));
+    const required = getRequiredChecks(key);
+    if (required.length === 0) return 'incomplete';
+    if (!required.every(type => isCheckLogged(plantIdx, type))) return 'incomplete';
+    return required.some(type => getLatestVerdict(plantIdx, type) === 'FAIL') ? 'failures' : 'complete';
 }
 
 /**
- * Re-renders the timeline table.
+ * Re-renders the timeline table, and the dashboard built from it.
  */
 function renderTimeline() {
+    renderDashboard();
     const tbody = document.getElementById('timeline-body');
     tbody.innerHTML = '';
     if (appState.timeline.length === 0) {
@@ -650,7 +965,7 @@ function renderTimeline() {
 
         row.innerHTML = `
             <td class="timeline-time">${item.time}</td>
-            <td class="timeline-activity">${item.activity}</td>
+            <td class="timeline-activity">${item.activity}${item.editedAt ? ' <small class="text-muted" title="Changed after logging – see 📜 History">(edited)</small>' : ''}${item.verdict && item.verdict.overall ? ` <span class="verdict-badge verdict-${item.verdict.overall.toLowerCase()}">${item.verdict.overall}</span>` : ''}</td>
             <td class="timeline-notes">${item.notes || ''}</td>
             <td class="col-action"><button class="timeline-delete-btn" onclick="event.stopPropagation(); deleteTimelineEntry(${idx})">✕</button></td>
         `;
@@ -659,159 +974,694 @@ function renderTimeline() {
 }
 
 /**
- * Deletes a specific timeline entry.
+ * Deletes a specific timeline entry. The deleted entry is kept in the change history with the reason.
  */
 window.deleteTimelineEntry = (idx) => {
-    if (confirm('Delete entry?')) {
-        appState.timeline.splice(idx, 1);
-        renderTimeline();
-        saveDraft();
+    const entry = appState.timeline[idx];
+    if (!entry) return;
+    const reason = prompt(`Delete "${entry.activity}"?\nReason for deleting (kept in the change history):`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+        showToast('A reason is required to delete an entry', 'warning');
+        return;
     }
+    appState.timeline.splice(idx, 1);
+    recordAuditEvent('delete', { ...describeTimelineEntry(entry), before: entry, reason: reason.trim() });
+    renderTimeline();
+    saveDraft();
 };
 
-// ===== Data Persistence & Export =====
+// ===== Progress Dashboard =====
 
 /**
- * Saves the entire appState to LocalStorage.
+ * Key of a plant's check in appState.checkStarts.
  */
-function saveDraft() {
-    try {
-        localStorage.setItem('dqm-window-qa-draft', JSON.stringify(appState));
-    } catch (e) {
-        console.warn('Failed to save draft to localStorage (possibly quota exceeded):', e);
+function checkStartKey(plantIdx, checkType) {
+    return `${plantIdx}:${checkType}`;
+}
+
+/**
+ * Returns the most recent timeline entry for a plant's check, or null.
+ */
+function getLatestCheckEntry(plantIdx, checkType) {
+    for (let i = appState.timeline.length - 1; i >= 0; i--) {
+        const entry = appState.timeline[i];
+        if (entry.plantIdx === plantIdx && entry.checkType === checkType) return entry;
     }
+    return null;
 }
 
 /**
- * Loads application state from LocalStorage and reconstructs the UI.
+ * Lists the required checks of every plant that have not been logged yet.
+ * @returns {Array} [{ plantIdx, plantName, checkType }]
  */
-function loadDraft() {
-    const draft = localStorage.getItem('dqm-window-qa-draft');
-    if (!draft) return;
+function getMissingRequiredChecks() {
+    const missing = [];
+    appState.plants.forEach((p, plantIdx) => {
+        getRequiredChecks(`${p.vesselType}-${p.profile}`).forEach(checkType => {
+            if (!isCheckLogged(plantIdx, checkType)) {
+                missing.push({ plantIdx, plantName: p.name || `Plant #${plantIdx + 1}`, checkType });
+            }
+        });
+    });
+    return missing;
+}
 
-    isRestoring = true; // Block scraping
-    try {
-        const data = JSON.parse(draft);
-        Object.assign(appState, data);
+/**
+ * Formats a duration in milliseconds as e.g. "45 min" or "2 h 05 min".
+ */
+function formatDuration(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+}
 
-        // Restore Global Header UI
-        document.getElementById('check-date').value = appState.checkDate || '';
-        document.getElementById('weather-conditions').value = appState.weatherConditions || '';
-        document.getElementById('qa-team').value = appState.qaTeam || '';
-        document.getElementById('system-provider').value = appState.systemProvider || '';
-        document.getElementById('general-comments').value = appState.generalComments || '';
+/**
+ * Switches the main column between the timeline and the dashboard.
+ * @param {string} view - 'timeline' | 'dashboard'
+ */
+function showMainView(view) {
+    document.querySelectorAll('.view-tab').forEach(tab => tab.classList.toggle('active', tab.dataset.view === view));
+    document.querySelector('.timeline-card').classList.toggle('hidden', view !== 'timeline');
+    document.getElementById('dashboard-card').classList.toggle('hidden', view !== 'dashboard');
+    if (view === 'dashboard') renderDashboard();
+}
 
-        // Reconstruct Plant Rows
-        if (appState.plants.length > 0) {
-            document.getElementById('plants-container').innerHTML = '';
-            plantCounter = 0;
-            appState.plants.forEach(p => {
-                addPlant();
-                const last = document.querySelector('.plant-entry:last-child');
-                last.querySelector('.plant-name').value = p.name;
-                last.querySelector('.vessel-type').value = p.vesselType;
-                updateProfileOptions(last.querySelector('.vessel-type'));
-                last.querySelector('.vessel-profile').value = p.profile;
-            });
-        }
-        renderTimeline();
-    } finally {
-        isRestoring = false; // Re-enable scraping
+/**
+ * Describes the departure countdown for the dashboard summary.
+ * @param {number} outstanding - Required checks not yet logged.
+ */
+function departureCountdownHTML(outstanding) {
+    if (!appState.departureTime) return '<span class="text-muted">Set the departure time to count down to it.</span>';
+    const remaining = new Date(appState.departureTime) - Date.now();
+    if (isNaN(remaining)) return '';
+    if (remaining <= 0) {
+        return outstanding > 0
+            ? `<span class="dashboard-alert">Departure time has passed with ${outstanding} required check${outstanding === 1 ? '' : 's'} outstanding</span>`
+            : '<span>Departure time has passed</span>';
     }
+    const pace = outstanding > 0 ? ` – about ${formatDuration(remaining / outstanding)} per remaining check` : '';
+    return `<strong>${formatDuration(remaining)}</strong> until departure${pace}`;
 }
 
 /**
- * Triggers a JSON file download for the current audit data.
+ * Status of a plant's required check for the dashboard.
+ * A logged check shows the verdict of its latest log; a check with data entered since shows it is being re-run.
+ * @returns {Object} { label, className }
  */
-function exportJSON() {
-    updateAppState();
-    const exportData = {
-        metadata: {
-            plants: appState.plants,
-            checkDate: appState.checkDate,
-            weather: appState.weatherConditions,
-            qaTeamMembers: appState.qaTeam.split(',').map(s => s.trim()).filter(s => s),
-            systemProvider: appState.systemProvider,
-            timeline: appState.timeline,
-            generalComments: appState.generalComments,
-            exportedAt: new Date().toISOString()
-        }
+function getDashboardStatus(plantIdx, checkType) {
+    const started = Boolean(appState.checkStarts[checkStartKey(plantIdx, checkType)]);
+    const entry = getLatestCheckEntry(plantIdx, checkType);
+    if (!entry) {
+        return started ? { label: 'In progress', className: 'status-progress' } : { label: 'Not started', className: 'status-missing' };
+    }
+    const overall = entry.verdict && entry.verdict.overall;
+    return {
+        label: `${overall || 'Logged'}${started ? ' (re-run in progress)' : ''}`,
+        className: overall ? `status-${overall.toLowerCase()}` : 'status-logged'
     };
-    // Construct filename: app name + plant names + live timestamp (HH-MM, colon-safe for Windows/iOS)
-    const plantNames = appState.plants.map(p => p.name.trim()).filter(n => n).join('_');
-    const displayPlantNames = (plantNames || 'Unnamed-Plants').replace(/\s+/g, '_');
-    const now = new Date();
-    const ts = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}`;
-    const filename = `DQM-QA_${displayPlantNames}_${ts}.json`;
+}
 
-    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    a.click();
+/**
+ * Renders the audit progress dashboard: a summary with the departure countdown, and a table per plant
+ * of its required checks with their status, last log time and time taken.
+ */
+function renderDashboard() {
+    const summaryEl = document.getElementById('dashboard-summary');
+    const plantsEl = document.getElementById('dashboard-plants');
+    if (!summaryEl || !plantsEl) return;
+
+    let requiredTotal = 0;
+    let failed = 0;
+    const tables = appState.plants.map((p, plantIdx) => {
+        const name = escapeHtml(p.name || `Plant #${plantIdx + 1}`);
+        const required = getRequiredChecks(`${p.vesselType}-${p.profile}`);
+        if (required.length === 0) {
+            return `<div class="dashboard-plant"><h3>${name}</h3><p class="text-muted">Choose a vessel type and profile to list its required checks.</p></div>`;
+        }
+        requiredTotal += required.length;
+        const rows = required.map(checkType => {
+            const entry = getLatestCheckEntry(plantIdx, checkType);
+            const status = getDashboardStatus(plantIdx, checkType);
+            if (status.className === 'status-fail') failed++;
+            const elapsed = entry && entry.startedAt ? formatDuration(new Date(entry.timestamp) - new Date(entry.startedAt)) : '—';
+            return `
+                <tr class="clickable-row" title="Open this check" data-plant="${plantIdx}" data-check="${escapeHtml(checkType)}">
+                    <td>${escapeHtml(getCheckName(checkType))}</td>
+                    <td><span class="dashboard-status ${status.className}">${status.label}</span></td>
+                    <td class="timeline-time">${entry ? entry.time : '—'}</td>
+                    <td>${elapsed}</td>
+                </tr>`;
+        }).join('');
+        const done = required.filter(checkType => isCheckLogged(plantIdx, checkType)).length;
+        return `
+            <div class="dashboard-plant">
+                <h3>${name} <small class="text-muted">${escapeHtml(p.vesselType || '')} · ${done}/${required.length} logged</small></h3>
+                <table class="timeline-table dashboard-table">
+                    <thead><tr><th>Check</th><th>Status</th><th>Last Logged</th><th>Time Taken</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    });
+
+    const outstanding = getMissingRequiredChecks().length;
+    const logged = requiredTotal - outstanding;
+    const percent = requiredTotal > 0 ? Math.round(logged / requiredTotal * 100) : 0;
+    summaryEl.innerHTML = `
+        <div class="dashboard-counts">
+            <span><strong>${logged}</strong> of ${requiredTotal} required checks logged</span>
+            <span><strong>${outstanding}</strong> outstanding</span>
+            <span class="${failed > 0 ? 'dashboard-alert' : ''}"><strong>${failed}</strong> failed</span>
+        </div>
+        <div class="storage-meter"><div class="storage-meter-fill dashboard-progress-fill" style="width: ${percent}%;"></div></div>
+        <p class="dashboard-countdown">${departureCountdownHTML(outstanding)}</p>`;
+    plantsEl.innerHTML = tables.join('') || '<p class="text-muted">Add a plant to start the audit.</p>';
 }
 
 /**
- * Handles importing a previously exported JSON file back into the app.
- * Supports both the export format ({ metadata: {...} }) and raw appState format.
- * @param {Event} event - The file input change event.
+ * Opens a plant's check from the dashboard.
  */
-function importJSON(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function openDashboardCheck(plantIdx, checkType) {
+    if (!appState.plants[plantIdx]) return;
+    appState.activePlantIndex = plantIdx;
+    openModal(checkType);
+}
 
-    const reader = new FileReader();
-    reader.onload = function (e) {
-        try {
-            const parsed = JSON.parse(e.target.result);
-
-            // Normalize: handle both export format and raw appState format
-            let importedState;
-            if (parsed.metadata) {
-                // Export format: { metadata: { plants, checkDate, weather, qaTeamMembers, systemProvider, timeline, generalComments } }
-                const m = parsed.metadata;
-                importedState = {
-                    plants: m.plants || [],
-                    checkDate: m.checkDate || '',
-                    weatherConditions: m.weather || '',
-                    // qaTeamMembers is an array in export; join it back to a string for the form
-                    qaTeam: Array.isArray(m.qaTeamMembers) ? m.qaTeamMembers.join(', ') : (m.qaTeam || ''),
-                    systemProvider: m.systemProvider || '',
-                    timeline: m.timeline || [],
-                    generalComments: m.generalComments || ''
-                };
-            } else if (Array.isArray(parsed.plants) || parsed.checkDate !== undefined) {
-                // Raw appState format (e.g., from a manual draft backup)
-                importedState = parsed;
-            } else {
-                throw new Error('Unrecognized JSON format.');
-            }
+/**
+ * Warns before an export that leaves required checks unlogged (typically the last export before
+ * leaving the vessel). The list names each missing check.
+ * @returns {boolean} True to go ahead with the export.
+ */
+function confirmPreDepartureExport() {
+    const missing = getMissingRequiredChecks();
+    if (missing.length === 0) return true;
+    const shown = missing.slice(0, 15).map(m => `• ${m.plantName} – ${getCheckName(m.checkType)}`);
+    if (missing.length > shown.length) shown.push(`…and ${missing.length - shown.length} more`);
+    return confirm(`Pre-departure check: ${missing.length} required check${missing.length === 1 ? ' has' : 's have'} not been logged:\n\n${shown.join('\n')}\n\nExport anyway?`);
+}
 
-            // Confirm before overwriting current session
-            if (!confirm('Import this file? This will replace your current session data.')) return;
+// ===== Change History =====
+// The append-only record of logs, edits, deletes and imports; hashing and verification live in ../dqm-shared/export-integrity.js.
 
-            // Apply to appState
-            isRestoring = true;
-            try {
-                Object.assign(appState, {
-                    plants: [],
-                    checkDate: '',
-                    weatherConditions: '',
-                    qaTeam: '',
-                    systemProvider: '',
-                    timeline: [],
-                    generalComments: '',
-                    activeCheckType: null,
-                    activePlantIndex: null
-                }, importedState);
+const AUDIT_USER_KEY = 'dqm-qa-audit-user'; // Per device, like the tolerance overrides
 
-                // Restore Global Header UI
-                document.getElementById('check-date').value = appState.checkDate || '';
+/**
+ * Name recorded against changes: the device's "Recorded By" name, else the first QA team member.
+ */
+function getAuditUser() {
+    const firstMember = (appState.qaTeam || '').split(',').map(s => s.trim()).find(s => s);
+    return localStorage.getItem(AUDIT_USER_KEY) || firstMember || 'Unknown';
+}
+
+/**
+ * Identifies the timeline entry an event refers to, in terms that survive later deletes and renames.
+ */
+function describeTimelineEntry(entry) {
+    const plant = appState.plants[entry.plantIdx];
+    return {
+        entryId: entry.id,
+        activity: entry.activity,
+        plant: plant ? plant.name : '',
+        checkType: entry.checkType || null
+    };
+}
+
+/**
+ * Appends an event, by the current user, to the open audit's change history.
+ * @param {string} action - 'log' | 'edit' | 'delete' | 'import' | 'clear' | 'baseline'
+ * @param {Object} fields - Event details (entry identity, before/after values, reason, hashes).
+ */
+function recordAuditEvent(action, fields) {
+    return appendAuditEvent(appState.auditTrail, { by: getAuditUser(), action, ...fields });
+}
+
+/**
+ * Brings timeline entries logged before the change history existed under it: entries get an ID,
+ * and a 'baseline' event records their content as found.
+ */
+function ensureTimelineBaseline() {
+    appState.timeline.forEach(entry => {
+        if (!entry.id) entry.id = generateStorageId();
+    });
+    const recorded = replayEntryHashes(appState.auditTrail);
+    if (appState.timeline.every(entry => recorded.has(entry.id))) return;
+    recordAuditEvent('baseline', { entryHashes: timelineEntryHashes(appState.timeline) });
+    saveDraft();
+}
+
+/**
+ * Formats an event's before/after value for the history list.
+ */
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'object') return escapeHtml(JSON.stringify(value).slice(0, 120));
+    return escapeHtml(String(value));
+}
+
+/**
+ * Opens the change history overlay.
+ */
+function openAuditHistory() {
+    renderAuditHistory();
+    document.getElementById('history-overlay').classList.remove('hidden');
+}
+
+/**
+ * Closes the change history overlay.
+ */
+function closeAuditHistory() {
+    document.getElementById('history-overlay').classList.add('hidden');
+}
+
+/**
+ * Lists the change history, newest first. Edits show each changed field's before and after values.
+ */
+function renderAuditHistory() {
+    const tbody = document.getElementById('history-body');
+    const trail = appState.auditTrail;
+    if (trail.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" style="text-align: center; color: var(--text-muted); padding: 2rem;">No changes recorded</td></tr>';
+        return;
+    }
+    const actionLabels = { log: 'Logged', edit: 'Edited', delete: 'Deleted', import: 'Imported', clear: 'Cleared', baseline: 'Baseline' };
+
+    tbody.innerHTML = trail.slice().reverse().map(ev => {
+        let details = escapeHtml(ev.activity || '');
+        if (ev.action === 'edit') {
+            details += Object.keys(ev.after || {}).map(id =>
+                `<br><small><code>${escapeHtml(id)}</code>: ${formatAuditValue(ev.before[id])} → ${formatAuditValue(ev.after[id])}</small>`).join('');
+        } else if (ev.action === 'import' && ev.source) {
+            details = `${escapeHtml(ev.source.file || 'File')} (${ev.before.entries} → ${ev.after.entries} entries; file ${escapeHtml(ev.source.integrity)})`;
+            details += (ev.source.problems || []).map(p => `<br><small>⚠️ ${escapeHtml(p)}</small>`).join('');
+        } else if (ev.action === 'clear') {
+            details = `${ev.before.entries} entries, ${ev.before.plants} plants removed`;
+        } else if (ev.action === 'baseline') {
+            details = `${Object.keys(ev.entryHashes || {}).length} entries logged before the change history`;
+        }
+        if (ev.reason) details += `<br><small>Reason: ${escapeHtml(ev.reason)}</small>`;
+        return `
+            <tr>
+                <td class="timeline-time">${new Date(ev.at).toLocaleString()}</td>
+                <td>${escapeHtml(ev.by)}</td>
+                <td>${actionLabels[ev.action] || escapeHtml(ev.action)}</td>
+                <td>${details}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// ===== Data Persistence & Export =====
+
+let lastSavedRecords = {}; // Draft record key -> JSON last written, so unchanged records are skipped
+let saveQueue = Promise.resolve(); // Serialises writes so an older save can never land after a newer one
+let lastSaveFailed = false;
+let currentSession = null; // Session record (see storage.js) that appState belongs to
+
+/**
+ * Splits appState into the independently stored draft records (see storage.js).
+ */
+function splitDraftRecords(state) {
+    const { plants, timeline, auditTrail, ...header } = state;
+    return { header, plants: plants || [], timeline: timeline || [], audit: auditTrail || [] };
+}
+
+/**
+ * Incrementally saves appState to IndexedDB.
+ * Only the records whose content changed since the last save are rewritten; photos are
+ * already stored separately, so the records stay small. Failures are shown to the user.
+ * @returns {Promise} Resolves once this save (and any queued before it) has settled.
+ */
+function saveDraft() {
+    if (!currentSession) return saveQueue; // Storage never opened; loadDraft already warned the user
+    const sessionId = currentSession.id;
+    const changed = {};
+    Object.entries(splitDraftRecords(appState)).forEach(([key, value]) => {
+        const json = JSON.stringify(value);
+        if (json !== lastSavedRecords[key]) {
+            changed[key] = JSON.parse(json);
+            lastSavedRecords[key] = json;
+        }
+    });
+    if (Object.keys(changed).length === 0) return saveQueue;
+
+    saveQueue = saveQueue
+        .then(() => writeDraftRecords(sessionId, changed, { summary: getSessionSummary() }))
+        .then(() => {
+            lastSaveFailed = false;
+            scheduleStorageMeterUpdate();
+        })
+        .catch(e => {
+            // Forget these records so the next save retries them
+            Object.keys(changed).forEach(key => delete lastSavedRecords[key]);
+            console.error('Failed to save draft to IndexedDB:', e);
+            if (!lastSaveFailed) {
+                showToast('⚠️ Draft NOT saved – device storage is full or unavailable. Export your data now.', 'error');
+            }
+            lastSaveFailed = true;
+            updateStorageMeter();
+        });
+    return saveQueue;
+}
+
+/**
+ * Loads the active audit session from IndexedDB and reconstructs the UI.
+ * A draft left in localStorage by an older version is migrated first.
+ */
+async function loadDraft() {
+    try {
+        await migrateLegacyDraft();
+    } catch (e) {
+        console.error('Failed to migrate localStorage draft (left in place):', e);
+    }
+
+    let records;
+    try {
+        currentSession = await resolveActiveSession();
+        renderCurrentSessionName();
+        records = await readDraftRecords(currentSession.id);
+    } catch (e) {
+        console.error('Failed to open draft store:', e);
+        showToast('⚠️ Device storage unavailable – changes will not be saved', 'error');
+        lastSaveFailed = true;
+        return;
+    }
+    if (!records) return;
+
+    Object.entries(records).forEach(([key, value]) => {
+        lastSavedRecords[key] = JSON.stringify(value);
+    });
+
+    isRestoring = true; // Block scraping
+    try {
+        Object.assign(appState, records.header || {}, {
+            plants: records.plants || [],
+            timeline: records.timeline || [],
+            auditTrail: records.audit || []
+        });
+
+        // Restore Global Header UI
+        document.getElementById('check-date').value = appState.checkDate || '';
+        document.getElementById('weather-conditions').value = appState.weatherConditions || '';
+        document.getElementById('qa-team').value = appState.qaTeam || '';
+        document.getElementById('system-provider').value = appState.systemProvider || '';
+        document.getElementById('general-comments').value = appState.generalComments || '';
+        document.getElementById('departure-time').value = appState.departureTime || '';
+
+        // Reconstruct Plant Rows
+        if (appState.plants.length > 0) {
+            document.getElementById('plants-container').innerHTML = '';
+            plantCounter = 0;
+            appState.plants.forEach(p => {
+                addPlant();
+                const last = document.querySelector('.plant-entry:last-child');
+                last.querySelector('.plant-name').value = p.name;
+                last.querySelector('.vessel-type').value = p.vesselType;
+                updateProfileOptions(last.querySelector('.vessel-type'));
+                last.querySelector('.vessel-profile').value = p.profile;
+                renderPlantNotes(last);
+            });
+        }
+        renderTimeline();
+    } finally {
+        isRestoring = false; // Re-enable scraping
+    }
+    ensureTimelineBaseline();
+
+    // Drop photos that were replaced or belonged to deleted entries
+    pruneOrphanPhotos().catch(e => console.warn('Photo cleanup failed:', e));
+}
+
+let storageMeterTimer = null;
+
+/**
+ * Debounced storage meter refresh (estimates are not free, and saves happen on every keystroke).
+ */
+function scheduleStorageMeterUpdate() {
+    clearTimeout(storageMeterTimer);
+    storageMeterTimer = setTimeout(updateStorageMeter, 1500);
+}
+
+/**
+ * Formats a byte count for display.
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+/**
+ * Refreshes the sidebar storage meter from the browser's quota estimate.
+ */
+async function updateStorageMeter() {
+    const fill = document.getElementById('storage-meter-fill');
+    const text = document.getElementById('storage-meter-text');
+    if (!fill || !text) return;
+
+    const estimate = await getStorageEstimate();
+    const pct = estimate && estimate.quota ? (estimate.usage / estimate.quota) * 100 : 0;
+    fill.style.width = `${Math.min(pct, 100)}%`;
+    fill.classList.toggle('storage-warning', pct >= 80);
+
+    if (lastSaveFailed) {
+        text.textContent = '⚠️ Last save failed – export your data';
+        text.classList.add('storage-error');
+        return;
+    }
+    text.classList.remove('storage-error');
+    text.textContent = estimate && estimate.quota
+        ? `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${pct.toFixed(1)}%)`
+        : 'Usage estimate not available in this browser';
+}
+
+/**
+ * Builds the export of the current audit (the JSON file's contents).
+ * Photo references are resolved back to inline data URLs so the export stays self-contained.
+ * @returns {Promise<Object|null>} The export, or null when the stored photos could not be read (the user has been told).
+ */
+async function buildExportData() {
+    let plants, timeline;
+    try {
+        plants = await inlinePhotos(appState.plants);
+        timeline = await inlinePhotos(appState.timeline);
+    } catch (e) {
+        console.error('Failed to read photos for export:', e);
+        showToast('❌ Export Failed – could not read stored photos', 'error');
+        return null;
+    }
+    return {
+        action: EXPORT_FILE_ACTION,
+        schemaVersion: EXPORT_SCHEMA_VERSION,
+        appVersion: APP_VERSION,
+        metadata: {
+            plants,
+            checkDate: appState.checkDate,
+            weather: appState.weatherConditions,
+            qaTeamMembers: appState.qaTeam.split(',').map(s => s.trim()).filter(s => s),
+            systemProvider: appState.systemProvider,
+            timeline,
+            generalComments: appState.generalComments,
+            checkNames: Object.fromEntries(Object.values(checkRegistry).map(def => [def.id, def.name])), // Lets the trip report label check-pack checks
+            attestations: buildAttestations(),
+            auditTrail: appState.auditTrail,
+            integrity: sealExport(appState.auditTrail, plants, timeline), // Lets the trip report detect edits made outside the app
+            exportedAt: new Date().toISOString()
+        }
+    };
+}
+
+/**
+ * Triggers a JSON file download for the current audit data.
+ */
+async function exportJSON() {
+    updateAppState();
+    if (!confirmPreDepartureExport()) return;
+    const exportData = await buildExportData();
+    if (!exportData) return;
+    const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${exportFileStem()}.json`);
+}
+
+/**
+ * Export file name without extension: app name + plant names + live timestamp (HH-MM, colon-safe for Windows/iOS).
+ */
+function exportFileStem() {
+    const plantNames = appState.plants.map(p => p.name.trim()).filter(n => n).join('_');
+    const displayPlantNames = (plantNames || 'Unnamed-Plants').replace(/\s+/g, '_');
+    const now = new Date();
+    const ts = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}`;
+    return `DQM-QA_${displayPlantNames}_${ts}`;
+}
+
+/**
+ * Saves a Blob as a download. The link is added to the page for the click (Firefox ignores a
+ * click on a detached link) and the object URL is released afterwards.
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Downloads every logged reading as CSV, one row per reading (see tabular.js).
+ */
+function exportReadingsCSV() {
+    const rows = buildReadingsTable(appState);
+    if (rows.length === 1) {
+        showToast('No readings logged yet', 'warning');
+        return;
+    }
+    downloadBlob(new Blob([toCSV(rows)], { type: 'text/csv;charset=utf-8' }), `${exportFileStem()}_Readings.csv`);
+}
+
+/**
+ * Downloads an Excel workbook with a Readings sheet (one row per reading) and a Plant Summary sheet.
+ */
+function exportReadingsXLSX() {
+    const rows = buildReadingsTable(appState);
+    if (rows.length === 1) {
+        showToast('No readings logged yet', 'warning');
+        return;
+    }
+    const workbook = buildXlsx([
+        { name: 'Readings', rows },
+        { name: 'Plant Summary', rows: buildPlantSummaryTable(appState) }
+    ]);
+    downloadBlob(new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), `${exportFileStem()}.xlsx`);
+}
+
+/**
+ * Sends the current audit to the Trip Report on this device (see ../dqm-shared/handoff.js), instead of downloading a file.
+ * Sending the same audit again replaces the copy waiting in the Trip Report.
+ */
+async function sendToTripReport() {
+    updateAppState();
+    if (!confirmPreDepartureExport()) return;
+    const exportData = await buildExportData();
+    if (!exportData) return;
+    try {
+        await sendHandoff({
+            id: currentSession ? currentSession.id : 'current',
+            name: currentSession ? currentSession.name : 'Current Audit',
+            checkDate: appState.checkDate,
+            plants: appState.plants.map((p, idx) => p.name || `Plant #${idx + 1}`),
+            sentAt: exportData.metadata.exportedAt,
+            appVersion: APP_VERSION,
+            data: exportData
+        });
+    } catch (e) {
+        console.error('Failed to send audit to the Trip Report:', e);
+        showToast('❌ Could not send – use Export JSON instead', 'error');
+        return;
+    }
+    showToast('📤 Sent – open the Trip Report on this device to load it');
+}
+
+/**
+ * Handles importing a previously exported JSON file back into the app.
+ * Files of older schema versions (including raw appState backups) are migrated first (see schema.js).
+ * @param {Event} event - The file input change event.
+ */
+function importJSON(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async function (e) {
+        let parsed, exportFile;
+        try {
+            parsed = JSON.parse(e.target.result);
+        } catch (err) {
+            showToast(`❌ Import Failed – not valid JSON (${err.message})`, 'error');
+            return;
+        }
+        try {
+            exportFile = readExportFile(parsed).file;
+        } catch (err) {
+            console.error('Import rejected:', err);
+            alert(`This file could not be imported:\n\n${err.message}`);
+            return;
+        }
+
+        try {
+            const m = exportFile.metadata;
+            const importedState = {
+                plants: m.plants || [],
+                checkDate: m.checkDate || '',
+                weatherConditions: m.weather || '',
+                // qaTeamMembers is an array in export; join it back to a string for the form
+                qaTeam: Array.isArray(m.qaTeamMembers) ? m.qaTeamMembers.join(', ') : (m.qaTeam || ''),
+                systemProvider: m.systemProvider || '',
+                timeline: m.timeline || [],
+                generalComments: m.generalComments || ''
+            };
+
+            // Confirm before overwriting current session
+            const sessionName = currentSession ? `"${currentSession.name}"` : 'the current audit';
+            if (!confirm(`Import this file? This will replace the data in ${sessionName}. Other audits are not affected.`)) return;
+
+            // Check the file against its seal before anything is modified
+            const sourceIntegrity = verifyExportIntegrity(m);
+            const countsBefore = { plants: appState.plants.length, entries: appState.timeline.length };
+
+            // An audit with no history of its own continues the file's history, if that verifies;
+            // otherwise the import is appended to this audit's history
+            let auditTrail = appState.auditTrail;
+            if (auditTrail.length === 0 && sourceIntegrity.status === 'verified') {
+                auditTrail = m.auditTrail.slice();
+            }
+
+            // Move inline photos into the photo store before they reach appState
+            await externalizePhotos(importedState);
+
+            // Apply to appState
+            isRestoring = true;
+            try {
+                Object.assign(appState, {
+                    plants: [],
+                    checkDate: '',
+                    weatherConditions: '',
+                    qaTeam: '',
+                    systemProvider: '',
+                    timeline: [],
+                    generalComments: '',
+                    departureTime: '',
+                    checkStarts: {},
+                    activeCheckType: null,
+                    activePlantIndex: null
+                }, importedState, { auditTrail });
+
+                appState.timeline.forEach(entry => {
+                    if (!entry.id) entry.id = generateStorageId();
+                });
+                recordAuditEvent('import', {
+                    source: {
+                        file: file.name,
+                        exportedAt: m.exportedAt || '',
+                        appVersion: exportFile.appVersion || '',
+                        integrity: sourceIntegrity.status,
+                        problems: sourceIntegrity.problems,
+                        head: (m.integrity && m.integrity.head) || ''
+                    },
+                    before: countsBefore,
+                    after: { plants: appState.plants.length, entries: appState.timeline.length },
+                    entryHashes: timelineEntryHashes(appState.timeline)
+                });
+
+                // Restore Global Header UI
+                document.getElementById('check-date').value = appState.checkDate || '';
                 document.getElementById('weather-conditions').value = appState.weatherConditions || '';
                 document.getElementById('qa-team').value = appState.qaTeam || '';
                 document.getElementById('system-provider').value = appState.systemProvider || '';
                 document.getElementById('general-comments').value = appState.generalComments || '';
+                document.getElementById('departure-time').value = appState.departureTime || '';
 
                 // Reconstruct Plant Rows
                 document.getElementById('plants-container').innerHTML = '';
@@ -824,6 +1674,7 @@ function importJSON(event) {
                         last.querySelector('.vessel-type').value = p.vesselType || '';
                         updateProfileOptions(last.querySelector('.vessel-type'));
                         last.querySelector('.vessel-profile').value = p.profile || '';
+                        renderPlantNotes(last);
                     });
                 } else {
                     addPlant(); // Always have at least one plant row
@@ -834,82 +1685,231 @@ function importJSON(event) {
                 isRestoring = false;
             }
 
-            // Persist the imported state to localStorage
+            // Persist the imported state to IndexedDB
             saveDraft();
-            showToast('✅ Import Successful');
+            if (sourceIntegrity.status === 'modified') {
+                console.warn('Imported file failed verification:', sourceIntegrity.problems);
+                showToast('⚠️ Imported – but the file was changed outside the app (see 📜 History)', 'warning');
+            } else {
+                showToast('✅ Import Successful');
+            }
 
         } catch (err) {
             console.error('Import failed:', err);
-            showToast('❌ Import Failed – Invalid JSON');
+            showToast(`❌ Import Failed – ${err.message}`, 'error');
         }
     };
     reader.onerror = function () {
-        showToast('❌ Failed to read file');
+        showToast('❌ Failed to read file', 'error');
     };
     reader.readAsText(file);
 }
 
-// ===== Form Generators (Ported from dqm-qa-app) =====
-
-/**
- * Factory for retrieving HTML template for a specific check.
- */
-function getCheckContent(type) {
-    switch (type) {
-        case 'positionCheck': return createPositionCheckForm();
-        case 'hullStatus': return createHullStatusForm();
-        case 'draftSensorLightFwd': return createDraftSensorForm('light', 'fwd');
-        case 'draftSensorLightAft': return createDraftSensorForm('light', 'aft');
-        case 'draftSensorLoadedFwd': return createDraftSensorForm('loaded', 'fwd');
-        case 'draftSensorLoadedAft': return createDraftSensorForm('loaded', 'aft');
-        case 'ullageLightFwd': return createUllageForm('light', 'fwd');
-        case 'ullageLightAft': return createUllageForm('light', 'aft');
-        case 'ullageLoadedFwd': return createUllageForm('loaded', 'fwd');
-        case 'ullageLoadedAft': return createUllageForm('loaded', 'aft');
-        case 'dragheadDepth': return createDragheadDepthForm();
-        case 'suctionMouthDepth': return createSuctionMouthDepthForm();
-        case 'velocity': return createVelocityForm();
-        case 'bucketDepth': return createBucketDepthForm();
-        case 'bucketPosition': return createBucketPositionForm();
-        default: return '<p>Unknown form.</p>';
-    }
+// ===== Audit Sessions =====
+
+/**
+ * Escapes user-entered text for safe insertion into HTML templates.
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
 }
 
 /**
- * Generates the coordinate sub-inputs (used for both Handheld and DQM rows).
- * Uses CSS grid for DMS/DDM so each field fills its column naturally.
- * @param {string} prefix - e.g. 'handheld' or 'dqm'
+ * Builds the short summary kept on the session record, so the session list never has to read drafts.
  */
-function coordInputsHTML(prefix) {
-    return `
-        <div class="coord-set" id="${prefix}-dd" style="display:flex; gap:6px;">
-            <input type="number" id="${prefix}-dd-lat" step="0.000001" placeholder="Lat (DD)" style="flex:1">
-            <input type="number" id="${prefix}-dd-lon" step="0.000001" placeholder="Lon (DD)" style="flex:1">
-        </div>
+function getSessionSummary() {
+    return {
+        checkDate: appState.checkDate || '',
+        plantNames: appState.plants.map(p => p.name).filter(n => n),
+        entryCount: appState.timeline.length
+    };
+}
 
-        <div class="coord-set hidden" id="${prefix}-dms">
-            <!-- Column headers -->
-            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; margin-bottom:3px;">
-                <small style="color:var(--text-muted); padding-left:2px;">Deg (°)</small>
-                <small style="color:var(--text-muted); padding-left:2px;">Min (')</small>
-                <small style="color:var(--text-muted); padding-left:2px;">Sec (")</small>
-                <small style="color:var(--text-muted); padding-left:2px;">Hem</small>
-            </div>
-            <!-- Lat row -->
-            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; align-items:center;">
-                <input type="number" id="${prefix}-dms-lat-d" placeholder="0" min="0" max="90" style="width:100%">
-                <input type="number" id="${prefix}-dms-lat-m" placeholder="0" min="0" max="59" style="width:100%">
-                <input type="number" id="${prefix}-dms-lat-s" placeholder="0.000" step="0.001" min="0" max="60" style="width:100%">
-                <select id="${prefix}-dms-lat-hem" style="width:100%"><option value="N">N</option><option value="S">S</option></select>
-            </div>
-            <!-- Lon row -->
-            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; align-items:center; margin-top:6px;">
-                <input type="number" id="${prefix}-dms-lon-d" placeholder="0" min="0" max="180" style="width:100%">
-                <input type="number" id="${prefix}-dms-lon-m" placeholder="0" min="0" max="59" style="width:100%">
-                <input type="number" id="${prefix}-dms-lon-s" placeholder="0.000" step="0.001" min="0" max="60" style="width:100%">
-                <select id="${prefix}-dms-lon-hem" style="width:100%"><option value="W">W</option><option value="E">E</option></select>
-            </div>
-            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; margin-top:2px;">
+/**
+ * Shows the open session's name in the sidebar.
+ */
+function renderCurrentSessionName() {
+    const el = document.getElementById('current-session-name');
+    if (el && currentSession) el.textContent = currentSession.name;
+}
+
+/**
+ * Flushes pending saves, then reloads the app on another session.
+ * Reloading (rather than swapping state in place) guarantees no UI or state leaks between audits.
+ * @param {string} id - The session to open.
+ */
+async function switchToSession(id) {
+    await saveDraft();
+    window.removeEventListener('beforeunload', handleBeforeUnload);
+    setActiveSessionId(id);
+    location.reload();
+}
+
+/**
+ * Opens the session manager overlay.
+ */
+function openSessionManager() {
+    renderSessionList();
+    document.getElementById('session-overlay').classList.remove('hidden');
+}
+
+/**
+ * Closes the session manager overlay.
+ */
+function closeSessionManager() {
+    document.getElementById('session-overlay').classList.add('hidden');
+}
+
+/**
+ * Renders the list of audit sessions with their actions.
+ * Archived sessions are hidden unless "Show archived" is ticked (the open session is always shown).
+ */
+async function renderSessionList() {
+    const list = document.getElementById('session-list');
+    const showArchived = document.getElementById('session-show-archived').checked;
+
+    let sessions;
+    try {
+        sessions = await listSessions();
+    } catch (e) {
+        console.error('Failed to list sessions:', e);
+        list.innerHTML = '<p class="text-muted">Could not read saved audits from device storage.</p>';
+        return;
+    }
+
+    const currentId = currentSession ? currentSession.id : null;
+    const visible = sessions.filter(s => showArchived || !s.archived || s.id === currentId);
+    list.innerHTML = visible.length ? '' : '<p class="text-muted">No audits to show.</p>';
+
+    visible.forEach(s => {
+        const isCurrent = s.id === currentId;
+        const summary = s.summary || {};
+        const plantNames = (summary.plantNames || []).join(', ');
+        const row = document.createElement('div');
+        row.className = `session-row${isCurrent ? ' session-current' : ''}${s.archived ? ' session-archived' : ''}`;
+        row.innerHTML = `
+            <div class="session-info">
+                <strong>${escapeHtml(s.name)}</strong>
+                ${isCurrent ? '<span class="session-tag">Open</span>' : ''}
+                ${s.archived ? '<span class="session-tag">Archived</span>' : ''}
+                <small>${escapeHtml(summary.checkDate || 'No date')} · ${escapeHtml(plantNames || 'No plants')} · ${summary.entryCount || 0} timeline entries</small>
+                <small>Updated ${new Date(s.updatedAt).toLocaleString()}</small>
+            </div>
+            <div class="session-actions">
+                ${isCurrent ? '' : '<button type="button" class="btn-primary" data-action="open">Open</button>'}
+                <button type="button" class="btn-secondary" data-action="rename">Rename</button>
+                <button type="button" class="btn-secondary" data-action="duplicate">Duplicate</button>
+                <button type="button" class="btn-secondary" data-action="archive">${s.archived ? 'Unarchive' : 'Archive'}</button>
+                <button type="button" class="btn-danger" data-action="delete">Delete</button>
+            </div>
+        `;
+        row.querySelectorAll('button[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => handleSessionAction(btn.dataset.action, s));
+        });
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Performs a session-list action. Only 'open' and deleting the open session leave the current audit.
+ * @param {string} action - 'open' | 'rename' | 'duplicate' | 'archive' | 'delete'
+ * @param {Object} session - The session record the action applies to.
+ */
+async function handleSessionAction(action, session) {
+    const isCurrent = currentSession && session.id === currentSession.id;
+    try {
+        if (action === 'open') {
+            await switchToSession(session.id);
+            return;
+        }
+        if (action === 'rename') {
+            const name = prompt('Rename audit:', session.name);
+            if (!name || !name.trim()) return;
+            await updateSession(session.id, { name: name.trim() });
+            if (isCurrent) {
+                currentSession.name = name.trim();
+                renderCurrentSessionName();
+            }
+        } else if (action === 'duplicate') {
+            if (isCurrent) await saveDraft(); // Copy what's on screen, not the last save
+            await duplicateSession(session.id, `${session.name} (copy)`);
+            showToast('Audit Duplicated');
+        } else if (action === 'archive') {
+            await updateSession(session.id, { archived: !session.archived });
+        } else if (action === 'delete') {
+            if (!confirm(`Permanently delete "${session.name}"? Export it first if you may need it again.`)) return;
+            if (isCurrent) await saveQueue;
+            await deleteSession(session.id);
+            await pruneOrphanPhotos();
+            if (isCurrent) {
+                // Let resolveActiveSession pick the next most recent audit on reload
+                window.removeEventListener('beforeunload', handleBeforeUnload);
+                localStorage.removeItem(ACTIVE_SESSION_KEY);
+                location.reload();
+                return;
+            }
+            showToast('Audit Deleted');
+        }
+    } catch (e) {
+        console.error(`Session action "${action}" failed:`, e);
+        showToast('❌ Could not update saved audits', 'error');
+    }
+    renderSessionList();
+}
+
+/**
+ * Prompts for a name, creates an empty session and opens it.
+ */
+async function createAndOpenSession() {
+    const name = prompt('Name for the new audit:', `Audit ${new Date().toISOString().split('T')[0]}`);
+    if (!name || !name.trim()) return;
+    try {
+        const session = await createSession(name.trim());
+        await switchToSession(session.id);
+    } catch (e) {
+        console.error('Failed to create session:', e);
+        showToast('❌ Could not create audit', 'error');
+    }
+}
+
+// ===== Position Helpers =====
+// Used by the 'position' block kind (see checks.js); prefixes such as 'handheld' or 'dqm' namespace the field IDs.
+
+/**
+ * Generates the coordinate sub-inputs (used for both Handheld and DQM rows).
+ * Uses CSS grid for DMS/DDM so each field fills its column naturally.
+ * @param {string} prefix - e.g. 'handheld' or 'dqm'
+ */
+function coordInputsHTML(prefix) {
+    return `
+        <div class="coord-set" id="${prefix}-dd" style="display:flex; gap:6px;">
+            <input type="number" id="${prefix}-dd-lat" step="0.000001" placeholder="Lat (DD)" style="flex:1">
+            <input type="number" id="${prefix}-dd-lon" step="0.000001" placeholder="Lon (DD)" style="flex:1">
+        </div>
+
+        <div class="coord-set hidden" id="${prefix}-dms">
+            <!-- Column headers -->
+            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; margin-bottom:3px;">
+                <small style="color:var(--text-muted); padding-left:2px;">Deg (°)</small>
+                <small style="color:var(--text-muted); padding-left:2px;">Min (')</small>
+                <small style="color:var(--text-muted); padding-left:2px;">Sec (")</small>
+                <small style="color:var(--text-muted); padding-left:2px;">Hem</small>
+            </div>
+            <!-- Lat row -->
+            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; align-items:center;">
+                <input type="number" id="${prefix}-dms-lat-d" placeholder="0" min="0" max="90" style="width:100%">
+                <input type="number" id="${prefix}-dms-lat-m" placeholder="0" min="0" max="59" style="width:100%">
+                <input type="number" id="${prefix}-dms-lat-s" placeholder="0.000" step="0.001" min="0" max="60" style="width:100%">
+                <select id="${prefix}-dms-lat-hem" style="width:100%"><option value="N">N</option><option value="S">S</option></select>
+            </div>
+            <!-- Lon row -->
+            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; align-items:center; margin-top:6px;">
+                <input type="number" id="${prefix}-dms-lon-d" placeholder="0" min="0" max="180" style="width:100%">
+                <input type="number" id="${prefix}-dms-lon-m" placeholder="0" min="0" max="59" style="width:100%">
+                <input type="number" id="${prefix}-dms-lon-s" placeholder="0.000" step="0.001" min="0" max="60" style="width:100%">
+                <select id="${prefix}-dms-lon-hem" style="width:100%"><option value="W">W</option><option value="E">E</option></select>
+            </div>
+            <div style="display:grid; grid-template-columns:3fr 3fr 4fr 2fr; gap:6px; margin-top:2px;">
                 <small style="color:var(--text-muted); padding-left:2px;">Lat</small>
                 <small></small><small></small><small></small>
             </div>
@@ -944,72 +1944,64 @@ function coordInputsHTML(prefix) {
                 <small style="color:var(--text-muted); padding-left:2px;">Lon</small>
             </div>
         </div>
-    `;
-}
 
-/**
- * Generates HTML for GPS Position Check.
- * Each source (Handheld, DQM) has its own independent format selector.
- */
-function createPositionCheckForm() {
-    return `
-        <div class="form-group">
-            <label>Handheld GPS Position</label>
-            <button type="button" class="gps-button" onclick="captureGPS()" style="width:100%; margin-bottom:8px;">📡 Capture Device GPS</button>
-            <div style="margin-bottom:6px;">
-                <select id="handheld-format" style="width:100%;" onchange="togglePosFormat()">
-                    <option value="dd">Decimal Degrees (DD)</option>
-                    <option value="dms">Degrees Minutes Seconds (DMS)</option>
-                    <option value="ddm">Degrees Decimal Minutes (DDM)</option>
+        <div class="coord-set hidden" id="${prefix}-spcs">
+            <div style="display:grid; grid-template-columns:2fr 1fr; gap:6px; margin-bottom:6px;">
+                <select id="${prefix}-spcs-zone" style="width:100%">
+                    ${statePlaneZones.map(z => `<option value="${z.code}">${escapeHtml(z.name)} (${z.code})</option>`).join('')}
+                </select>
+                <select id="${prefix}-spcs-unit" style="width:100%">
+                    ${Object.entries(GRID_UNITS).map(([key, u]) => `<option value="${key}">${escapeHtml(u.label)}</option>`).join('')}
                 </select>
             </div>
-            <div class="mt-1">
-                ${coordInputsHTML('handheld')}
+            <div style="display:flex; gap:6px;">
+                <input type="number" id="${prefix}-spcs-n" step="0.01" placeholder="Northing" style="flex:1">
+                <input type="number" id="${prefix}-spcs-e" step="0.01" placeholder="Easting" style="flex:1">
             </div>
         </div>
-        <div class="form-group">
-            <label>DQM System Position</label>
-            <div style="margin-bottom:6px;">
-                <select id="dqm-format" style="width:100%;" onchange="togglePosFormat()">
-                    <option value="dd">Decimal Degrees (DD)</option>
-                    <option value="dms">Degrees Minutes Seconds (DMS)</option>
-                    <option value="ddm">Degrees Decimal Minutes (DDM)</option>
-                </select>
+
+        <div class="coord-set hidden" id="${prefix}-utm">
+            <div style="display:grid; grid-template-columns:1fr 1fr; gap:6px; margin-bottom:6px;">
+                <input type="number" id="${prefix}-utm-zone" min="1" max="60" step="1" placeholder="Zone (1-60)" style="width:100%">
+                <select id="${prefix}-utm-hem" style="width:100%"><option value="N">North</option><option value="S">South</option></select>
             </div>
-            ${coordInputsHTML('dqm')}
-        </div>
-        <div class="input-row">
-            <div class="form-group">
-                <label>Distance Diff (ft)</label>
-                <input type="number" id="position-diff" readonly>
+            <div style="display:flex; gap:6px;">
+                <input type="number" id="${prefix}-utm-n" step="0.01" placeholder="Northing (m)" style="flex:1">
+                <input type="number" id="${prefix}-utm-e" step="0.01" placeholder="Easting (m)" style="flex:1">
             </div>
         </div>
-        <div class="form-group">
-            <label>Remarks</label>
-            <textarea id="position-remarks" rows="2"></textarea>
-        </div>
     `;
 }
 
 /**
- * Shows/hides the correct coordinate sub-inputs based on each source's own format selector.
- * Handheld and DQM are controlled independently.
+ * Lists the persisted coordinate field IDs for a prefix, across all formats.
+ * @param {string} prefix - e.g. 'handheld' or 'dqm'
  */
-window.togglePosFormat = () => {
-    ['handheld', 'dqm'].forEach(prefix => {
-        const fmt = document.getElementById(`${prefix}-format`)?.value || 'dd';
-        document.getElementById(`${prefix}-dd`).classList.toggle('hidden', fmt !== 'dd');
-        document.getElementById(`${prefix}-dms`).classList.toggle('hidden', fmt !== 'dms');
-        document.getElementById(`${prefix}-ddm`).classList.toggle('hidden', fmt !== 'ddm');
-    });
-    calculatePositionDifference();
-};
+function coordFieldIds(prefix) {
+    return [
+        'dd-lat', 'dd-lon',
+        'dms-lat-d', 'dms-lat-m', 'dms-lat-s', 'dms-lat-hem', 'dms-lon-d', 'dms-lon-m', 'dms-lon-s', 'dms-lon-hem',
+        'ddm-lat-d', 'ddm-lat-dm', 'ddm-lat-hem', 'ddm-lon-d', 'ddm-lon-dm', 'ddm-lon-hem',
+        'spcs-zone', 'spcs-unit', 'spcs-n', 'spcs-e',
+        'utm-zone', 'utm-hem', 'utm-n', 'utm-e'
+    ].map(suffix => `${prefix}-${suffix}`);
+}
+
+/**
+ * Shows/hides the correct coordinate sub-inputs based on a source's own format selector.
+ * @param {string} prefix - e.g. 'handheld' or 'dqm'
+ */
+function togglePosFormat(prefix) {
+    const fmt = document.getElementById(`${prefix}-format`)?.value || 'dd';
+    ['dd', 'dms', 'ddm', 'spcs', 'utm'].forEach(f => document.getElementById(`${prefix}-${f}`)?.classList.toggle('hidden', fmt !== f));
+}
 
 /**
  * Parses a coordinate pair from the form for a given prefix and format.
+ * Grid formats are converted on the ellipsoid (see geodesy.js): State Plane on GRS80, UTM on WGS84.
  * Returns { lat, lon } in decimal degrees, or null if any field is empty/invalid.
  * @param {string} prefix - 'handheld' or 'dqm'
- * @param {string} fmt    - 'dd', 'dms', or 'ddm'
+ * @param {string} fmt    - 'dd', 'dms', 'ddm', 'spcs' or 'utm'
  */
 function parsePosCoords(prefix, fmt) {
     const g = id => document.getElementById(id);
@@ -1050,589 +2042,1387 @@ function parsePosCoords(prefix, fmt) {
         return { lat, lon };
     }
 
-    return null;
+    if (fmt === 'spcs') {
+        const zone = getStatePlaneZone(g(`${prefix}-spcs-zone`)?.value);
+        const unit = GRID_UNITS[g(`${prefix}-spcs-unit`)?.value] || GRID_UNITS.usft;
+        const n = pf(g(`${prefix}-spcs-n`)?.value);
+        const e = pf(g(`${prefix}-spcs-e`)?.value);
+        if (!zone || isNaN(n) || isNaN(e)) return null;
+        return gridToGeographic(e * unit.metres, n * unit.metres, zone);
+    }
+
+    if (fmt === 'utm') {
+        const zone = parseInt(g(`${prefix}-utm-zone`)?.value, 10);
+        const n = pf(g(`${prefix}-utm-n`)?.value);
+        const e = pf(g(`${prefix}-utm-e`)?.value);
+        if (!(zone >= 1 && zone <= 60) || isNaN(n) || isNaN(e)) return null;
+        return gridToGeographic(e, n, utmZone(zone, g(`${prefix}-utm-hem`)?.value || 'N'));
+    }
+
+    return null;
+}
+
+// ===== Photos =====
+
+/**
+ * Compresses and resizes an image file to a maximum dimension using HTML5 Canvas.
+ * Keeps aspect ratio intact. Returns a promise that resolves with compressed JPEG DataURL.
+ * @param {File} file - The uploaded image file.
+ * @param {number} maxDim - Maximum width or height of the compressed image.
+ * @param {number} quality - Image quality between 0.0 and 1.0.
+ * @returns {Promise<string>} Resolves with the compressed JPEG Base64 DataURL.
+ */
+function compressAndResizeImage(file, maxDim = 1280, quality = 0.75) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const img = new Image();
+            img.onload = () => {
+                const canvas = document.createElement('canvas');
+                let width = img.width;
+                let height = img.height;
+
+                // Scale down if larger than maxDim
+                if (width > maxDim || height > maxDim) {
+                    if (width > height) {
+                        height = Math.round((height * maxDim) / width);
+                        width = maxDim;
+                    } else {
+                        width = Math.round((width * maxDim) / height);
+                        height = maxDim;
+                    }
+                }
+
+                canvas.width = width;
+                canvas.height = height;
+
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(img, 0, 0, width, height);
+
+                // Convert to compressed JPEG data URL
+                const compressedDataUrl = canvas.toDataURL('image/jpeg', quality);
+                resolve(compressedDataUrl);
+            };
+            img.onerror = (err) => reject(new Error('Failed to load image element: ' + err));
+            img.src = e.target.result;
+        };
+        reader.onerror = (err) => reject(new Error('Failed to read file: ' + err));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Converts a browser File, compresses/resizes it, updates the preview <img>,
+ * stores the compressed JPEG as a Blob in IndexedDB and keeps its reference in the active check's data.
+ * @param {HTMLInputElement} input - The file input element.
+ * @param {string} key - The photo block's field ID; its preview is `${key}-preview`.
+ */
+async function handleCheckPhoto(input, key) {
+    const file = input.files[0];
+    if (file) {
+        try {
+            const compressedDataUrl = await compressAndResizeImage(file, 1280, 0.75);
+            const preview = document.getElementById(`${key}-preview`);
+            if (preview) {
+                preview.src = compressedDataUrl;
+                preview.style.display = 'block';
+            }
+
+            // Persist the binary data to the photo store, and only its reference to the application state
+            const data = getActiveCheckData();
+            if (data) {
+                let photoRef;
+                try {
+                    photoRef = await putPhotoBlob(dataUrlToBlob(compressedDataUrl));
+                } catch (storeErr) {
+                    console.error('Failed to store photo:', storeErr);
+                    showToast('⚠️ Photo NOT saved – device storage is full or unavailable', 'error');
+                    return;
+                }
+                data[key] = photoRef;
+                saveDraft();
+            }
+        } catch (err) {
+            console.error('Image compression failed:', err);
+            alert('Failed to process and compress image. Please try again.');
+        }
+    }
+}
+
+/**
+ * Whether new gallery photos are stamped with the device position (remembered on this device).
+ */
+const PHOTO_GPS_STAMP_KEY = 'dqm-qa-photo-gps';
+
+const GALLERY_EMPTY_HTML = '<p class="text-muted">No photos yet. Photograph the DQM display next to each manual reading.</p>';
+
+let galleryOptionsKey = ''; // Reading options the open gallery's dropdowns were built with
+
+function setPhotoGpsStamp(enabled) {
+    localStorage.setItem(PHOTO_GPS_STAMP_KEY, enabled ? '1' : '');
+}
+
+/**
+ * Resolves with the device position, or null when it is unavailable, refused or slow.
+ * @returns {Promise<Object|null>} { lat, lon, accuracy (m) }
+ */
+function getPhotoPosition() {
+    return new Promise(resolve => {
+        if (!('geolocation' in navigator)) return resolve(null);
+        navigator.geolocation.getCurrentPosition(
+            pos => resolve({ lat: pos.coords.latitude, lon: pos.coords.longitude, accuracy: Math.round(pos.coords.accuracy) }),
+            () => resolve(null),
+            { enableHighAccuracy: true, timeout: 10000, maximumAge: 30000 }
+        );
+    });
+}
+
+/**
+ * The <option>s of a gallery photo's reading dropdown. A reading that is no longer offered
+ * (e.g. its section was hidden) stays selectable under its saved label.
+ */
+function galleryReadingOptionsHTML(photo, options) {
+    const known = options.some(o => o.id === photo.reading);
+    return `<option value="">Whole check</option>` +
+        (photo.reading && !known ? `<option value="${escapeHtml(photo.reading)}" selected>${escapeHtml(photo.readingLabel || photo.reading)}</option>` : '') +
+        options.map(o => `<option value="${escapeHtml(o.id)}" ${o.id === photo.reading ? 'selected' : ''}>${escapeHtml(o.label)}</option>`).join('');
+}
+
+/**
+ * Renders the open check's photo gallery: thumbnail, caption, linked reading, time taken and position.
+ * @param {Object} data - The check data or timeline snapshot.
+ */
+function renderCheckGallery(data) {
+    const container = document.getElementById('check-gallery');
+    if (!container) return;
+    const photos = (data && data[PHOTO_GALLERY_KEY]) || [];
+    const def = getCheckDefinition(appState.activeCheckType);
+    const options = def ? getCheckReadingOptions(def) : [];
+    galleryOptionsKey = JSON.stringify(options);
+    container.innerHTML = photos.length ? '' : GALLERY_EMPTY_HTML;
+
+    photos.forEach(photo => {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.dataset.photoId = photo.id;
+        item.innerHTML = `
+            <img alt="Check photo">
+            <div class="gallery-fields">
+                <input type="text" class="gallery-caption" placeholder="Caption" value="${escapeHtml(photo.caption || '')}">
+                <select class="gallery-reading">${galleryReadingOptionsHTML(photo, options)}</select>
+                <small>${escapeHtml(new Date(photo.takenAt).toLocaleString())}${photo.gps
+                    ? ` · 📍 ${photo.gps.lat.toFixed(6)}, ${photo.gps.lon.toFixed(6)}${photo.gps.accuracy ? ` (±${photo.gps.accuracy} m)` : ''}` : ''}</small>
+            </div>
+            <button type="button" class="btn-danger" title="Remove this photo">✕</button>
+        `;
+        item.querySelector('.gallery-caption').addEventListener('change', e => updateGalleryPhoto(photo.id, { caption: e.target.value.trim() }));
+        item.querySelector('.gallery-reading').addEventListener('change', e => updateGalleryPhoto(photo.id, {
+            reading: e.target.value,
+            readingLabel: e.target.value ? e.target.selectedOptions[0].textContent : ''
+        }));
+        item.querySelector('button').addEventListener('click', () => removeGalleryPhoto(photo.id));
+        getPhotoDisplayUrl(photo.ref).then(url => {
+            if (url) item.querySelector('img').src = url;
+        }).catch(err => console.error('Failed to load gallery photo:', err));
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Rebuilds the gallery's reading dropdowns when the readings on offer change (sections shown or
+ * hidden, readings added or removed).
+ */
+function refreshGalleryOptions() {
+    const def = getCheckDefinition(appState.activeCheckType);
+    const data = getActiveCheckData();
+    if (!def || !data || !document.getElementById('check-gallery')) return;
+    const options = getCheckReadingOptions(def);
+    const key = JSON.stringify(options);
+    if (key === galleryOptionsKey) return;
+    galleryOptionsKey = key;
+    (data[PHOTO_GALLERY_KEY] || []).forEach(photo => {
+        const select = document.querySelector(`#check-gallery .gallery-item[data-photo-id="${photo.id}"] .gallery-reading`);
+        if (select) select.innerHTML = galleryReadingOptionsHTML(photo, options);
+    });
+}
+
+/**
+ * Compresses the chosen photos, stores them in the photo store and adds them to the open check's gallery.
+ * @param {HTMLInputElement} input - The gallery's file input.
+ */
+async function addGalleryPhotos(input) {
+    const files = [...input.files];
+    input.value = ''; // Let the same file be chosen again
+    const data = getActiveCheckData();
+    if (!data || files.length === 0) return;
+
+    const position = document.getElementById('check-gallery-gps')?.checked ? getPhotoPosition() : Promise.resolve(null);
+    const added = [];
+    for (const file of files) {
+        try {
+            const dataUrl = await compressAndResizeImage(file, 1280, 0.75);
+            added.push({
+                id: generateStorageId(),
+                ref: await putPhotoBlob(dataUrlToBlob(dataUrl)),
+                caption: '',
+                takenAt: new Date(file.lastModified || Date.now()).toISOString(), // Camera files carry their capture time
+                reading: '',
+                readingLabel: ''
+            });
+        } catch (err) {
+            console.error('Failed to add gallery photo:', err);
+            showToast('⚠️ Photo NOT saved – it could not be read, or device storage is full', 'error');
+        }
+    }
+    if (added.length === 0) return;
+
+    const gps = await position;
+    if (gps) added.forEach(photo => { photo.gps = gps; });
+    else if (document.getElementById('check-gallery-gps')?.checked) showToast('⚠️ GPS position unavailable – photo saved without it', 'warning');
+
+    data[PHOTO_GALLERY_KEY] = [...(data[PHOTO_GALLERY_KEY] || []), ...added];
+    renderCheckGallery(data);
+    saveDraft();
+}
+
+/**
+ * Updates a gallery photo of the open check.
+ * @param {string} photoId - The photo's ID.
+ * @param {Object} changes - e.g. { caption } or { reading, readingLabel }.
+ */
+function updateGalleryPhoto(photoId, changes) {
+    const data = getActiveCheckData();
+    if (!data || !data[PHOTO_GALLERY_KEY]) return;
+    data[PHOTO_GALLERY_KEY] = data[PHOTO_GALLERY_KEY].map(photo => photo.id === photoId ? { ...photo, ...changes } : photo);
+    saveDraft();
+}
+
+/**
+ * Removes a photo from the open check's gallery (the stored image is pruned once nothing refers to it).
+ */
+function removeGalleryPhoto(photoId) {
+    const data = getActiveCheckData();
+    if (!data || !data[PHOTO_GALLERY_KEY] || !confirm('Remove this photo from the check?')) return;
+    data[PHOTO_GALLERY_KEY] = data[PHOTO_GALLERY_KEY].filter(photo => photo.id !== photoId);
+    if (data[PHOTO_GALLERY_KEY].length === 0) delete data[PHOTO_GALLERY_KEY];
+    renderCheckGallery(data);
+    saveDraft();
+}
+
+// ===== GPS Tracks =====
+
+/**
+ * Tracks loaded into the open Dynamic GPS form, keyed by the block's canvas element.
+ * Re-rendering the modal creates a new canvas, so tracks never leak into another plant's check.
+ * Only the summary numbers and a plot thumbnail are persisted; the raw tracks are not.
+ */
+const trackCache = new WeakMap();
+
+/**
+ * Reads a handheld (GPX/NMEA) or provider (CSV) track file into the open form and recalculates.
+ * @param {HTMLInputElement} input - The file input element.
+ * @param {string} prefix - The track block's prefix.
+ * @param {string} source - 'handheld' or 'provider'.
+ */
+async function importTrackFile(input, prefix, source) {
+    const file = input.files[0];
+    const canvas = document.getElementById(`${prefix}-canvas`);
+    if (!file || !canvas) return;
+    try {
+        const text = await file.text();
+        const points = source === 'handheld'
+            ? parseHandheldTrack(file.name, text, appState.checkDate)
+            : parseProviderCsvTrack(text);
+        if (points.length < 2) throw new Error('Fewer than two timed positions were found.');
+
+        const tracks = trackCache.get(canvas) || {};
+        tracks[source] = points;
+        trackCache.set(canvas, tracks);
+        document.getElementById(`${prefix}-${source}-file`).value = `${file.name} (${points.length.toLocaleString()} pts)`;
+
+        calculateDifferences(appState.activeCheckType);
+        saveCheckData(appState.activeCheckType);
+        if (tracks.handheld && tracks.provider && document.getElementById(`${prefix}-matched`)?.value === '0') {
+            showToast('⚠️ The tracks do not overlap in time – check the provider time offset', 'warning');
+        }
+    } catch (err) {
+        console.error('Track import failed:', err);
+        alert(`Failed to read ${file.name}: ${err.message}`);
+    } finally {
+        input.value = ''; // Allow re-selecting the same file after a fix
+    }
+}
+
+/**
+ * Redraws the track plot and compares the loaded tracks.
+ * Called from the track block's calculate step on every form change.
+ * @param {string} prefix - The track block's prefix.
+ * @returns {Object|null} The compareTracks() summary, or null until both tracks are loaded.
+ */
+function updateTrackComparison(prefix) {
+    const canvas = document.getElementById(`${prefix}-canvas`);
+    const tracks = canvas ? trackCache.get(canvas) : null;
+    if (!tracks) return null;
+
+    canvas.style.display = 'block';
+    const preview = document.getElementById(`${prefix}-thumbnail-preview`);
+    if (preview) preview.style.display = 'none';
+    drawTrackPlot(canvas, tracks.handheld || [], tracks.provider || []);
+    if (!tracks.handheld || !tracks.provider) return null;
+
+    const shift = document.getElementById(`${prefix}-time-shift`)?.value || 0;
+    const { summary } = compareTracks(tracks.handheld, tracks.provider, shift);
+
+    // Store a new thumbnail only when the plotted inputs change, not on every keystroke
+    const thumbnailKey = `${tracks.handheld.length}/${tracks.provider.length}/${shift}`;
+    if (tracks.thumbnailKey !== thumbnailKey) {
+        tracks.thumbnailKey = thumbnailKey;
+        saveTrackThumbnail(prefix, canvas);
+    }
+    return summary;
+}
+
+/**
+ * Stores a downscaled PNG of the track plot in the photo store and keeps its reference in the active check's data.
+ * @param {string} prefix - The track block's prefix; the reference is saved as `${prefix}-thumbnail`.
+ * @param {HTMLCanvasElement} canvas - The full-size plot.
+ */
+async function saveTrackThumbnail(prefix, canvas) {
+    const data = getActiveCheckData();
+    if (!data) return;
+
+    const thumb = document.createElement('canvas');
+    thumb.width = 320;
+    thumb.height = Math.round(320 * canvas.height / canvas.width);
+    const ctx = thumb.getContext('2d');
+    if (!ctx) return;
+    ctx.drawImage(canvas, 0, 0, thumb.width, thumb.height);
+
+    try {
+        const ref = await putPhotoBlob(dataUrlToBlob(thumb.toDataURL('image/png')));
+        data[`${prefix}-thumbnail`] = ref;
+        saveDraft();
+    } catch (err) {
+        console.error('Failed to store track thumbnail:', err);
+        showToast('⚠️ Track plot NOT saved – device storage is full or unavailable', 'error');
+    }
+}
+
+// ===== Signatures =====
+
+let activeSignatureStroke = null; // { role, x, y } while a finger/pen is down on a pad
+
+/**
+ * Converts a pointer event to canvas pixel coordinates (the pad is scaled by CSS).
+ */
+function signaturePoint(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) * canvas.width / (rect.width || canvas.width),
+        y: (event.clientY - rect.top) * canvas.height / (rect.height || canvas.height)
+    };
+}
+
+/**
+ * Pointer handler shared by the signature pads: draws strokes, and saves the pad when a stroke ends.
+ * @param {PointerEvent} event - pointerdown / pointermove / pointerup / pointercancel.
+ * @param {string} role - Key of signatureRoles.
+ */
+function signaturePointer(event, role) {
+    const canvas = document.getElementById(`signature-${role}-pad`);
+    const ctx = canvas && canvas.getContext('2d');
+    if (!ctx) return;
+    event.preventDefault();
+    const pt = signaturePoint(canvas, event);
+
+    if (event.type === 'pointerdown') {
+        canvas.setPointerCapture?.(event.pointerId);
+        activeSignatureStroke = { role, ...pt };
+        ctx.fillStyle = '#111111';
+        ctx.beginPath();
+        ctx.arc(pt.x, pt.y, 1.2, 0, Math.PI * 2);
+        ctx.fill();
+    } else if (event.type === 'pointermove' && activeSignatureStroke && activeSignatureStroke.role === role) {
+        ctx.strokeStyle = '#111111';
+        ctx.lineWidth = 2.5;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(activeSignatureStroke.x, activeSignatureStroke.y);
+        ctx.lineTo(pt.x, pt.y);
+        ctx.stroke();
+        activeSignatureStroke = { role, ...pt };
+    } else if ((event.type === 'pointerup' || event.type === 'pointercancel') && activeSignatureStroke) {
+        activeSignatureStroke = null;
+        saveSignature(role);
+    }
+}
+
+/**
+ * Stores the pad as a PNG in the photo store and keeps its reference and signing time in the active check's data.
+ * @param {string} role - Key of signatureRoles.
+ */
+async function saveSignature(role) {
+    const canvas = document.getElementById(`signature-${role}-pad`);
+    const data = getActiveCheckData();
+    if (!canvas || !data) return;
+
+    try {
+        const ref = await putPhotoBlob(dataUrlToBlob(canvas.toDataURL('image/png')));
+        data[`signature-${role}`] = ref;
+        data[`signature-${role}-time`] = new Date().toISOString();
+        updateSignatureStatus(role, data);
+        saveDraft();
+    } catch (err) {
+        console.error('Failed to store signature:', err);
+        showToast('⚠️ Signature NOT saved – device storage is full or unavailable', 'error');
+    }
+}
+
+/**
+ * Clears a signature pad and removes the signature from the active check's data (the name is kept).
+ * @param {string} role - Key of signatureRoles.
+ */
+function clearSignature(role) {
+    const canvas = document.getElementById(`signature-${role}-pad`);
+    const ctx = canvas && canvas.getContext('2d');
+    if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const data = getActiveCheckData();
+    if (data) {
+        delete data[`signature-${role}`];
+        delete data[`signature-${role}-time`];
+        saveDraft();
+    }
+    updateSignatureStatus(role, data || {});
+}
+
+/**
+ * True for the stored signature image and signing time fields, which belong to one logged record.
+ * (The signer's name is an ordinary field and carries over to the next log.)
+ */
+function isSignatureKey(id) {
+    return Object.keys(signatureRoles).some(role => id === `signature-${role}` || id === `signature-${role}-time`);
+}
+
+/**
+ * Shows when a pad was signed.
+ */
+function updateSignatureStatus(role, data) {
+    const el = document.getElementById(`signature-${role}-status`);
+    if (!el) return;
+    const time = data[`signature-${role}`] ? data[`signature-${role}-time`] : null;
+    el.textContent = time ? `Signed ${new Date(time).toLocaleString()}` : 'Not signed';
+}
+
+/**
+ * Redraws a saved signature onto its pad (used when reopening a check or a timeline entry).
+ * @param {string} role - Key of signatureRoles.
+ * @param {Object} data - The check data or timeline snapshot.
+ */
+function restoreSignature(role, data) {
+    updateSignatureStatus(role, data);
+    if (!data[`signature-${role}`]) return;
+    getPhotoDisplayUrl(data[`signature-${role}`]).then(url => {
+        const canvas = document.getElementById(`signature-${role}-pad`);
+        const ctx = canvas && canvas.getContext('2d');
+        if (!ctx || !url) return;
+        const img = new Image();
+        img.onload = () => ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        img.src = url;
+    }).catch(err => console.error('Failed to load signature:', err));
+}
+
+/**
+ * Lists who signed each logged check, for the export metadata.
+ * The signature images themselves stay in the timeline snapshots.
+ * @returns {Array} [{ timelineIndex, plant, checkType, check, loggedAt, role, name, signedAt }]
+ */
+function buildAttestations() {
+    const attestations = [];
+    appState.timeline.forEach((entry, idx) => {
+        if (!entry.data || !entry.checkType) return;
+        const plant = appState.plants[entry.plantIdx];
+        Object.entries(signatureRoles).forEach(([role, roleLabel]) => {
+            if (!entry.data[`signature-${role}`]) return;
+            attestations.push({
+                timelineIndex: idx,
+                plant: plant ? plant.name : '',
+                checkType: entry.checkType,
+                check: getCheckName(entry.checkType),
+                loggedAt: entry.timestamp || '',
+                role: roleLabel,
+                name: entry.data[`signature-${role}-name`] || '',
+                signedAt: entry.data[`signature-${role}-time`] || ''
+            });
+        });
+    });
+    return attestations;
+}
+
+// ===== Tolerances & Verdicts =====
+
+const TOLERANCE_STORAGE_KEY = 'dqm-qa-tolerances';
+
+/**
+ * Returns the tolerance category key declared by a check, or null for checks without a numeric difference.
+ * @param {string} checkType - The check key.
+ */
+function getToleranceCategory(checkType) {
+    const def = getCheckDefinition(checkType);
+    return def && def.tolerance && toleranceCategories[def.tolerance] ? def.tolerance : null;
+}
+
+/**
+ * Reads the user-edited tolerance table from localStorage.
+ * Shape: { 'Scow-Monitoring': { draft: { warn, limit }, ... }, ... }
+ */
+function loadToleranceOverrides() {
+    try {
+        return JSON.parse(localStorage.getItem(TOLERANCE_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn('Failed to read tolerance table, using defaults:', e);
+        return {};
+    }
+}
+
+/**
+ * Persists the user-edited tolerance table to localStorage.
+ */
+function saveToleranceOverrides(overrides) {
+    try {
+        localStorage.setItem(TOLERANCE_STORAGE_KEY, JSON.stringify(overrides));
+    } catch (e) {
+        console.warn('Failed to save tolerance table:', e);
+    }
+}
+
+/**
+ * Returns the effective tolerance for a vessel profile and category.
+ * @param {string} profileKey - e.g. 'Scow-Monitoring' (see getProfileKeys).
+ * @param {string} category - A toleranceCategories key.
+ * @returns {Object|null} { label, unit, warn, limit }
+ */
+function getTolerance(profileKey, category) {
+    const base = toleranceCategories[category];
+    if (!base) return null;
+    const edited = (loadToleranceOverrides()[profileKey] || {})[category] || {};
+    return { ...base, ...edited };
+}
+
+/**
+ * Classifies a single difference against a tolerance.
+ * @returns {string} 'PASS', 'MARGINAL' or 'FAIL'
+ */
+function classifyDifference(value, tolerance) {
+    const abs = Math.abs(value);
+    if (abs > tolerance.limit) return 'FAIL';
+    if (abs > tolerance.warn) return 'MARGINAL';
+    return 'PASS';
+}
+
+/**
+ * Evaluates every visible difference cell declared by the check against the active plant's tolerance.
+ * Cells inside hidden sections (unused method, unchecked draghead) are ignored.
+ * @param {string} checkType - The check key.
+ * @returns {Object|null} { overall, category, tolerance, readings: { [fieldId]: { value, verdict } } }
+ */
+function evaluateCheckVerdict(checkType) {
+    const category = getToleranceCategory(checkType);
+    const plant = appState.plants[appState.activePlantIndex];
+    if (!category || !plant) return null;
+
+    const tolerance = getTolerance(`${plant.vesselType}-${plant.profile}`, category);
+    const readings = {};
+    getCheckDiffCells(getCheckDefinition(checkType)).forEach(({ id }) => {
+        const el = document.getElementById(id);
+        if (!el || el.closest('.hidden') || el.value === '') return;
+        const value = parseFloat(el.value);
+        if (isNaN(value)) return;
+        readings[el.id] = { value, verdict: classifyDifference(value, tolerance) };
+    });
+
+    const verdicts = Object.values(readings).map(r => r.verdict);
+    let overall = null;
+    if (verdicts.includes('FAIL')) overall = 'FAIL';
+    else if (verdicts.includes('MARGINAL')) overall = 'MARGINAL';
+    else if (verdicts.length > 0) overall = 'PASS';
+
+    return {
+        overall,
+        category,
+        tolerance: { unit: tolerance.unit, warn: tolerance.warn, limit: tolerance.limit },
+        readings
+    };
+}
+
+/**
+ * Colour-codes the difference cells of the open modal and updates the verdict banner.
+ * @param {string} checkType - The check key.
+ */
+function renderVerdicts(checkType) {
+    const banner = document.getElementById('modal-verdict');
+    document.querySelectorAll('#modal-content .verdict-pass, #modal-content .verdict-marginal, #modal-content .verdict-fail').forEach(el => {
+        el.classList.remove('verdict-pass', 'verdict-marginal', 'verdict-fail');
+        el.removeAttribute('title');
+    });
+
+    const evaluation = evaluateCheckVerdict(checkType);
+    if (!evaluation || !evaluation.overall) {
+        if (banner) banner.className = 'verdict-banner hidden';
+        return;
+    }
+
+    Object.entries(evaluation.readings).forEach(([id, r]) => {
+        const el = document.getElementById(id);
+        if (el) {
+            el.classList.add(`verdict-${r.verdict.toLowerCase()}`);
+            el.title = r.verdict;
+        }
+    });
+
+    if (banner) {
+        const t = evaluation.tolerance;
+        const total = Object.keys(evaluation.readings).length;
+        const failed = Object.values(evaluation.readings).filter(r => r.verdict === 'FAIL').length;
+        banner.className = `verdict-banner verdict-${evaluation.overall.toLowerCase()}`;
+        banner.textContent = `${evaluation.overall} — ${total - failed} of ${total} within ±${t.limit} ${t.unit} (marginal above ±${t.warn} ${t.unit})`;
+    }
+}
+
+/**
+ * Opens the tolerance editor, preselecting the active (or first) plant's profile.
+ */
+function openToleranceEditor() {
+    const select = document.getElementById('tolerance-profile');
+    select.innerHTML = getProfileKeys().map(key => `<option value="${escapeHtml(key)}">${escapeHtml(key.replace('-', ' — '))}</option>`).join('');
+
+    const plant = appState.plants[appState.activePlantIndex] || appState.plants[0];
+    const plantKey = plant ? `${plant.vesselType}-${plant.profile}` : '';
+    if (getProfileKeys().includes(plantKey)) select.value = plantKey;
+
+    renderToleranceTable();
+    document.getElementById('tolerance-overlay').classList.remove('hidden');
+}
+
+/**
+ * Closes the tolerance editor and re-evaluates the open check, if any.
+ */
+function closeToleranceEditor() {
+    document.getElementById('tolerance-overlay').classList.add('hidden');
+    if (appState.activeCheckType) renderVerdicts(appState.activeCheckType);
+}
+
+/**
+ * Renders the editable warn/limit rows for the categories used by the selected profile.
+ */
+function renderToleranceTable() {
+    const profileKey = document.getElementById('tolerance-profile').value;
+    const tbody = document.getElementById('tolerance-body');
+    const categories = [...new Set(getRequiredChecks(profileKey).map(getToleranceCategory).filter(c => c))];
+
+    tbody.innerHTML = categories.map(cat => {
+        const t = getTolerance(profileKey, cat);
+        return `
+            <tr>
+                <td>${t.label}</td>
+                <td><input type="number" step="any" min="0" data-category="${cat}" data-bound="warn" value="${t.warn}"></td>
+                <td><input type="number" step="any" min="0" data-category="${cat}" data-bound="limit" value="${t.limit}"></td>
+                <td>${t.unit}</td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('input').forEach(input => {
+        input.addEventListener('input', () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < 0) return;
+            const cat = input.dataset.category;
+            const row = input.closest('tr');
+            const warnInput = row.querySelector('[data-bound="warn"]');
+            const limitInput = row.querySelector('[data-bound="limit"]');
+
+            // A warning above the limit would leave no MARGINAL band: keep the saved pair until fixed
+            const saved = getTolerance(profileKey, cat);
+            const current = (el, fallback) => isNaN(parseFloat(el.value)) ? fallback : parseFloat(el.value);
+            const bounds = { warn: current(warnInput, saved.warn), limit: current(limitInput, saved.limit) };
+            if (bounds.warn < 0 || bounds.limit < 0) return;
+            const inverted = bounds.warn > bounds.limit;
+            [warnInput, limitInput].forEach(el => {
+                el.style.borderColor = inverted ? 'var(--danger)' : '';
+                el.title = inverted ? 'The warning value must not exceed the limit.' : '';
+            });
+            if (inverted) return;
+
+            const overrides = loadToleranceOverrides();
+            if (!overrides[profileKey]) overrides[profileKey] = {};
+            overrides[profileKey][cat] = { ...overrides[profileKey][cat], warn: bounds.warn, limit: bounds.limit };
+            saveToleranceOverrides(overrides);
+        });
+    });
+}
+
+/**
+ * Restores the default tolerances for the selected profile.
+ */
+function resetToleranceProfile() {
+    const profileKey = document.getElementById('tolerance-profile').value;
+    const overrides = loadToleranceOverrides();
+    delete overrides[profileKey];
+    saveToleranceOverrides(overrides);
+    renderToleranceTable();
+    showToast('Tolerances Reset');
+}
+
+// ===== Check Packs =====
+
+/**
+ * Opens the check pack manager.
+ */
+function openCheckPackManager() {
+    renderCheckPackList();
+    document.getElementById('pack-overlay').classList.remove('hidden');
+}
+
+/**
+ * Closes the check pack manager.
+ */
+function closeCheckPackManager() {
+    document.getElementById('pack-overlay').classList.add('hidden');
+}
+
+/**
+ * Renders the installed packs with the checks each one adds.
+ */
+function renderCheckPackList() {
+    const list = document.getElementById('pack-list');
+    const packs = loadCheckPacks();
+    list.innerHTML = packs.length ? '' : '<p class="text-muted">No check packs loaded. Only the built-in checks are available.</p>';
+
+    packs.forEach(pack => {
+        const active = Object.values(checkRegistry).filter(def => def.pack === pack.name);
+        const row = document.createElement('div');
+        row.className = 'session-row';
+        row.innerHTML = `
+            <div class="session-info">
+                <strong>${escapeHtml(pack.name)}</strong>
+                ${pack.version ? `<span class="session-tag">v${escapeHtml(pack.version)}</span>` : ''}
+                ${active.length === 0 ? '<span class="session-tag">Not Loaded</span>' : ''}
+                <small>${escapeHtml(pack.checks.map(def => def.name || def.id).join(', '))}</small>
+            </div>
+            <div class="session-actions">
+                <button type="button" class="btn-danger" data-action="remove">Remove</button>
+            </div>
+        `;
+        row.querySelector('button[data-action="remove"]').addEventListener('click', () => {
+            if (!confirm(`Remove the "${pack.name}" check pack? Data already captured with its checks stays in your audits.`)) return;
+            removeCheckPack(pack.name);
+            refreshVesselTypeOptions();
+            renderCheckPackList();
+            showToast('Check Pack Removed');
+        });
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Installs a check pack from a user-selected JSON file.
+ * Validation problems are listed in an alert so the pack author can fix them all at once.
+ * @param {Event} event - The file input change event.
+ */
+function importCheckPack(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        let pack;
+        try {
+            pack = JSON.parse(e.target.result);
+        } catch (err) {
+            showToast('❌ Check Pack Failed – Invalid JSON', 'error');
+            return;
+        }
+        try {
+            installCheckPack(pack);
+        } catch (err) {
+            console.error('Check pack rejected:', err);
+            alert(`This check pack could not be loaded:\n\n${err.message}`);
+            return;
+        }
+        refreshVesselTypeOptions();
+        renderCheckPackList();
+        showToast(`✅ Loaded "${pack.name}" (${pack.checks.length} check${pack.checks.length === 1 ? '' : 's'})`);
+    };
+    reader.onerror = function () {
+        showToast('❌ Failed to read file', 'error');
+    };
+    reader.readAsText(file);
+}
+
+// ===== Vessel Registry =====
+
+let registryEditId = null; // ID of the vessel open in the registry editor ('' for a new one)
+
+/**
+ * Builds the registry <option>s of a plant row's "pick a vessel" dropdown.
+ */
+function registryPickOptionsHTML() {
+    const vessels = loadVesselRegistry();
+    return `<option value="">${vessels.length ? '📚 Pick from Vessel Registry...' : '📚 Vessel Registry is empty'}</option>` +
+        vessels.map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.name)}${v.vesselType ? ` (${escapeHtml(v.vesselType)})` : ''}</option>`).join('');
 }
 
 /**
- * Generates HTML for Hull Status (photo upload) Form.
+ * Shows the registry notes of the vessel a plant row is named after.
  */
-function createHullStatusForm() {
-    return `
-        <div class="form-group">
-            <label>Hull Opened</label>
-            <select id="hull-opened">
-                <option value="">Select...</option>
-                <option value="yes">Yes</option>
-                <option value="no">No</option>
-            </select>
-        </div>
-        <div class="form-group">
-            <label>Photo Reference (Closed to Open)</label>
-            <div class="photo-actions" style="display:flex; gap:10px; margin-bottom:10px;">
-                <button type="button" class="btn-secondary" onclick="document.getElementById('hull-open-photo-input').click()">📷 Take Photo / Upload</button>
-            </div>
-            <input type="file" id="hull-open-photo-input" accept="image/*" capture="environment" class="hidden" onchange="handleHullPhoto(this, 'hull-open-preview')">
-            <img id="hull-open-preview" style="display:none; width:100%; border-radius:8px;">
-        </div>
-        <div class="form-group">
-            <label>Photo Reference (Open to Closed)</label>
-            <div class="photo-actions" style="display:flex; gap:10px; margin-bottom:10px;">
-                <button type="button" class="btn-secondary" onclick="document.getElementById('hull-close-photo-input').click()">📷 Take Photo / Upload</button>
-            </div>
-            <input type="file" id="hull-close-photo-input" accept="image/*" capture="environment" class="hidden" onchange="handleHullPhoto(this, 'hull-close-preview')">
-            <img id="hull-close-preview" style="display:none; width:100%; border-radius:8px;">
-        </div>
-        <div class="form-group">
-            <label>Remarks</label>
-            <textarea id="hull-remarks" rows="2" placeholder="Additional observations"></textarea>
-        </div>
-    `;
+function renderPlantNotes(entry) {
+    const vessel = findRegistryVessel(loadVesselRegistry(), { name: entry.querySelector('.plant-name').value });
+    const notes = entry.querySelector('.plant-notes');
+    notes.textContent = vessel && vessel.notes ? `📝 ${vessel.notes}` : '';
 }
 
 /**
- * Generates HTML for Draft Sensor (integrated physical/simulated) Form.
+ * Rebuilds every plant row's registry dropdown and notes after the registry changes.
  */
-function createDraftSensorForm(cond, side) {
-    const SideProper = side === 'fwd' ? 'Forward' : 'Aft';
-    const CondProper = cond === 'light' ? 'Light' : 'Loaded';
+function refreshRegistryPickers() {
+    document.querySelectorAll('.plant-entry').forEach(entry => {
+        entry.querySelector('.vessel-registry-pick').innerHTML = registryPickOptionsHTML();
+        renderPlantNotes(entry);
+    });
+}
 
-    return `
-        <h2>Draft Sensor Check — ${CondProper} (${SideProper})</h2>
-        <div class="form-group">
-            <label>Check Method</label>
-            <select id="draft-${cond}-${side}-method" onchange="toggleDraftMethod('${cond}', '${side}')">
-                <option value="physical">Physical Draft Check</option>
-                <option value="simulated" ${cond === 'light' ? 'selected' : ''}>Simulated Draft Check</option>
-            </select>
-        </div>
-        
-        <div id="physical-${cond}-${side}-section" class="${cond === 'light' ? 'hidden' : ''}">
-            <div class="input-row">
-                <div class="form-group"><label>${SideProper} Port</label><input type="number" id="${cond}-${side}-port" step="0.01" placeholder="0.0"></div>
-                <div class="form-group"><label>${SideProper} Stbd</label><input type="number" id="${cond}-${side}-stbd" step="0.01" placeholder="0.0"></div>
-            </div>
-            <div class="input-row-3">
-                <div class="form-group"><label>Avg</label><input type="number" id="${cond}-${side}-avg" readonly placeholder="Avg"></div>
-                <div class="form-group"><label>DQM ${SideProper}</label><input type="number" id="${cond}-dqm-${side}" step="0.01" placeholder="0.0"></div>
-                <div class="form-group"><label>Diff</label><input type="number" id="${cond}-${side}-diff" readonly placeholder="Auto-calc"></div>
-            </div>
-        </div>
+/**
+ * Fills a plant row from a registry vessel: name, type, profile and the vessel's default offsets.
+ * @param {HTMLSelectElement} select - The row's registry dropdown.
+ */
+window.pickRegistryVessel = (select) => {
+    const vessel = findRegistryVessel(loadVesselRegistry(), { id: select.value });
+    select.value = '';
+    if (!vessel) return;
+
+    const entry = select.closest('.plant-entry');
+    const typeSelect = entry.querySelector('.vessel-type');
+    entry.querySelector('.plant-name').value = vessel.name;
+    typeSelect.value = vesselProfiles[vessel.vesselType] ? vessel.vesselType : '';
+    updateProfileOptions(typeSelect);
+    const profileSelect = entry.querySelector('.vessel-profile');
+    if ([...profileSelect.options].some(o => o.value === vessel.profile)) profileSelect.value = vessel.profile;
+    updatePlants();
 
-        <div id="simulated-${cond}-${side}-section" class="${cond === 'loaded' ? 'hidden' : ''}">
-            <div class="form-group"><label>${SideProper} Offset (ft)</label><input type="number" id="sim-${cond}-${side}-offset" step="0.01" placeholder="e.g., 2.0"></div>
-            ${[1, 2, 3].map(i => `
-                <div class="input-row">
-                    <div class="form-group"><label>Depth ${i}</label><input type="number" id="sim-${cond}-${side}-depth-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>Reading ${i}</label><input type="number" id="sim-${cond}-${side}-reading-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>Diff</label><input type="number" id="sim-${cond}-${side}-diff-${i}" readonly placeholder="Auto-calc"></div>
-                </div>
-            `).join('')}
-            <div class="form-group">
-                <label>Test Pipe Details</label>
-                <textarea id="sim-${cond}-${side}-pipe-details" rows="2" placeholder="Pipe length, etc."></textarea>
-            </div>
-        </div>
+    const plant = appState.plants[Array.from(document.querySelectorAll('.plant-entry')).indexOf(entry)];
+    const filled = plant ? applyVesselDefaults(plant, vessel) : 0;
+    saveDraft();
+    renderPlantNotes(entry);
 
-        <div class="form-group">
-            <label>Remarks</label>
-            <textarea id="${cond}-${side}-remarks" rows="2" placeholder="Observations..."></textarea>
-        </div>
-    `;
-}
+    if (!typeSelect.value || profileSelect.value !== vessel.profile) {
+        showToast(`⚠️ "${vessel.name}" uses ${vessel.vesselType || 'no type'} – ${vessel.profile || 'no profile'}, which is not available here (check packs?)`, 'warning');
+    } else {
+        showToast(`✅ Loaded "${vessel.name}" from the registry${filled ? ` (${filled} default value${filled === 1 ? '' : 's'})` : ''}`);
+    }
+};
 
 /**
- * Generates HTML for Ullage Sounding Comparison Form.
+ * Saves a plant row to the registry: name, type, profile and the offsets last entered in its checks.
+ * An existing vessel of the same name is updated; its notes and other defaults are kept.
+ * @param {HTMLButtonElement} btn - The row's save button.
  */
-function createUllageForm(cond, side) {
-    const SideProper = side === 'fwd' ? 'Forward' : 'Aft';
-    const CondProper = cond === 'light' ? 'Light' : 'Loaded';
+window.savePlantToRegistry = (btn) => {
+    const entry = btn.closest('.plant-entry');
+    const plant = appState.plants[Array.from(document.querySelectorAll('.plant-entry')).indexOf(entry)];
+    if (!plant || !plant.name.trim()) {
+        showToast('Enter the vessel name first', 'warning');
+        return;
+    }
+    const existing = findRegistryVessel(loadVesselRegistry(), { name: plant.name });
+    if (existing && !confirm(`Update "${existing.name}" in the vessel registry with this plant's type, profile and offsets?`)) return;
 
-    return `
-        <h2>Ullage Check — ${CondProper} (${SideProper})</h2>
-        <div class="input-row">
-            <div class="form-group"><label>${SideProper} Port Sounding</label><input type="number" id="ullage-${cond}-${side}-port" step="0.01" placeholder="0.0"></div>
-            <div class="form-group"><label>${SideProper} Stbd Sounding</label><input type="number" id="ullage-${cond}-${side}-stbd" step="0.01" placeholder="0.0"></div>
-        </div>
-        <div class="input-row-3">
-            <div class="form-group"><label>Average</label><input type="number" id="ullage-${cond}-${side}-avg" readonly placeholder="Avg"></div>
-            <div class="form-group"><label>DQM System ${SideProper}</label><input type="number" id="ullage-${cond}-dqm-${side}" step="0.01" placeholder="0.0"></div>
-            <div class="form-group"><label>Diff</label><input type="number" id="ullage-${cond}-diff-${side}" readonly placeholder="Auto-calc"></div>
-        </div>
-        <div class="form-group">
-            <label>Remarks</label>
-            <textarea id="ullage-${cond}-${side}-remarks" rows="2" placeholder="Measurement notes..."></textarea>
-        </div>
-    `;
+    try {
+        upsertRegistryVessel({
+            id: existing ? existing.id : undefined,
+            name: plant.name,
+            vesselType: plant.vesselType,
+            profile: plant.profile,
+            defaults: { ...(existing ? existing.defaults : {}), ...captureVesselDefaults(plant) },
+            notes: existing ? existing.notes : ''
+        });
+    } catch (e) {
+        console.error('Failed to save vessel registry:', e);
+        showToast('❌ Could not save the vessel registry', 'error');
+        return;
+    }
+    refreshRegistryPickers();
+    showToast(`✅ "${plant.name.trim()}" ${existing ? 'updated in' : 'added to'} the vessel registry`);
+};
+
+/**
+ * Opens the vessel registry manager.
+ */
+function openVesselRegistry() {
+    closeVesselEditor();
+    renderVesselRegistry();
+    document.getElementById('vessel-overlay').classList.remove('hidden');
 }
 
 /**
- * Generates HTML for Draghead Depth Check Form with Port/Center/Stbd toggles.
+ * Closes the vessel registry manager.
  */
-function createDragheadDepthForm() {
-    return `
-        <div class="form-group" style="display:flex; gap:10px;">
-            <label><input type="checkbox" id="dh-port-chk" onchange="toggleDragheadSections()"> Port</label>
-            <label><input type="checkbox" id="dh-center-chk" onchange="toggleDragheadSections()"> Center</label>
-            <label><input type="checkbox" id="dh-stbd-chk" onchange="toggleDragheadSections()"> Stbd</label>
-        </div>
-        <div id="dh-port-sec" class="hidden">
-            <h3>Port Draghead</h3>
-            <div class="form-group"><label>Offset</label><input type="number" id="dh-port-offset" value="0" step="0.01"></div>
-            ${[1, 2, 3].map(i => `
-                <div class="input-row">
-                    <div class="form-group"><label>Man ${i}</label><input type="number" id="dh-port-man-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>DQM ${i}</label><input type="number" id="dh-port-dqm-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>Diff</label><input type="number" id="dh-port-diff-${i}" readonly placeholder="Auto-calc"></div>
-                </div>
-            `).join('')}
-        </div>
-        <div id="dh-center-sec" class="hidden">
-            <h3>Center Draghead</h3>
-            <div class="form-group"><label>Offset</label><input type="number" id="dh-center-offset" value="0" step="0.01"></div>
-            ${[1, 2, 3].map(i => `
-                <div class="input-row">
-                    <div class="form-group"><label>Man ${i}</label><input type="number" id="dh-center-man-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>DQM ${i}</label><input type="number" id="dh-center-dqm-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>Diff</label><input type="number" id="dh-center-diff-${i}" readonly placeholder="Auto-calc"></div>
-                </div>
-            `).join('')}
-        </div>
-        <div id="dh-stbd-sec" class="hidden">
-            <h3>Starboard Draghead</h3>
-            <div class="form-group"><label>Offset</label><input type="number" id="dh-stbd-offset" value="0" step="0.01"></div>
-            ${[1, 2, 3].map(i => `
-                <div class="input-row">
-                    <div class="form-group"><label>Man ${i}</label><input type="number" id="dh-stbd-man-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>DQM ${i}</label><input type="number" id="dh-stbd-dqm-${i}" step="0.01" placeholder="0.0"></div>
-                    <div class="form-group"><label>Diff</label><input type="number" id="dh-stbd-diff-${i}" readonly placeholder="Auto-calc"></div>
-                </div>
-            `).join('')}
-        </div>
-    `;
+function closeVesselRegistry() {
+    document.getElementById('vessel-overlay').classList.add('hidden');
 }
 
 /**
- * Generates HTML for Suction Mouth Depth (Cutterhead) Form.
+ * Renders the registry vessels with their defaults and notes.
  */
-function createSuctionMouthDepthForm() {
-    return `
-        <div class="form-group">
-            <label>Depth Offset (ft)</label>
-            <input type="number" id="suction-offset" step="0.01" value="0">
-        </div>
-        ${[1, 2, 3].map(i => `
-            <div class="input-row">
-                <div class="form-group"><label>Manual ${i}</label><input type="number" id="suction-man-${i}" step="0.01"></div>
-                <div class="form-group"><label>DQM ${i}</label><input type="number" id="suction-dqm-${i}" step="0.01"></div>
-                <div class="form-group"><label>Diff</label><input type="number" id="suction-diff-${i}" readonly></div>
+function renderVesselRegistry() {
+    const list = document.getElementById('vessel-list');
+    const vessels = loadVesselRegistry();
+    list.innerHTML = vessels.length ? '' : '<p class="text-muted">No vessels yet. Add one here, or use 💾 Save to Registry on a plant.</p>';
+
+    vessels.forEach(vessel => {
+        const defaults = vesselDefaultFields.filter(f => vessel.defaults[f.id] !== undefined)
+            .map(f => `${f.label}: ${vessel.defaults[f.id]} ft`);
+        const row = document.createElement('div');
+        row.className = 'session-row';
+        row.innerHTML = `
+            <div class="session-info">
+                <strong>${escapeHtml(vessel.name)}</strong>
+                ${vessel.vesselType ? `<span class="session-tag">${escapeHtml(vessel.vesselType)}${vessel.profile ? ` – ${escapeHtml(vessel.profile)}` : ''}</span>` : ''}
+                <small>${defaults.length ? escapeHtml(defaults.join(' · ')) : 'No default offsets'}</small>
+                ${vessel.notes ? `<small>📝 ${escapeHtml(vessel.notes)}</small>` : ''}
             </div>
-        `).join('')}
-    `;
+            <div class="session-actions">
+                <button type="button" class="btn-secondary" data-action="edit">Edit</button>
+                <button type="button" class="btn-danger" data-action="delete">Delete</button>
+            </div>
+        `;
+        row.querySelector('button[data-action="edit"]').addEventListener('click', () => openVesselEditor(vessel));
+        row.querySelector('button[data-action="delete"]').addEventListener('click', () => {
+            if (!confirm(`Delete "${vessel.name}" from the vessel registry? Audits already using it are not changed.`)) return;
+            removeRegistryVessel(vessel.id);
+            closeVesselEditor();
+            renderVesselRegistry();
+            refreshRegistryPickers();
+            showToast('Vessel Deleted');
+        });
+        list.appendChild(row);
+    });
 }
 
 /**
- * Generates HTML for Discharge Velocity (Dye/Meter) Form.
+ * Opens the registry editor for a vessel, or for a new one.
+ * @param {Object|null} vessel - The registry vessel, or null.
  */
-function createVelocityForm() {
-    return `
+function openVesselEditor(vessel) {
+    const editor = document.getElementById('vessel-editor');
+    registryEditId = vessel ? vessel.id : '';
+    editor.innerHTML = `
+        <h3>${vessel ? `Edit ${escapeHtml(vessel.name)}` : 'New Vessel'}</h3>
         <div class="form-group">
-            <label>Test Method</label>
-            <select id="velocity-method" onchange="toggleVelocityMethod()">
-                <option value="dye">Dye Test</option>
-                <option value="meter">External Meter</option>
-            </select>
+            <label for="vessel-edit-name">Vessel Name</label>
+            <input type="text" id="vessel-edit-name" value="${escapeHtml(vessel ? vessel.name : '')}">
         </div>
-        <div id="velocity-dye-sec">
-            <div class="form-group"><label>Pipe Length (ft)</label><input type="number" id="vel-pipe-length"></div>
-            ${[1, 2].map(i => `
-                <div class="input-row">
-                    <input type="number" id="vel-dye-time-${i}" placeholder="Time ${i}">
-                    <input type="number" id="vel-dye-dqm-${i}" placeholder="DQM ${i}">
-                    <input type="number" id="vel-dye-diff-${i}" readonly placeholder="Diff">
-                </div>
-            `).join('')}
+        <div class="input-row">
+            <div class="form-group">
+                <label for="vessel-edit-type">Type</label>
+                <select id="vessel-edit-type">${vesselTypeOptionsHTML()}</select>
+            </div>
+            <div class="form-group">
+                <label for="vessel-edit-profile">Profile</label>
+                <select id="vessel-edit-profile"></select>
+            </div>
         </div>
-        <div id="velocity-meter-sec" class="hidden">
-            ${[1, 2].map(i => `
-                <div class="input-row">
-                    <input type="number" id="vel-meter-man-${i}" placeholder="Meter ${i}">
-                    <input type="number" id="vel-meter-dqm-${i}" placeholder="DQM ${i}">
-                    <input type="number" id="vel-meter-diff-${i}" readonly placeholder="Diff">
+        <div class="input-row">
+            ${vesselDefaultFields.map(f => `
+                <div class="form-group">
+                    <label for="vessel-edit-${f.id}">${escapeHtml(f.label)} (ft)</label>
+                    <input type="number" step="0.01" id="vessel-edit-${f.id}" value="${escapeHtml(vessel && vessel.defaults[f.id] !== undefined ? vessel.defaults[f.id] : '')}">
                 </div>
             `).join('')}
         </div>
-    `;
-}
-
-/**
- * Generates HTML for Bucket/Grab Depth Form.
- */
-function createBucketDepthForm() {
-    return `
         <div class="form-group">
-            <label>Heel Offset (ft)</label>
-            <input type="number" id="bucket-offset" value="0">
+            <label for="vessel-edit-notes">Notes</label>
+            <textarea id="vessel-edit-notes" rows="3" placeholder="Sensor locations, contacts, access...">${escapeHtml(vessel ? vessel.notes : '')}</textarea>
+        </div>
+        <div class="session-actions">
+            <button type="button" class="btn-primary" id="vessel-edit-save">Save Vessel</button>
+            <button type="button" class="btn-secondary" id="vessel-edit-cancel">Cancel</button>
         </div>
-        ${[1, 2, 3].map(i => `
-            <div class="input-row">
-                <input type="number" id="bucket-man-${i}" placeholder="Manual ${i}">
-                <input type="number" id="bucket-dqm-${i}" placeholder="DQM ${i}">
-                <input type="number" id="bucket-diff-${i}" readonly placeholder="Diff">
-            </div>
-        `).join('')}
     `;
+
+    const typeSelect = document.getElementById('vessel-edit-type');
+    const profileSelect = document.getElementById('vessel-edit-profile');
+    const fillProfiles = () => {
+        profileSelect.innerHTML = '<option value="">Profile...</option>' + (vesselProfiles[typeSelect.value] || [])
+            .map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+    };
+    typeSelect.value = vessel && vesselProfiles[vessel.vesselType] ? vessel.vesselType : '';
+    fillProfiles();
+    if (vessel) profileSelect.value = vessel.profile;
+    typeSelect.addEventListener('change', fillProfiles);
+    document.getElementById('vessel-edit-save').addEventListener('click', saveVesselEditor);
+    document.getElementById('vessel-edit-cancel').addEventListener('click', closeVesselEditor);
+    editor.classList.remove('hidden');
+    document.getElementById('vessel-edit-name').focus();
 }
 
 /**
- * Generates HTML for Bucket Position (Spatial) Form.
+ * Closes the registry editor without saving.
  */
-function createBucketPositionForm() {
-    return `
-        <p class="text-muted">Verify bucket X/Y against physical boom angle/drawings.</p>
-        ${[1, 2].map(i => `
-            <div class="input-row">
-                <input type="number" id="bpos-man-${i}" placeholder="Phys ${i}">
-                <input type="number" id="bpos-dqm-${i}" placeholder="DQM ${i}">
-                <input type="number" id="bpos-diff-${i}" readonly placeholder="Diff">
-            </div>
-        `).join('')}
-    `;
+function closeVesselEditor() {
+    registryEditId = null;
+    const editor = document.getElementById('vessel-editor');
+    editor.innerHTML = '';
+    editor.classList.add('hidden');
 }
 
-// ===== Toggle Helpers =====
-
 /**
- * Toggles visibility between physical and simulated draft sections in the modal.
- * @param {string} cond - The condition ('light' or 'loaded').
- * @param {string} side - The side ('fwd' or 'aft').
+ * Saves the vessel open in the registry editor.
  */
-window.toggleDraftMethod = (cond, side) => {
-    const val = document.getElementById(`draft-${cond}-${side}-method`).value;
-    document.getElementById(`physical-${cond}-${side}-section`).classList.toggle('hidden', val !== 'physical');
-    document.getElementById(`simulated-${cond}-${side}-section`).classList.toggle('hidden', val !== 'simulated');
-};
+function saveVesselEditor() {
+    const name = document.getElementById('vessel-edit-name').value.trim();
+    if (!name) {
+        showToast('Enter the vessel name', 'warning');
+        return;
+    }
+    const vessels = loadVesselRegistry();
+    const clash = findRegistryVessel(vessels, { name });
+    if (clash && clash.id !== registryEditId) {
+        showToast(`"${clash.name}" is already in the registry`, 'warning');
+        return;
+    }
+    const defaults = {};
+    vesselDefaultFields.forEach(f => { defaults[f.id] = document.getElementById(`vessel-edit-${f.id}`).value; });
 
-/**
- * Toggles visibility of Draghead sections based on checkboxes.
- */
-window.toggleDragheadSections = () => {
-    document.getElementById('dh-port-sec').classList.toggle('hidden', !document.getElementById('dh-port-chk').checked);
-    const centerChk = document.getElementById('dh-center-chk');
-    if (centerChk) { // Check if center checkbox exists (it might not for some vessel types)
-        document.getElementById('dh-center-sec').classList.toggle('hidden', !centerChk.checked);
+    try {
+        upsertRegistryVessel({
+            id: registryEditId || undefined,
+            name,
+            vesselType: document.getElementById('vessel-edit-type').value,
+            profile: document.getElementById('vessel-edit-profile').value,
+            defaults,
+            notes: document.getElementById('vessel-edit-notes').value.trim()
+        });
+    } catch (e) {
+        console.error('Failed to save vessel registry:', e);
+        showToast('❌ Could not save the vessel registry', 'error');
+        return;
     }
-    document.getElementById('dh-stbd-sec').classList.toggle('hidden', !document.getElementById('dh-stbd-chk').checked);
-};
+    closeVesselEditor();
+    renderVesselRegistry();
+    refreshRegistryPickers();
+    showToast('Vessel Saved');
+}
 
 /**
- * Toggles visibility between Dye Test and External Meter velocity sections.
+ * Downloads the registry as a JSON file to share with the team.
  */
-window.toggleVelocityMethod = () => {
-    const method = document.getElementById('velocity-method').value;
-    document.getElementById('velocity-dye-sec').classList.toggle('hidden', method !== 'dye');
-    document.getElementById('velocity-meter-sec').classList.toggle('hidden', method !== 'meter');
-};
+function exportVesselRegistry() {
+    const file = buildVesselRegistryFile();
+    if (file.vessels.length === 0) {
+        showToast('The vessel registry is empty', 'warning');
+        return;
+    }
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `DQM-QA_Vessel-Registry_${new Date().toISOString().slice(0, 10)}.json`);
+}
 
 /**
- * Compresses and resizes an image file to a maximum dimension using HTML5 Canvas.
- * Keeps aspect ratio intact. Returns a promise that resolves with compressed JPEG DataURL.
- * @param {File} file - The uploaded image file.
- * @param {number} maxDim - Maximum width or height of the compressed image.
- * @param {number} quality - Image quality between 0.0 and 1.0.
- * @returns {Promise<string>} Resolves with the compressed JPEG Base64 DataURL.
+ * Merges a shared registry file into this device's registry.
+ * @param {Event} event - The file input change event.
  */
-function compressAndResizeImage(file, maxDim = 1280, quality = 0.75) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                const canvas = document.createElement('canvas');
-                let width = img.width;
-                let height = img.height;
+function importVesselRegistry(event) {
+    const file = event.target.files[0];
+    if (!file) return;
 
-                // Scale down if larger than maxDim
-                if (width > maxDim || height > maxDim) {
-                    if (width > height) {
-                        height = Math.round((height * maxDim) / width);
-                        width = maxDim;
-                    } else {
-                        width = Math.round((width * maxDim) / height);
-                        height = maxDim;
-                    }
-                }
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        let data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (err) {
+            showToast('❌ Registry Import Failed – Invalid JSON', 'error');
+            return;
+        }
+        let counts;
+        try {
+            validateVesselRegistryFile(data);
+            counts = mergeVesselRegistry(data);
+        } catch (err) {
+            console.error('Vessel registry rejected:', err);
+            alert(`This vessel registry could not be imported:\n\n${err.message}`);
+            return;
+        }
+        renderVesselRegistry();
+        refreshRegistryPickers();
+        showToast(`✅ Registry imported: ${counts.added} added, ${counts.updated} updated${counts.kept ? `, ${counts.kept} kept (newer here)` : ''}`);
+    };
+    reader.onerror = function () {
+        showToast('❌ Failed to read file', 'error');
+    };
+    reader.readAsText(file);
+}
 
-                canvas.width = width;
-                canvas.height = height;
+// ===== Vessel Trends =====
+// Per-vessel history across audits (see trends.js).
 
-                const ctx = canvas.getContext('2d');
-                ctx.drawImage(img, 0, 0, width, height);
+let trendAudits = []; // The audits behind the open trends view
 
-                // Convert to compressed JPEG data URL
-                const compressedDataUrl = canvas.toDataURL('image/jpeg', quality);
-                resolve(compressedDataUrl);
-            };
-            img.onerror = (err) => reject(new Error('Failed to load image element: ' + err));
-            img.src = e.target.result;
-        };
-        reader.onerror = (err) => reject(new Error('Failed to read file: ' + err));
-        reader.readAsDataURL(file);
-    });
+/**
+ * Opens the trends view, gathering the audits on this device and in the archive.
+ */
+async function openTrends() {
+    updateAppState();
+    document.getElementById('trend-overlay').classList.remove('hidden');
+    await refreshTrends();
 }
 
 /**
- * Converts a browser File, compresses/resizes it, updates the preview <img>,
- * and persists the compressed JPEG DataURL to the application state.
- * @param {HTMLInputElement} input - The file input element.
- * @param {string} previewId - The ID of the image element to display the preview.
+ * Closes the trends view.
  */
-window.handleHullPhoto = async (input, previewId) => {
-    const file = input.files[0];
-    if (file) {
-        try {
-            const compressedDataUrl = await compressAndResizeImage(file, 1280, 0.75);
-            const preview = document.getElementById(previewId);
-            if (preview) {
-                preview.src = compressedDataUrl;
-                preview.style.display = 'block';
-            }
-
-            // Persist the binary data to the application state
-            const plant = appState.plants[appState.activePlantIndex];
-            if (plant) {
-                if (!plant.checks.hullStatus) plant.checks.hullStatus = {};
-                const stateKey = previewId === 'hull-open-preview' ? 'hull-open-photo' : 'hull-close-photo';
-                plant.checks.hullStatus[stateKey] = compressedDataUrl;
-                saveDraft();
-            }
-        } catch (err) {
-            console.error('Image compression failed:', err);
-            alert('Failed to process and compress image. Please try again.');
-        }
-    }
-};
+function closeTrends() {
+    document.getElementById('trend-overlay').classList.add('hidden');
+}
 
-// ===== Calculations & GPS =====
+async function refreshTrends() {
+    trendAudits = await collectTrendAudits(appState, currentSession);
+    renderTrends();
+}
 
 /**
- * Triggers re-calculation of field differences within the active modal.
- * Uses IDs relative to the open modal DOM.
- * @param {string} type - The check type key.
+ * Describes a series' assessment in a sentence, e.g. '+0.012 ft per quarter · ⚠️ rose at each of the last 3 audits'.
  */
-function calculateDifferences(type) {
-    if (type.startsWith('draftSensor')) {
-        const parts = type.split(/(?=[A-Z])/);
-        const cond = parts[2].toLowerCase();
-        const side = parts[3].toLowerCase();
-        calcDraft(cond, side);
-    } else if (type.startsWith('ullage')) {
-        const parts = type.split(/(?=[A-Z])/);
-        const cond = parts[1].toLowerCase();
-        const side = parts[2].toLowerCase();
-        calcUllage(cond, side);
+function trendAssessmentHTML(assessment, tolerance) {
+    const unit = tolerance ? ` ${escapeHtml(tolerance.unit)}` : '';
+    const parts = [];
+    if (!isNaN(assessment.driftPerQuarter)) {
+        const drift = Number(assessment.driftPerQuarter.toPrecision(2));
+        parts.push(`${drift > 0 ? '+' : ''}${drift}${unit} per quarter`);
     } else {
-        switch (type) {
-            case 'positionCheck': calculatePositionDifference(); break;
-            case 'dragheadDepth': calcDraghead(); break;
-            case 'suctionMouthDepth': calcSuction(); break;
-            case 'velocity': calcVelocity(); break;
-            case 'bucketDepth': calcBucketDepth(); break;
-            case 'bucketPosition': calcBucketPos(); break;
-        }
+        parts.push('One audit so far');
     }
+    if (assessment.rising) parts.push(`<span class="dashboard-alert">⚠️ rose at each of the last ${TREND_RISING_AUDITS} audits</span>`);
+    if (assessment.limitDate) {
+        parts.push(`<span class="dashboard-alert">⚠️ on course to reach the ${tolerance.limit}${unit} limit by ${assessment.limitDate.toISOString().slice(0, 10)}</span>`);
+    }
+    return parts.join(' · ');
 }
 
 /**
- * Draft calculation logic for integrated forms.
- * @param {string} cond - 'light' or 'loaded'
- * @param {string} side - 'fwd' or 'aft'
+ * Renders the vessel picker, the flagged sensors of every vessel, the selected vessel's charts
+ * and the list of audits used.
  */
-function calcDraft(cond, side) {
-    const methodEl = document.getElementById(`draft-${cond}-${side}-method`);
-    if (!methodEl) return;
+function renderTrends() {
+    const vessels = buildVesselTrends(trendAudits);
+    const select = document.getElementById('trend-vessel');
+    const activePlant = appState.plants[appState.activePlantIndex];
+    const selected = vessels.find(v => v.key === select.value) ||
+        vessels.find(v => activePlant && v.key === trendVesselKey(activePlant.name)) || vessels[0];
+    select.innerHTML = vessels.map(v => `<option value="${escapeHtml(v.key)}">${escapeHtml(v.name)}${v.vesselType ? ` (${escapeHtml(v.vesselType)})` : ''}</option>`).join('');
+    if (selected) select.value = selected.key;
+
+    // Flagged series across all vessels, so a worsening sensor shows whichever vessel is selected
+    const flagged = [];
+    const cards = [];
+    vessels.forEach(vessel => vessel.checks.forEach(check => {
+        const tolerance = getTolerance(`${vessel.vesselType}-${vessel.profile}`, getToleranceCategory(check.checkType));
+        const assessments = check.series.map(s => assessTrend(s.points, tolerance));
+        check.series.forEach((s, i) => {
+            if (assessments[i].worsening) flagged.push({ vessel, check, section: s.section, assessment: assessments[i], tolerance });
+        });
+        if (vessel !== selected) return;
+        const legend = check.series.length > 1 || check.series[0].section
+            ? `<div class="trend-legend">${check.series.map((s, i) => `<span><i style="background:${TREND_SERIES_COLORS[i % TREND_SERIES_COLORS.length]}"></i>${escapeHtml(s.section || check.name)}</span>`).join('')}</div>`
+            : '';
+        cards.push(`
+            <div class="trend-check">
+                <h3>${escapeHtml(check.name)} <small class="text-muted">${tolerance ? `mean |difference|, ${escapeHtml(tolerance.unit)}` : 'mean |difference|'}</small></h3>
+                ${trendChartSVG(check.series, tolerance)}
+                ${legend}
+                ${check.series.map((s, i) => `<p class="trend-assessment">${check.series.length > 1 ? `<strong>${escapeHtml(s.section)}:</strong> ` : ''}${trendAssessmentHTML(assessments[i], tolerance)}</p>`).join('')}
+            </div>
+        `);
+    }));
 
-    if (methodEl.value === 'physical') {
-        const p = parseFloat(document.getElementById(`${cond}-${side}-port`)?.value);
-        const s = parseFloat(document.getElementById(`${cond}-${side}-stbd`)?.value);
-        const dqm = parseFloat(document.getElementById(`${cond}-dqm-${side}`)?.value);
-        const avgEl = document.getElementById(`${cond}-${side}-avg`);
-        const el = document.getElementById(`${cond}-${side}-diff`);
-        if (!isNaN(p) && !isNaN(s) && avgEl) {
-            const average = (p + s) / 2;
-            avgEl.value = average.toFixed(2);
-            if (!isNaN(dqm) && el) {
-                el.value = Math.abs(average - dqm).toFixed(2);
-            }
-        }
-    } else {
-        const off = parseFloat(document.getElementById(`sim-${cond}-${side}-offset`)?.value) || 0;
-        for (let i = 1; i <= 3; i++) {
-            const d = parseFloat(document.getElementById(`sim-${cond}-${side}-depth-${i}`)?.value);
-            const r = parseFloat(document.getElementById(`sim-${cond}-${side}-reading-${i}`)?.value);
-            const el = document.getElementById(`sim-${cond}-${side}-diff-${i}`);
-            if (!isNaN(d) && !isNaN(r) && el) {
-                el.value = Math.abs((d + off) - r).toFixed(2);
-            }
-        }
-    }
+    document.getElementById('trend-flags').innerHTML = flagged.length ? `
+        <div class="trend-flags">
+            <strong>⚠️ Getting worse between audits</strong>
+            <ul>${flagged.map((f, i) => `<li><a href="#" data-flag-index="${i}">${escapeHtml(f.vessel.name)}</a> – ${escapeHtml(f.check.name)}${f.section ? ` (${escapeHtml(f.section)})` : ''}: ${trendAssessmentHTML(f.assessment, f.tolerance)}</li>`).join('')}</ul>
+        </div>
+    ` : '';
+    // Vessel keys come from plant names (also from loaded past exports), so they stay out of the markup
+    document.querySelectorAll('#trend-flags [data-flag-index]').forEach(link => link.addEventListener('click', (e) => {
+        e.preventDefault();
+        showTrendVessel(flagged[link.dataset.flagIndex].vessel.key);
+    }));
+    document.getElementById('trend-checks').innerHTML = cards.join('') ||
+        '<p class="text-muted">No logged differences yet. Trends follow plants by name, so name each plant as in earlier audits, or load past export files.</p>';
+    renderTrendAudits();
 }
 
 /**
- * Ullage calculation logic.
- * @param {string} cond - 'light' or 'loaded'
- * @param {string} side - 'fwd' or 'aft'
+ * Switches the trends view to a vessel (from the flagged list).
  */
-function calcUllage(cond, side) {
-    const p = parseFloat(document.getElementById(`ullage-${cond}-${side}-port`)?.value);
-    const s = parseFloat(document.getElementById(`ullage-${cond}-${side}-stbd`)?.value);
-    const dqm = parseFloat(document.getElementById(`ullage-${cond}-dqm-${side}`)?.value);
-    const avgEl = document.getElementById(`ullage-${cond}-${side}-avg`);
-    const el = document.getElementById(`ullage-${cond}-diff-${side}`);
-    if (!isNaN(p) && !isNaN(s) && avgEl) {
-        const average = (p + s) / 2;
-        avgEl.value = average.toFixed(2);
-        if (!isNaN(dqm) && el) {
-            el.value = Math.abs(average - dqm).toFixed(2);
-        }
-    }
+function showTrendVessel(key) {
+    document.getElementById('trend-vessel').value = key;
+    renderTrends();
 }
 
 /**
- * Draghead depth calculation logic.
+ * Lists the audits the trends use, and the archive (whose entries can be removed).
  */
-function calcDraghead() {
-    ['port', 'center', 'stbd'].forEach(side => {
-        const offsetEl = document.getElementById(`dh-${side}-offset`);
-        if (!offsetEl) return;
-        const off = parseFloat(offsetEl.value) || 0;
-        for (let i = 1; i <= 3; i++) {
-            const m = parseFloat(document.getElementById(`dh-${side}-man-${i}`)?.value);
-            const d = parseFloat(document.getElementById(`dh-${side}-dqm-${i}`)?.value);
-            const el = document.getElementById(`dh-${side}-diff-${i}`);
-            if (!isNaN(m) && !isNaN(d) && el) {
-                el.value = Math.abs((m + off) - d).toFixed(2);
-            }
-        }
-    });
+function renderTrendAudits() {
+    const archive = loadTrendArchive();
+    const onDevice = trendAudits.filter(a => !a.archived);
+    const describe = a => `${escapeHtml(a.source)} <small class="text-muted">${escapeHtml(a.checkDate || '')} · ${a.vessels.map(v => escapeHtml(v.name)).join(', ')}</small>`;
+    document.getElementById('trend-audits').innerHTML = `
+        <h4>On this device (${onDevice.length})</h4>
+        <ul>${onDevice.map(a => `<li>${describe(a)}</li>`).join('') || '<li class="text-muted">None with logged differences</li>'}</ul>
+        <h4>Archive (${archive.length})</h4>
+        <ul>${archive.map((a, i) => `<li>${describe(a)} <button type="button" class="btn-secondary" data-archive-index="${i}">Remove</button></li>`).join('') || '<li class="text-muted">Empty – load past exports, or archive an audit before deleting it</li>'}</ul>
+    `;
+    document.querySelectorAll('#trend-audits [data-archive-index]').forEach(btn => btn.addEventListener('click', () => {
+        removeTrendArchiveEntry(archive[btn.dataset.archiveIndex].id);
+    }));
+    document.getElementById('trend-audit-count').textContent = trendAudits.length;
 }
 
 /**
- * Suction mouth depth calculation logic.
+ * Removes an audit from the trend archive, after confirmation.
  */
-function calcSuction() {
-    const off = parseFloat(document.getElementById('suction-offset')?.value) || 0;
-    for (let i = 1; i <= 3; i++) {
-        const m = parseFloat(document.getElementById(`suction-man-${i}`)?.value);
-        const d = parseFloat(document.getElementById(`suction-dqm-${i}`)?.value);
-        const el = document.getElementById(`suction-diff-${i}`);
-        if (!isNaN(m) && !isNaN(d) && el) {
-            el.value = Math.abs((m + off) - d).toFixed(2);
-        }
-    }
+async function removeTrendArchiveEntry(id) {
+    if (!confirm('Remove this audit from the trend archive?')) return;
+    removeFromTrendArchive(id);
+    await refreshTrends();
 }
 
 /**
- * Velocity calculation logic.
+ * Adds the open audit's summary to the archive, so its results outlive the audit on this device.
  */
-function calcVelocity() {
-    const methodEl = document.getElementById('velocity-method');
-    if (!methodEl) return;
-
-    if (methodEl.value === 'dye') {
-        const L = parseFloat(document.getElementById('vel-pipe-length')?.value);
-        for (let i = 1; i <= 2; i++) {
-            const t = parseFloat(document.getElementById(`vel-dye-time-${i}`)?.value);
-            const d = parseFloat(document.getElementById(`vel-dye-dqm-${i}`)?.value);
-            const el = document.getElementById(`vel-dye-diff-${i}`);
-            if (!isNaN(L) && !isNaN(t) && !isNaN(d) && t > 0 && el) {
-                el.value = Math.abs((L / t) - d).toFixed(2);
-            }
-        }
-    } else {
-        for (let i = 1; i <= 2; i++) {
-            const m = parseFloat(document.getElementById(`vel-meter-man-${i}`)?.value);
-            const d = parseFloat(document.getElementById(`vel-meter-dqm-${i}`)?.value);
-            const el = document.getElementById(`vel-meter-diff-${i}`);
-            if (!isNaN(m) && !isNaN(d) && el) {
-                el.value = Math.abs(m - d).toFixed(2);
-            }
-        }
+async function archiveAuditForTrends() {
+    updateAppState();
+    let result;
+    try {
+        result = addToTrendArchive(summariseAuditForTrends(appState), currentSession ? currentSession.name : appState.checkDate);
+    } catch (e) {
+        console.error('Failed to save trend archive:', e);
+        showToast('❌ Could not save the trend archive', 'error');
+        return;
     }
+    if (result === 'empty') {
+        showToast('Nothing to archive: log a check on a named plant first', 'warning');
+        return;
+    }
+    showToast(result === 'updated' ? '✅ Archived copy of this audit updated' : '✅ Audit added to the trend archive');
+    await refreshTrends();
 }
 
 /**
- * Bucket depth calculation logic.
+ * Loads past export files into the archive. Each file goes through the same schema checks as an import.
  */
-function calcBucketDepth() {
-    const off = parseFloat(document.getElementById('bucket-offset')?.value) || 0;
-    for (let i = 1; i <= 3; i++) {
-        const m = parseFloat(document.getElementById(`bucket-man-${i}`)?.value);
-        const d = parseFloat(document.getElementById(`bucket-dqm-${i}`)?.value);
-        const el = document.getElementById(`bucket-diff-${i}`);
-        if (!isNaN(m) && !isNaN(d) && el) {
-            el.value = Math.abs((m + off) - d).toFixed(2);
+async function importTrendFiles(event) {
+    const files = Array.from(event.target.files || []);
+    if (files.length === 0) return;
+    const problems = [];
+    let added = 0;
+    for (const file of files) {
+        try {
+            const text = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(new Error('The file could not be read.'));
+                reader.readAsText(file);
+            });
+            let parsed;
+            try {
+                parsed = JSON.parse(text);
+            } catch (e) {
+                throw new Error('This is not a JSON file.');
+            }
+            const { file: exportFile } = readExportFile(parsed);
+            const result = addToTrendArchive(summariseAuditForTrends(exportFile.metadata), file.name);
+            if (result === 'empty') throw new Error('It has no logged differences on a named plant.');
+            added++;
+        } catch (e) {
+            problems.push(`${file.name}: ${e.message}`);
         }
     }
+    if (problems.length > 0) alert(`${problems.length} file${problems.length === 1 ? '' : 's'} could not be added to the trend archive:\n\n${problems.join('\n\n')}`);
+    if (added > 0) showToast(`✅ ${added} past audit${added === 1 ? '' : 's'} added to the trend archive`);
+    await refreshTrends();
 }
 
+// ===== Calculations & GPS =====
+
 /**
- * Bucket position calculation logic.
+ * Triggers re-calculation of field differences within the active modal and refreshes the verdicts.
+ * The formulas come from the check's definition (see calculateCheck in checks.js).
+ * @param {string} type - The check type key.
  */
-function calcBucketPos() {
-    for (let i = 1; i <= 2; i++) {
-        const mEl = document.getElementById(`bpos-man-${i}`);
-        const dEl = document.getElementById(`bpos-dqm-${i}`);
-        const el = document.getElementById(`bpos-diff-${i}`);
-        if (mEl && dEl && el) {
-            const m = parseFloat(mEl.value);
-            const d = parseFloat(dEl.value);
-            if (!isNaN(m) && !isNaN(d)) el.value = Math.abs(m - d).toFixed(1);
-        }
-    }
+function calculateDifferences(type) {
+    calculateCheck(type);
+    renderVerdicts(type);
 }
 
 /**
  * Position check (GPS) difference calculation.
- * Reads each source's own format selector independently and converts both to DD for haversine.
+ * Reads each source's own format selector independently, converts both to latitude/longitude and
+ * measures between them with Vincenty's inverse on WGS84. Besides the total distance, the offset of
+ * the compared source is split into ΔNorth/ΔEast (true north, positive north/east) when the block has those fields.
+ * @param {string} fromPrefix - Reference source, e.g. 'handheld'
+ * @param {string} toPrefix   - Compared source, e.g. 'dqm'
+ * @param {string} diffId     - Field receiving the distance in feet; ΔN/ΔE go to `${diffId}-north` / `${diffId}-east`.
  */
-function calculatePositionDifference() {
-    const hhFmt  = document.getElementById('handheld-format')?.value || 'dd';
-    const dqmFmt = document.getElementById('dqm-format')?.value || 'dd';
-    const hh  = parsePosCoords('handheld', hhFmt);
-    const dqm = parsePosCoords('dqm', dqmFmt);
+function calculatePositionDifference(fromPrefix = 'handheld', toPrefix = 'dqm', diffId = 'position-diff') {
+    const hhFmt  = document.getElementById(`${fromPrefix}-format`)?.value || 'dd';
+    const dqmFmt = document.getElementById(`${toPrefix}-format`)?.value || 'dd';
+    const hh  = parsePosCoords(fromPrefix, hhFmt);
+    const dqm = parsePosCoords(toPrefix, dqmFmt);
     if (!hh || !dqm) return;
 
-    const R = 20902231; // Earth radius in feet
-    const dLat = (dqm.lat - hh.lat) * Math.PI / 180;
-    const dLon = (dqm.lon - hh.lon) * Math.PI / 180;
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(hh.lat * Math.PI / 180) * Math.cos(dqm.lat * Math.PI / 180) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    const dist = R * c;
+    const { distance, azimuth } = vincentyInverse(hh, dqm);
+    if (isNaN(distance)) return;
+    const feet = distance / METRES_PER_FOOT;
 
-    const el = document.getElementById('position-diff');
-    if (el) el.value = dist.toFixed(2);
+    const el = document.getElementById(diffId);
+    if (el) el.value = feet.toFixed(2);
+    const northEl = document.getElementById(`${diffId}-north`);
+    const eastEl = document.getElementById(`${diffId}-east`);
+    if (northEl) northEl.value = (feet * Math.cos(azimuth * Math.PI / 180)).toFixed(2);
+    if (eastEl) eastEl.value = (feet * Math.sin(azimuth * Math.PI / 180)).toFixed(2);
+}
+
+/**
+ * Fills a time field with the current local time (HH:MM:SS) and saves the check.
+ * @param {string} id - The time input's ID.
+ */
+function stampTime(id) {
+    const el = document.getElementById(id);
+    if (!el) return;
+    const now = new Date();
+    el.value = [now.getHours(), now.getMinutes(), now.getSeconds()].map(n => String(n).padStart(2, '0')).join(':');
+    el.dispatchEvent(new Event('input'));
 }
 
 /**
  * Uses browser GeoLocation API to capture current Lat/Lon.
- * Fills handheld fields in whichever format the handheld selector is set to.
+ * Fills the source's fields in whichever format its selector is set to.
+ * @param {string} prefix - The receiving source, e.g. 'handheld'
  */
-function captureGPS() {
+function captureGPS(prefix = 'handheld') {
     if (!("geolocation" in navigator)) {
         alert("Geolocation not supported");
         return;
     }
     navigator.geolocation.getCurrentPosition(pos => {
-        const fmt = document.getElementById('handheld-format')?.value || 'dd';
+        const fmt = document.getElementById(`${prefix}-format`)?.value || 'dd';
         const rawLat = pos.coords.latitude;
         const rawLon = pos.coords.longitude;
         const g = id => document.getElementById(id);
 
         if (fmt === 'dd') {
-            if (g('handheld-dd-lat')) g('handheld-dd-lat').value = rawLat.toFixed(6);
-            if (g('handheld-dd-lon')) g('handheld-dd-lon').value = rawLon.toFixed(6);
+            if (g(`${prefix}-dd-lat`)) g(`${prefix}-dd-lat`).value = rawLat.toFixed(6);
+            if (g(`${prefix}-dd-lon`)) g(`${prefix}-dd-lon`).value = rawLon.toFixed(6);
 
         } else if (fmt === 'dms') {
             const toDMS = (val) => {
@@ -1645,14 +3435,14 @@ function captureGPS() {
             };
             const latDMS = toDMS(rawLat);
             const lonDMS = toDMS(rawLon);
-            if (g('handheld-dms-lat-d')) g('handheld-dms-lat-d').value = latDMS.d;
-            if (g('handheld-dms-lat-m')) g('handheld-dms-lat-m').value = latDMS.m;
-            if (g('handheld-dms-lat-s')) g('handheld-dms-lat-s').value = latDMS.s.toFixed(3);
-            if (g('handheld-dms-lat-hem')) g('handheld-dms-lat-hem').value = rawLat >= 0 ? 'N' : 'S';
-            if (g('handheld-dms-lon-d')) g('handheld-dms-lon-d').value = lonDMS.d;
-            if (g('handheld-dms-lon-m')) g('handheld-dms-lon-m').value = lonDMS.m;
-            if (g('handheld-dms-lon-s')) g('handheld-dms-lon-s').value = lonDMS.s.toFixed(3);
-            if (g('handheld-dms-lon-hem')) g('handheld-dms-lon-hem').value = rawLon >= 0 ? 'E' : 'W';
+            if (g(`${prefix}-dms-lat-d`)) g(`${prefix}-dms-lat-d`).value = latDMS.d;
+            if (g(`${prefix}-dms-lat-m`)) g(`${prefix}-dms-lat-m`).value = latDMS.m;
+            if (g(`${prefix}-dms-lat-s`)) g(`${prefix}-dms-lat-s`).value = latDMS.s.toFixed(3);
+            if (g(`${prefix}-dms-lat-hem`)) g(`${prefix}-dms-lat-hem`).value = rawLat >= 0 ? 'N' : 'S';
+            if (g(`${prefix}-dms-lon-d`)) g(`${prefix}-dms-lon-d`).value = lonDMS.d;
+            if (g(`${prefix}-dms-lon-m`)) g(`${prefix}-dms-lon-m`).value = lonDMS.m;
+            if (g(`${prefix}-dms-lon-s`)) g(`${prefix}-dms-lon-s`).value = lonDMS.s.toFixed(3);
+            if (g(`${prefix}-dms-lon-hem`)) g(`${prefix}-dms-lon-hem`).value = rawLon >= 0 ? 'E' : 'W';
 
         } else if (fmt === 'ddm') {
             const toDDM = (val) => {
@@ -1663,16 +3453,37 @@ function captureGPS() {
             };
             const latDDM = toDDM(rawLat);
             const lonDDM = toDDM(rawLon);
-            if (g('handheld-ddm-lat-d'))  g('handheld-ddm-lat-d').value  = latDDM.d;
-            if (g('handheld-ddm-lat-dm')) g('handheld-ddm-lat-dm').value = latDDM.dm.toFixed(5);
-            if (g('handheld-ddm-lat-hem')) g('handheld-ddm-lat-hem').value = rawLat >= 0 ? 'N' : 'S';
-            if (g('handheld-ddm-lon-d'))  g('handheld-ddm-lon-d').value  = lonDDM.d;
-            if (g('handheld-ddm-lon-dm')) g('handheld-ddm-lon-dm').value = lonDDM.dm.toFixed(5);
-            if (g('handheld-ddm-lon-hem')) g('handheld-ddm-lon-hem').value = rawLon >= 0 ? 'E' : 'W';
+            if (g(`${prefix}-ddm-lat-d`))  g(`${prefix}-ddm-lat-d`).value  = latDDM.d;
+            if (g(`${prefix}-ddm-lat-dm`)) g(`${prefix}-ddm-lat-dm`).value = latDDM.dm.toFixed(5);
+            if (g(`${prefix}-ddm-lat-hem`)) g(`${prefix}-ddm-lat-hem`).value = rawLat >= 0 ? 'N' : 'S';
+            if (g(`${prefix}-ddm-lon-d`))  g(`${prefix}-ddm-lon-d`).value  = lonDDM.d;
+            if (g(`${prefix}-ddm-lon-dm`)) g(`${prefix}-ddm-lon-dm`).value = lonDDM.dm.toFixed(5);
+            if (g(`${prefix}-ddm-lon-hem`)) g(`${prefix}-ddm-lon-hem`).value = rawLon >= 0 ? 'E' : 'W';
+
+        } else if (fmt === 'spcs') {
+            // Projected into whichever zone and unit are selected
+            const zone = getStatePlaneZone(g(`${prefix}-spcs-zone`)?.value);
+            const unit = GRID_UNITS[g(`${prefix}-spcs-unit`)?.value] || GRID_UNITS.usft;
+            if (zone) {
+                const grid = geographicToGrid(rawLat, rawLon, zone);
+                if (g(`${prefix}-spcs-n`)) g(`${prefix}-spcs-n`).value = (grid.n / unit.metres).toFixed(2);
+                if (g(`${prefix}-spcs-e`)) g(`${prefix}-spcs-e`).value = (grid.e / unit.metres).toFixed(2);
+            }
+
+        } else if (fmt === 'utm') {
+            // Uses the entered zone, or the zone containing the fix when none is entered
+            let zoneNum = parseInt(g(`${prefix}-utm-zone`)?.value, 10);
+            if (!(zoneNum >= 1 && zoneNum <= 60)) zoneNum = utmZoneForLongitude(rawLon);
+            const hem = rawLat >= 0 ? 'N' : 'S';
+            const grid = geographicToGrid(rawLat, rawLon, utmZone(zoneNum, hem));
+            if (g(`${prefix}-utm-zone`)) g(`${prefix}-utm-zone`).value = zoneNum;
+            if (g(`${prefix}-utm-hem`)) g(`${prefix}-utm-hem`).value = hem;
+            if (g(`${prefix}-utm-n`)) g(`${prefix}-utm-n`).value = grid.n.toFixed(2);
+            if (g(`${prefix}-utm-e`)) g(`${prefix}-utm-e`).value = grid.e.toFixed(2);
         }
 
-        calculatePositionDifference();
-        saveCheckData('positionCheck');
+        calculateDifferences(appState.activeCheckType);
+        saveCheckData(appState.activeCheckType);
     }, () => {
         alert('Could not get GPS position. Check browser permissions.');
     });
@@ -0,0 +1,50 @@
+/**
+ * Change History for DQM QA App 2.
+ * Every log, edit, delete and import is appended to the audit's change history, chained by hash, so the
+ * Trip Report can tell when an exported file was edited outside the app. The hashing, the export seal
+ * and its verification live in ../dqm-shared/export-integrity.js, which the Trip Report loads too.
+ */
+
+// ===== Change History =====
+
+/**
+ * Appends an event to a change history, chaining it to the last event.
+ * @param {Array} trail - The history (mutated).
+ * @param {Object} fields - { by, action, ... }; seq, at, prevHash and hash are filled in.
+ * @returns {Object} The appended event.
+ */
+function appendAuditEvent(trail, fields) {
+    const last = trail[trail.length - 1];
+    const event = {
+        seq: trail.length + 1,
+        at: new Date().toISOString(),
+        ...withImagePlaceholders(fields),
+        prevHash: last ? last.hash : AUDIT_GENESIS_HASH
+    };
+    event.hash = hashAuditEvent(event);
+    trail.push(event);
+    return event;
+}
+
+/**
+ * Lists the fields whose values differ between two versions of a check's data.
+ * @returns {Object} { before: {id: value}, after: {id: value} } holding only the changed fields.
+ */
+function diffCheckData(before, after) {
+    const changes = { before: {}, after: {} };
+    new Set([...Object.keys(before || {}), ...Object.keys(after || {})]).forEach(id => {
+        const a = (before || {})[id];
+        const b = (after || {})[id];
+        if (canonicalJson(a) === canonicalJson(b)) return;
+        changes.before[id] = a === undefined ? null : a;
+        changes.after[id] = b === undefined ? null : b;
+    });
+    return changes;
+}
+
+/**
+ * Maps each timeline entry's ID to its content hash (for 'import', 'baseline' and 'clear' events).
+ */
+function timelineEntryHashes(timeline) {
+    return Object.fromEntries(timeline.filter(entry => entry.id).map(entry => [entry.id, hashTimelineEntry(entry)]));
+}
@@ -0,0 +1,1321 @@
+/**
+ * Check Definition Registry for DQM QA App 2.
+ * Every QA check is declared once as a schema (fields, units, repeat counts, offsets and
+ * difference formula). The modal form, the difference calculation, the persisted data and
+ * the timeline naming are all generated from that declaration by the engine below.
+ * Custom check packs loaded from JSON use the same schema.
+ *
+ * Schema overview:
+ *   { id, name, heading?, tolerance?, profiles: ['Vessel Type-Profile', ...],
+ *     timelineDetail?: [fieldId, ...], sections: [{ id?, title?, showWhen?, blocks: [...] }] }
+ * Block kinds: 'field', 'row', 'toggles', 'note', 'readings', 'series', 'average', 'compare', 'position', 'photo', 'track', 'signature'.
+ * showWhen: { field, equals | checked | atLeast }, or an array of such conditions that must all hold.
+ * Every check form ends with the standard photo gallery and signature sections (see getCheckSections).
+ * Field IDs inside 'readings' and 'series' blocks may contain '{n}', replaced by the reading number.
+ * A 'readings' block with an `id` lets the user change how many readings are taken (`repeat` is the
+ * starting number) and summarises them: mean bias, standard deviation, max error and a linear fit.
+ */
+
+const CHECK_PACKS_STORAGE_KEY = 'dqm-qa-check-packs';
+const READINGS_MAX = 20; // Upper limit for a variable 'readings' block
+const ULLAGE_SENSORS_MAX = 4; // Ullage sensors per end of the hopper
+
+/**
+ * Vessel Configuration: which profiles exist for each vessel type.
+ * Check packs may add profiles; the built-in set is restored by rebuildCheckRegistry().
+ */
+const vesselProfiles = {
+    'Scow': ['Monitoring', 'Ullage'],
+    'Hopper Dredge': ['Standard'],
+    'Pipeline Dredge': ['Standard', 'Small Business'],
+    'Mechanical Dredge': ['Standard']
+};
+
+/**
+ * Default pass/fail tolerances per measurement category.
+ * A difference at or below `warn` is a PASS, at or below `limit` is MARGINAL, above `limit` is a FAIL.
+ * Per-profile edits are stored separately (see getTolerance) so these values are never mutated.
+ */
+const toleranceCategories = {
+    'position': { label: 'Position', unit: 'ft', warn: 8, limit: 10 },
+    'draft': { label: 'Draft', unit: 'ft', warn: 0.08, limit: 0.1 },
+    'ullage': { label: 'Ullage', unit: 'ft', warn: 0.08, limit: 0.1 },
+    'dragheadDepth': { label: 'Draghead Depth', unit: 'ft', warn: 0.4, limit: 0.5 },
+    'suctionDepth': { label: 'Suction Mouth Depth', unit: 'ft', warn: 0.4, limit: 0.5 },
+    'velocity': { label: 'Velocity', unit: 'ft/s', warn: 0.4, limit: 0.5 },
+    'bucketDepth': { label: 'Bucket/Grab Depth', unit: 'ft', warn: 0.4, limit: 0.5 },
+    'bucketPosition': { label: 'Bucket Position', unit: 'ft', warn: 8, limit: 10 },
+    'density': { label: 'Density', unit: 'SG', warn: 0.02, limit: 0.03 },
+    'trackOffset': { label: 'Dynamic GPS (mean offset)', unit: 'ft', warn: 8, limit: 10 }
+};
+
+/**
+ * Named difference formulas for 'readings' blocks (JSON packs refer to them by name).
+ * Each returns the signed difference, or NaN when an input is missing; the form shows the absolute value.
+ */
+const differenceFormulas = {
+    // (reference + offset) - observed
+    'difference': (ref, obs, ctx) => (ref + ctx.offset) - obs,
+    // (distance / elapsed time) - observed, e.g. a dye-timed velocity over a known pipe length
+    'rate': (ref, obs, ctx) => (ref > 0 && !isNaN(ctx.distance)) ? (ctx.distance / ref) - obs : NaN
+};
+
+// ===== Built-in Check Definitions =====
+
+const ALL_PROFILES = ['Scow-Monitoring', 'Scow-Ullage', 'Hopper Dredge-Standard', 'Pipeline Dredge-Standard', 'Pipeline Dredge-Small Business', 'Mechanical Dredge-Standard'];
+const HULL_PROFILES = ['Scow-Monitoring', 'Scow-Ullage', 'Hopper Dredge-Standard'];
+const ULLAGE_PROFILES = ['Scow-Ullage', 'Hopper Dredge-Standard'];
+const SCOW_PROFILES = ['Scow-Monitoring', 'Scow-Ullage'];
+
+/**
+ * Declares a Draft Sensor check (physical port/stbd average or simulated pipe readings).
+ * @param {string} cond - 'light' or 'loaded'
+ * @param {string} side - 'fwd' or 'aft'
+ */
+function draftSensorCheck(cond, side) {
+    const sideName = side === 'fwd' ? 'Forward' : 'Aft';
+    const condName = cond === 'light' ? 'Light' : 'Loaded';
+    const method = `draft-${cond}-${side}-method`;
+    return {
+        id: `draftSensor${condName}${side === 'fwd' ? 'Fwd' : 'Aft'}`,
+        name: `Draft Sensor Check (${condName} - ${sideName})`,
+        heading: `Draft Sensor Check — ${condName} (${sideName})`,
+        tolerance: 'draft',
+        profiles: HULL_PROFILES,
+        sections: [
+            {
+                blocks: [{
+                    kind: 'field', id: method, label: 'Check Method', input: 'select', value: cond === 'light' ? 'simulated' : 'physical',
+                    options: [{ value: 'physical', label: 'Physical Draft Check' }, { value: 'simulated', label: 'Simulated Draft Check' }]
+                }]
+            },
+            {
+                id: `physical-${cond}-${side}-section`,
+                showWhen: { field: method, equals: 'physical' },
+                blocks: [{
+                    kind: 'average',
+                    inputs: [{ id: `${cond}-${side}-port`, label: `${sideName} Port` }, { id: `${cond}-${side}-stbd`, label: `${sideName} Stbd` }],
+                    average: { id: `${cond}-${side}-avg`, label: 'Avg' },
+                    observed: { id: `${cond}-dqm-${side}`, label: `DQM ${sideName}` },
+                    diff: { id: `${cond}-${side}-diff`, label: 'Diff' }
+                }]
+            },
+            {
+                id: `simulated-${cond}-${side}-section`,
+                showWhen: { field: method, equals: 'simulated' },
+                blocks: [
+                    { kind: 'field', id: `sim-${cond}-${side}-offset`, label: `${sideName} Offset`, unit: 'ft', placeholder: 'e.g., 2.0' },
+                    {
+                        kind: 'readings', id: `sim-${cond}-${side}`, repeat: 3, offset: `sim-${cond}-${side}-offset`,
+                        reference: { id: `sim-${cond}-${side}-depth-{n}`, label: 'Depth {n}' },
+                        observed: { id: `sim-${cond}-${side}-reading-{n}`, label: 'Reading {n}' },
+                        diff: { id: `sim-${cond}-${side}-diff-{n}`, label: 'Diff' }
+                    },
+                    { kind: 'field', id: `sim-${cond}-${side}-pipe-details`, label: 'Test Pipe Details', input: 'textarea', placeholder: 'Pipe length, etc.' }
+                ]
+            },
+            { blocks: [{ kind: 'field', id: `${cond}-${side}-remarks`, label: 'Remarks', input: 'textarea', placeholder: 'Observations...' }] }
+        ]
+    };
+}
+
+/**
+ * Declares an Ullage check for one end of the hopper: tape soundings (port/stbd average) compared with
+ * each DQM ullage sensor at that end, or a plate lowered under each sensor to several known ullages.
+ * Sensor 1 keeps the field IDs of the original single-sensor check.
+ * @param {string} cond - 'light' or 'loaded'
+ * @param {string} side - 'fwd' or 'aft'
+ */
+function ullageCheck(cond, side) {
+    const sideName = side === 'fwd' ? 'Forward' : 'Aft';
+    const condName = cond === 'light' ? 'Light' : 'Loaded';
+    const base = `ullage-${cond}-${side}`;
+    const method = `${base}-method`;
+    const sensors = `${base}-sensors`;
+    const sensorNumbers = Array.from({ length: ULLAGE_SENSORS_MAX }, (_, i) => i + 1);
+    // Sensor 1 is always shown; later sensors once the sensor count reaches them
+    const sensorShown = (k, methodValue) => k === 1
+        ? { field: method, equals: methodValue }
+        : [{ field: method, equals: methodValue }, { field: sensors, atLeast: k }];
+
+    return {
+        id: `ullage${condName}${side === 'fwd' ? 'Fwd' : 'Aft'}`,
+        name: `Ullage Check (${condName} - ${sideName})`,
+        heading: `Ullage Check — ${condName} (${sideName})`,
+        tolerance: 'ullage',
+        profiles: ULLAGE_PROFILES,
+        sections: [
+            {
+                blocks: [{
+                    kind: 'row', fields: [
+                        {
+                            id: method, label: 'Check Method', input: 'select', value: 'sounding',
+                            options: [{ value: 'sounding', label: 'Tape Sounding' }, { value: 'plate', label: 'Plate Simulation' }]
+                        },
+                        {
+                            id: sensors, label: `Sensors (${sideName})`, input: 'select', value: '1',
+                            options: sensorNumbers.map(k => ({ value: String(k), label: String(k) }))
+                        }
+                    ]
+                }]
+            },
+            {
+                id: `${base}-sounding-section`,
+                showWhen: sensorShown(1, 'sounding'),
+                blocks: [{
+                    kind: 'average',
+                    inputs: [{ id: `${base}-port`, label: `${sideName} Port Sounding` }, { id: `${base}-stbd`, label: `${sideName} Stbd Sounding` }],
+                    average: { id: `${base}-avg`, label: 'Average' },
+                    observed: { id: `ullage-${cond}-dqm-${side}`, label: `DQM ${sideName} Sensor 1` },
+                    diff: { id: `ullage-${cond}-diff-${side}`, label: 'Diff' }
+                }]
+            },
+            ...sensorNumbers.slice(1).map(k => ({
+                id: `${base}-sounding-s${k}-section`,
+                showWhen: sensorShown(k, 'sounding'),
+                blocks: [{
+                    kind: 'compare', reference: `${base}-avg`,
+                    observed: { id: `ullage-${cond}-dqm-${side}-s${k}`, label: `DQM ${sideName} Sensor ${k}` },
+                    diff: { id: `ullage-${cond}-diff-${side}-s${k}`, label: 'Diff' }
+                }]
+            })),
+            ...sensorNumbers.map(k => ({
+                id: `${base}-plate-s${k}-section`,
+                title: `Sensor ${k}`,
+                showWhen: sensorShown(k, 'plate'),
+                blocks: [
+                    { kind: 'field', id: `${base}-plate-s${k}-offset`, label: 'Offset (Sensor to Reference)', unit: 'ft', value: '0' },
+                    {
+                        kind: 'readings', id: `${base}-plate-s${k}`, repeat: 3, offset: `${base}-plate-s${k}-offset`,
+                        reference: { id: `${base}-plate-s${k}-ullage-{n}`, label: 'Plate Ullage {n}' },
+                        observed: { id: `${base}-plate-s${k}-dqm-{n}`, label: 'DQM {n}' },
+                        diff: { id: `${base}-plate-s${k}-diff-{n}`, label: 'Diff' }
+                    }
+                ]
+            })),
+            {
+                id: `${base}-plate-section`,
+                showWhen: { field: method, equals: 'plate' },
+                blocks: [{ kind: 'field', id: `${base}-plate-details`, label: 'Plate Details', input: 'textarea', placeholder: 'Plate size, how it was suspended, reference point...' }]
+            },
+            { blocks: [{ kind: 'field', id: `${base}-remarks`, label: 'Remarks', input: 'textarea', placeholder: 'Measurement notes...' }] }
+        ]
+    };
+}
+
+/**
+ * Declares one draghead's offset and manual/DQM readings, shown only while its checkbox is ticked.
+ * @param {string} key - 'port', 'center' or 'stbd'
+ * @param {string} title - Section heading.
+ */
+function dragheadSection(key, title) {
+    return {
+        id: `dh-${key}-sec`,
+        title,
+        showWhen: { field: `dh-${key}-chk`, checked: true },
+        blocks: [
+            { kind: 'field', id: `dh-${key}-offset`, label: 'Offset', value: '0' },
+            {
+                kind: 'readings', id: `dh-${key}`, repeat: 3, offset: `dh-${key}-offset`,
+                reference: { id: `dh-${key}-man-{n}`, label: 'Man {n}' },
+                observed: { id: `dh-${key}-dqm-{n}`, label: 'DQM {n}' },
+                diff: { id: `dh-${key}-diff-{n}`, label: 'Diff' }
+            }
+        ]
+    };
+}
+
+/**
+ * The built-in checks, in picker order. Each profile's required checks follow this order.
+ */
+const builtInCheckDefinitions = [
+    {
+        id: 'positionCheck',
+        name: 'Position Check',
+        tolerance: 'position',
+        profiles: ALL_PROFILES,
+        sections: [{
+            blocks: [
+                {
+                    kind: 'position',
+                    sources: [{ prefix: 'handheld', label: 'Handheld GPS Position', gps: true }, { prefix: 'dqm', label: 'DQM System Position' }],
+                    diff: { id: 'position-diff', label: 'Distance Diff', unit: 'ft' }
+                },
+                { kind: 'field', id: 'position-remarks', label: 'Remarks', input: 'textarea' }
+            ]
+        }]
+    },
+    {
+        id: 'dynamicPositionCheck',
+        name: 'Dynamic GPS Check',
+        tolerance: 'trackOffset',
+        profiles: SCOW_PROFILES,
+        sections: [{
+            blocks: [
+                { kind: 'note', text: 'Record a handheld GPS track on the scow while it moves a significant distance (e.g. to the disposal site), then load it with the system provider\'s track for the same trip.' },
+                { kind: 'track', prefix: 'track' },
+                { kind: 'field', id: 'track-remarks', label: 'Remarks', input: 'textarea', placeholder: 'Observations...' }
+            ]
+        }]
+    },
+    {
+        id: 'hullStatus',
+        name: 'Hull Status Check',
+        profiles: HULL_PROFILES,
+        sections: [{
+            blocks: [
+                {
+                    kind: 'field', id: 'hull-opened', label: 'Hull Opened', input: 'select',
+                    options: [{ value: '', label: 'Select...' }, { value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }]
+                },
+                { kind: 'photo', id: 'hull-open-photo', label: 'Photo Reference (Closed to Open)' },
+                { kind: 'photo', id: 'hull-close-photo', label: 'Photo Reference (Open to Closed)' },
+                { kind: 'field', id: 'hull-remarks', label: 'Remarks', input: 'textarea', placeholder: 'Additional observations' }
+            ]
+        }]
+    },
+    draftSensorCheck('light', 'fwd'),
+    draftSensorCheck('light', 'aft'),
+    draftSensorCheck('loaded', 'fwd'),
+    draftSensorCheck('loaded', 'aft'),
+    ullageCheck('light', 'fwd'),
+    ullageCheck('light', 'aft'),
+    ullageCheck('loaded', 'fwd'),
+    ullageCheck('loaded', 'aft'),
+    {
+        id: 'dragheadDepth',
+        name: 'Draghead Depth Check',
+        tolerance: 'dragheadDepth',
+        profiles: ['Hopper Dredge-Standard'],
+        timelineDetail: ['dh-port-chk', 'dh-center-chk', 'dh-stbd-chk'],
+        sections: [
+            {
+                blocks: [{
+                    kind: 'toggles',
+                    fields: [{ id: 'dh-port-chk', label: 'Port' }, { id: 'dh-center-chk', label: 'Center' }, { id: 'dh-stbd-chk', label: 'Stbd' }]
+                }]
+            },
+            dragheadSection('port', 'Port Draghead'),
+            dragheadSection('center', 'Center Draghead'),
+            dragheadSection('stbd', 'Starboard Draghead')
+        ]
+    },
+    {
+        id: 'suctionMouthDepth',
+        name: 'Suction Mouth Depth Check',
+        tolerance: 'suctionDepth',
+        profiles: ['Pipeline Dredge-Standard', 'Pipeline Dredge-Small Business'],
+        sections: [{
+            blocks: [
+                { kind: 'field', id: 'suction-offset', label: 'Depth Offset', unit: 'ft', value: '0' },
+                {
+                    kind: 'readings', id: 'suction', repeat: 3, offset: 'suction-offset',
+                    reference: { id: 'suction-man-{n}', label: 'Manual {n}' },
+                    observed: { id: 'suction-dqm-{n}', label: 'DQM {n}' },
+                    diff: { id: 'suction-diff-{n}', label: 'Diff' }
+                }
+            ]
+        }]
+    },
+    {
+        id: 'velocity',
+        name: 'Velocity Check',
+        tolerance: 'velocity',
+        profiles: ['Pipeline Dredge-Standard'],
+        sections: [
+            {
+                blocks: [{
+                    kind: 'field', id: 'velocity-method', label: 'Test Method', input: 'select',
+                    options: [{ value: 'dye', label: 'Dye Test' }, { value: 'meter', label: 'External Meter' }]
+                }]
+            },
+            {
+                id: 'velocity-dye-sec',
+                showWhen: { field: 'velocity-method', equals: 'dye' },
+                blocks: [
+                    { kind: 'field', id: 'vel-pipe-length', label: 'Pipe Length', unit: 'ft' },
+                    {
+                        kind: 'readings', id: 'vel-dye', repeat: 2, formula: 'rate', distance: 'vel-pipe-length',
+                        reference: { id: 'vel-dye-time-{n}', label: 'Time {n} (s)' },
+                        observed: { id: 'vel-dye-dqm-{n}', label: 'DQM {n} (ft/s)' },
+                        diff: { id: 'vel-dye-diff-{n}', label: 'Diff' }
+                    }
+                ]
+            },
+            {
+                id: 'velocity-meter-sec',
+                showWhen: { field: 'velocity-method', equals: 'meter' },
+                blocks: [{
+                    kind: 'readings', id: 'vel-meter', repeat: 2,
+                    reference: { id: 'vel-meter-man-{n}', label: 'Meter {n}' },
+                    observed: { id: 'vel-meter-dqm-{n}', label: 'DQM {n}' },
+                    diff: { id: 'vel-meter-diff-{n}', label: 'Diff' }
+                }]
+            }
+        ]
+    },
+    {
+        id: 'densityCheck',
+        name: 'Density Verification Check',
+        tolerance: 'density',
+        profiles: ['Hopper Dredge-Standard', 'Pipeline Dredge-Standard'],
+        sections: [
+            {
+                title: 'Water Baseline',
+                blocks: [
+                    { kind: 'note', text: 'While pumping water, compare the measured specific gravity of the water with the density shown on the DQM display.' },
+                    { kind: 'field', id: 'density-water-method', label: 'Measurement Method', input: 'text', placeholder: 'e.g., hydrometer, known fresh water' },
+                    {
+                        kind: 'readings', id: 'density-water', repeat: 3, decimals: 3,
+                        reference: { id: 'density-water-sg-{n}', label: 'Measured SG {n}', step: '0.001' },
+                        observed: { id: 'density-water-dqm-{n}', label: 'DQM SG {n}', step: '0.001' },
+                        diff: { id: 'density-water-diff-{n}', label: 'Diff' }
+                    }
+                ]
+            },
+            {
+                title: 'Water to Material Transition',
+                blocks: [
+                    { kind: 'note', text: 'Record the DQM density as the pump moves from water to material.' },
+                    {
+                        kind: 'series', repeat: 5,
+                        fields: [
+                            { id: 'density-trans-time-{n}', label: 'Time {n}', input: 'time' },
+                            { id: 'density-trans-sg-{n}', label: 'DQM SG {n}', step: '0.001' },
+                            { id: 'density-trans-note-{n}', label: 'Observation', input: 'text', placeholder: 'e.g., material arriving' }
+                        ]
+                    }
+                ]
+            },
+            {
+                title: 'Expected vs Observed',
+                blocks: [
+                    {
+                        kind: 'readings', repeat: 1, decimals: 3,
+                        reference: { id: 'density-expected-sg', label: 'Expected Material SG', step: '0.001' },
+                        observed: { id: 'density-observed-sg', label: 'Observed DQM SG', step: '0.001' },
+                        diff: { id: 'density-compare-diff', label: 'Diff' }
+                    },
+                    {
+                        kind: 'field', id: 'density-behavior', label: 'Density Responded as Expected', input: 'select',
+                        options: [{ value: '', label: 'Select...' }, { value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }]
+                    },
+                    { kind: 'field', id: 'density-remarks', label: 'Remarks', input: 'textarea', placeholder: 'Observations...' }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'bucketDepth',
+        name: 'Bucket/Grab Depth Check',
+        tolerance: 'bucketDepth',
+        profiles: ['Mechanical Dredge-Standard'],
+        sections: [{
+            blocks: [
+                { kind: 'field', id: 'bucket-offset', label: 'Heel Offset', unit: 'ft', value: '0' },
+                {
+                    kind: 'readings', id: 'bucket', repeat: 3, offset: 'bucket-offset',
+                    reference: { id: 'bucket-man-{n}', label: 'Manual {n}' },
+                    observed: { id: 'bucket-dqm-{n}', label: 'DQM {n}' },
+                    diff: { id: 'bucket-diff-{n}', label: 'Diff' }
+                }
+            ]
+        }]
+    },
+    {
+        id: 'bucketPosition',
+        name: 'Bucket Position Check',
+        tolerance: 'bucketPosition',
+        profiles: ['Mechanical Dredge-Standard'],
+        sections: [{
+            blocks: [
+                { kind: 'note', text: 'Verify bucket X/Y against physical boom angle/drawings.' },
+                {
+                    kind: 'readings', id: 'bpos', repeat: 2, decimals: 1,
+                    reference: { id: 'bpos-man-{n}', label: 'Phys {n}' },
+                    observed: { id: 'bpos-dqm-{n}', label: 'DQM {n}' },
+                    diff: { id: 'bpos-diff-{n}', label: 'Diff' }
+                }
+            ]
+        }]
+    }
+];
+
+// Snapshots of the built-in configuration, used to rebuild the registry when packs change
+const builtInVesselProfiles = JSON.parse(JSON.stringify(vesselProfiles));
+const builtInToleranceCategories = JSON.parse(JSON.stringify(toleranceCategories));
+
+/**
+ * The active registry: check ID -> definition (built-ins followed by pack checks, in insertion order).
+ */
+const checkRegistry = {};
+
+// ===== Block Kinds =====
+
+/**
+ * Summary cells of a 'track' block, filled from compareTracks() (see tracks.js).
+ * Field IDs are `${prefix}-${suffix}`; the mean offset is the graded difference.
+ */
+const trackSummaryFields = [
+    { suffix: 'matched', label: 'Matched Points', decimals: 0, value: s => s.matched },
+    { suffix: 'duration', label: 'Duration', unit: 'min', decimals: 1, value: s => s.durationMin },
+    { suffix: 'offset-mean', label: 'Mean Offset', unit: 'ft', decimals: 2, value: s => s.offsetMean },
+    { suffix: 'offset-p95', label: '95th Pct Offset', unit: 'ft', decimals: 2, value: s => s.offsetP95 },
+    { suffix: 'offset-max', label: 'Max Offset', unit: 'ft', decimals: 2, value: s => s.offsetMax },
+    { suffix: 'heading-mean', label: 'Mean Heading Diff', unit: '°', decimals: 1, value: s => s.headingMean },
+    { suffix: 'heading-max', label: 'Max Heading Diff', unit: '°', decimals: 1, value: s => s.headingMax },
+    { suffix: 'hh-interval-mean', label: 'Handheld Interval', unit: 's', decimals: 1, value: s => s.handheldInterval.mean },
+    { suffix: 'hh-interval-max', label: 'Handheld Max Interval', unit: 's', decimals: 1, value: s => s.handheldInterval.max },
+    { suffix: 'dqm-interval-mean', label: 'Provider Interval', unit: 's', decimals: 1, value: s => s.providerInterval.mean },
+    { suffix: 'dqm-interval-max', label: 'Provider Max Interval', unit: 's', decimals: 1, value: s => s.providerInterval.max },
+    { suffix: 'dqm-gaps', label: 'Provider Logging Gaps', decimals: 0, value: s => s.providerInterval.gaps }
+];
+
+/**
+ * Summary cells of a variable 'readings' block, filled from computeReadingStats().
+ * Field IDs are `${block.id}-stats-${suffix}`. Errors are DQM minus reference, so a positive bias means the DQM reads high.
+ */
+const readingStatsFields = [
+    { suffix: 'bias', label: 'Mean Bias', value: s => s.bias },
+    { suffix: 'sd', label: 'Std Deviation', value: s => s.sd },
+    { suffix: 'max', label: 'Max |Error|', value: s => s.maxAbs },
+    { suffix: 'slope', label: 'Fit Slope (DQM vs Ref)', decimals: 4, value: s => s.slope },
+    { suffix: 'intercept', label: 'Fit Offset', value: s => s.intercept }
+];
+
+/**
+ * Replaces the '{n}' placeholder of a field ID or label with a reading number.
+ */
+function fillReadingNumber(template, n) {
+    return String(template || '').replace(/\{n\}/g, n);
+}
+
+/**
+ * Number of readings a 'readings' block currently shows (its declared `repeat` unless the user changed it).
+ * @param {Object} data - Optional: read the count from saved check data instead of the open form.
+ */
+function getReadingsCount(block, data) {
+    const count = data ? data[`${block.id}-count`] : document.getElementById(`${block.id}-count`)?.value;
+    const n = block.id ? parseInt(count, 10) : NaN;
+    return n >= 1 ? n : (block.repeat || 1);
+}
+
+/**
+ * Field IDs of readings 1..count of a 'readings' block.
+ */
+function readingRowIds(block, count) {
+    return Array.from({ length: count }, (_, i) =>
+        [block.reference.id, block.observed.id, block.diff.id].map(t => fillReadingNumber(t, i + 1))
+    ).flat();
+}
+
+/**
+ * Renders readings 1..count of a 'readings' block.
+ */
+function renderReadingRows(block, count) {
+    return Array.from({ length: count }, (_, i) => `
+        <div class="input-row-3">
+            ${renderFieldInput({ ...block.reference, id: fillReadingNumber(block.reference.id, i + 1), label: fillReadingNumber(block.reference.label, i + 1), placeholder: '0.0' })}
+            ${renderFieldInput({ ...block.observed, id: fillReadingNumber(block.observed.id, i + 1), label: fillReadingNumber(block.observed.label, i + 1), placeholder: '0.0' })}
+            ${renderFieldInput({ label: 'Diff', ...block.diff, id: fillReadingNumber(block.diff.id, i + 1), placeholder: 'Auto-calc', readonly: true })}
+        </div>
+    `).join('');
+}
+
+/**
+ * Re-renders a variable 'readings' block with a new number of rows, keeping the values already entered.
+ * The new inputs still need the modal's input listeners (see bindCheckInputs).
+ */
+function setReadingRows(block, count) {
+    const container = document.getElementById(`${block.id}-rows`);
+    const countEl = document.getElementById(`${block.id}-count`);
+    if (!container || !countEl) return;
+    const values = {};
+    container.querySelectorAll('input').forEach(el => { values[el.id] = el.value; });
+    container.innerHTML = renderReadingRows(block, count);
+    container.querySelectorAll('input').forEach(el => {
+        if (values[el.id] !== undefined) el.value = values[el.id];
+    });
+    countEl.value = count;
+}
+
+/**
+ * Summarises paired readings.
+ * @param {Array} points - [{ reference, observed }] (reference includes any offset).
+ * @returns {Object|null} { n, bias, sd, maxAbs, slope, intercept } – sd needs 2 readings, the fit
+ *   2 distinct reference values (NaN otherwise); null without readings.
+ */
+function computeReadingStats(points) {
+    const n = points.length;
+    if (n === 0) return null;
+    const errors = points.map(p => p.observed - p.reference);
+    const bias = errors.reduce((a, b) => a + b, 0) / n;
+    const sd = n > 1 ? Math.sqrt(errors.reduce((sum, e) => sum + (e - bias) ** 2, 0) / (n - 1)) : NaN;
+    const maxAbs = Math.max(...errors.map(Math.abs));
+
+    // Least-squares fit of observed = slope * reference + intercept: a slope away from 1 is a scale
+    // error, an intercept with slope 1 a constant offset
+    const meanRef = points.reduce((a, p) => a + p.reference, 0) / n;
+    const meanObs = points.reduce((a, p) => a + p.observed, 0) / n;
+    const sxx = points.reduce((sum, p) => sum + (p.reference - meanRef) ** 2, 0);
+    const sxy = points.reduce((sum, p) => sum + (p.reference - meanRef) * (p.observed - meanObs), 0);
+    const slope = sxx > 1e-12 ? sxy / sxx : NaN;
+    const intercept = isNaN(slope) ? NaN : meanObs - slope * meanRef;
+    return { n, bias, sd, maxAbs, slope, intercept };
+}
+
+/**
+ * Renders a labelled <input>, <select> or <textarea> from a field declaration.
+ * @param {Object} field - { id, label, input, unit, step, placeholder, value, options, rows, readonly }
+ */
+function renderFieldInput(field) {
+    const label = `${escapeHtml(field.label || '')}${field.unit ? ` (${escapeHtml(field.unit)})` : ''}`;
+    const placeholder = field.placeholder ? ` placeholder="${escapeHtml(field.placeholder)}"` : '';
+    let control;
+    if (field.input === 'select') {
+        control = `<select id="${field.id}">${(field.options || []).map(o =>
+            `<option value="${escapeHtml(o.value)}" ${String(o.value) === String(field.value) ? 'selected' : ''}>${escapeHtml(o.label)}</option>`
+        ).join('')}</select>`;
+    } else if (field.input === 'textarea') {
+        control = `<textarea id="${field.id}" rows="${field.rows || 2}"${placeholder}></textarea>`;
+    } else if (field.input === 'time') {
+        control = `
+            <div style="display:flex; gap:6px;">
+                <input type="time" id="${field.id}" step="1" style="flex:1">
+                <button type="button" class="btn-secondary" data-stamp-time="${field.id}">Now</button>
+            </div>
+        `;
+    } else if (field.input === 'text') {
+        control = `<input type="text" id="${field.id}"${placeholder} value="${escapeHtml(field.value ?? '')}"${field.readonly ? ' readonly' : ''}>`;
+    } else {
+        control = `<input type="number" id="${field.id}" step="${field.step || '0.01'}"${placeholder}${field.value !== undefined ? ` value="${escapeHtml(field.value)}"` : ''}${field.readonly ? ' readonly' : ''}>`;
+    }
+    return `<div class="form-group"><label>${label}</label>${control}</div>`;
+}
+
+/**
+ * Reads a numeric input from the open modal (NaN when empty or missing).
+ */
+function readNumber(id) {
+    return parseFloat(document.getElementById(id)?.value);
+}
+
+/**
+ * Behaviour of each block kind:
+ *   render(block) -> HTML, fieldIds(block) -> persisted IDs, diffIds(block) -> difference cells,
+ *   calculate(block) and refresh(block) update the open form, restore(block, data) reloads non-input data,
+ *   tableRows(block, data) -> the block's readings in saved data, as { n, label, reference, observed, offset, diff, diffId }.
+ */
+const checkBlockKinds = {
+    'field': {
+        render: block => renderFieldInput(block),
+        fieldIds: block => [block.id]
+    },
+    'row': {
+        render: block => `<div class="${block.fields.length === 3 ? 'input-row-3' : 'input-row'}">${block.fields.map(renderFieldInput).join('')}</div>`,
+        fieldIds: block => block.fields.map(f => f.id)
+    },
+    'toggles': {
+        render: block => `
+            <div class="form-group" style="display:flex; gap:10px;">
+                ${block.fields.map(f => `<label><input type="checkbox" id="${f.id}"> ${escapeHtml(f.label)}</label>`).join('')}
+            </div>
+        `,
+        fieldIds: block => block.fields.map(f => f.id)
+    },
+    'note': {
+        render: block => `<p class="text-muted">${escapeHtml(block.text)}</p>`,
+        fieldIds: () => []
+    },
+    'readings': {
+        render: block => {
+            if (!block.id) return renderReadingRows(block, block.repeat || 1);
+            return `
+                <div class="readings-count">
+                    <span>Readings</span>
+                    <button type="button" class="btn-secondary" data-readings-block="${block.id}" data-readings-delta="-1" title="Remove the last reading">−</button>
+                    <input type="number" id="${block.id}-count" value="${block.repeat || 1}" readonly>
+                    <button type="button" class="btn-secondary" data-readings-block="${block.id}" data-readings-delta="1" title="Add a reading">+</button>
+                </div>
+                <div id="${block.id}-rows">${renderReadingRows(block, block.repeat || 1)}</div>
+                <div class="input-row-3">
+                    ${readingStatsFields.slice(0, 3).map(f => renderFieldInput({ id: `${block.id}-stats-${f.suffix}`, label: f.label, placeholder: '-', readonly: true })).join('')}
+                </div>
+                <div class="input-row">
+                    ${readingStatsFields.slice(3).map(f => renderFieldInput({ id: `${block.id}-stats-${f.suffix}`, label: f.label, placeholder: '-', readonly: true })).join('')}
+                </div>
+            `;
+        },
+        fieldIds: block => block.id
+            ? [`${block.id}-count`, ...readingRowIds(block, getReadingsCount(block)), ...readingStatsFields.map(f => `${block.id}-stats-${f.suffix}`)]
+            : readingRowIds(block, block.repeat || 1),
+        diffIds: block => Array.from({ length: getReadingsCount(block) }, (_, i) => fillReadingNumber(block.diff.id, i + 1)),
+        calculate: block => {
+            const formula = differenceFormulas[block.formula || 'difference'];
+            const ctx = {
+                offset: block.offset ? (readNumber(block.offset) || 0) : 0,
+                distance: block.distance ? readNumber(block.distance) : NaN
+            };
+            const points = [];
+            for (let n = 1; n <= getReadingsCount(block); n++) {
+                const ref = readNumber(fillReadingNumber(block.reference.id, n));
+                const obs = readNumber(fillReadingNumber(block.observed.id, n));
+                const el = document.getElementById(fillReadingNumber(block.diff.id, n));
+                if (!el || isNaN(ref) || isNaN(obs)) continue;
+                const diff = formula(ref, obs, ctx);
+                if (isNaN(diff)) continue;
+                el.value = Math.abs(diff).toFixed(block.decimals ?? 2);
+                points.push({ reference: obs + diff, observed: obs }); // The formula's diff is reference value minus observed
+            }
+            if (!block.id) return;
+
+            const stats = computeReadingStats(points);
+            readingStatsFields.forEach(f => {
+                const el = document.getElementById(`${block.id}-stats-${f.suffix}`);
+                const value = stats ? f.value(stats) : NaN;
+                if (el) el.value = isNaN(value) ? '' : value.toFixed(f.decimals ?? block.decimals ?? 2);
+            });
+        },
+        restore: (block, data) => {
+            const count = parseInt(data[`${block.id}-count`], 10);
+            if (!block.id || !(count >= 1)) return; // Data saved before the count was variable keeps the declared rows
+            setReadingRows(block, Math.min(count, READINGS_MAX));
+            readingRowIds(block, count).forEach(id => {
+                const el = document.getElementById(id);
+                if (el && data[id] !== undefined) el.value = data[id];
+            });
+        },
+        tableRows: (block, data) => Array.from({ length: getReadingsCount(block, data) }, (_, i) => ({
+            n: i + 1,
+            label: fillReadingNumber(block.observed.label, i + 1),
+            reference: data[fillReadingNumber(block.reference.id, i + 1)],
+            observed: data[fillReadingNumber(block.observed.id, i + 1)],
+            offset: block.offset ? data[block.offset] : undefined,
+            diff: data[fillReadingNumber(block.diff.id, i + 1)],
+            diffId: fillReadingNumber(block.diff.id, i + 1)
+        }))
+    },
+    'series': {
+        render: block => Array.from({ length: block.repeat || 1 }, (_, i) => `
+            <div class="${block.fields.length === 3 ? 'input-row-3' : 'input-row'}">
+                ${block.fields.map(f => renderFieldInput({ ...f, id: fillReadingNumber(f.id, i + 1), label: fillReadingNumber(f.label, i + 1) })).join('')}
+            </div>
+        `).join(''),
+        fieldIds: block => Array.from({ length: block.repeat || 1 }, (_, i) => block.fields.map(f => fillReadingNumber(f.id, i + 1))).flat()
+    },
+    'average': {
+        render: block => `
+            <div class="input-row">
+                ${block.inputs.map(f => renderFieldInput({ ...f, placeholder: '0.0' })).join('')}
+            </div>
+            <div class="input-row-3">
+                ${renderFieldInput({ ...block.average, placeholder: 'Avg', readonly: true })}
+                ${renderFieldInput({ ...block.observed, placeholder: '0.0' })}
+                ${renderFieldInput({ label: 'Diff', ...block.diff, placeholder: 'Auto-calc', readonly: true })}
+            </div>
+        `,
+        fieldIds: block => [...block.inputs.map(f => f.id), block.average.id, block.observed.id, block.diff.id],
+        diffIds: block => [block.diff.id],
+        calculate: block => {
+            const values = block.inputs.map(f => readNumber(f.id));
+            const avgEl = document.getElementById(block.average.id);
+            if (values.some(isNaN) || !avgEl) return;
+            const average = values.reduce((a, b) => a + b, 0) / values.length;
+            avgEl.value = average.toFixed(block.decimals ?? 2);
+            const dqm = readNumber(block.observed.id);
+            const el = document.getElementById(block.diff.id);
+            if (!isNaN(dqm) && el) el.value = Math.abs(average - dqm).toFixed(block.decimals ?? 2);
+        },
+        tableRows: (block, data) => [{ n: 1, label: block.observed.label, reference: data[block.average.id], observed: data[block.observed.id], diff: data[block.diff.id], diffId: block.diff.id }]
+    },
+    'compare': {
+        render: block => `
+            <div class="input-row">
+                ${renderFieldInput({ ...block.observed, placeholder: '0.0' })}
+                ${renderFieldInput({ label: 'Diff', ...block.diff, placeholder: 'Auto-calc', readonly: true })}
+            </div>
+        `,
+        fieldIds: block => [block.observed.id, block.diff.id],
+        diffIds: block => [block.diff.id],
+        calculate: block => {
+            const reference = readNumber(block.reference);
+            const observed = readNumber(block.observed.id);
+            const el = document.getElementById(block.diff.id);
+            if (el) el.value = isNaN(reference) || isNaN(observed) ? '' : Math.abs(reference - observed).toFixed(block.decimals ?? 2);
+        },
+        tableRows: (block, data) => [{ n: 1, label: block.observed.label, reference: data[block.reference], observed: data[block.observed.id], diff: data[block.diff.id], diffId: block.diff.id }]
+    },
+    'position': {
+        render: block => `
+            ${block.sources.map(src => `
+                <div class="form-group">
+                    <label>${escapeHtml(src.label)}</label>
+                    ${src.gps ? `<button type="button" class="gps-button" data-gps-prefix="${src.prefix}" style="width:100%; margin-bottom:8px;">📡 Capture Device GPS</button>` : ''}
+                    <div style="margin-bottom:6px;">
+                        <select id="${src.prefix}-format" style="width:100%;">
+                            <option value="dd">Decimal Degrees (DD)</option>
+                            <option value="dms">Degrees Minutes Seconds (DMS)</option>
+                            <option value="ddm">Degrees Decimal Minutes (DDM)</option>
+                            <option value="spcs">State Plane (NAD83)</option>
+                            <option value="utm">UTM (WGS84)</option>
+                        </select>
+                    </div>
+                    ${coordInputsHTML(src.prefix)}
+                </div>
+            `).join('')}
+            <div class="input-row-3">
+                ${renderFieldInput({ ...block.diff, readonly: true })}
+                ${renderFieldInput({ id: `${block.diff.id}-north`, label: 'ΔNorth', unit: block.diff.unit, placeholder: 'Auto-calc', readonly: true })}
+                ${renderFieldInput({ id: `${block.diff.id}-east`, label: 'ΔEast', unit: block.diff.unit, placeholder: 'Auto-calc', readonly: true })}
+            </div>
+        `,
+        fieldIds: block => [...block.sources.map(src => [`${src.prefix}-format`, ...coordFieldIds(src.prefix)]).flat(), block.diff.id, `${block.diff.id}-north`, `${block.diff.id}-east`],
+        diffIds: block => [block.diff.id],
+        calculate: block => calculatePositionDifference(block.sources[0].prefix, block.sources[1].prefix, block.diff.id),
+        refresh: block => block.sources.forEach(src => togglePosFormat(src.prefix)),
+        // Positions are entered in several formats, so only the distance between them is tabulated
+        tableRows: (block, data) => [{ n: 1, label: block.diff.label, diff: data[block.diff.id], diffId: block.diff.id }]
+    },
+    'photo': {
+        render: block => `
+            <div class="form-group">
+                <label>${escapeHtml(block.label)}</label>
+                <div class="photo-actions" style="display:flex; gap:10px; margin-bottom:10px;">
+                    <button type="button" class="btn-secondary" data-pick-file="${block.id}-input">📷 Take Photo / Upload</button>
+                </div>
+                <input type="file" id="${block.id}-input" accept="image/*" capture="environment" class="hidden" data-photo-key="${block.id}">
+                <img id="${block.id}-preview" style="display:none; width:100%; border-radius:8px;">
+            </div>
+        `,
+        // The photo reference is written by handleCheckPhoto, not scraped from an input
+        fieldIds: () => [],
+        restore: (block, data) => {
+            if (!data[block.id]) return;
+            getPhotoDisplayUrl(data[block.id]).then(url => {
+                const preview = document.getElementById(`${block.id}-preview`);
+                if (preview && url) {
+                    preview.src = url;
+                    preview.style.display = 'block';
+                }
+            }).catch(err => console.error('Failed to load photo preview:', err));
+        }
+    },
+    'gallery': {
+        render: () => `
+            <div class="form-group">
+                <div class="gallery-actions">
+                    <button type="button" class="btn-secondary" data-pick-file="check-gallery-input">📷 Add Photo</button>
+                    <label><input type="checkbox" id="check-gallery-gps"${localStorage.getItem(PHOTO_GPS_STAMP_KEY) === '1' ? ' checked' : ''}> Stamp GPS position</label>
+                </div>
+                <input type="file" id="check-gallery-input" accept="image/*" capture="environment" multiple class="hidden">
+                <div id="check-gallery" class="photo-gallery">${GALLERY_EMPTY_HTML}</div>
+            </div>
+        `,
+        // The gallery is written by the photo handlers, not scraped from an input
+        fieldIds: () => [],
+        refresh: () => refreshGalleryOptions(),
+        restore: (block, data) => renderCheckGallery(data)
+    },
+    'signature': {
+        render: block => `
+            <div class="form-group">
+                <label>${escapeHtml(block.label)}</label>
+                <input type="text" id="signature-${block.role}-name" placeholder="Name" style="margin-bottom:6px;">
+                <canvas id="signature-${block.role}-pad" class="signature-pad" width="600" height="160" data-signature-role="${block.role}"></canvas>
+                <div style="display:flex; justify-content:space-between; align-items:center; margin-top:6px;">
+                    <small id="signature-${block.role}-status" class="text-muted" style="margin:0;">Not signed</small>
+                    <button type="button" class="btn-secondary" data-signature-clear="${block.role}">Clear</button>
+                </div>
+            </div>
+        `,
+        // The signature image and time are written by the pad handlers, not scraped from an input
+        fieldIds: block => [`signature-${block.role}-name`],
+        restore: (block, data) => restoreSignature(block.role, data)
+    },
+    'track': {
+        render: block => `
+            <div class="form-group">
+                <label>Handheld Track (GPX or NMEA)</label>
+                <button type="button" class="btn-secondary" data-pick-file="${block.prefix}-handheld-input" style="width:100%; margin-bottom:6px;">📂 Load Handheld Track</button>
+                <input type="file" id="${block.prefix}-handheld-input" accept=".gpx,.nmea,.txt,.log" class="hidden" data-track-prefix="${block.prefix}" data-track-source="handheld">
+                <input type="text" id="${block.prefix}-handheld-file" placeholder="No file loaded" readonly>
+            </div>
+            <div class="form-group">
+                <label>DQM Provider Track (CSV)</label>
+                <button type="button" class="btn-secondary" data-pick-file="${block.prefix}-provider-input" style="width:100%; margin-bottom:6px;">📂 Load Provider Track</button>
+                <input type="file" id="${block.prefix}-provider-input" accept=".csv,.txt" class="hidden" data-track-prefix="${block.prefix}" data-track-source="provider">
+                <input type="text" id="${block.prefix}-provider-file" placeholder="No file loaded" readonly>
+            </div>
+            ${renderFieldInput({ id: `${block.prefix}-time-shift`, label: 'Provider Time Offset (hours added to reach UTC)', unit: 'h', step: '0.5', value: '0' })}
+            <canvas id="${block.prefix}-canvas" width="640" height="400" style="display:none; width:100%; border-radius:8px; margin-bottom:10px;"></canvas>
+            <img id="${block.prefix}-thumbnail-preview" style="display:none; width:100%; border-radius:8px; margin-bottom:10px;">
+            <div class="input-row-3">
+                ${trackSummaryFields.map(f => renderFieldInput({ id: `${block.prefix}-${f.suffix}`, label: f.label, unit: f.unit, placeholder: 'Auto-calc', readonly: true })).join('')}
+            </div>
+        `,
+        // The plot thumbnail reference is written by saveTrackThumbnail, not scraped from an input
+        fieldIds: block => [`${block.prefix}-handheld-file`, `${block.prefix}-provider-file`, `${block.prefix}-time-shift`, ...trackSummaryFields.map(f => `${block.prefix}-${f.suffix}`)],
+        diffIds: block => [`${block.prefix}-offset-mean`],
+        tableRows: (block, data) => [{ n: 1, label: 'Mean Track Offset', diff: data[`${block.prefix}-offset-mean`], diffId: `${block.prefix}-offset-mean` }],
+        calculate: block => {
+            const summary = updateTrackComparison(block.prefix);
+            if (!summary) return;
+            trackSummaryFields.forEach(f => {
+                const el = document.getElementById(`${block.prefix}-${f.suffix}`);
+                const value = f.value(summary);
+                if (el) el.value = isFinite(value) ? value.toFixed(f.decimals) : '';
+            });
+        },
+        restore: (block, data) => {
+            if (!data[`${block.prefix}-thumbnail`]) return;
+            getPhotoDisplayUrl(data[`${block.prefix}-thumbnail`]).then(url => {
+                const preview = document.getElementById(`${block.prefix}-thumbnail-preview`);
+                const canvas = document.getElementById(`${block.prefix}-canvas`);
+                // A live plot (tracks loaded in this session) takes precedence over the stored thumbnail
+                if (preview && url && (!canvas || canvas.style.display === 'none')) {
+                    preview.src = url;
+                    preview.style.display = 'block';
+                }
+            }).catch(err => console.error('Failed to load track thumbnail:', err));
+        }
+    }
+};
+
+// ===== Signatures =====
+
+/**
+ * Who signs a logged check. Keys form the field IDs: `signature-${role}` (image reference),
+ * `signature-${role}-name` and `signature-${role}-time` (ISO timestamp of the last stroke).
+ */
+const signatureRoles = {
+    'operator': 'Vessel Operator',
+    'auditor': 'QA Auditor'
+};
+
+/**
+ * Check data key of the photo gallery: [{ id, ref, caption, takenAt, reading, readingLabel, gps }].
+ * `reading` is the field ID of the reading a photo documents ('' for the check as a whole); `gps` is
+ * { lat, lon, accuracy } when the capture position was stamped.
+ */
+const PHOTO_GALLERY_KEY = 'photo-gallery';
+
+/**
+ * Appended to every check form before the signatures; packs do not need to declare it.
+ */
+const photoGallerySection = {
+    id: 'check-photos',
+    title: 'Photos',
+    blocks: [{ kind: 'gallery' }]
+};
+
+/**
+ * Appended to every check form; packs do not need to declare it.
+ */
+const signatureSection = {
+    id: 'check-signatures',
+    title: 'Signatures',
+    blocks: Object.entries(signatureRoles).map(([role, label]) => ({ kind: 'signature', role, label }))
+};
+
+// ===== Registry Queries =====
+
+/**
+ * Returns the definition for a check ID, or null if it is unknown (e.g. its pack was removed).
+ */
+function getCheckDefinition(checkType) {
+    return checkRegistry[checkType] || null;
+}
+
+/**
+ * Human-readable name for a check, falling back to the raw ID.
+ */
+function getCheckName(checkType) {
+    const def = getCheckDefinition(checkType);
+    return def ? def.name : checkType;
+}
+
+/**
+ * Lists the check IDs required for a 'Vessel Type-Profile' key, in registry order.
+ */
+function getRequiredChecks(profileKey) {
+    return Object.values(checkRegistry).filter(def => (def.profiles || []).includes(profileKey)).map(def => def.id);
+}
+
+/**
+ * Lists every 'Vessel Type-Profile' key known to the registry.
+ */
+function getProfileKeys() {
+    return Object.entries(vesselProfiles).map(([type, profiles]) => profiles.map(p => `${type}-${p}`)).flat();
+}
+
+/**
+ * The sections shown for a check: its own, followed by the standard photo and signature sections.
+ */
+function getCheckSections(def) {
+    return [...(def.sections || []), photoGallerySection, signatureSection];
+}
+
+/**
+ * Iterates the blocks of a definition together with the section that contains them.
+ */
+function forEachCheckBlock(def, fn) {
+    getCheckSections(def).forEach(section => (section.blocks || []).forEach(block => fn(block, section)));
+}
+
+/**
+ * All field IDs persisted for a check.
+ */
+function getCheckFieldIds(def) {
+    const ids = [];
+    forEachCheckBlock(def, block => ids.push(...checkBlockKinds[block.kind].fieldIds(block)));
+    return ids;
+}
+
+/**
+ * The difference cells of a check, each with the section that contains it (used for verdicts).
+ */
+function getCheckDiffCells(def) {
+    const cells = [];
+    forEachCheckBlock(def, (block, section) => {
+        const kind = checkBlockKinds[block.kind];
+        if (kind.diffIds) kind.diffIds(block).forEach(id => cells.push({ id, section }));
+    });
+    return cells;
+}
+
+/**
+ * The readings of a check a photo can document, for the open form (sections hidden by their
+ * showWhen condition are left out). Paired readings are offered as one row, identified by the
+ * observed field.
+ * @returns {Array} [{ id, label }]
+ */
+function getCheckReadingOptions(def) {
+    const options = [];
+    forEachCheckBlock(def, (block, section) => {
+        if (section === photoGallerySection || section === signatureSection || !isSectionShown(section)) return;
+        const add = (id, label) => options.push({ id, label: section.title ? `${section.title} – ${label}` : label });
+        if (block.kind === 'readings') {
+            for (let n = 1; n <= getReadingsCount(block); n++) {
+                add(fillReadingNumber(block.observed.id, n), `${fillReadingNumber(block.reference.label, n)} / ${fillReadingNumber(block.observed.label, n)}`);
+            }
+        } else if (block.kind === 'series') {
+            for (let n = 1; n <= (block.repeat || 1); n++) {
+                add(fillReadingNumber(block.fields[0].id, n), block.fields.map(f => fillReadingNumber(f.label, n)).join(' / '));
+            }
+        } else if (block.kind === 'average') {
+            [...block.inputs, block.observed].forEach(f => add(f.id, f.label));
+        } else if (block.kind === 'compare') {
+            add(block.observed.id, block.observed.label);
+        } else if (block.kind === 'position') {
+            block.sources.forEach(src => add(`${src.prefix}-format`, src.label));
+        } else if (block.kind === 'field' || block.kind === 'row') {
+            (block.fields || [block]).filter(f => !f.input && !f.readonly).forEach(f => add(f.id, f.label));
+        }
+    });
+    return options;
+}
+
+/**
+ * The compared readings in a check's saved data, one row each, for tabular export.
+ * Sections the data's own selections hide (e.g. the simulated-draft rows of a physical check) are left out.
+ * @returns {Array} [{ section, n, label, reference, observed, offset, diff, diffId }] (diffId keys the logged verdict)
+ */
+function getCheckTableRows(def, data) {
+    const rows = [];
+    forEachCheckBlock(def, (block, section) => {
+        const kind = checkBlockKinds[block.kind];
+        if (!kind.tableRows || !isSectionShown(section, data)) return;
+        kind.tableRows(block, data).forEach(row => rows.push({ section: section.title || '', ...row }));
+    });
+    return rows;
+}
+
+// ===== Form Engine =====
+
+/**
+ * Generates the modal form HTML for a check.
+ */
+function renderCheckForm(checkType) {
+    const def = getCheckDefinition(checkType);
+    if (!def) return '<p class="text-muted">This check is not available. It may come from a check pack that is no longer loaded.</p>';
+
+    return `
+        ${def.heading ? `<h2>${escapeHtml(def.heading)}</h2>` : ''}
+        ${getCheckSections(def).map(section => `
+            <div${section.id ? ` id="${section.id}"` : ''}>
+                ${section.title ? `<h3>${escapeHtml(section.title)}</h3>` : ''}
+                ${section.blocks.map(block => checkBlockKinds[block.kind].render(block)).join('')}
+            </div>
+        `).join('')}
+    `;
+}
+
+/**
+ * Whether a section's showWhen condition (or every condition of a list) holds for the open form.
+ * @param {Object} data - Optional: test saved check data instead of the open form.
+ */
+function isSectionShown(section, data) {
+    const conds = section.showWhen ? [].concat(section.showWhen) : [];
+    return conds.every(cond => {
+        const el = data ? null : document.getElementById(cond.field);
+        const value = data ? data[cond.field] : el && (el.type === 'checkbox' ? el.checked : el.value);
+        if (value === undefined || value === null) return true;
+        if (cond.checked !== undefined) return value === cond.checked;
+        if (cond.atLeast !== undefined) return parseFloat(value) >= cond.atLeast;
+        return value === cond.equals;
+    });
+}
+
+/**
+ * Re-applies section visibility and per-block UI state (e.g. coordinate format) to the open form.
+ */
+function refreshCheckForm(checkType) {
+    const def = getCheckDefinition(checkType);
+    if (!def) return;
+    getCheckSections(def).forEach(section => {
+        if (!section.id) return;
+        const el = document.getElementById(section.id);
+        if (el) el.classList.toggle('hidden', !isSectionShown(section));
+    });
+    forEachCheckBlock(def, block => {
+        const kind = checkBlockKinds[block.kind];
+        if (kind.refresh) kind.refresh(block);
+    });
+}
+
+/**
+ * Runs every block's difference calculation for the open form.
+ */
+function calculateCheck(checkType) {
+    const def = getCheckDefinition(checkType);
+    if (!def) return;
+    forEachCheckBlock(def, block => {
+        const kind = checkBlockKinds[block.kind];
+        if (kind.calculate) kind.calculate(block);
+    });
+}
+
+/**
+ * Restores the parts of a check that are not plain inputs (e.g. photo previews).
+ */
+function restoreCheckExtras(checkType, data) {
+    const def = getCheckDefinition(checkType);
+    if (!def) return;
+    forEachCheckBlock(def, block => {
+        const kind = checkBlockKinds[block.kind];
+        if (kind.restore) kind.restore(block, data);
+    });
+}
+
+/**
+ * Builds the timeline name for a logged check, e.g. 'Draghead Depth Check (Port, Stbd)'.
+ * Fields listed in timelineDetail contribute their label (ticked checkboxes) or selected option label.
+ */
+function getCheckActivityName(checkType, data) {
+    const def = getCheckDefinition(checkType);
+    if (!def) return checkType;
+    const details = [];
+    (def.timelineDetail || []).forEach(fieldId => {
+        let field = null;
+        forEachCheckBlock(def, block => {
+            if (block.id === fieldId) field = block;
+            (block.fields || []).forEach(f => { if (f.id === fieldId) field = f; });
+        });
+        const value = data ? data[fieldId] : undefined;
+        if (!field || value === undefined || value === '' || value === false) return;
+        if (value === true) details.push(field.label);
+        else if (field.options) {
+            const option = field.options.find(o => String(o.value) === String(value));
+            if (option) details.push(option.label);
+        }
+    });
+    return details.length > 0 ? `${def.name} (${details.join(', ')})` : def.name;
+}
+
+// ===== Check Packs =====
+
+/**
+ * What every id in a check pack must look like: check, section and field ids, block prefixes and the
+ * fields they refer to (a reading number placeholder {n} is allowed). Ids are written into the form's markup.
+ */
+const PACK_ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Problems with the ids and numbers a pack section or block writes into the form's markup
+ * (ids and references to them, input steps, textarea rows and reading counts).
+ * @param {Object} item - A section (its blocks are left out) or a block.
+ * @param {string} at - Where it is, for the messages.
+ * @returns {Array<string>}
+ */
+function packMarkupProblems(item, at) {
+    const problems = [];
+    const idKeys = ['id', 'prefix', 'field', 'offset', 'distance'];
+    const walk = (value, path) => {
+        if (Array.isArray(value)) return value.forEach((v, i) => walk(v, `${path}[${i}]`));
+        if (!value || typeof value !== 'object') return;
+        Object.entries(value).forEach(([key, v]) => {
+            const name = path ? `${path}.${key}` : key;
+            if (key === 'blocks' && !path) return;
+            if (idKeys.includes(key) || (key === 'reference' && typeof v !== 'object')) {
+                if (typeof v !== 'string' || !PACK_ID_PATTERN.test(fillReadingNumber(v, 1))) {
+                    problems.push(`${at}: "${name}" must start with a letter and contain only letters, digits, "-", "_" or {n}.`);
+                }
+            } else if (key === 'step') {
+                if (!(Number(v) > 0)) problems.push(`${at}: "${name}" must be a positive number.`);
+            } else if (key === 'rows' || key === 'repeat') {
+                if (!Number.isInteger(Number(v)) || Number(v) < 1) problems.push(`${at}: "${name}" must be a whole number of at least 1.`);
+            } else {
+                walk(v, name);
+            }
+        });
+    };
+    walk(item, '');
+    return problems;
+}
+
+/**
+ * Validates a check pack against the schema. Throws an Error listing every problem found.
+ * @param {Object} pack - { name, toleranceCategories?, vesselProfiles?, checks: [...] }
+ */
+function validateCheckPack(pack) {
+    const problems = [];
+    if (!pack || typeof pack !== 'object') throw new Error('Check pack must be a JSON object.');
+    if (!pack.name || typeof pack.name !== 'string') problems.push('Pack "name" is required.');
+    if (!Array.isArray(pack.checks) || pack.checks.length === 0) problems.push('Pack "checks" must be a non-empty array.');
+
+    const profiles = new Set(getProfileKeys());
+    Object.entries(pack.vesselProfiles || {}).forEach(([type, list]) => {
+        if (!Array.isArray(list)) problems.push(`vesselProfiles["${type}"] must be an array of profile names.`);
+        else list.forEach(p => profiles.add(`${type}-${p}`));
+    });
+    const categories = new Set([...Object.keys(toleranceCategories), ...Object.keys(pack.toleranceCategories || {})]);
+    Object.entries(pack.toleranceCategories || {}).forEach(([key, t]) => {
+        if (!t || isNaN(parseFloat(t.warn)) || isNaN(parseFloat(t.limit))) problems.push(`Tolerance "${key}" needs numeric warn and limit values.`);
+    });
+
+    const seenChecks = new Set();
+    (Array.isArray(pack.checks) ? pack.checks : []).forEach((def, idx) => {
+        const where = `Check ${def && def.id ? `"${def.id}"` : `#${idx + 1}`}`;
+        if (!def || typeof def.id !== 'string' || !PACK_ID_PATTERN.test(def.id)) {
+            problems.push(`${where}: "id" must start with a letter and contain only letters, digits, "-" or "_".`);
+            return;
+        }
+        if (checkRegistry[def.id] && checkRegistry[def.id].pack !== pack.name) problems.push(`${where}: id is already used by another check.`);
+        if (seenChecks.has(def.id)) problems.push(`${where}: id appears twice in this pack.`);
+        seenChecks.add(def.id);
+        if (!def.name) problems.push(`${where}: "name" is required.`);
+        if (def.tolerance && !categories.has(def.tolerance)) problems.push(`${where}: unknown tolerance category "${def.tolerance}".`);
+        (def.profiles || []).forEach(p => { if (!profiles.has(p)) problems.push(`${where}: unknown profile "${p}".`); });
+        if (!Array.isArray(def.sections) || def.sections.length === 0) {
+            problems.push(`${where}: "sections" must be a non-empty array.`);
+            return;
+        }
+
+        def.sections.forEach((section, sIdx) => {
+            if (!section || !Array.isArray(section.blocks)) {
+                problems.push(`${where}, section ${sIdx + 1}: "blocks" must be an array.`);
+                return;
+            }
+            problems.push(...packMarkupProblems(section, `${where}, section ${sIdx + 1}`));
+            section.blocks.forEach((block, bIdx) => {
+                const at = `${where}, section ${sIdx + 1}, block ${bIdx + 1}`;
+                if (block && typeof block === 'object') problems.push(...packMarkupProblems(block, at));
+                if (!block || !checkBlockKinds[block.kind]) problems.push(`${at}: unknown kind "${block && block.kind}".`);
+                else if (block.kind === 'readings' && (!block.reference || !block.observed || !block.diff)) problems.push(`${at}: readings need reference, observed and diff fields.`);
+                else if (block.kind === 'readings' && block.formula && !differenceFormulas[block.formula]) problems.push(`${at}: unknown formula "${block.formula}".`);
+                else if (block.kind === 'readings' && block.repeat > READINGS_MAX) problems.push(`${at}: "repeat" may not exceed ${READINGS_MAX}.`);
+                else if (block.kind === 'average' && (!Array.isArray(block.inputs) || !block.average || !block.observed || !block.diff)) problems.push(`${at}: average needs inputs, average, observed and diff fields.`);
+                else if (block.kind === 'compare' && (!block.reference || !block.observed || !block.diff)) problems.push(`${at}: compare needs reference, observed and diff fields.`);
+                else if (block.kind === 'position' && (!Array.isArray(block.sources) || block.sources.length !== 2 || !block.diff)) problems.push(`${at}: position needs two sources and a diff field.`);
+                else if ((block.kind === 'row' || block.kind === 'toggles' || block.kind === 'series') && !Array.isArray(block.fields)) problems.push(`${at}: "fields" must be an array.`);
+                else if ((block.kind === 'field' || block.kind === 'photo') && !block.id) problems.push(`${at}: "id" is required.`);
+                else if (block.kind === 'track' && !block.prefix) problems.push(`${at}: "prefix" is required.`);
+                else if (block.kind === 'gallery') problems.push(`${at}: the photo gallery is added to every check and may not be declared.`);
+                else if (block.kind === 'signature' && !signatureRoles[block.role]) problems.push(`${at}: "role" must be one of ${Object.keys(signatureRoles).join(', ')}.`);
+            });
+        });
+
+        if (problems.length === 0) {
+            const ids = getCheckFieldIds(def);
+            const dupes = ids.filter((id, i) => ids.indexOf(id) !== i);
+            if (dupes.length > 0) problems.push(`${where}: duplicate field IDs ${[...new Set(dupes)].join(', ')}.`);
+        }
+    });
+
+    if (problems.length > 0) throw new Error(problems.join('\n'));
+}
+
+/**
+ * Reads the installed check packs from localStorage.
+ */
+function loadCheckPacks() {
+    try {
+        return JSON.parse(localStorage.getItem(CHECK_PACKS_STORAGE_KEY)) || [];
+    } catch (e) {
+        console.warn('Failed to read check packs:', e);
+        return [];
+    }
+}
+
+/**
+ * Persists the installed check packs to localStorage.
+ */
+function saveCheckPacks(packs) {
+    localStorage.setItem(CHECK_PACKS_STORAGE_KEY, JSON.stringify(packs));
+}
+
+/**
+ * Merges one pack into the registry, vessel profiles and tolerance categories.
+ */
+function applyCheckPack(pack) {
+    Object.entries(pack.vesselProfiles || {}).forEach(([type, list]) => {
+        vesselProfiles[type] = [...new Set([...(vesselProfiles[type] || []), ...list])];
+    });
+    Object.entries(pack.toleranceCategories || {}).forEach(([key, t]) => {
+        toleranceCategories[key] = { label: t.label || key, unit: t.unit || '', warn: parseFloat(t.warn), limit: parseFloat(t.limit) };
+    });
+    pack.checks.forEach(def => {
+        checkRegistry[def.id] = { ...def, pack: pack.name };
+    });
+}
+
+/**
+ * Resets the registry to the built-in checks and re-applies every installed pack.
+ * A pack that no longer validates (e.g. it clashes with a newer built-in) is skipped with a warning.
+ */
+function rebuildCheckRegistry() {
+    [[checkRegistry, {}], [vesselProfiles, builtInVesselProfiles], [toleranceCategories, builtInToleranceCategories]].forEach(([target, source]) => {
+        Object.keys(target).forEach(key => delete target[key]);
+        Object.assign(target, JSON.parse(JSON.stringify(source)));
+    });
+    builtInCheckDefinitions.forEach(def => { checkRegistry[def.id] = def; });
+
+    loadCheckPacks().forEach(pack => {
+        try {
+            validateCheckPack(pack);
+            applyCheckPack(pack);
+        } catch (e) {
+            console.warn(`Skipping check pack "${pack && pack.name}":`, e.message);
+        }
+    });
+}
+
+/**
+ * Validates and installs a pack, replacing any installed pack of the same name.
+ * @param {Object} pack - Parsed check pack JSON.
+ */
+function installCheckPack(pack) {
+    validateCheckPack(pack);
+    saveCheckPacks([...loadCheckPacks().filter(p => p.name !== pack.name), pack]);
+    rebuildCheckRegistry();
+}
+
+/**
+ * Removes an installed pack by name. Data already captured for its checks stays in the audit.
+ */
+function removeCheckPack(name) {
+    saveCheckPacks(loadCheckPacks().filter(p => p.name !== name));
+    rebuildCheckRegistry();
+}
+
+rebuildCheckRegistry();
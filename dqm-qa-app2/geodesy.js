@@ -0,0 +1,323 @@
+/**
+ * Geodesy for DQM QA App 2 position checks.
+ * Converts State Plane (NAD83) and UTM (WGS84) grid coordinates to latitude/longitude on the
+ * GRS80/WGS84 ellipsoids, and measures between positions with Vincenty's ellipsoidal inverse.
+ * NAD83 and WGS84 are treated as coincident (they differ by about a metre); no datum shift is applied.
+ */
+
+const ELLIPSOIDS = {
+    'GRS80': { a: 6378137, f: 1 / 298.257222101 },
+    'WGS84': { a: 6378137, f: 1 / 298.257223563 }
+};
+
+/**
+ * Grid units offered for State Plane coordinates, in metres per unit.
+ */
+const GRID_UNITS = {
+    'usft': { label: 'US Survey ft', metres: 1200 / 3937 },
+    'ift': { label: 'International ft', metres: 0.3048 },
+    'm': { label: 'Metres', metres: 1 }
+};
+
+const METRES_PER_FOOT = 0.3048;
+
+/**
+ * Degrees and minutes to decimal degrees (zone constants are published in this form).
+ */
+function dm(deg, min) {
+    return deg + min / 60;
+}
+
+/**
+ * NAD83 State Plane zones (GRS80). Coastal, Great Lakes and inland-waterway states.
+ * 'tm' = Transverse Mercator { lat0, lon0, k0 }, 'lcc' = Lambert Conformal Conic { lat1, lat2, lat0, lon0, k0 };
+ * an LCC k0 is the ellipsoid scale factor of the Michigan zones (1 when absent). Reference point, Michigan South
+ * (matches PROJ lcc +k_0=1.0000382): 42.3°N 83.05°W -> E 4108568.184 m, N 89714.867 m (about 18 ft off without k0).
+ * false easting/northing (fe/fn) are in metres as defined, whatever unit the coordinates are entered in.
+ */
+const statePlaneZones = [
+    { code: '0101', name: 'Alabama East', proj: 'tm', lat0: dm(30, 30), lon0: -dm(85, 50), k0: 0.99996, fe: 200000, fn: 0 },
+    { code: '0102', name: 'Alabama West', proj: 'tm', lat0: 30, lon0: -dm(87, 30), k0: 1 - 1 / 15000, fe: 600000, fn: 0 },
+    { code: '0301', name: 'Arkansas North', proj: 'lcc', lat1: dm(36, 14), lat2: dm(34, 56), lat0: dm(34, 20), lon0: -92, fe: 400000, fn: 0 },
+    { code: '0302', name: 'Arkansas South', proj: 'lcc', lat1: dm(34, 46), lat2: dm(33, 18), lat0: dm(32, 40), lon0: -92, fe: 400000, fn: 400000 },
+    { code: '0401', name: 'California I', proj: 'lcc', lat1: dm(41, 40), lat2: 40, lat0: dm(39, 20), lon0: -122, fe: 2000000, fn: 500000 },
+    { code: '0402', name: 'California II', proj: 'lcc', lat1: dm(39, 50), lat2: dm(38, 20), lat0: dm(37, 40), lon0: -122, fe: 2000000, fn: 500000 },
+    { code: '0403', name: 'California III', proj: 'lcc', lat1: dm(38, 26), lat2: dm(37, 4), lat0: dm(36, 30), lon0: -dm(120, 30), fe: 2000000, fn: 500000 },
+    { code: '0404', name: 'California IV', proj: 'lcc', lat1: dm(37, 15), lat2: 36, lat0: dm(35, 20), lon0: -119, fe: 2000000, fn: 500000 },
+    { code: '0405', name: 'California V', proj: 'lcc', lat1: dm(35, 28), lat2: dm(34, 2), lat0: dm(33, 30), lon0: -118, fe: 2000000, fn: 500000 },
+    { code: '0406', name: 'California VI', proj: 'lcc', lat1: dm(33, 53), lat2: dm(32, 47), lat0: dm(32, 10), lon0: -dm(116, 15), fe: 2000000, fn: 500000 },
+    { code: '0600', name: 'Connecticut', proj: 'lcc', lat1: dm(41, 52), lat2: dm(41, 12), lat0: dm(40, 50), lon0: -dm(72, 45), fe: 304800.6096, fn: 152400.3048 },
+    { code: '0700', name: 'Delaware', proj: 'tm', lat0: 38, lon0: -dm(75, 25), k0: 0.999995, fe: 200000, fn: 0 },
+    { code: '0901', name: 'Florida East', proj: 'tm', lat0: dm(24, 20), lon0: -81, k0: 1 - 1 / 17000, fe: 200000, fn: 0 },
+    { code: '0902', name: 'Florida West', proj: 'tm', lat0: dm(24, 20), lon0: -82, k0: 1 - 1 / 17000, fe: 200000, fn: 0 },
+    { code: '0903', name: 'Florida North', proj: 'lcc', lat1: dm(30, 45), lat2: dm(29, 35), lat0: 29, lon0: -dm(84, 30), fe: 600000, fn: 0 },
+    { code: '1001', name: 'Georgia East', proj: 'tm', lat0: 30, lon0: -dm(82, 10), k0: 0.9999, fe: 200000, fn: 0 },
+    { code: '1002', name: 'Georgia West', proj: 'tm', lat0: 30, lon0: -dm(84, 10), k0: 0.9999, fe: 700000, fn: 0 },
+    { code: '1201', name: 'Illinois East', proj: 'tm', lat0: dm(36, 40), lon0: -dm(88, 20), k0: 0.999975, fe: 300000, fn: 0 },
+    { code: '1202', name: 'Illinois West', proj: 'tm', lat0: dm(36, 40), lon0: -dm(90, 10), k0: 1 - 1 / 17000, fe: 700000, fn: 0 },
+    { code: '1301', name: 'Indiana East', proj: 'tm', lat0: dm(37, 30), lon0: -dm(85, 40), k0: 1 - 1 / 30000, fe: 100000, fn: 250000 },
+    { code: '1302', name: 'Indiana West', proj: 'tm', lat0: dm(37, 30), lon0: -dm(87, 5), k0: 1 - 1 / 30000, fe: 900000, fn: 250000 },
+    { code: '1401', name: 'Iowa North', proj: 'lcc', lat1: dm(43, 16), lat2: dm(42, 4), lat0: dm(41, 30), lon0: -dm(93, 30), fe: 1500000, fn: 1000000 },
+    { code: '1402', name: 'Iowa South', proj: 'lcc', lat1: dm(41, 47), lat2: dm(40, 37), lat0: 40, lon0: -dm(93, 30), fe: 500000, fn: 0 },
+    { code: '1601', name: 'Kentucky North', proj: 'lcc', lat1: dm(37, 58), lat2: dm(38, 58), lat0: dm(37, 30), lon0: -dm(84, 15), fe: 500000, fn: 0 },
+    { code: '1602', name: 'Kentucky South', proj: 'lcc', lat1: dm(36, 44), lat2: dm(37, 56), lat0: dm(36, 20), lon0: -dm(85, 45), fe: 500000, fn: 500000 },
+    { code: '1701', name: 'Louisiana North', proj: 'lcc', lat1: dm(32, 40), lat2: dm(31, 10), lat0: dm(30, 30), lon0: -dm(92, 30), fe: 1000000, fn: 0 },
+    { code: '1702', name: 'Louisiana South', proj: 'lcc', lat1: dm(30, 42), lat2: dm(29, 18), lat0: dm(28, 30), lon0: -dm(91, 20), fe: 1000000, fn: 0 },
+    { code: '1703', name: 'Louisiana Offshore', proj: 'lcc', lat1: dm(27, 50), lat2: dm(26, 10), lat0: dm(25, 30), lon0: -dm(91, 20), fe: 1000000, fn: 0 },
+    { code: '1801', name: 'Maine East', proj: 'tm', lat0: dm(43, 40), lon0: -dm(68, 30), k0: 0.9999, fe: 300000, fn: 0 },
+    { code: '1802', name: 'Maine West', proj: 'tm', lat0: dm(42, 50), lon0: -dm(70, 10), k0: 1 - 1 / 30000, fe: 900000, fn: 0 },
+    { code: '1900', name: 'Maryland', proj: 'lcc', lat1: dm(39, 27), lat2: dm(38, 18), lat0: dm(37, 40), lon0: -77, fe: 400000, fn: 0 },
+    { code: '2001', name: 'Massachusetts Mainland', proj: 'lcc', lat1: dm(42, 41), lat2: dm(41, 43), lat0: 41, lon0: -dm(71, 30), fe: 200000, fn: 750000 },
+    { code: '2002', name: 'Massachusetts Island', proj: 'lcc', lat1: dm(41, 29), lat2: dm(41, 17), lat0: 41, lon0: -dm(70, 30), fe: 500000, fn: 0 },
+    { code: '2111', name: 'Michigan North', proj: 'lcc', lat1: dm(47, 5), lat2: dm(45, 29), lat0: dm(44, 47), lon0: -87, k0: 1.0000382, fe: 8000000, fn: 0 },
+    { code: '2112', name: 'Michigan Central', proj: 'lcc', lat1: dm(45, 42), lat2: dm(44, 11), lat0: dm(43, 19), lon0: -dm(84, 22), k0: 1.0000382, fe: 6000000, fn: 0 },
+    { code: '2113', name: 'Michigan South', proj: 'lcc', lat1: dm(43, 40), lat2: dm(42, 6), lat0: dm(41, 30), lon0: -dm(84, 22), k0: 1.0000382, fe: 4000000, fn: 0 },
+    { code: '2201', name: 'Minnesota North', proj: 'lcc', lat1: dm(48, 38), lat2: dm(47, 2), lat0: dm(46, 30), lon0: -dm(93, 6), fe: 800000, fn: 100000 },
+    { code: '2301', name: 'Mississippi East', proj: 'tm', lat0: dm(29, 30), lon0: -dm(88, 50), k0: 0.99995, fe: 300000, fn: 0 },
+    { code: '2302', name: 'Mississippi West', proj: 'tm', lat0: dm(29, 30), lon0: -dm(90, 20), k0: 0.99995, fe: 700000, fn: 0 },
+    { code: '2401', name: 'Missouri East', proj: 'tm', lat0: dm(35, 50), lon0: -dm(90, 30), k0: 1 - 1 / 15000, fe: 250000, fn: 0 },
+    { code: '2402', name: 'Missouri Central', proj: 'tm', lat0: dm(35, 50), lon0: -dm(92, 30), k0: 1 - 1 / 15000, fe: 500000, fn: 0 },
+    { code: '2403', name: 'Missouri West', proj: 'tm', lat0: dm(36, 10), lon0: -dm(94, 30), k0: 1 - 1 / 17000, fe: 850000, fn: 0 },
+    { code: '2800', name: 'New Hampshire', proj: 'tm', lat0: dm(42, 30), lon0: -dm(71, 40), k0: 1 - 1 / 30000, fe: 300000, fn: 0 },
+    { code: '2900', name: 'New Jersey', proj: 'tm', lat0: dm(38, 50), lon0: -dm(74, 30), k0: 0.9999, fe: 150000, fn: 0 },
+    { code: '3101', name: 'New York East', proj: 'tm', lat0: dm(38, 50), lon0: -dm(74, 30), k0: 0.9999, fe: 150000, fn: 0 },
+    { code: '3102', name: 'New York Central', proj: 'tm', lat0: 40, lon0: -dm(76, 35), k0: 0.9999375, fe: 250000, fn: 0 },
+    { code: '3103', name: 'New York West', proj: 'tm', lat0: 40, lon0: -dm(78, 35), k0: 0.9999375, fe: 350000, fn: 0 },
+    { code: '3104', name: 'New York Long Island', proj: 'lcc', lat1: dm(41, 2), lat2: dm(40, 40), lat0: dm(40, 10), lon0: -74, fe: 300000, fn: 0 },
+    { code: '3200', name: 'North Carolina', proj: 'lcc', lat1: dm(36, 10), lat2: dm(34, 20), lat0: dm(33, 45), lon0: -79, fe: 609601.22, fn: 0 },
+    { code: '3401', name: 'Ohio North', proj: 'lcc', lat1: dm(41, 42), lat2: dm(40, 26), lat0: dm(39, 40), lon0: -dm(82, 30), fe: 600000, fn: 0 },
+    { code: '3402', name: 'Ohio South', proj: 'lcc', lat1: dm(40, 2), lat2: dm(38, 44), lat0: 38, lon0: -dm(82, 30), fe: 600000, fn: 0 },
+    { code: '3601', name: 'Oregon North', proj: 'lcc', lat1: 46, lat2: dm(44, 20), lat0: dm(43, 40), lon0: -dm(120, 30), fe: 2500000, fn: 0 },
+    { code: '3602', name: 'Oregon South', proj: 'lcc', lat1: 44, lat2: dm(42, 20), lat0: dm(41, 40), lon0: -dm(120, 30), fe: 1500000, fn: 0 },
+    { code: '3701', name: 'Pennsylvania North', proj: 'lcc', lat1: dm(41, 57), lat2: dm(40, 53), lat0: dm(40, 10), lon0: -dm(77, 45), fe: 600000, fn: 0 },
+    { code: '3702', name: 'Pennsylvania South', proj: 'lcc', lat1: dm(40, 58), lat2: dm(39, 56), lat0: dm(39, 20), lon0: -dm(77, 45), fe: 600000, fn: 0 },
+    { code: '3800', name: 'Rhode Island', proj: 'tm', lat0: dm(41, 5), lon0: -dm(71, 30), k0: 0.99999375, fe: 100000, fn: 0 },
+    { code: '3900', name: 'South Carolina', proj: 'lcc', lat1: dm(34, 50), lat2: dm(32, 30), lat0: dm(31, 50), lon0: -81, fe: 609600, fn: 0 },
+    { code: '4100', name: 'Tennessee', proj: 'lcc', lat1: dm(36, 25), lat2: dm(35, 15), lat0: dm(34, 20), lon0: -86, fe: 600000, fn: 0 },
+    { code: '4201', name: 'Texas North', proj: 'lcc', lat1: dm(36, 11), lat2: dm(34, 39), lat0: 34, lon0: -dm(101, 30), fe: 200000, fn: 1000000 },
+    { code: '4202', name: 'Texas North Central', proj: 'lcc', lat1: dm(33, 58), lat2: dm(32, 8), lat0: dm(31, 40), lon0: -dm(98, 30), fe: 600000, fn: 2000000 },
+    { code: '4203', name: 'Texas Central', proj: 'lcc', lat1: dm(31, 53), lat2: dm(30, 7), lat0: dm(29, 40), lon0: -dm(100, 20), fe: 700000, fn: 3000000 },
+    { code: '4204', name: 'Texas South Central', proj: 'lcc', lat1: dm(30, 17), lat2: dm(28, 23), lat0: dm(27, 50), lon0: -99, fe: 600000, fn: 4000000 },
+    { code: '4205', name: 'Texas South', proj: 'lcc', lat1: dm(27, 50), lat2: dm(26, 10), lat0: dm(25, 40), lon0: -dm(98, 30), fe: 300000, fn: 5000000 },
+    { code: '4501', name: 'Virginia North', proj: 'lcc', lat1: dm(39, 12), lat2: dm(38, 2), lat0: dm(37, 40), lon0: -dm(78, 30), fe: 3500000, fn: 2000000 },
+    { code: '4502', name: 'Virginia South', proj: 'lcc', lat1: dm(37, 58), lat2: dm(36, 46), lat0: dm(36, 20), lon0: -dm(78, 30), fe: 3500000, fn: 1000000 },
+    { code: '4601', name: 'Washington North', proj: 'lcc', lat1: dm(48, 44), lat2: dm(47, 30), lat0: 47, lon0: -dm(120, 50), fe: 500000, fn: 0 },
+    { code: '4602', name: 'Washington South', proj: 'lcc', lat1: dm(47, 20), lat2: dm(45, 50), lat0: dm(45, 20), lon0: -dm(120, 30), fe: 500000, fn: 0 },
+    { code: '4801', name: 'Wisconsin North', proj: 'lcc', lat1: dm(46, 46), lat2: dm(45, 34), lat0: dm(45, 10), lon0: -90, fe: 600000, fn: 0 },
+    { code: '4802', name: 'Wisconsin Central', proj: 'lcc', lat1: dm(45, 30), lat2: dm(44, 15), lat0: dm(43, 50), lon0: -90, fe: 600000, fn: 0 },
+    { code: '4803', name: 'Wisconsin South', proj: 'lcc', lat1: dm(44, 4), lat2: dm(42, 44), lat0: 42, lon0: -90, fe: 600000, fn: 0 },
+    { code: '5200', name: 'Puerto Rico & Virgin Islands', proj: 'lcc', lat1: dm(18, 26), lat2: dm(18, 2), lat0: dm(17, 50), lon0: -dm(66, 26), fe: 200000, fn: 200000 }
+];
+
+/**
+ * Returns the State Plane zone for a FIPS code, or null.
+ */
+function getStatePlaneZone(code) {
+    return statePlaneZones.find(z => z.code === code) || null;
+}
+
+/**
+ * Builds the projection parameters of a UTM zone (WGS84, metres).
+ * @param {number} zone - 1 to 60.
+ * @param {string} hemisphere - 'N' or 'S'.
+ */
+function utmZone(zone, hemisphere) {
+    return { proj: 'tm', ellipsoid: 'WGS84', lat0: 0, lon0: -183 + 6 * zone, k0: 0.9996, fe: 500000, fn: hemisphere === 'S' ? 10000000 : 0 };
+}
+
+// ===== Transverse Mercator (Krüger series to n^4, sub-millimetre within a zone) =====
+
+const DEG = Math.PI / 180;
+
+/**
+ * Series coefficients for an ellipsoid, cached per ellipsoid name.
+ */
+const tmCoefficientCache = {};
+function tmCoefficients(ellipsoidName) {
+    if (tmCoefficientCache[ellipsoidName]) return tmCoefficientCache[ellipsoidName];
+    const { a, f } = ELLIPSOIDS[ellipsoidName];
+    const n = f / (2 - f);
+    const n2 = n * n, n3 = n2 * n, n4 = n3 * n;
+    tmCoefficientCache[ellipsoidName] = {
+        e: Math.sqrt(f * (2 - f)),
+        A: a / (1 + n) * (1 + n2 / 4 + n4 / 64),
+        alpha: [n / 2 - 2 * n2 / 3 + 5 * n3 / 16 + 41 * n4 / 180, 13 * n2 / 48 - 3 * n3 / 5 + 557 * n4 / 1440, 61 * n3 / 240 - 103 * n4 / 140, 49561 * n4 / 161280],
+        beta: [n / 2 - 2 * n2 / 3 + 37 * n3 / 96 - n4 / 360, n2 / 48 + n3 / 15 - 437 * n4 / 1440, 17 * n3 / 480 - 37 * n4 / 840, 4397 * n4 / 161280]
+    };
+    return tmCoefficientCache[ellipsoidName];
+}
+
+/**
+ * Conformal latitude tangent τ' for a geodetic latitude (radians).
+ */
+function conformalTan(phi, e) {
+    const tau = Math.tan(phi);
+    const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+    return tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+}
+
+/**
+ * Inverts conformalTan by Newton's method (Karney 2011, eq. 19-21).
+ */
+function geodeticTan(tauPrime, e) {
+    const e2 = e * e;
+    let tau = tauPrime;
+    for (let i = 0; i < 10; i++) {
+        const sigma = Math.sinh(e * Math.atanh(e * tau / Math.sqrt(1 + tau * tau)));
+        const tauI = tau * Math.sqrt(1 + sigma * sigma) - sigma * Math.sqrt(1 + tau * tau);
+        const delta = (tauPrime - tauI) / Math.sqrt(1 + tauI * tauI) * (1 + (1 - e2) * tau * tau) / ((1 - e2) * Math.sqrt(1 + tau * tau));
+        tau += delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return tau;
+}
+
+/**
+ * Rectifying coordinate ξ of a latitude on the central meridian (used for the origin latitude).
+ */
+function tmXi0(lat0, c) {
+    const xiP = Math.atan(conformalTan(lat0 * DEG, c.e));
+    return xiP + c.alpha.reduce((s, a, j) => s + a * Math.sin(2 * (j + 1) * xiP), 0);
+}
+
+function tmForward(lat, lon, p) {
+    const c = tmCoefficients(p.ellipsoid);
+    const lambda = (lon - p.lon0) * DEG;
+    const tau = conformalTan(lat * DEG, c.e);
+    const xiP = Math.atan2(tau, Math.cos(lambda));
+    const etaP = Math.asinh(Math.sin(lambda) / Math.sqrt(tau * tau + Math.cos(lambda) ** 2));
+    let xi = xiP;
+    let eta = etaP;
+    c.alpha.forEach((a, j) => {
+        const k = 2 * (j + 1);
+        xi += a * Math.sin(k * xiP) * Math.cosh(k * etaP);
+        eta += a * Math.cos(k * xiP) * Math.sinh(k * etaP);
+    });
+    return { e: p.fe + p.k0 * c.A * eta, n: p.fn + p.k0 * c.A * (xi - tmXi0(p.lat0, c)) };
+}
+
+function tmInverse(easting, northing, p) {
+    const c = tmCoefficients(p.ellipsoid);
+    const xi = (northing - p.fn) / (p.k0 * c.A) + tmXi0(p.lat0, c);
+    const eta = (easting - p.fe) / (p.k0 * c.A);
+    let xiP = xi;
+    let etaP = eta;
+    c.beta.forEach((b, j) => {
+        const k = 2 * (j + 1);
+        xiP -= b * Math.sin(k * xi) * Math.cosh(k * eta);
+        etaP -= b * Math.cos(k * xi) * Math.sinh(k * eta);
+    });
+    const tauP = Math.sin(xiP) / Math.sqrt(Math.sinh(etaP) ** 2 + Math.cos(xiP) ** 2);
+    return {
+        lat: Math.atan(geodeticTan(tauP, c.e)) / DEG,
+        lon: p.lon0 + Math.atan2(Math.sinh(etaP), Math.cos(xiP)) / DEG
+    };
+}
+
+// ===== Lambert Conformal Conic, two standard parallels (Snyder 1987, eq. 15-1 to 15-11) =====
+
+function lccConstants(p) {
+    const { a, f } = ELLIPSOIDS[p.ellipsoid];
+    const e = Math.sqrt(f * (2 - f));
+    const m = phi => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+    const t = phi => Math.tan(Math.PI / 4 - phi / 2) / Math.pow((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi)), e / 2);
+    const [p1, p2, p0] = [p.lat1 * DEG, p.lat2 * DEG, p.lat0 * DEG];
+    const n = Math.abs(p1 - p2) < 1e-12 ? Math.sin(p1) : (Math.log(m(p1)) - Math.log(m(p2))) / (Math.log(t(p1)) - Math.log(t(p2)));
+    const F = m(p1) / (n * Math.pow(t(p1), n));
+    // k0 scales the ellipsoid (Michigan's 2SP variant, EPSG method 1051); aF is the scaled cone constant
+    const aF = a * (p.k0 || 1) * F;
+    return { e, n, aF, t, rho0: aF * Math.pow(t(p0), n) };
+}
+
+function lccForward(lat, lon, p) {
+    const k = lccConstants(p);
+    const rho = k.aF * Math.pow(k.t(lat * DEG), k.n);
+    const theta = k.n * (lon - p.lon0) * DEG;
+    return { e: p.fe + rho * Math.sin(theta), n: p.fn + k.rho0 - rho * Math.cos(theta) };
+}
+
+function lccInverse(easting, northing, p) {
+    const k = lccConstants(p);
+    const x = easting - p.fe;
+    const y = k.rho0 - (northing - p.fn);
+    const sign = Math.sign(k.n);
+    const rho = sign * Math.sqrt(x * x + y * y);
+    const theta = Math.atan2(sign * x, sign * y);
+    const t = Math.pow(rho / k.aF, 1 / k.n);
+    let phi = Math.PI / 2 - 2 * Math.atan(t);
+    for (let i = 0; i < 15; i++) {
+        const next = Math.PI / 2 - 2 * Math.atan(t * Math.pow((1 - k.e * Math.sin(phi)) / (1 + k.e * Math.sin(phi)), k.e / 2));
+        if (Math.abs(next - phi) < 1e-14) { phi = next; break; }
+        phi = next;
+    }
+    return { lat: phi / DEG, lon: p.lon0 + theta / k.n / DEG };
+}
+
+// ===== Grid <-> Geographic =====
+
+/**
+ * Converts grid coordinates (metres) to latitude/longitude for a projection definition.
+ * State Plane zones default to GRS80; UTM zones carry WGS84.
+ */
+function gridToGeographic(easting, northing, projection) {
+    const p = { ellipsoid: 'GRS80', ...projection };
+    return p.proj === 'lcc' ? lccInverse(easting, northing, p) : tmInverse(easting, northing, p);
+}
+
+/**
+ * Converts latitude/longitude to grid coordinates (metres) for a projection definition.
+ */
+function geographicToGrid(lat, lon, projection) {
+    const p = { ellipsoid: 'GRS80', ...projection };
+    return p.proj === 'lcc' ? lccForward(lat, lon, p) : tmForward(lat, lon, p);
+}
+
+/**
+ * The UTM zone containing a longitude (standard 6° zones, no Norway/Svalbard exceptions).
+ */
+function utmZoneForLongitude(lon) {
+    return Math.min(60, Math.max(1, Math.floor((lon + 180) / 6) + 1));
+}
+
+// ===== Vincenty Inverse =====
+
+/**
+ * Ellipsoidal distance and azimuths between two positions (Vincenty 1975 inverse).
+ * @returns {Object} { distance (metres), azimuth (initial, degrees clockwise from north) } or NaN values if it fails to converge (near-antipodal points).
+ */
+function vincentyInverse(from, to, ellipsoidName = 'WGS84') {
+    const { a, f } = ELLIPSOIDS[ellipsoidName];
+    const b = a * (1 - f);
+    const L = (to.lon - from.lon) * DEG;
+    const U1 = Math.atan((1 - f) * Math.tan(from.lat * DEG));
+    const U2 = Math.atan((1 - f) * Math.tan(to.lat * DEG));
+    const sinU1 = Math.sin(U1), cosU1 = Math.cos(U1);
+    const sinU2 = Math.sin(U2), cosU2 = Math.cos(U2);
+
+    let lambda = L;
+    let sinSigma, cosSigma, sigma, cosSqAlpha, cos2SigmaM, sinLambda, cosLambda;
+    for (let i = 0; i < 200; i++) {
+        sinLambda = Math.sin(lambda);
+        cosLambda = Math.cos(lambda);
+        sinSigma = Math.sqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2);
+        if (sinSigma === 0) return { distance: 0, azimuth: 0 }; // Coincident points
+        cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda;
+        sigma = Math.atan2(sinSigma, cosSigma);
+        const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma;
+        cosSqAlpha = 1 - sinAlpha * sinAlpha;
+        cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - 2 * sinU1 * sinU2 / cosSqAlpha : 0; // Equatorial line
+        const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha));
+        const prev = lambda;
+        lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM)));
+        if (Math.abs(lambda - prev) < 1e-12) {
+            const uSq = cosSqAlpha * (a * a - b * b) / (b * b);
+            const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)));
+            const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)));
+            const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (cosSigma * (-1 + 2 * cos2SigmaM * cos2SigmaM) -
+                B / 6 * cos2SigmaM * (-3 + 4 * sinSigma * sinSigma) * (-3 + 4 * cos2SigmaM * cos2SigmaM)));
+            const azimuth = Math.atan2(cosU2 * sinLambda, cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) / DEG;
+            return { distance: b * A * (sigma - deltaSigma), azimuth: (azimuth + 360) % 360 };
+        }
+    }
+    return { distance: NaN, azimuth: NaN };
+}
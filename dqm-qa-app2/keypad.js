@@ -0,0 +1,547 @@
+/**
+ * Quick Entry for DQM QA App 2: a large-button keypad, and optional dictation, for gloved use on deck.
+ * Steps through the number and time inputs of the open check in form order, skipping read-only
+ * (calculated) cells and hidden sections. It works from the rendered modal, so every check –
+ * built-in or from a check pack – gets it without declaring anything.
+ * Values are written to the inputs and announced with an 'input' event, so the usual
+ * calculation and saving (bindCheckInputs) run exactly as for typed values.
+ */
+
+const QUICK_ENTRY_STORAGE_KEY = 'dqm-qa-quick-entry'; // Per device: { enabled, autoAdvance, sound }
+const QUICK_ENTRY_FIELD_SELECTOR = 'input[type="number"]:not([readonly]), input[type="time"]:not([readonly])';
+
+let quickEntry = null; // While the keypad is open: { field, buffer, fresh, undo: [{ id, before, open }], recognition }
+let keypadAudio = null; // AudioContext for the confirmation tones, created on first use
+
+/**
+ * Reads the device's Quick Entry settings.
+ */
+function loadQuickEntrySettings() {
+    try {
+        return { enabled: false, autoAdvance: true, sound: true, ...JSON.parse(localStorage.getItem(QUICK_ENTRY_STORAGE_KEY)) };
+    } catch (e) {
+        return { enabled: false, autoAdvance: true, sound: true };
+    }
+}
+
+function saveQuickEntrySettings(changes) {
+    localStorage.setItem(QUICK_ENTRY_STORAGE_KEY, JSON.stringify({ ...loadQuickEntrySettings(), ...changes }));
+}
+
+// ===== Fields =====
+
+/**
+ * The inputs the keypad steps through, in form order: visible, editable number and time inputs.
+ * Recomputed at every step, as answers (e.g. a check method) show and hide sections.
+ */
+function getQuickEntryFields() {
+    const content = document.getElementById('modal-content');
+    if (!content) return [];
+    return Array.from(content.querySelectorAll(QUICK_ENTRY_FIELD_SELECTOR)).filter(el => !el.closest('.hidden'));
+}
+
+/**
+ * A readable name for an input: its section title, its label, and (for groups of unlabelled
+ * inputs, such as coordinates) its placeholder. E.g. 'Port Draghead · Man 2'.
+ */
+function getQuickEntryFieldName(el) {
+    const section = el.closest('#modal-content > div');
+    const title = section?.querySelector(':scope > h3')?.textContent.trim();
+    const group = el.closest('.form-group');
+    const label = group?.querySelector('label')?.textContent.trim();
+    const shared = group && group.querySelectorAll(QUICK_ENTRY_FIELD_SELECTOR).length > 1;
+    const parts = [title, label, shared || !label ? el.placeholder : ''].filter(s => s);
+    return parts.length ? parts.join(' · ') : el.id;
+}
+
+/**
+ * Number of decimals the input's step allows (0 for whole numbers or 'any').
+ */
+function getFieldDecimals(el) {
+    const step = el.getAttribute('step') || '';
+    return step.includes('.') ? step.split('.')[1].length : 0;
+}
+
+/**
+ * Formats the digits typed into a time field as HH:MM:SS (as far as they go).
+ */
+function formatTimeDigits(digits) {
+    return (digits.match(/\d{1,2}/g) || []).join(':');
+}
+
+/**
+ * Writes a value to an input as if it had been typed, and records the previous value for undo.
+ */
+function setQuickEntryValue(el, value) {
+    if (el.value === value) return;
+    const last = quickEntry.undo[quickEntry.undo.length - 1];
+    if (!last || last.id !== el.id || !last.open) quickEntry.undo.push({ id: el.id, before: el.value, open: true });
+    el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// ===== Keypad =====
+
+/**
+ * Opens the keypad on the open check, at the first empty field (or the first field).
+ * @param {Element} field - Optional: start at this input.
+ */
+function openQuickEntry(field) {
+    const fields = getQuickEntryFields();
+    if (fields.length === 0) {
+        showToast('This check has no number fields to enter.', 'warning');
+        return;
+    }
+    saveQuickEntrySettings({ enabled: true });
+    if (!quickEntry) quickEntry = { field: null, buffer: '', fresh: true, undo: [], recognition: null };
+    // Keep the phone keyboard away while the keypad types
+    fields.forEach(el => el.setAttribute('inputmode', 'none'));
+    document.getElementById('keypad-panel').classList.remove('hidden');
+    document.getElementById('modal-keypad-btn').classList.add('active');
+    const settings = loadQuickEntrySettings();
+    document.getElementById('keypad-auto-advance').checked = settings.autoAdvance;
+    document.getElementById('keypad-sound').checked = settings.sound;
+    document.getElementById('keypad-voice-btn').classList.toggle('hidden', !getSpeechRecognition());
+    selectQuickEntryField(field || fields.find(el => el.value === '') || fields[0]);
+}
+
+/**
+ * Hides the keypad and stops dictation.
+ * @param {boolean} remember - Also turn the keypad off for the next check (false when the modal just closes).
+ */
+function closeQuickEntry(remember = true) {
+    if (remember) saveQuickEntrySettings({ enabled: false });
+    if (!quickEntry) return;
+    stopDictation();
+    document.querySelectorAll('#modal-content .keypad-active').forEach(el => el.classList.remove('keypad-active'));
+    document.querySelectorAll('#modal-content [inputmode="none"]').forEach(el => el.removeAttribute('inputmode'));
+    document.getElementById('keypad-panel').classList.add('hidden');
+    document.getElementById('modal-keypad-btn').classList.remove('active');
+    quickEntry = null;
+}
+
+/**
+ * Makes an input the keypad's target: the next key replaces its value, backspace edits it.
+ */
+function selectQuickEntryField(el) {
+    if (!quickEntry || !el) return;
+    quickEntry.field?.classList.remove('keypad-active');
+    const last = quickEntry.undo[quickEntry.undo.length - 1];
+    if (last) last.open = false; // Entries on a new visit undo separately
+    quickEntry.field = el;
+    quickEntry.buffer = el.type === 'time' ? el.value.replace(/\D/g, '') : el.value;
+    quickEntry.fresh = true;
+    el.classList.add('keypad-active');
+    el.setAttribute('inputmode', 'none');
+    el.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+    renderQuickEntryDisplay();
+}
+
+/**
+ * Moves to the next (or previous) field.
+ * @returns {boolean} false at the end of the form.
+ */
+function stepQuickEntry(delta) {
+    const fields = getQuickEntryFields();
+    const next = fields[fields.indexOf(quickEntry.field) + delta];
+    if (!next) {
+        if (delta > 0) showToast('Last field of this check reached.');
+        return false;
+    }
+    selectQuickEntryField(next);
+    return true;
+}
+
+function renderQuickEntryDisplay() {
+    const el = quickEntry.field;
+    const fields = getQuickEntryFields();
+    const isTime = el.type === 'time';
+    document.getElementById('keypad-field').textContent = getQuickEntryFieldName(el);
+    document.getElementById('keypad-progress').textContent = `${fields.indexOf(el) + 1} / ${fields.length}`;
+    document.getElementById('keypad-value').textContent = (isTime ? formatTimeDigits(quickEntry.buffer) : quickEntry.buffer) || '–';
+    document.getElementById('keypad-value').classList.toggle('fresh', quickEntry.fresh && quickEntry.buffer !== '');
+    // A time has no decimals or sign, but can be stamped
+    document.querySelector('#keypad-panel [data-key="."]').classList.toggle('hidden', isTime);
+    document.querySelector('#keypad-panel [data-key="now"]').classList.toggle('hidden', !isTime);
+    document.querySelector('#keypad-panel [data-key="sign"]').disabled = isTime;
+    document.querySelector('#keypad-panel [data-key="undo"]').disabled = quickEntry.undo.length === 0;
+}
+
+/**
+ * Writes the typed buffer to the field. Number inputs only accept complete numbers, so a trailing
+ * point or a lone minus is held back until the next key; a time needs its hours and minutes.
+ */
+function applyQuickEntryBuffer() {
+    const el = quickEntry.field;
+    const buffer = quickEntry.buffer;
+    let value;
+    if (el.type === 'time') {
+        if (buffer.length !== 0 && buffer.length !== 4 && buffer.length !== 6) return;
+        value = formatTimeDigits(buffer);
+    } else {
+        value = buffer.replace(/\.$/, '');
+        if (value === '-') value = '';
+    }
+    setQuickEntryValue(el, value);
+}
+
+/**
+ * Handles one keypad button.
+ * @param {string} key - A digit, '.', 'sign', 'back', 'clear', 'now', 'undo', 'prev' or 'next'.
+ */
+function pressQuickEntryKey(key) {
+    if (!quickEntry?.field) return;
+    const el = quickEntry.field;
+    keypadFeedback('key');
+
+    if (key === 'prev' || key === 'next') {
+        if (stepQuickEntry(key === 'next' ? 1 : -1)) keypadFeedback('advance');
+        return;
+    }
+    if (key === 'undo') {
+        undoQuickEntry();
+        return;
+    }
+    if (key === 'now') {
+        const now = new Date();
+        quickEntry.buffer = [now.getHours(), now.getMinutes(), now.getSeconds()].map(n => String(n).padStart(2, '0')).join('');
+    } else if (key === 'clear') {
+        quickEntry.buffer = '';
+    } else if (key === 'back') {
+        quickEntry.buffer = quickEntry.buffer.slice(0, -1);
+    } else if (key === 'sign') {
+        quickEntry.buffer = quickEntry.buffer.startsWith('-') ? quickEntry.buffer.slice(1) : `-${quickEntry.buffer}`;
+    } else {
+        // The first key on a field replaces its value
+        let buffer = quickEntry.fresh ? '' : quickEntry.buffer;
+        if (key === '.') {
+            if (buffer.includes('.')) return;
+            buffer = buffer.replace(/^(-?)$/, '$10') + '.';
+        } else if (el.type === 'time') {
+            if (buffer.length >= 6) return;
+            buffer += key;
+        } else {
+            buffer = buffer.replace(/^(-?)0$/, '$1') + key; // No leading zeros
+        }
+        quickEntry.buffer = buffer;
+    }
+    quickEntry.fresh = false;
+    applyQuickEntryBuffer();
+    renderQuickEntryDisplay();
+
+    // Auto-advance once the value is complete: all the decimals the field takes, or a time to the second
+    if (!loadQuickEntrySettings().autoAdvance) return;
+    const buffer = quickEntry.buffer;
+    const decimals = getFieldDecimals(el);
+    const complete = el.type === 'time'
+        ? buffer.length === 6
+        : decimals > 0 && buffer.includes('.') && buffer.split('.')[1].length >= decimals;
+    if (complete && stepQuickEntry(1)) keypadFeedback('advance');
+}
+
+/**
+ * Puts back the value the last change replaced, and returns to that field.
+ */
+function undoQuickEntry() {
+    const last = quickEntry.undo.pop();
+    if (!last) return;
+    const el = document.getElementById(last.id);
+    if (el) {
+        el.value = last.before;
+        el.dispatchEvent(new Event('input', { bubbles: true }));
+        selectQuickEntryField(el);
+    }
+    renderQuickEntryDisplay();
+    keypadFeedback('undo');
+}
+
+/**
+ * Confirms a key, an advance to the next field, or a problem with a vibration and (if on) a tone.
+ * @param {string} kind - 'key', 'advance', 'undo' or 'error'.
+ */
+function keypadFeedback(kind) {
+    const pattern = { key: 10, advance: [20, 40, 20], undo: 30, error: [60, 40, 60] }[kind];
+    if (navigator.vibrate) navigator.vibrate(pattern);
+    if (kind === 'key' || !loadQuickEntrySettings().sound) return;
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return;
+    try {
+        if (!keypadAudio) keypadAudio = new AudioCtx();
+        const ctx = keypadAudio;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+        osc.frequency.value = { advance: 880, undo: 520, error: 220 }[kind];
+        gain.gain.value = 0.15;
+        osc.connect(gain).connect(ctx.destination);
+        osc.start();
+        osc.stop(ctx.currentTime + (kind === 'error' ? 0.25 : 0.08));
+    } catch (e) {
+        console.warn('Keypad tone unavailable:', e);
+    }
+}
+
+// ===== Dictation =====
+// Phrases name a field and give its value: "port manual twelve point four", "dqm two 12.38",
+// "port dqm reading three eleven point oh five". A bare value ("twelve point four") fills the selected field.
+// "next", "back", "undo" and "clear" work as the keys do.
+
+const SPOKEN_NUMBERS = {
+    zero: 0, oh: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+/**
+ * Spoken and written forms of the same word, so "starboard" matches a 'Stbd' label.
+ */
+const SPOKEN_SYNONYMS = {
+    starboard: 'stbd', man: 'manual', fwd: 'forward', front: 'forward', centre: 'center',
+    minus: '-', negative: '-', dot: 'point', decimal: 'point'
+};
+
+// Homophones of numbers ("to", "for") are ordinary words here: read as digits they would turn
+// "port manual to twelve point four" into 212.4 without any warning
+const SPOKEN_FILLERS = ['the', 'is', 'at', 'of', 'and', 'to', 'for', 'set', 'it', 'equals', 'value', 'feet', 'foot', 'ft', 'degrees', 'knots', 'seconds'];
+
+/**
+ * Splits a phrase (or a label) into lower-case words, with synonyms folded and "d q m" joined.
+ */
+function spokenWords(text) {
+    return String(text || '').toLowerCase()
+        .replace(/\bd\.?\s*q\.?\s*m\b\.?/g, 'dqm')
+        .replace(/(^|\s)-(?=\d)/g, '$1- ')
+        .replace(/[^a-z0-9.\-\s]/g, ' ')
+        .split(/\s+/)
+        .map(w => w.replace(/^\.+|\.+$/g, ''))
+        .filter(w => w)
+        .map(w => SPOKEN_SYNONYMS[w] || w);
+}
+
+function isSpokenNumber(word) {
+    return word in SPOKEN_NUMBERS || word === 'hundred' || word === 'thousand' || /^\d+(\.\d+)?$/.test(word);
+}
+
+/**
+ * Reads a spoken whole number: "twelve", "one hundred five", "one thousand two hundred", "forty two",
+ * or digits said one by one ("one two"). A scale word multiplies only the group said since the last
+ * one, and a scale word out of order ("hundred thousand hundred") makes the words not a number.
+ * @returns {number} NaN when the words are not a number.
+ */
+function parseSpokenInteger(words) {
+    let thousands = 0; // Completed "... thousand"
+    let group = 0;     // Said since the last "thousand"
+    let last = null;   // 'unit', 'teen', 'tens', 'hundred' or 'thousand'
+    for (const word of words) {
+        const afterScale = last === 'hundred' || last === 'thousand';
+        if (/^\d+$/.test(word)) {
+            group = last && !afterScale ? Number(`${group}${word}`) : group + Number(word);
+            last = 'unit';
+        } else if (word === 'hundred') {
+            if (afterScale || group >= 100) return NaN;
+            group = (group || 1) * 100;
+            last = 'hundred';
+        } else if (word === 'thousand') {
+            if (last === 'thousand' || thousands) return NaN;
+            thousands = (group || 1) * 1000;
+            group = 0;
+            last = 'thousand';
+        } else if (word in SPOKEN_NUMBERS) {
+            const n = SPOKEN_NUMBERS[word];
+            const kind = n < 10 ? 'unit' : n < 20 ? 'teen' : 'tens';
+            if (kind === 'unit' && last === 'tens') group += n;
+            else if (kind === 'unit' && (last === 'unit' || last === 'teen')) group = group * 10 + n;
+            else if (kind !== 'unit' && last && !afterScale) group = group * 100 + n;
+            else group += n;
+            last = kind;
+        } else {
+            return NaN;
+        }
+    }
+    return last ? thousands + group : NaN;
+}
+
+/**
+ * Reads the digits after "point": said one by one ("four five") or in pairs ("forty five", "oh five").
+ */
+function parseSpokenFraction(words) {
+    let digits = '';
+    let tens = false; // After "twenty".."ninety" a digit replaces the 0: "forty five" is 45, not 405
+    for (const word of words) {
+        if (/^\d+$/.test(word)) {
+            digits += word;
+            tens = false;
+            continue;
+        }
+        if (!(word in SPOKEN_NUMBERS)) return '';
+        const n = SPOKEN_NUMBERS[word];
+        digits = tens && n > 0 && n < 10 ? digits.slice(0, -1) + n : digits + n;
+        tens = n >= 20;
+    }
+    return digits;
+}
+
+/**
+ * Splits a dictated phrase into the words naming the field, an optional reading number and the value.
+ * @returns {Object} { words: [...], reading: number|null, value: number|null }
+ */
+function parseDictation(transcript) {
+    const words = spokenWords(transcript).filter(w => !SPOKEN_FILLERS.includes(w));
+    const descriptor = [];
+    let reading = null;
+    let i = 0;
+    while (i < words.length) {
+        const word = words[i];
+        if ((word === 'reading' || word === 'number') && !isNaN(parseSpokenInteger([words[i + 1] || '']))) {
+            reading = parseSpokenInteger([words[i + 1]]);
+            i += 2;
+        } else if (isSpokenNumber(word) || word === '-' || word === 'point') {
+            break;
+        } else {
+            descriptor.push(word);
+            i++;
+        }
+    }
+
+    let valueWords = words.slice(i);
+    // "dqm 2 12.38" or "dqm two 12.38": a lone number straight after the field's name is its reading number
+    if (descriptor.length && reading === null && valueWords.length >= 2 && /^\d/.test(valueWords[1]) && (/^\d+$/.test(valueWords[0]) || SPOKEN_NUMBERS[valueWords[0]] < 10)) {
+        reading = parseSpokenInteger([valueWords[0]]);
+        valueWords = valueWords.slice(1);
+    }
+    const negative = valueWords[0] === '-';
+    if (negative) valueWords = valueWords.slice(1);
+    const pointAt = valueWords.indexOf('point');
+    const whole = pointAt === -1 ? valueWords : valueWords.slice(0, pointAt);
+
+    let value;
+    if (whole.length === 1 && /^\d+\.\d+$/.test(whole[0]) && pointAt === -1) {
+        value = Number(whole[0]);
+    } else {
+        const integer = whole.length ? parseSpokenInteger(whole) : 0;
+        const fraction = pointAt === -1 ? '' : parseSpokenFraction(valueWords.slice(pointAt + 1));
+        value = isNaN(integer) || (pointAt !== -1 && !fraction) || valueWords.length === 0 ? null : Number(`${integer}.${fraction || 0}`);
+    }
+    if (value !== null && negative) value = -value;
+    return { words: descriptor, reading, value };
+}
+
+/**
+ * Picks the field a dictated phrase names: every word must appear in the field's name (and the
+ * reading number, if given). Among several matches – Man 1, Man 2, Man 3 – the first empty one wins.
+ * @returns {Element|null}
+ */
+function matchDictatedField(fields, words, reading) {
+    const candidates = fields.filter(el => el.type === 'number').filter(el => {
+        const nameWords = spokenWords(getQuickEntryFieldName(el));
+        if (reading !== null && !nameWords.includes(String(reading))) return false;
+        return words.every(w => nameWords.includes(w));
+    });
+    return candidates.find(el => el.value === '') || (candidates.includes(quickEntry.field) ? quickEntry.field : candidates[0]) || null;
+}
+
+/**
+ * Acts on one recognised phrase.
+ */
+function handleDictation(transcript) {
+    if (!quickEntry) return;
+    document.getElementById('keypad-heard').textContent = `“${transcript.trim()}”`;
+    const command = spokenWords(transcript).join(' ');
+    const commands = { next: 'next', skip: 'next', back: 'prev', previous: 'prev', undo: 'undo', clear: 'clear' };
+    if (commands[command]) {
+        pressQuickEntryKey(commands[command]);
+        return;
+    }
+
+    const { words, reading, value } = parseDictation(transcript);
+    const target = words.length || reading !== null ? matchDictatedField(getQuickEntryFields(), words, reading) : quickEntry.field;
+    let problem = null;
+    if (value === null) problem = `No value heard in “${transcript.trim()}”.`;
+    else if (!target) problem = `No field matches “${words.join(' ')}”.`;
+    else if (target.type !== 'number') problem = 'Times are entered with the keypad (or its Now key).';
+    if (problem) {
+        keypadFeedback('error');
+        showToast(problem, 'warning');
+        return;
+    }
+    selectQuickEntryField(target);
+    setQuickEntryValue(target, String(value));
+    quickEntry.buffer = target.value;
+    renderQuickEntryDisplay();
+    keypadFeedback('advance');
+    if (loadQuickEntrySettings().autoAdvance) stepQuickEntry(1);
+}
+
+function getSpeechRecognition() {
+    return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+/**
+ * Starts or stops listening. Recognition runs until stopped; browsers that end it after a pause are restarted.
+ */
+function toggleDictation() {
+    if (!quickEntry) return;
+    if (quickEntry.recognition) {
+        stopDictation();
+        return;
+    }
+    const Recognition = getSpeechRecognition();
+    if (!Recognition) {
+        showToast('Dictation is not supported in this browser.', 'warning');
+        return;
+    }
+    const recognition = new Recognition();
+    recognition.lang = 'en-US';
+    recognition.continuous = true;
+    recognition.interimResults = false;
+    recognition.onresult = (e) => {
+        const result = e.results[e.results.length - 1];
+        if (result.isFinal) handleDictation(result[0].transcript);
+    };
+    recognition.onerror = (e) => {
+        if (e.error === 'no-speech' || e.error === 'aborted') return;
+        showToast(e.error === 'not-allowed' ? 'Microphone access was refused.' : `Dictation stopped: ${e.error}`, 'error');
+        stopDictation();
+    };
+    recognition.onend = () => {
+        if (quickEntry?.recognition === recognition) recognition.start();
+    };
+    quickEntry.recognition = recognition;
+    recognition.start();
+    document.getElementById('keypad-voice-btn').classList.add('active');
+    document.getElementById('keypad-heard').textContent = 'Listening…';
+}
+
+function stopDictation() {
+    const recognition = quickEntry?.recognition;
+    if (!recognition) return;
+    quickEntry.recognition = null;
+    recognition.stop();
+    document.getElementById('keypad-voice-btn').classList.remove('active');
+    document.getElementById('keypad-heard').textContent = '';
+}
+
+// ===== Wiring =====
+
+/**
+ * Binds the keypad's buttons and settings. Called once from initializeApp().
+ */
+function initQuickEntry() {
+    document.getElementById('modal-keypad-btn').addEventListener('click', () => {
+        if (quickEntry) closeQuickEntry();
+        else openQuickEntry();
+    });
+    document.querySelectorAll('#keypad-panel [data-key]').forEach(btn => {
+        btn.addEventListener('click', () => pressQuickEntryKey(btn.dataset.key));
+    });
+    document.getElementById('keypad-close-btn').addEventListener('click', () => closeQuickEntry());
+    document.getElementById('keypad-voice-btn').addEventListener('click', toggleDictation);
+    document.getElementById('keypad-auto-advance').addEventListener('change', (e) => saveQuickEntrySettings({ autoAdvance: e.target.checked }));
+    document.getElementById('keypad-sound').addEventListener('change', (e) => saveQuickEntrySettings({ sound: e.target.checked }));
+
+    // Tapping a field while the keypad is open makes it the keypad's target
+    document.getElementById('modal-content').addEventListener('click', (e) => {
+        if (quickEntry && e.target.matches?.(QUICK_ENTRY_FIELD_SELECTOR) && !e.target.closest('.hidden')) {
+            selectQuickEntryField(e.target);
+        }
+    });
+}
@@ -0,0 +1,162 @@
+/**
+ * schema.js — DQM QA Check
+ * The versioned export file format, the migrations that bring older files up to it, and its validation.
+ *
+ * Schema versions:
+ *   0 – a raw appState backup (plants, timeline and header fields at the top level).
+ *   1 – { metadata: { plants, checkDate, weather, qaTeamMembers, systemProvider, timeline, ... } },
+ *       as exported before files were labelled.
+ *   2 – version 1 with "action": "dqmQaLogExport", "schemaVersion" and the exporting "appVersion".
+ * When the format changes, bump EXPORT_SCHEMA_VERSION and add a step to exportMigrations that
+ * upgrades the previous version. Steps must leave plants and timeline as they are: the export's
+ * seal (../dqm-shared/export-integrity.js) hashes them.
+ */
+
+const EXPORT_FILE_ACTION = 'dqmQaLogExport'; // Identifies a QA export (the Trip Report checks it)
+const EXPORT_SCHEMA_VERSION = 2;
+
+/**
+ * Upgrade steps, keyed by the version they upgrade from. Each returns a new file one version up.
+ */
+const exportMigrations = {
+    0: (raw) => ({
+        metadata: {
+            plants: raw.plants,
+            checkDate: raw.checkDate,
+            weather: raw.weatherConditions,
+            qaTeamMembers: typeof raw.qaTeam === 'string' ? raw.qaTeam.split(',').map(s => s.trim()).filter(s => s) : raw.qaTeam,
+            systemProvider: raw.systemProvider,
+            timeline: raw.timeline,
+            generalComments: raw.generalComments
+        }
+    }),
+    1: (file) => ({
+        action: EXPORT_FILE_ACTION,
+        schemaVersion: 2,
+        appVersion: '', // Not recorded by version 1 files
+        ...file
+    })
+};
+
+/**
+ * Works out which schema version a parsed file is in. Throws when it is not a QA export at all.
+ */
+function detectExportSchemaVersion(parsed) {
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('The file must contain a JSON object.');
+    }
+    if (parsed.schemaVersion !== undefined) {
+        if (!Number.isInteger(parsed.schemaVersion) || parsed.schemaVersion < 1) {
+            throw new Error(`"schemaVersion" must be a whole number of 1 or more (found ${JSON.stringify(parsed.schemaVersion)}).`);
+        }
+        return parsed.schemaVersion;
+    }
+    if (parsed.action !== undefined && parsed.action !== EXPORT_FILE_ACTION) {
+        throw new Error(`This is not a QA export ("action" is "${parsed.action}").`);
+    }
+    if (parsed.metadata && typeof parsed.metadata === 'object') return 1;
+    if (Array.isArray(parsed.plants) || parsed.checkDate !== undefined) return 0;
+    throw new Error('This is not a QA export: it has no "metadata" (or "plants").');
+}
+
+/**
+ * Brings a parsed file up to the current schema, one version at a time.
+ * @returns {Object} { file, fromVersion }
+ */
+function migrateExportFile(parsed) {
+    const fromVersion = detectExportSchemaVersion(parsed);
+    if (fromVersion > EXPORT_SCHEMA_VERSION) {
+        throw new Error(`This file was exported by a newer version of the app (schema ${fromVersion}; this version reads up to ${EXPORT_SCHEMA_VERSION}). Update the app and try again.`);
+    }
+    let file = parsed;
+    for (let version = fromVersion; version < EXPORT_SCHEMA_VERSION; version++) {
+        file = exportMigrations[version](file);
+    }
+    return { file, fromVersion };
+}
+
+/**
+ * Checks a current-schema file field by field.
+ * @returns {Array<string>} One message per problem, naming the field (e.g. 'metadata.plants[1].vesselType must be text.').
+ */
+function validateExportFile(file) {
+    const problems = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const expectText = (value, path, required) => {
+        if (value === undefined || value === null) {
+            if (required) problems.push(`${path} is missing.`);
+        } else if (typeof value !== 'string') {
+            problems.push(`${path} must be text (found ${Array.isArray(value) ? 'a list' : typeof value}).`);
+        }
+    };
+
+    if (file.action !== EXPORT_FILE_ACTION) problems.push(`action must be "${EXPORT_FILE_ACTION}".`);
+    const m = file.metadata;
+    if (!isObject(m)) {
+        problems.push('metadata must be an object.');
+        return problems;
+    }
+
+    ['checkDate', 'weather', 'systemProvider', 'generalComments', 'exportedAt'].forEach(key => expectText(m[key], `metadata.${key}`, false));
+    if (m.qaTeamMembers !== undefined && !(Array.isArray(m.qaTeamMembers) && m.qaTeamMembers.every(n => typeof n === 'string'))) {
+        problems.push('metadata.qaTeamMembers must be a list of names.');
+    }
+
+    if (!Array.isArray(m.plants)) {
+        problems.push('metadata.plants must be a list.');
+    } else {
+        m.plants.forEach((p, idx) => {
+            const path = `metadata.plants[${idx}]`;
+            if (!isObject(p)) {
+                problems.push(`${path} must be an object.`);
+                return;
+            }
+            ['name', 'vesselType', 'profile'].forEach(key => expectText(p[key], `${path}.${key}`, false));
+            if (p.checks !== undefined && !isObject(p.checks)) problems.push(`${path}.checks must be an object.`);
+            else Object.entries(p.checks || {}).forEach(([type, data]) => {
+                if (!isObject(data)) problems.push(`${path}.checks.${type} must be an object.`);
+            });
+        });
+    }
+
+    if (m.timeline !== undefined && !Array.isArray(m.timeline)) {
+        problems.push('metadata.timeline must be a list.');
+    } else {
+        (m.timeline || []).forEach((entry, idx) => {
+            const path = `metadata.timeline[${idx}]`;
+            if (!isObject(entry)) {
+                problems.push(`${path} must be an object.`);
+                return;
+            }
+            expectText(entry.time, `${path}.time`, true);
+            expectText(entry.activity, `${path}.activity`, true);
+            expectText(entry.notes, `${path}.notes`, false);
+            // Not checked against the plant count: removing a plant can leave entries that refer past the end
+            if (entry.plantIdx !== undefined && !(Number.isInteger(entry.plantIdx) && entry.plantIdx >= 0)) {
+                problems.push(`${path}.plantIdx must be a plant number (found ${JSON.stringify(entry.plantIdx)}).`);
+            }
+            expectText(entry.checkType, `${path}.checkType`, false);
+            if (entry.data !== undefined && !isObject(entry.data)) problems.push(`${path}.data must be an object.`);
+        });
+    }
+
+    if (m.auditTrail !== undefined && !Array.isArray(m.auditTrail)) problems.push('metadata.auditTrail must be a list.');
+    if (m.checkNames !== undefined && !isObject(m.checkNames)) problems.push('metadata.checkNames must be an object.');
+    return problems;
+}
+
+/**
+ * Reads a parsed file of any schema version: migrates it, then validates it.
+ * Throws an Error listing every problem found.
+ * @returns {Object} { file (current schema), fromVersion }
+ */
+function readExportFile(parsed) {
+    const result = migrateExportFile(parsed);
+    const problems = validateExportFile(result.file);
+    if (problems.length > 0) {
+        const shown = problems.slice(0, 20);
+        if (problems.length > shown.length) shown.push(`…and ${problems.length - shown.length} more.`);
+        throw new Error(shown.join('\n'));
+    }
+    return result;
+}
@@ -0,0 +1,426 @@
+/**
+ * storage.js — DQM QA Check
+ * IndexedDB persistence for audit sessions, their drafts and photos.
+ *
+ * Each audit session has a record in the 'sessions' store (name, dates, archive flag, list summary).
+ * Its draft is split into independent records ('header', 'plants', 'timeline', 'audit'), keyed
+ * '<sessionId>/<record>', so a save only rewrites the records that changed and never touches
+ * another session. Photos are stored once as Blobs in their own object store; the application
+ * state only carries a short reference string for each.
+ */
+
+const DRAFT_DB_NAME = 'dqm-qa-app2';
+const DRAFT_DB_VERSION = 2;
+const DRAFT_RECORD_KEYS = ['header', 'plants', 'timeline', 'audit'];
+const LEGACY_DRAFT_KEY = 'dqm-window-qa-draft'; // Pre-IndexedDB localStorage key
+const ACTIVE_SESSION_KEY = 'dqm-qa-active-session';
+const PHOTO_REF_PREFIX = 'idb-photo:';
+
+let draftDbPromise = null;
+const photoUrlCache = {}; // ref -> object URL, so previews don't re-read the blob
+
+/**
+ * Generates a short, sortable unique ID for sessions and photos.
+ */
+function generateStorageId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Builds the draft store key for one record of a session.
+ */
+function draftRecordKey(sessionId, recordKey) {
+    return `${sessionId}/${recordKey}`;
+}
+
+/**
+ * Returns a fresh session record.
+ */
+function newSessionRecord(name) {
+    const now = new Date().toISOString();
+    return { id: generateStorageId(), name, createdAt: now, updatedAt: now, archived: false, summary: {} };
+}
+
+/**
+ * Opens (and on first use creates or upgrades) the IndexedDB database.
+ * Version 1 held a single unscoped draft; version 2 moves it into a session of its own.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDraftDb() {
+    if (draftDbPromise) return draftDbPromise;
+    draftDbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported in this browser.'));
+            return;
+        }
+        const req = indexedDB.open(DRAFT_DB_NAME, DRAFT_DB_VERSION);
+        req.onupgradeneeded = (event) => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains('draft')) db.createObjectStore('draft');
+            if (!db.objectStoreNames.contains('photos')) db.createObjectStore('photos');
+
+            if (event.oldVersion < 2) {
+                const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                if (event.oldVersion >= 1) {
+                    const draft = req.transaction.objectStore('draft');
+                    const session = newSessionRecord('Current Audit');
+                    let moved = false;
+                    DRAFT_RECORD_KEYS.forEach(key => {
+                        draft.get(key).onsuccess = (e) => {
+                            if (e.target.result === undefined) return;
+                            if (!moved) {
+                                moved = true;
+                                sessions.put(session);
+                                localStorage.setItem(ACTIVE_SESSION_KEY, session.id);
+                            }
+                            draft.put(e.target.result, draftRecordKey(session.id, key));
+                            draft.delete(key);
+                        };
+                    });
+                }
+            }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    return draftDbPromise;
+}
+
+/**
+ * Runs a transaction and resolves with the result of the request built by `fn`.
+ * @param {string|string[]} storeNames - 'draft', 'photos', 'sessions' (or several).
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} fn - Receives the object store (or the transaction, for several stores), returns an IDBRequest (or nothing).
+ */
+async function idbTransaction(storeNames, mode, fn) {
+    const db = await openDraftDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const req = fn(Array.isArray(storeNames) ? tx : tx.objectStore(storeNames));
+        tx.oncomplete = () => resolve(req ? req.result : undefined);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// ===== Sessions =====
+
+/**
+ * @returns {string|null} The ID of the session last opened on this device.
+ */
+function getActiveSessionId() {
+    return localStorage.getItem(ACTIVE_SESSION_KEY);
+}
+
+/**
+ * Remembers which session to open on the next load.
+ */
+function setActiveSessionId(id) {
+    localStorage.setItem(ACTIVE_SESSION_KEY, id);
+}
+
+/**
+ * Lists every session record, most recently updated first.
+ * @returns {Promise<Object[]>}
+ */
+async function listSessions() {
+    const sessions = await idbTransaction('sessions', 'readonly', store => store.getAll());
+    return sessions.sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+/**
+ * @returns {Promise<Object|null>} The session record, or null if it doesn't exist.
+ */
+async function getSession(id) {
+    if (!id) return null;
+    return (await idbTransaction('sessions', 'readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Creates an empty session.
+ * @returns {Promise<Object>} The new session record.
+ */
+async function createSession(name) {
+    const session = newSessionRecord(name);
+    await idbTransaction('sessions', 'readwrite', store => store.put(session));
+    return session;
+}
+
+/**
+ * Applies a partial update (name, archived, ...) to a session record.
+ */
+async function updateSession(id, patch) {
+    await idbTransaction('sessions', 'readwrite', store => {
+        store.get(id).onsuccess = (e) => {
+            if (e.target.result) store.put({ ...e.target.result, ...patch });
+        };
+    });
+}
+
+/**
+ * Copies a session and all of its draft records under a new ID.
+ * Photo references are shared; a photo is only deleted once no session references it.
+ * @returns {Promise<Object>} The new session record.
+ */
+async function duplicateSession(id, name) {
+    const source = await getSession(id);
+    if (!source) throw new Error(`Session ${id} not found`);
+    const records = (await readDraftRecords(id)) || {};
+    const copy = { ...newSessionRecord(name), summary: source.summary || {} };
+    await idbTransaction(['sessions', 'draft'], 'readwrite', tx => {
+        tx.objectStore('sessions').put(copy);
+        Object.entries(records).forEach(([key, value]) => tx.objectStore('draft').put(value, draftRecordKey(copy.id, key)));
+    });
+    return copy;
+}
+
+/**
+ * Deletes a session record and its draft records.
+ */
+async function deleteSession(id) {
+    await idbTransaction(['sessions', 'draft'], 'readwrite', tx => {
+        tx.objectStore('sessions').delete(id);
+        DRAFT_RECORD_KEYS.forEach(key => tx.objectStore('draft').delete(draftRecordKey(id, key)));
+    });
+}
+
+/**
+ * Empties a session's draft while keeping the session itself.
+ * @param {Array} keepKeys - Draft records to leave in place (e.g. the append-only 'audit' history).
+ */
+async function clearSessionRecords(id, keepKeys = []) {
+    await idbTransaction('draft', 'readwrite', store => {
+        DRAFT_RECORD_KEYS.filter(key => !keepKeys.includes(key)).forEach(key => store.delete(draftRecordKey(id, key)));
+    });
+}
+
+/**
+ * Picks the session to open: the remembered one if it still exists, otherwise the most
+ * recently updated non-archived session, otherwise a new one.
+ * @returns {Promise<Object>} The session record.
+ */
+async function resolveActiveSession() {
+    let session = await getSession(getActiveSessionId());
+    if (!session) {
+        session = (await listSessions()).find(s => !s.archived) || await createSession('New Audit');
+    }
+    setActiveSessionId(session.id);
+    return session;
+}
+
+// ===== Drafts =====
+
+/**
+ * Reads all draft records of a session.
+ * @returns {Promise<Object|null>} { header, plants, timeline, audit } or null if the session has no draft yet.
+ */
+async function readDraftRecords(sessionId) {
+    const db = await openDraftDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('draft', 'readonly');
+        const store = tx.objectStore('draft');
+        const result = {};
+        DRAFT_RECORD_KEYS.forEach(key => {
+            store.get(draftRecordKey(sessionId, key)).onsuccess = (e) => {
+                if (e.target.result !== undefined) result[key] = e.target.result;
+            };
+        });
+        tx.oncomplete = () => resolve(Object.keys(result).length ? result : null);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Writes a set of draft records, and updates the session record, in one transaction.
+ * @param {string} sessionId - The owning session.
+ * @param {Object} records - e.g. { plants: [...], timeline: [...] }
+ * @param {Object} sessionPatch - Fields merged into the session record (updatedAt, summary).
+ */
+async function writeDraftRecords(sessionId, records, sessionPatch = {}) {
+    await idbTransaction(['draft', 'sessions'], 'readwrite', tx => {
+        const draft = tx.objectStore('draft');
+        const sessions = tx.objectStore('sessions');
+        Object.entries(records).forEach(([key, value]) => draft.put(value, draftRecordKey(sessionId, key)));
+        sessions.get(sessionId).onsuccess = (e) => {
+            if (e.target.result) {
+                sessions.put({ ...e.target.result, updatedAt: new Date().toISOString(), ...sessionPatch });
+            }
+        };
+    });
+}
+
+/**
+ * One-time move of a pre-IndexedDB draft out of localStorage into a session of its own.
+ * Inline photos are moved into the photo store. The localStorage key is only removed once
+ * its contents are safely written.
+ */
+async function migrateLegacyDraft() {
+    const legacy = localStorage.getItem(LEGACY_DRAFT_KEY);
+    if (!legacy) return;
+
+    const { plants, timeline, ...header } = JSON.parse(legacy);
+    const records = { header, plants: plants || [], timeline: timeline || [] };
+    await externalizePhotos(records);
+    const session = await createSession('Migrated Audit');
+    await writeDraftRecords(session.id, records);
+    if (!(await getSession(getActiveSessionId()))) setActiveSessionId(session.id);
+    localStorage.removeItem(LEGACY_DRAFT_KEY);
+    console.log('Migrated localStorage draft to IndexedDB.');
+}
+
+// ===== Photos =====
+
+/**
+ * @returns {boolean} True if the value is a reference to a photo held in IndexedDB.
+ */
+function isPhotoRef(value) {
+    return typeof value === 'string' && value.startsWith(PHOTO_REF_PREFIX);
+}
+
+/**
+ * Stores a photo Blob and returns the reference to keep in the application state.
+ * @param {Blob} blob - The (already compressed) image.
+ * @returns {Promise<string>}
+ */
+async function putPhotoBlob(blob) {
+    const id = generateStorageId();
+    await idbTransaction('photos', 'readwrite', store => store.put(blob, id));
+    return PHOTO_REF_PREFIX + id;
+}
+
+/**
+ * Resolves a photo reference to its Blob, or null if it is missing.
+ */
+async function getPhotoBlob(ref) {
+    if (!isPhotoRef(ref)) return null;
+    const blob = await idbTransaction('photos', 'readonly', store => store.get(ref.slice(PHOTO_REF_PREFIX.length)));
+    return blob || null;
+}
+
+/**
+ * Resolves a photo reference (or a legacy inline data URL) to something an <img> can display.
+ * @returns {Promise<string|null>}
+ */
+async function getPhotoDisplayUrl(ref) {
+    if (!isPhotoRef(ref)) return ref || null;
+    if (photoUrlCache[ref]) return photoUrlCache[ref];
+    const blob = await getPhotoBlob(ref);
+    if (!blob) return null;
+    photoUrlCache[ref] = URL.createObjectURL(blob);
+    return photoUrlCache[ref];
+}
+
+/**
+ * Decodes a base64 data URL into a Blob.
+ */
+function dataUrlToBlob(dataUrl) {
+    const [header, base64] = dataUrl.split(',');
+    const mime = (header.match(/data:([^;]+)/) || [])[1] || 'application/octet-stream';
+    const bytes = atob(base64);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) buffer[i] = bytes.charCodeAt(i);
+    return new Blob([buffer], { type: mime });
+}
+
+/**
+ * Encodes a Blob as a base64 data URL.
+ */
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Walks an object tree and moves every inline image data URL into the photo store,
+ * replacing it in place with a photo reference.
+ * @param {Object} obj - State fragment (plants, timeline, ...).
+ */
+async function externalizePhotos(obj) {
+    if (!obj || typeof obj !== 'object') return;
+    for (const key of Object.keys(obj)) {
+        const value = obj[key];
+        if (typeof value === 'string' && value.startsWith('data:image/')) {
+            obj[key] = await putPhotoBlob(dataUrlToBlob(value));
+        } else if (value && typeof value === 'object') {
+            await externalizePhotos(value);
+        }
+    }
+}
+
+/**
+ * Returns a deep copy of an object tree with every photo reference replaced by its data URL.
+ * Used for exports, which must stay self-contained.
+ */
+async function inlinePhotos(obj) {
+    const copy = JSON.parse(JSON.stringify(obj));
+    const walk = async (node) => {
+        for (const key of Object.keys(node)) {
+            const value = node[key];
+            if (isPhotoRef(value)) {
+                const blob = await getPhotoBlob(value);
+                node[key] = blob ? await blobToDataUrl(blob) : '';
+            } else if (value && typeof value === 'object') {
+                await walk(value);
+            }
+        }
+    };
+    if (copy && typeof copy === 'object') await walk(copy);
+    return copy;
+}
+
+/**
+ * Collects every photo reference in an object tree.
+ * @returns {Set<string>}
+ */
+function collectPhotoRefs(obj, refs = new Set()) {
+    if (isPhotoRef(obj)) refs.add(obj);
+    else if (obj && typeof obj === 'object') Object.values(obj).forEach(v => collectPhotoRefs(v, refs));
+    return refs;
+}
+
+/**
+ * Deletes stored photos that no session references any more (e.g. a retaken hull photo,
+ * or the photos of a deleted session).
+ */
+async function pruneOrphanPhotos() {
+    const allRecords = await idbTransaction('draft', 'readonly', store => store.getAll());
+    const keepRefs = collectPhotoRefs(allRecords);
+    const keys = await idbTransaction('photos', 'readonly', store => store.getAllKeys());
+    const orphans = keys.filter(id => !keepRefs.has(PHOTO_REF_PREFIX + id));
+    if (orphans.length === 0) return;
+    await idbTransaction('photos', 'readwrite', store => {
+        orphans.forEach(id => store.delete(id));
+    });
+}
+
+// ===== Quota =====
+
+/**
+ * Reports the origin's storage usage.
+ * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if the browser can't tell.
+ */
+async function getStorageEstimate() {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    try {
+        const { usage, quota } = await navigator.storage.estimate();
+        return { usage: usage || 0, quota: quota || 0 };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Asks the browser not to evict this origin's data under storage pressure.
+ */
+async function requestPersistentStorage() {
+    if (!navigator.storage || !navigator.storage.persist) return false;
+    try {
+        return await navigator.storage.persist();
+    } catch (e) {
+        return false;
+    }
+}
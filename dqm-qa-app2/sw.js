@@ -0,0 +1,76 @@
+/**
+ * Service Worker for DQM QA Check.
+ * Precaches the app shell so it loads with no connectivity. The cache is named after APP_VERSION
+ * (from version.js), so deploying a new version installs a fresh cache; the new worker then waits
+ * until the user accepts the "update available" banner, and older caches are removed on activation.
+ * Drafts live in IndexedDB/localStorage and are never touched here.
+ */
+
+importScripts('version.js');
+
+const CACHE_PREFIX = 'dqm-qa-app2-';
+const CACHE_NAME = `${CACHE_PREFIX}v${APP_VERSION}`;
+
+const PRECACHE_URLS = [
+    'index.html',
+    'styles.css',
+    'version.js',
+    'storage.js',
+    '../dqm-shared/export-integrity.js',
+    'audit.js',
+    'schema.js',
+    'geodesy.js',
+    'tracks.js',
+    'checks.js',
+    'vessels.js',
+    '../dqm-shared/zip.js',
+    'tabular.js',
+    'trends.js',
+    '../dqm-shared/handoff.js',
+    'keypad.js',
+    'app.js',
+    'manifest.webmanifest',
+    'assets/logo.png',
+    'assets/icon.svg'
+];
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (!event.data) return;
+    if (event.data.type === 'SKIP_WAITING') self.skipWaiting();
+    if (event.data.type === 'GET_VERSION' && event.ports[0]) event.ports[0].postMessage({ version: APP_VERSION });
+});
+
+/**
+ * Cache-first for the app's own files: the cached copy always matches the installed version.
+ * Page navigations fall back to the cached index.html when offline.
+ */
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html', { cacheName: CACHE_NAME }).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});
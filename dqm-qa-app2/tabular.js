@@ -0,0 +1,198 @@
+/**
+ * Tabular Export for DQM QA App 2.
+ * Flattens the logged checks into one row per reading, with a per-plant summary, and writes them
+ * as CSV or as an Excel workbook (.xlsx). Both are built in the browser: the workbook is a small
+ * uncompressed ZIP of SpreadsheetML parts, which Excel, LibreOffice and Google Sheets all open.
+ */
+
+const READINGS_TABLE_HEADER = ['Plant', 'Vessel Type', 'Profile', 'Check', 'Side / Condition', 'Reading #', 'Reading', 'Manual / Reference', 'DQM', 'Offset', 'Difference', 'Verdict', 'Logged At', 'Edited'];
+const SUMMARY_TABLE_HEADER = ['Plant', 'Vessel Type', 'Profile', 'Required Checks', 'Logged', 'Outstanding', 'PASS', 'MARGINAL', 'FAIL', 'Log Entries', 'Readings'];
+
+// ===== Tables =====
+
+/**
+ * The condition or side a check name carries, e.g. "Light - Forward" from "Draft Sensor Check (Light - Forward)".
+ */
+function checkNameDetail(name) {
+    const match = /\(([^)]+)\)\s*$/.exec(name || '');
+    return match ? match[1] : '';
+}
+
+/**
+ * The readings actually taken in a logged timeline entry (empty rows left out).
+ * Comments, and checks whose pack is no longer loaded, have none.
+ */
+function getEntryReadings(entry) {
+    const def = entry.checkType ? getCheckDefinition(entry.checkType) : null;
+    if (!def || !entry.data) return [];
+    return getCheckTableRows(def, entry.data).filter(r => [r.reference, r.observed, r.diff].some(v => v !== undefined && v !== ''));
+}
+
+/**
+ * One row per reading of every logged check, in timeline order. A check logged more than once
+ * contributes every run, each with its own log time.
+ * @param {Object} state - appState (plants and timeline).
+ * @returns {Array<Array>} Rows, header first.
+ */
+function buildReadingsTable(state) {
+    const rows = [READINGS_TABLE_HEADER];
+    state.timeline.forEach(entry => {
+        const plant = state.plants[entry.plantIdx] || {};
+        const checkName = getCheckName(entry.checkType);
+        const verdicts = (entry.verdict && entry.verdict.readings) || {};
+        getEntryReadings(entry).forEach(r => {
+            rows.push([
+                plant.name || `Plant #${entry.plantIdx + 1}`,
+                plant.vesselType || '',
+                plant.profile || '',
+                checkName,
+                [checkNameDetail(checkName), r.section].filter(Boolean).join(' / '),
+                r.n,
+                r.label,
+                r.reference,
+                r.observed,
+                r.offset,
+                r.diff,
+                verdicts[r.diffId] ? verdicts[r.diffId].verdict : '',
+                entry.time,
+                entry.editedAt ? 'Yes' : ''
+            ]);
+        });
+    });
+    return rows;
+}
+
+/**
+ * One row per plant: its required checks, how many are logged, the latest verdict counts and the amount of data.
+ * @param {Object} state - appState (plants and timeline).
+ * @returns {Array<Array>} Rows, header first.
+ */
+function buildPlantSummaryTable(state) {
+    const rows = [SUMMARY_TABLE_HEADER];
+    state.plants.forEach((p, plantIdx) => {
+        const name = p.name || `Plant #${plantIdx + 1}`;
+        const required = getRequiredChecks(`${p.vesselType}-${p.profile}`);
+        const entries = state.timeline.filter(e => e.plantIdx === plantIdx && e.checkType);
+        const latest = {};
+        entries.forEach(e => { latest[e.checkType] = e; });
+        const logged = required.filter(type => latest[type]);
+        const count = verdict => logged.filter(type => latest[type].verdict && latest[type].verdict.overall === verdict).length;
+        rows.push([
+            name,
+            p.vesselType || '',
+            p.profile || '',
+            required.length,
+            logged.length,
+            required.length - logged.length,
+            count('PASS'),
+            count('MARGINAL'),
+            count('FAIL'),
+            entries.length,
+            entries.reduce((sum, e) => sum + getEntryReadings(e).length, 0)
+        ]);
+    });
+    return rows;
+}
+
+// ===== CSV =====
+
+/**
+ * Writes rows as CSV (RFC 4180: fields with commas, quotes or line breaks are quoted).
+ * A byte-order mark lets Excel read the UTF-8 (°, Δ, –) correctly.
+ */
+function toCSV(rows) {
+    const cell = value => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + rows.map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+// ===== XLSX =====
+// The workbook is packed with buildZip() and escaped with xmlEscape() from ../dqm-shared/zip.js.
+
+/**
+ * Column letters of a zero-based column index (0 -> A, 26 -> AA).
+ */
+function columnName(idx) {
+    let name = '';
+    for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    return name;
+}
+
+/**
+ * One worksheet's XML. Numeric text becomes a number cell so it can be charted; the header row is bold and frozen.
+ */
+function worksheetXML(rows) {
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => {
+        const ref = `${columnName(c)}${r + 1}`;
+        const style = r === 0 ? ' s="1"' : '';
+        if (value === undefined || value === null || value === '') return '';
+        if (r > 0 && (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(String(value).trim()))) {
+            return `<c r="${ref}"${style}><v>${Number(value)}</v></c>`;
+        }
+        return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows}</sheetData></worksheet>`;
+}
+
+/**
+ * Builds an Excel workbook.
+ * @param {Array} sheets - [{ name (up to 31 characters), rows }]
+ * @returns {Uint8Array} The .xlsx file.
+ */
+function buildXlsx(sheets) {
+    const ns = 'http://schemas.openxmlformats.org';
+    const files = [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + `<Types xmlns="${ns}/package/2006/content-types">`
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + `<Relationships xmlns="${ns}/package/2006/relationships">`
+                + `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships"><sheets>`
+                + sheets.map((sheet, i) => `<sheet name="${xmlEscape(sheet.name.slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                + '</sheets></workbook>'
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + `<Relationships xmlns="${ns}/package/2006/relationships">`
+                + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                + `<Relationship Id="rId${sheets.length + 1}" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+                + '</Relationships>'
+        },
+        {
+            name: 'xl/styles.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + `<styleSheet xmlns="${ns}/spreadsheetml/2006/main">`
+                + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+                + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+                + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>'
+        },
+        ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, content: worksheetXML(sheet.rows) }))
+    ];
+    return buildZip(files);
+}
@@ -0,0 +1,398 @@
+/**
+ * GPS Track Comparison for DQM QA App 2 (Dynamic GPS Check).
+ * Parses a handheld track (GPX or NMEA) and a system provider track (CSV), aligns them by time,
+ * and computes horizontal offsets, heading differences and logging-interval statistics.
+ * Track points are { t: epoch ms (UTC), lat, lon } sorted by time.
+ */
+
+const EARTH_RADIUS_FT = 20902231;
+const FEET_PER_DEGREE = EARTH_RADIUS_FT * Math.PI / 180;
+const TRACK_MAX_INTERPOLATION_GAP_MS = 60 * 1000; // Don't interpolate the handheld track across longer gaps
+const TRACK_MIN_HEADING_SEGMENT_FT = 5; // Shorter segments give meaningless courses (vessel barely moving)
+
+// ===== Parsers =====
+
+/**
+ * Parses the <trkpt> points of a GPX file.
+ * @param {string} text - GPX (XML) content.
+ * @returns {Array} Track points; points without a valid time are dropped.
+ */
+function parseGpxTrack(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('The GPX file is not valid XML.');
+    const points = [];
+    Array.from(doc.getElementsByTagName('trkpt')).forEach(pt => {
+        const lat = parseFloat(pt.getAttribute('lat'));
+        const lon = parseFloat(pt.getAttribute('lon'));
+        const timeEl = pt.getElementsByTagName('time')[0];
+        const t = timeEl ? Date.parse(timeEl.textContent.trim()) : NaN;
+        if (!isNaN(lat) && !isNaN(lon) && !isNaN(t)) points.push({ t, lat, lon });
+    });
+    return sortTrack(points);
+}
+
+/**
+ * Verifies an NMEA sentence's '*hh' checksum, when present.
+ */
+function isValidNmeaChecksum(sentence) {
+    const star = sentence.indexOf('*');
+    if (star === -1) return true;
+    let sum = 0;
+    for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+    return sum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+/**
+ * Converts an NMEA 'ddmm.mmmm' / 'dddmm.mmmm' value and hemisphere to decimal degrees.
+ */
+function nmeaToDegrees(value, hemisphere) {
+    const v = parseFloat(value);
+    if (isNaN(v)) return NaN;
+    const deg = Math.floor(v / 100);
+    const dd = deg + (v - deg * 100) / 60;
+    return (hemisphere === 'S' || hemisphere === 'W') ? -dd : dd;
+}
+
+/**
+ * Parses RMC (and GGA) sentences from an NMEA log.
+ * GGA carries no date, so it uses the date of the most recent RMC, or `fallbackDate` before the first RMC.
+ * @param {string} text - NMEA 0183 content.
+ * @param {string} fallbackDate - 'YYYY-MM-DD' used when no RMC date is available.
+ */
+function parseNmeaTrack(text, fallbackDate = '') {
+    const points = [];
+    let date = fallbackDate ? fallbackDate.split('-').map(Number) : null; // [Y, M, D]
+    const toTime = (hhmmss) => {
+        if (!date || !/^\d{6}/.test(hhmmss)) return NaN;
+        const secs = parseFloat(hhmmss.slice(4));
+        return Date.UTC(date[0], date[1] - 1, date[2], +hhmmss.slice(0, 2), +hhmmss.slice(2, 4)) + Math.round(secs * 1000);
+    };
+
+    text.split(/\r?\n/).forEach(line => {
+        const sentence = line.trim().slice(line.trim().indexOf('$'));
+        if (!sentence.startsWith('$') || !isValidNmeaChecksum(sentence)) return;
+        const f = sentence.split('*')[0].split(',');
+        const type = f[0].slice(3);
+        if (type === 'RMC') {
+            // $--RMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,speed,course,ddmmyy,...
+            if (/^\d{6}$/.test(f[9])) date = [2000 + +f[9].slice(4, 6), +f[9].slice(2, 4), +f[9].slice(0, 2)];
+            if (f[2] !== 'A') return; // Void fix
+            points.push({ t: toTime(f[1]), lat: nmeaToDegrees(f[3], f[4]), lon: nmeaToDegrees(f[5], f[6]) });
+        } else if (type === 'GGA') {
+            // $--GGA,hhmmss.ss,llll.ll,a,yyyyy.yy,a,quality,...
+            if (f[6] === '0') return; // No fix
+            points.push({ t: toTime(f[1]), lat: nmeaToDegrees(f[2], f[3]), lon: nmeaToDegrees(f[4], f[5]) });
+        }
+    });
+
+    // RMC and GGA usually report the same epoch; keep one point per timestamp
+    const unique = new Map();
+    points.filter(p => !isNaN(p.t) && !isNaN(p.lat) && !isNaN(p.lon)).forEach(p => unique.set(p.t, p));
+    return sortTrack([...unique.values()]);
+}
+
+/**
+ * Parses a timestamp from a provider CSV. Values without a time zone are read as UTC;
+ * the check's "Provider Time Offset" corrects tracks logged in local time.
+ * Accepts ISO 8601, 'YYYY-MM-DD hh:mm:ss' and 'MM/DD/YYYY hh:mm:ss' (optionally with AM/PM).
+ */
+function parseTrackTimestamp(value) {
+    const s = String(value || '').trim();
+    if (/[zZ]$|[+-]\d{2}:?\d{2}$/.test(s) && s.includes('T')) return Date.parse(s);
+    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?\s*(AM|PM)?$/i);
+    let y, mo, d;
+    if (m) {
+        [y, mo, d] = [+m[1], +m[2], +m[3]];
+    } else {
+        m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?\s*(AM|PM)?$/i);
+        if (!m) return NaN;
+        [mo, d, y] = [+m[1], +m[2], +m[3]];
+    }
+    let h = +m[4];
+    if (m[7]) h = (h % 12) + (m[7].toUpperCase() === 'PM' ? 12 : 0);
+    return Date.UTC(y, mo - 1, d, h, +m[5]) + Math.round(parseFloat(m[6] || '0') * 1000);
+}
+
+/**
+ * Splits one CSV line, honouring double-quoted fields.
+ */
+function splitCsvLine(line) {
+    const out = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (c === '"') {
+            if (quoted && line[i + 1] === '"') { cur += '"'; i++; }
+            else quoted = !quoted;
+        } else if (c === ',' && !quoted) {
+            out.push(cur);
+            cur = '';
+        } else {
+            cur += c;
+        }
+    }
+    out.push(cur);
+    return out.map(v => v.trim());
+}
+
+/**
+ * Parses a provider track CSV. The header row must name a latitude and a longitude column and either
+ * a combined timestamp column or separate date and time columns (matched case-insensitively).
+ * @param {string} text - CSV content.
+ */
+function parseProviderCsvTrack(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim());
+    if (lines.length < 2) throw new Error('The CSV file has no data rows.');
+    const header = splitCsvLine(lines[0]).map(h => h.toLowerCase().replace(/[^a-z]/g, ''));
+    const find = (...names) => header.findIndex(h => names.includes(h));
+    const latCol = find('lat', 'latitude', 'y');
+    const lonCol = find('lon', 'long', 'lng', 'longitude', 'x');
+    const tsCol = find('timestamp', 'datetime', 'time', 'utc', 'utctime', 'gpstime');
+    const dateCol = find('date', 'utcdate', 'gpsdate');
+    if (latCol === -1 || lonCol === -1) throw new Error('The CSV header needs latitude and longitude columns.');
+    if (tsCol === -1) throw new Error('The CSV header needs a timestamp (or date and time) column.');
+
+    const points = [];
+    lines.slice(1).forEach(line => {
+        const f = splitCsvLine(line);
+        const stamp = (dateCol !== -1 && dateCol !== tsCol && !/[\/-]/.test(f[tsCol] || '')) ? `${f[dateCol]} ${f[tsCol]}` : f[tsCol];
+        const t = parseTrackTimestamp(stamp);
+        const lat = parseFloat(f[latCol]);
+        const lon = parseFloat(f[lonCol]);
+        if (!isNaN(t) && !isNaN(lat) && !isNaN(lon)) points.push({ t, lat, lon });
+    });
+    return sortTrack(points);
+}
+
+/**
+ * Picks the handheld parser from the file name or content.
+ * @param {string} name - File name.
+ * @param {string} text - File content.
+ * @param {string} fallbackDate - 'YYYY-MM-DD' for NMEA logs without RMC sentences.
+ */
+function parseHandheldTrack(name, text, fallbackDate) {
+    if (/\.gpx$/i.test(name) || /<gpx[\s>]/i.test(text)) return parseGpxTrack(text);
+    return parseNmeaTrack(text, fallbackDate);
+}
+
+/**
+ * Sorts points by time and drops duplicate timestamps.
+ */
+function sortTrack(points) {
+    return points.sort((a, b) => a.t - b.t).filter((p, i, arr) => i === 0 || p.t !== arr[i - 1].t);
+}
+
+// ===== Geometry =====
+
+/**
+ * Great-circle distance in feet (haversine).
+ */
+function trackDistanceFt(a, b) {
+    const dLat = (b.lat - a.lat) * Math.PI / 180;
+    const dLon = (b.lon - a.lon) * Math.PI / 180;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+    return EARTH_RADIUS_FT * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Initial bearing from a to b, in degrees clockwise from true north (0-360).
+ */
+function trackBearing(a, b) {
+    const φ1 = a.lat * Math.PI / 180;
+    const φ2 = b.lat * Math.PI / 180;
+    const Δλ = (b.lon - a.lon) * Math.PI / 180;
+    const y = Math.sin(Δλ) * Math.cos(φ2);
+    const x = Math.cos(φ1) * Math.sin(φ2) - Math.sin(φ1) * Math.cos(φ2) * Math.cos(Δλ);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+/**
+ * Index of the last point at or before time t (binary search), or -1.
+ */
+function trackIndexAt(track, t) {
+    let lo = 0;
+    let hi = track.length - 1;
+    if (!track.length || t < track[0].t) return -1;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        if (track[mid].t <= t) lo = mid;
+        else hi = mid - 1;
+    }
+    return lo;
+}
+
+/**
+ * Position and course of a track at time t, interpolated between the bracketing points.
+ * @returns {Object|null} { lat, lon, course } (course is null while the vessel is barely moving)
+ */
+function trackStateAt(track, t) {
+    const i = trackIndexAt(track, t);
+    if (i === -1) return null;
+    if (track[i].t === t && i === track.length - 1) return { lat: track[i].lat, lon: track[i].lon, course: null };
+    const a = track[i];
+    const b = track[i + 1];
+    if (!b || b.t - a.t > TRACK_MAX_INTERPOLATION_GAP_MS) return track[i].t === t ? { lat: a.lat, lon: a.lon, course: null } : null;
+    const f = (t - a.t) / (b.t - a.t);
+    return {
+        lat: a.lat + (b.lat - a.lat) * f,
+        lon: a.lon + (b.lon - a.lon) * f,
+        course: trackDistanceFt(a, b) >= TRACK_MIN_HEADING_SEGMENT_FT ? trackBearing(a, b) : null
+    };
+}
+
+/**
+ * Signed smallest angle from heading a to heading b, in degrees (-180..180).
+ */
+function headingDifference(a, b) {
+    return ((b - a + 540) % 360) - 180;
+}
+
+// ===== Comparison =====
+
+/**
+ * Logging-interval statistics (seconds) for a track.
+ * A gap is an interval longer than twice the median interval.
+ */
+function trackIntervalStats(track) {
+    const intervals = [];
+    for (let i = 1; i < track.length; i++) intervals.push((track[i].t - track[i - 1].t) / 1000);
+    if (intervals.length === 0) return { mean: NaN, median: NaN, max: NaN, gaps: 0 };
+    const sorted = [...intervals].sort((a, b) => a - b);
+    const median = sorted[Math.floor(sorted.length / 2)];
+    return {
+        mean: intervals.reduce((a, b) => a + b, 0) / intervals.length,
+        median,
+        max: sorted[sorted.length - 1],
+        gaps: intervals.filter(v => v > median * 2).length
+    };
+}
+
+/**
+ * Aligns the provider track to the handheld track by time and summarises the differences.
+ * Each provider point inside the handheld time span is compared with the handheld position
+ * interpolated to the same instant.
+ * @param {Array} handheld - Handheld track points.
+ * @param {Array} provider - Provider track points.
+ * @param {number} providerShiftHours - Hours added to provider timestamps to bring them to UTC.
+ * @returns {Object} { pairs: [{ t, handheld, provider, offset, headingDiff }], summary }
+ */
+function compareTracks(handheld, provider, providerShiftHours = 0) {
+    const shift = (parseFloat(providerShiftHours) || 0) * 3600 * 1000;
+    const shifted = provider.map(p => ({ ...p, t: p.t + shift }));
+    const pairs = [];
+
+    shifted.forEach((p, i) => {
+        const hh = trackStateAt(handheld, p.t);
+        if (!hh) return;
+        const next = shifted[i + 1];
+        const providerCourse = (next && next.t - p.t <= TRACK_MAX_INTERPOLATION_GAP_MS && trackDistanceFt(p, next) >= TRACK_MIN_HEADING_SEGMENT_FT)
+            ? trackBearing(p, next) : null;
+        pairs.push({
+            t: p.t,
+            handheld: { lat: hh.lat, lon: hh.lon },
+            provider: { lat: p.lat, lon: p.lon },
+            offset: trackDistanceFt(hh, p),
+            headingDiff: (hh.course !== null && providerCourse !== null) ? headingDifference(hh.course, providerCourse) : null
+        });
+    });
+
+    const offsets = pairs.map(p => p.offset).sort((a, b) => a - b);
+    const headings = pairs.filter(p => p.headingDiff !== null).map(p => Math.abs(p.headingDiff));
+    const mean = arr => arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : NaN;
+
+    return {
+        pairs,
+        summary: {
+            matched: pairs.length,
+            durationMin: pairs.length > 1 ? (pairs[pairs.length - 1].t - pairs[0].t) / 60000 : 0,
+            offsetMean: mean(offsets),
+            offsetMax: offsets.length ? offsets[offsets.length - 1] : NaN,
+            offsetP95: offsets.length ? offsets[Math.min(offsets.length - 1, Math.floor(offsets.length * 0.95))] : NaN,
+            headingMean: mean(headings),
+            headingMax: headings.length ? Math.max(...headings) : NaN,
+            handheldInterval: trackIntervalStats(handheld),
+            providerInterval: trackIntervalStats(provider)
+        }
+    };
+}
+
+// ===== Plot =====
+
+/**
+ * Draws both tracks on a canvas in a local flat projection (equal scale in X and Y),
+ * with a legend, a scale bar and start markers.
+ * @param {HTMLCanvasElement} canvas - Target canvas.
+ * @param {Array} handheld - Handheld track points.
+ * @param {Array} provider - Provider track points (already time-shifted or not; position only).
+ */
+function drawTrackPlot(canvas, handheld, provider) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+    const W = canvas.width;
+    const H = canvas.height;
+    const pad = 30;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, W, H);
+
+    const all = handheld.concat(provider);
+    if (all.length === 0) return;
+    const lat0 = all.reduce((s, p) => s + p.lat, 0) / all.length;
+    const cosLat = Math.cos(lat0 * Math.PI / 180);
+    const project = p => ({ x: p.lon * FEET_PER_DEGREE * cosLat, y: p.lat * FEET_PER_DEGREE });
+    const xy = all.map(project);
+    const minX = Math.min(...xy.map(p => p.x));
+    const maxX = Math.max(...xy.map(p => p.x));
+    const minY = Math.min(...xy.map(p => p.y));
+    const maxY = Math.max(...xy.map(p => p.y));
+    const scale = Math.min((W - pad * 2) / Math.max(maxX - minX, 1), (H - pad * 2) / Math.max(maxY - minY, 1));
+    const offX = (W - (maxX - minX) * scale) / 2;
+    const offY = (H - (maxY - minY) * scale) / 2;
+    const toCanvas = p => {
+        const q = project(p);
+        return { x: offX + (q.x - minX) * scale, y: H - (offY + (q.y - minY) * scale) };
+    };
+
+    const drawLine = (track, color) => {
+        if (track.length === 0) return;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        track.forEach((p, i) => {
+            const c = toCanvas(p);
+            if (i === 0) ctx.moveTo(c.x, c.y);
+            else ctx.lineTo(c.x, c.y);
+        });
+        ctx.stroke();
+        const start = toCanvas(track[0]);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(start.x, start.y, 4, 0, Math.PI * 2);
+        ctx.fill();
+    };
+    drawLine(provider, '#e67e22');
+    drawLine(handheld, '#2980b9');
+
+    // Legend
+    ctx.font = '12px sans-serif';
+    [['Handheld', '#2980b9'], ['DQM Provider', '#e67e22']].forEach(([label, color], i) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(10, 10 + i * 18, 14, 4);
+        ctx.fillStyle = '#333333';
+        ctx.fillText(label, 30, 16 + i * 18);
+    });
+
+    // Scale bar: the largest 1/2/5 x 10^n feet that fits in a quarter of the width
+    const maxFeet = (W / 4) / scale;
+    const pow = Math.pow(10, Math.floor(Math.log10(maxFeet)));
+    const barFeet = [5, 2, 1].map(m => m * pow).find(v => v <= maxFeet) || pow;
+    const barPx = barFeet * scale;
+    ctx.strokeStyle = '#333333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(W - pad - barPx, H - 12);
+    ctx.lineTo(W - pad, H - 12);
+    ctx.stroke();
+    ctx.fillStyle = '#333333';
+    ctx.fillText(`${barFeet.toLocaleString()} ft`, W - pad - barPx, H - 18);
+}
@@ -0,0 +1,261 @@
+/**
+ * Vessel Trends for DQM QA App 2.
+ * Follows a vessel's QA results from audit to audit: for each check, the mean difference of its
+ * latest logged run in every audit, plotted over time against the vessel's tolerance bands.
+ * Audits come from this device (every audit session) and from an archive of summaries kept in
+ * localStorage – past export files loaded into it, or audits archived before they are deleted.
+ * A summary holds only the differences the trends need, never photos.
+ */
+
+const TREND_ARCHIVE_STORAGE_KEY = 'dqm-qa-trend-archive';
+const TREND_RISING_AUDITS = 3; // Audits in a row with a growing difference before a series is flagged
+const TREND_PROJECTION_DAYS = 365; // Flag a drift that reaches the tolerance limit within this many days
+const TREND_DAY_MS = 24 * 60 * 60 * 1000;
+
+// ===== Summaries =====
+
+/**
+ * Matches a plant across audits by its name (case and spacing ignored).
+ */
+function trendVesselKey(name) {
+    return String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Condenses an audit to the differences its trends need. The latest logged run of each check
+ * stands for the audit; checks with several sensors (e.g. port and starboard dragheads) keep
+ * one series per section.
+ * @param {Object} state - { plants, timeline, checkDate }: appState, a session draft or an export's metadata.
+ * @returns {Object} { checkDate, fingerprint, vessels: [{ key, name, vesselType, profile,
+ *   checks: { [checkType]: { name, loggedAt, series: { [section]: { mean, max, n } } } } }] }
+ */
+function summariseAuditForTrends(state) {
+    const timeline = state.timeline || [];
+    const vessels = [];
+    (state.plants || []).forEach((plant, plantIdx) => {
+        const key = trendVesselKey(plant.name);
+        if (!key) return; // An unnamed plant cannot be matched with other audits
+
+        const checks = {};
+        timeline.forEach(entry => {
+            if (entry.plantIdx !== plantIdx || !entry.checkType) return;
+            const differences = {};
+            getEntryReadings(entry).forEach(r => {
+                const diff = parseFloat(r.diff);
+                if (isNaN(diff)) return;
+                (differences[r.section] = differences[r.section] || []).push(Math.abs(diff));
+            });
+            if (Object.keys(differences).length === 0) return;
+            const series = {};
+            Object.entries(differences).forEach(([section, values]) => {
+                series[section] = {
+                    mean: values.reduce((a, b) => a + b, 0) / values.length,
+                    max: Math.max(...values),
+                    n: values.length
+                };
+            });
+            checks[entry.checkType] = { name: getCheckName(entry.checkType), loggedAt: entry.timestamp || '', series };
+        });
+
+        if (Object.keys(checks).length > 0) {
+            vessels.push({ key, name: plant.name.trim(), vesselType: plant.vesselType || '', profile: plant.profile || '', checks });
+        }
+    });
+
+    return {
+        checkDate: state.checkDate || '',
+        // The same audit reached by two routes (a device session and its export) is only counted once
+        fingerprint: timeline.map(e => e.id || e.timestamp).filter(id => id).sort().join('|'),
+        vessels
+    };
+}
+
+// ===== Archive =====
+
+/**
+ * Reads the archive, oldest audit first.
+ * @returns {Array} [{ id, source, addedAt, checkDate, fingerprint, vessels }]
+ */
+function loadTrendArchive() {
+    try {
+        const archive = JSON.parse(localStorage.getItem(TREND_ARCHIVE_STORAGE_KEY)) || [];
+        return archive.sort((a, b) => (a.checkDate || '').localeCompare(b.checkDate || ''));
+    } catch (e) {
+        console.warn('Failed to read trend archive:', e);
+        return [];
+    }
+}
+
+/**
+ * Persists the archive (throws when the browser refuses the write).
+ */
+function saveTrendArchive(archive) {
+    localStorage.setItem(TREND_ARCHIVE_STORAGE_KEY, JSON.stringify(archive));
+}
+
+/**
+ * Adds an audit summary to the archive, replacing an earlier copy of the same audit.
+ * @param {Object} summary - From summariseAuditForTrends().
+ * @param {string} source - Where it came from (a file name or an audit name).
+ * @returns {string} 'added', 'updated' or 'empty' (no named plant with a logged difference).
+ */
+function addToTrendArchive(summary, source) {
+    if (summary.vessels.length === 0) return 'empty';
+    const archive = loadTrendArchive();
+    const existing = archive.find(a => summary.fingerprint && a.fingerprint === summary.fingerprint);
+    const record = { id: existing ? existing.id : generateStorageId(), source, addedAt: new Date().toISOString(), ...summary };
+    saveTrendArchive(existing ? archive.map(a => (a === existing ? record : a)) : [...archive, record]);
+    return existing ? 'updated' : 'added';
+}
+
+function removeFromTrendArchive(id) {
+    saveTrendArchive(loadTrendArchive().filter(a => a.id !== id));
+}
+
+/**
+ * Gathers every audit the trends can use: the open audit, the other audits on this device and
+ * the archive. An archived copy of an audit still on the device is left out.
+ * @param {Object} current - appState.
+ * @param {Object|null} currentSession - Its session record, so it is not read twice.
+ * @returns {Promise<Array>} [{ id, source, checkDate, fingerprint, vessels, archived }]
+ */
+async function collectTrendAudits(current, currentSession) {
+    const currentSessionId = currentSession ? currentSession.id : null;
+    const audits = [{ id: currentSessionId || 'current', source: currentSession ? currentSession.name : 'Open audit', ...summariseAuditForTrends(current) }];
+    let sessions = [];
+    try {
+        sessions = await listSessions();
+    } catch (e) {
+        console.warn('Could not list audits for trends:', e);
+    }
+    for (const session of sessions) {
+        if (session.id === currentSessionId) continue;
+        const records = await readDraftRecords(session.id).catch(() => null);
+        if (!records) continue;
+        audits.push({ id: session.id, source: session.name, ...summariseAuditForTrends({ ...records.header, plants: records.plants, timeline: records.timeline }) });
+    }
+    loadTrendArchive().forEach(record => {
+        if (!audits.some(a => a.fingerprint && a.fingerprint === record.fingerprint)) audits.push({ ...record, archived: true });
+    });
+    return audits.filter(a => a.vessels.length > 0);
+}
+
+// ===== Trends =====
+
+/**
+ * Arranges audits into per-vessel, per-check series over time.
+ * @returns {Array} Vessels by name: [{ key, name, vesselType, profile (from the latest audit),
+ *   checks: [{ checkType, name, series: [{ section, points: [{ t, mean, max, n, source }] }] }] }]
+ */
+function buildVesselTrends(audits) {
+    const vessels = {};
+    audits.forEach(audit => audit.vessels.forEach(v => {
+        const vessel = vessels[v.key] = vessels[v.key] || { key: v.key, name: v.name, vesselType: '', profile: '', latest: -Infinity, checks: {} };
+        Object.entries(v.checks).forEach(([checkType, check]) => {
+            const t = Date.parse(check.loggedAt) || Date.parse(audit.checkDate);
+            if (isNaN(t)) return;
+            if (t > vessel.latest) Object.assign(vessel, { name: v.name, vesselType: v.vesselType, profile: v.profile, latest: t });
+            const trend = vessel.checks[checkType] = vessel.checks[checkType] || { checkType, name: check.name, series: {} };
+            Object.entries(check.series).forEach(([section, s]) => {
+                (trend.series[section] = trend.series[section] || []).push({ t, mean: s.mean, max: s.max, n: s.n, source: audit.source });
+            });
+        });
+    }));
+
+    return Object.values(vessels)
+        .map(({ latest, ...vessel }) => ({
+            ...vessel,
+            checks: Object.values(vessel.checks).map(check => ({
+                ...check,
+                series: Object.entries(check.series).map(([section, points]) => ({ section, points: points.sort((a, b) => a.t - b.t) }))
+            }))
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Judges whether a series is getting worse: its mean difference rose at each of the last
+ * TREND_RISING_AUDITS audits, or its fitted drift reaches the tolerance limit within
+ * TREND_PROJECTION_DAYS. Both need at least TREND_RISING_AUDITS audits.
+ * @param {Array} points - Sorted by time.
+ * @param {Object|null} tolerance - { warn, limit }.
+ * @returns {Object} { driftPerQuarter (NaN under 2 audits), rising, limitDate (Date|null), worsening }
+ */
+function assessTrend(points, tolerance) {
+    const result = { driftPerQuarter: NaN, rising: false, limitDate: null, worsening: false };
+    if (points.length < 2) return result;
+
+    // Least-squares slope of the mean difference against time, per day
+    const days = points.map(p => p.t / TREND_DAY_MS);
+    const meanX = days.reduce((a, b) => a + b, 0) / days.length;
+    const meanY = points.reduce((a, p) => a + p.mean, 0) / points.length;
+    const sxx = days.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    const sxy = days.reduce((sum, x, i) => sum + (x - meanX) * (points[i].mean - meanY), 0);
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    result.driftPerQuarter = slope * 365.25 / 4;
+    if (points.length < TREND_RISING_AUDITS) return result;
+
+    const recent = points.slice(-TREND_RISING_AUDITS);
+    result.rising = recent.every((p, i) => i === 0 || p.mean > recent[i - 1].mean);
+    const last = points[points.length - 1];
+    if (tolerance && slope > 0 && last.mean < tolerance.limit) {
+        const daysToLimit = (tolerance.limit - last.mean) / slope;
+        if (daysToLimit <= TREND_PROJECTION_DAYS) result.limitDate = new Date(last.t + daysToLimit * TREND_DAY_MS);
+    }
+    result.worsening = result.rising || result.limitDate !== null;
+    return result;
+}
+
+// ===== Chart =====
+
+const TREND_SERIES_COLORS = ['#3498db', '#e67e22', '#9b59b6', '#1abc9c', '#e84393'];
+
+/**
+ * Draws a check's series as an SVG line chart over its tolerance bands (pass, marginal, fail).
+ * @param {Array} series - [{ section, points }] from buildVesselTrends().
+ * @param {Object|null} tolerance - { unit, warn, limit }; no bands without one.
+ * @returns {string} SVG markup.
+ */
+function trendChartSVG(series, tolerance) {
+    const W = 600, H = 220, left = 48, right = 12, top = 10, bottom = 28;
+    const points = series.flatMap(s => s.points);
+    const tMin = Math.min(...points.map(p => p.t));
+    const tMax = Math.max(...points.map(p => p.t));
+    const span = tMax - tMin || TREND_DAY_MS; // A single audit sits in the middle
+    const yMax = Math.max(...points.map(p => p.mean), tolerance ? tolerance.limit * 1.25 : 0) * 1.1 || 1;
+    const x = t => left + (tMax === tMin ? 0.5 : (t - tMin) / span) * (W - left - right);
+    const y = v => top + (1 - Math.min(v, yMax) / yMax) * (H - top - bottom);
+    const fmt = v => Number(v.toPrecision(3)).toString();
+    const date = t => new Date(t).toISOString().slice(0, 10);
+
+    const bands = tolerance ? `
+        <rect x="${left}" y="${y(tolerance.warn)}" width="${W - left - right}" height="${y(0) - y(tolerance.warn)}" fill="rgba(46, 204, 113, 0.15)"/>
+        <rect x="${left}" y="${y(tolerance.limit)}" width="${W - left - right}" height="${y(tolerance.warn) - y(tolerance.limit)}" fill="rgba(241, 196, 15, 0.2)"/>
+        <rect x="${left}" y="${top}" width="${W - left - right}" height="${y(tolerance.limit) - top}" fill="rgba(231, 76, 60, 0.15)"/>
+        <text x="${left - 4}" y="${y(tolerance.warn) + 4}" text-anchor="end">${fmt(tolerance.warn)}</text>
+        <text x="${left - 4}" y="${y(tolerance.limit) + 4}" text-anchor="end">${fmt(tolerance.limit)}</text>
+    ` : '';
+    const lines = series.map((s, i) => {
+        const color = TREND_SERIES_COLORS[i % TREND_SERIES_COLORS.length];
+        const path = s.points.map(p => `${x(p.t).toFixed(1)},${y(p.mean).toFixed(1)}`).join(' ');
+        return `
+            <polyline points="${path}" fill="none" stroke="${color}" stroke-width="2"/>
+            ${s.points.map(p => `
+                <circle cx="${x(p.t).toFixed(1)}" cy="${y(p.mean).toFixed(1)}" r="4" fill="${color}">
+                    <title>${escapeHtml(`${s.section ? `${s.section}: ` : ''}${fmt(p.mean)}${tolerance ? ` ${tolerance.unit}` : ''} mean of ${p.n} (max ${fmt(p.max)}) – ${date(p.t)}, ${p.source}`)}</title>
+                </circle>
+            `).join('')}
+        `;
+    }).join('');
+
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${W} ${H}" role="img" aria-label="Mean difference over time">
+            ${bands}
+            <line x1="${left}" y1="${y(0)}" x2="${W - right}" y2="${y(0)}" stroke="currentColor" stroke-opacity="0.4"/>
+            <text x="${left - 4}" y="${y(0) + 4}" text-anchor="end">0</text>
+            <text x="${left}" y="${H - 8}">${date(tMin)}</text>
+            ${tMax !== tMin ? `<text x="${W - right}" y="${H - 8}" text-anchor="end">${date(tMax)}</text>` : ''}
+            ${lines}
+        </svg>
+    `;
+}
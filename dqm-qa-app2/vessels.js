@@ -0,0 +1,200 @@
+/**
+ * Vessel Registry for DQM QA App 2.
+ * A library of the vessels the team audits: name, type, profile, default sensor offsets, pipe length
+ * and notes. Picking a vessel for a plant fills in those values, so they are not re-entered every visit.
+ * The registry belongs to the device (like check packs), not to an audit, and is shared between
+ * devices as a JSON file.
+ */
+
+const VESSEL_REGISTRY_STORAGE_KEY = 'dqm-qa-vessel-registry';
+const VESSEL_REGISTRY_FILE_ACTION = 'dqmVesselRegistry'; // Identifies a registry export
+
+/**
+ * Check fields a registry vessel can hold a default for (all in ft).
+ * The value is written to every check that declares the field.
+ */
+const vesselDefaultFields = [
+    { id: 'dh-port-offset', label: 'Port Draghead Offset' },
+    { id: 'dh-center-offset', label: 'Center Draghead Offset' },
+    { id: 'dh-stbd-offset', label: 'Stbd Draghead Offset' },
+    { id: 'suction-offset', label: 'Suction Mouth Offset' },
+    { id: 'bucket-offset', label: 'Bucket Heel Offset' },
+    { id: 'sim-light-fwd-offset', label: 'Sim. Draft Offset (Light Fwd)' },
+    { id: 'sim-light-aft-offset', label: 'Sim. Draft Offset (Light Aft)' },
+    { id: 'sim-loaded-fwd-offset', label: 'Sim. Draft Offset (Loaded Fwd)' },
+    { id: 'sim-loaded-aft-offset', label: 'Sim. Draft Offset (Loaded Aft)' },
+    { id: 'vel-pipe-length', label: 'Pipe Length' }
+];
+
+// ===== Storage =====
+
+/**
+ * Reads the registry from localStorage, sorted by name.
+ * @returns {Array} [{ id, name, vesselType, profile, defaults: { fieldId: value }, notes, updatedAt }]
+ */
+function loadVesselRegistry() {
+    try {
+        const vessels = JSON.parse(localStorage.getItem(VESSEL_REGISTRY_STORAGE_KEY)) || [];
+        return vessels.sort((a, b) => a.name.localeCompare(b.name));
+    } catch (e) {
+        console.warn('Failed to read vessel registry:', e);
+        return [];
+    }
+}
+
+/**
+ * Persists the registry to localStorage (throws when the browser refuses the write).
+ */
+function saveVesselRegistry(vessels) {
+    localStorage.setItem(VESSEL_REGISTRY_STORAGE_KEY, JSON.stringify(vessels));
+}
+
+/**
+ * Finds a registry vessel by ID, or by name (case-insensitive).
+ */
+function findRegistryVessel(vessels, { id, name }) {
+    if (id) return vessels.find(v => v.id === id) || null;
+    const key = (name || '').trim().toLowerCase();
+    return key ? vessels.find(v => v.name.trim().toLowerCase() === key) || null : null;
+}
+
+/**
+ * Adds a vessel, or replaces the one with the same ID or name.
+ * @returns {Object} The stored vessel.
+ */
+function upsertRegistryVessel(fields) {
+    const vessels = loadVesselRegistry();
+    const existing = findRegistryVessel(vessels, { id: fields.id }) || findRegistryVessel(vessels, { name: fields.name });
+    const vessel = normalizeVessel({ ...fields, id: existing ? existing.id : generateStorageId() });
+    saveVesselRegistry(existing ? vessels.map(v => v === existing ? vessel : v) : [...vessels, vessel]);
+    return vessel;
+}
+
+/**
+ * Removes a vessel from the registry.
+ */
+function removeRegistryVessel(id) {
+    saveVesselRegistry(loadVesselRegistry().filter(v => v.id !== id));
+}
+
+// ===== Validation & Sharing =====
+
+/**
+ * Keeps the known members of a vessel, with defaults as strings and empty defaults dropped.
+ */
+function normalizeVessel(raw) {
+    const defaults = {};
+    vesselDefaultFields.forEach(f => {
+        const value = raw.defaults ? raw.defaults[f.id] : undefined;
+        if (value !== undefined && value !== null && String(value).trim() !== '') defaults[f.id] = String(value).trim();
+    });
+    return {
+        id: raw.id || generateStorageId(),
+        name: String(raw.name).trim(),
+        vesselType: raw.vesselType || '',
+        profile: raw.profile || '',
+        defaults,
+        notes: raw.notes ? String(raw.notes) : '',
+        updatedAt: raw.updatedAt || new Date().toISOString()
+    };
+}
+
+/**
+ * Validates a registry file. Throws an Error listing every problem found.
+ * Unknown vessel types and profiles are accepted (they may come from a check pack not loaded here).
+ * @param {Object} file - { action: 'dqmVesselRegistry', vessels: [...] }
+ */
+function validateVesselRegistryFile(file) {
+    if (!file || typeof file !== 'object') throw new Error('The registry file must be a JSON object.');
+    if (file.action !== VESSEL_REGISTRY_FILE_ACTION || !Array.isArray(file.vessels)) {
+        throw new Error('This is not a vessel registry file (exported with ⬇️ Export Registry).');
+    }
+    const problems = [];
+    const seen = new Set();
+    file.vessels.forEach((v, idx) => {
+        const where = `Vessel #${idx + 1}`;
+        if (!v || typeof v.name !== 'string' || !v.name.trim()) {
+            problems.push(`${where}: "name" is required.`);
+            return;
+        }
+        const key = v.name.trim().toLowerCase();
+        if (seen.has(key)) problems.push(`${where}: "${v.name}" appears twice in this file.`);
+        seen.add(key);
+        Object.entries(v.defaults || {}).forEach(([id, value]) => {
+            if (!vesselDefaultFields.some(f => f.id === id)) problems.push(`${where} ("${v.name}"): unknown default "${id}".`);
+            else if (value !== '' && value !== null && isNaN(parseFloat(value))) problems.push(`${where} ("${v.name}"): "${id}" must be a number.`);
+        });
+    });
+    if (problems.length > 0) throw new Error(problems.join('\n'));
+}
+
+/**
+ * Merges a validated registry file into this device's registry. Vessels are matched by name;
+ * an imported vessel replaces the local one only when it was updated more recently.
+ * @returns {Object} { added, updated, kept } counts.
+ */
+function mergeVesselRegistry(file) {
+    const vessels = loadVesselRegistry();
+    const counts = { added: 0, updated: 0, kept: 0 };
+    file.vessels.forEach(raw => {
+        const existing = findRegistryVessel(vessels, { name: raw.name });
+        if (!existing) {
+            vessels.push(normalizeVessel({ ...raw, id: generateStorageId() }));
+            counts.added++;
+        } else if ((raw.updatedAt || '') > (existing.updatedAt || '')) {
+            vessels[vessels.indexOf(existing)] = normalizeVessel({ ...raw, id: existing.id });
+            counts.updated++;
+        } else {
+            counts.kept++;
+        }
+    });
+    saveVesselRegistry(vessels);
+    return counts;
+}
+
+/**
+ * Builds the shareable registry file.
+ */
+function buildVesselRegistryFile() {
+    return {
+        action: VESSEL_REGISTRY_FILE_ACTION,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        vessels: loadVesselRegistry()
+    };
+}
+
+// ===== Plants =====
+
+/**
+ * Writes a vessel's defaults into a plant's check data, for every check that declares the field.
+ * Existing values are replaced: the registry holds the vessel's current offsets.
+ * @param {Object} plant - An appState plant (its checks are mutated).
+ * @returns {number} How many fields were filled in.
+ */
+function applyVesselDefaults(plant, vessel) {
+    let filled = 0;
+    plant.checks = plant.checks || {};
+    Object.values(checkRegistry).forEach(def => {
+        const ids = getCheckFieldIds(def);
+        Object.entries(vessel.defaults || {}).forEach(([fieldId, value]) => {
+            if (!ids.includes(fieldId)) return;
+            plant.checks[def.id] = { ...(plant.checks[def.id] || {}), [fieldId]: value };
+            filled++;
+        });
+    });
+    return filled;
+}
+
+/**
+ * Reads the registry defaults out of a plant's check data (the values last entered for this vessel).
+ */
+function captureVesselDefaults(plant) {
+    const defaults = {};
+    Object.values(plant.checks || {}).forEach(data => {
+        vesselDefaultFields.forEach(f => {
+            if (data[f.id] !== undefined && String(data[f.id]).trim() !== '') defaults[f.id] = String(data[f.id]);
+        });
+    });
+    return defaults;
+}
@@ -0,0 +1,207 @@
+/**
+ * export-integrity.js — shared by DQM QA Check and the DQM Trip Report
+ * Hashing of the QA App's change history, the seal written into each export, and the check the
+ * Trip Report runs on a loaded file. Both apps load this one file, so an export is always verified
+ * exactly the way it was sealed.
+ *
+ * Every event carries the SHA-256 hash of the event before it, so removing or rewriting an event breaks
+ * the chain. Events record the content hash of the timeline entry they leave behind, and an export is
+ * sealed with the hashes of its plants and timeline.
+ * The hashes are not keyed: they show accidental or casual edits, not edits by someone who recomputes them.
+ * Images are hashed as a placeholder inside events and entry hashes (the app stores photo references, the
+ * export embeds the images); the export seal covers the embedded images themselves.
+ */
+
+const AUDIT_GENESIS_HASH = '0'.repeat(64); // prevHash of the first event
+const AUDIT_IMAGE_PLACEHOLDER = '[image]';
+
+// ===== Hashing =====
+
+const SHA256_K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * SHA-256 of a string's UTF-8 bytes.
+ * Synchronous, and unlike crypto.subtle also available when the app is opened from a file:// URL.
+ * @returns {string} 64 lowercase hex digits.
+ */
+function sha256Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const data = new Uint8Array(paddedLength);
+    data.set(bytes);
+    data[bytes.length] = 0x80;
+    const view = new DataView(data.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000)); // Bit length, high word
+    view.setUint32(paddedLength - 4, (bytes.length * 8) >>> 0);
+
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, hh] = h;
+        for (let i = 0; i < 64; i++) {
+            const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) >>> 0;
+            const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            hh = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) >>> 0; });
+    }
+    return h.map(v => v.toString(16).padStart(8, '0')).join('');
+}
+
+/**
+ * JSON with object keys sorted at every level, so equal data always hashes the same
+ * (after a JSON round trip too: undefined members are dropped, as JSON.stringify does).
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(v => canonicalJson(v === undefined ? null : v)).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).filter(k => value[k] !== undefined).sort()
+            .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Deep copy with every image (photo reference or data URL) replaced by a placeholder.
+ */
+function withImagePlaceholders(value) {
+    if (typeof value === 'string') {
+        return value.startsWith('idb-photo:') || value.startsWith('data:image/') ? AUDIT_IMAGE_PLACEHOLDER : value;
+    }
+    if (Array.isArray(value)) return value.map(withImagePlaceholders);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, withImagePlaceholders(v)]));
+    }
+    return value;
+}
+
+/**
+ * Content hash of a timeline entry, identical whether its photos are stored references or embedded.
+ */
+function hashTimelineEntry(entry) {
+    return sha256Hex(canonicalJson(withImagePlaceholders(entry)));
+}
+
+/**
+ * Hash of an event, covering every member except the hash itself (prevHash included).
+ */
+function hashAuditEvent(event) {
+    const { hash, ...content } = event;
+    return sha256Hex(canonicalJson(content));
+}
+
+// ===== Change History Replay =====
+
+/**
+ * Replays a history to the content hash each surviving timeline entry should have.
+ * 'import', 'baseline' and 'clear' events replace the whole set with their entryHashes.
+ * @returns {Map} entry ID -> content hash.
+ */
+function replayEntryHashes(trail) {
+    const hashes = new Map();
+    trail.forEach(event => {
+        if (event.entryHashes) {
+            hashes.clear();
+            Object.entries(event.entryHashes).forEach(([id, hash]) => hashes.set(id, hash));
+        } else if (event.action === 'delete') {
+            hashes.delete(event.entryId);
+        } else if (event.entryId) {
+            hashes.set(event.entryId, event.contentHash);
+        }
+    });
+    return hashes;
+}
+
+// ===== Export Seal & Verification =====
+
+/**
+ * Seals an export: the history head plus hashes of the plants and timeline exactly as exported.
+ * @param {Array} trail - The change history.
+ * @param {Array} plants - Exported plants (photos embedded).
+ * @param {Array} timeline - Exported timeline (photos embedded).
+ */
+function sealExport(trail, plants, timeline) {
+    const seal = {
+        algorithm: 'SHA-256',
+        events: trail.length,
+        head: trail.length ? trail[trail.length - 1].hash : AUDIT_GENESIS_HASH,
+        plantsHash: sha256Hex(canonicalJson(plants)),
+        timelineHash: sha256Hex(canonicalJson(timeline))
+    };
+    seal.hash = sha256Hex(canonicalJson(seal));
+    return seal;
+}
+
+/**
+ * Checks an exported file against its change history and seal.
+ * @param {Object} meta - The export's metadata ({ plants, timeline, auditTrail, integrity }).
+ * @returns {Object} { status: 'verified' | 'modified' | 'unsealed', problems: [string] }
+ *   'unsealed' means the file predates export sealing, so nothing can be checked.
+ */
+function verifyExportIntegrity(meta) {
+    const seal = meta && meta.integrity;
+    if (!seal) return { status: 'unsealed', problems: [] };
+
+    const problems = [];
+    const trail = Array.isArray(meta.auditTrail) ? meta.auditTrail : [];
+    const plants = meta.plants || [];
+    const timeline = meta.timeline || [];
+
+    // 1. The chain: every event links to the one before and still matches its own hash
+    let prevHash = AUDIT_GENESIS_HASH;
+    for (let i = 0; i < trail.length; i++) {
+        const event = trail[i];
+        if (event.seq !== i + 1 || event.prevHash !== prevHash) {
+            problems.push(`Change history is broken at event ${i + 1} (events removed or reordered).`);
+            break;
+        }
+        if (hashAuditEvent(event) !== event.hash) {
+            problems.push(`Change history event ${i + 1} (${event.action || 'unknown'}) was altered.`);
+            break;
+        }
+        prevHash = event.hash;
+    }
+
+    // 2. The seal: the history head and the exported data are what the app wrote
+    const { hash, ...sealContent } = seal;
+    if (sha256Hex(canonicalJson(sealContent)) !== hash) problems.push('The export seal was altered.');
+    if (seal.events !== trail.length || seal.head !== (trail.length ? trail[trail.length - 1].hash : AUDIT_GENESIS_HASH)) {
+        problems.push('Change history events were added or removed after export.');
+    }
+    if (sha256Hex(canonicalJson(plants)) !== seal.plantsHash) problems.push('Plant or check data was changed after export.');
+    if (sha256Hex(canonicalJson(timeline)) !== seal.timelineHash) problems.push('The timeline was changed after export.');
+
+    // 3. Each timeline entry is the version its last recorded change left behind
+    const expected = replayEntryHashes(trail);
+    const seen = new Set();
+    timeline.forEach((entry, idx) => {
+        const label = `Timeline entry ${idx + 1} (${entry.activity || 'untitled'})`;
+        if (!entry.id || !expected.has(entry.id)) problems.push(`${label} is not in the change history.`);
+        else if (expected.get(entry.id) !== hashTimelineEntry(entry)) problems.push(`${label} differs from its last recorded change.`);
+        if (entry.id) seen.add(entry.id);
+    });
+    expected.forEach((_, id) => {
+        if (!seen.has(id)) problems.push(`A recorded timeline entry (${id}) is missing from the file.`);
+    });
+
+    return { status: problems.length ? 'modified' : 'verified', problems };
+}
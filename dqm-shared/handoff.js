@@ -0,0 +1,111 @@
+/**
+ * handoff.js — shared by DQM QA Check and the DQM Trip Report
+ * Sends an audit export from the QA App straight to the Trip Report, without a file.
+ *
+ * Both apps are served from the same origin, so they share an IndexedDB database: the QA App
+ * writes the export into its 'exports' store (one record per audit, replaced when the audit is
+ * sent again), and announces it on a BroadcastChannel so an open Trip Report can list it at once.
+ * The Trip Report opens a pending export through the same path as a loaded file, then removes it.
+ * Both apps load this one file, so they always open the database at the same version and layout.
+ */
+
+const HANDOFF_DB_NAME = 'dqm-handoff';
+const HANDOFF_DB_VERSION = 1;
+const HANDOFF_STORE = 'exports';
+const HANDOFF_CHANNEL = 'dqm-handoff';
+
+let handoffDbPromise = null;
+
+/**
+ * Opens (and on first use creates) the shared hand-off database.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHandoffDb() {
+    if (handoffDbPromise) return handoffDbPromise;
+    handoffDbPromise = new Promise((resolve, reject) => {
+        if (!('indexedDB' in window)) {
+            reject(new Error('IndexedDB is not supported in this browser.'));
+            return;
+        }
+        const req = indexedDB.open(HANDOFF_DB_NAME, HANDOFF_DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(HANDOFF_STORE)) db.createObjectStore(HANDOFF_STORE, { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+    handoffDbPromise.catch(() => { handoffDbPromise = null; }); // Let a later call retry
+    return handoffDbPromise;
+}
+
+/**
+ * Runs one request against the hand-off store and resolves with its result.
+ * @param {string} mode - 'readonly' or 'readwrite'.
+ * @param {Function} fn - Receives the object store, returns an IDBRequest.
+ */
+async function handoffRequest(mode, fn) {
+    const db = await openHandoffDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(HANDOFF_STORE, mode);
+        const req = fn(tx.objectStore(HANDOFF_STORE));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+// ===== QA App: Sending =====
+
+/**
+ * Stores an export for the Trip Report and notifies any open Trip Report.
+ * @param {Object} record - { id (the audit session ID), name, checkDate, plants: [names], sentAt, appVersion, data (the export) }
+ * @returns {Promise} Resolves once the record is written.
+ */
+async function sendHandoff(record) {
+    await handoffRequest('readwrite', store => store.put(record));
+    if ('BroadcastChannel' in window) {
+        const channel = new BroadcastChannel(HANDOFF_CHANNEL);
+        channel.postMessage({ type: 'sent', id: record.id });
+        channel.close();
+    }
+}
+
+// ===== Trip Report: Receiving =====
+
+/**
+ * Lists the pending exports, newest first, without their data.
+ * @returns {Promise<Array>} [{ id, name, checkDate, plants, sentAt, appVersion }]
+ */
+async function listHandoffs() {
+    const records = await handoffRequest('readonly', store => store.getAll());
+    return records
+        .map(({ data, ...summary }) => summary)
+        .sort((a, b) => (b.sentAt || '').localeCompare(a.sentAt || ''));
+}
+
+/**
+ * Reads one pending export, including the export itself (record.data).
+ * @returns {Promise<Object|null>}
+ */
+async function getHandoff(id) {
+    return (await handoffRequest('readonly', store => store.get(id))) || null;
+}
+
+/**
+ * Removes a pending export.
+ */
+function deleteHandoff(id) {
+    return handoffRequest('readwrite', store => store.delete(id));
+}
+
+/**
+ * Calls `callback` whenever the QA App sends an audit while this page is open.
+ */
+function watchHandoffs(callback) {
+    if (!('BroadcastChannel' in window)) return;
+    const channel = new BroadcastChannel(HANDOFF_CHANNEL);
+    channel.onmessage = (e) => {
+        if (e.data && e.data.type === 'sent') callback(e.data.id);
+    };
+}
@@ -0,0 +1,88 @@
+/**
+ * zip.js — shared by DQM QA Check (Excel export) and the DQM Trip Report (Word export)
+ * Writes the small uncompressed ZIP archives that .xlsx and .docx files are, in the browser, and
+ * escapes the XML that goes into them. Parts may be text or binary (the Word export's photos).
+ */
+
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 of a byte array, as the ZIP format requires.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive.
+ * @param {Array} files - [{ name, content (string or Uint8Array) }]
+ * @returns {Uint8Array}
+ */
+function buildZip(files) {
+    const encoder = new TextEncoder();
+    const local = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true); // Local file header
+        header.setUint16(4, 20, true); // Version needed
+        header.setUint16(6, 0x0800, true); // UTF-8 names
+        header.setUint16(8, 0, true); // Stored
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        local.push(new Uint8Array(header.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true); // Central directory header
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+        offset += 30 + name.length + data.length;
+    });
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...local, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let pos = 0;
+    parts.forEach(part => {
+        out.set(part, pos);
+        pos += part.length;
+    });
+    return out;
+}
+
+/**
+ * Escapes text for an XML element or attribute.
+ */
+function xmlEscape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''); // Control characters are not allowed in XML
+}
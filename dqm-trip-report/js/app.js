@@ -62,6 +62,17 @@ function showToast(message, type = 'success', duration = 3500) {
     }, duration);
 }
 
+/**
+ * Whether every value changed from the field data has a justification (changes.js).
+ * Shows a toast naming what is missing when not; the report is not printed or downloaded until then.
+ */
+function changesJustified() {
+    const missing = (typeof unjustifiedChanges === 'function') ? unjustifiedChanges(window.appState) : [];
+    if (missing.length === 0) return true;
+    showToast(`${missing.length} changed value(s) need a justification — see Changes from Field Data on the Edit Checks tab.`, 'warning', 6000);
+    return false;
+}
+
 document.addEventListener('DOMContentLoaded', () => {
     // 1. Component Initialization
     if (typeof initTabs === 'function') initTabs();
@@ -105,16 +116,79 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     /**
-     * Handle Report Generation / Printing.
+     * Build the report as a PDF and download it (js/pdf-report.js).
+     */
+    const pdfBtn = document.getElementById('pdf-btn');
+    if (pdfBtn) {
+        pdfBtn.addEventListener('click', async () => {
+            if (!window.appState.sourceJson) {
+                showToast('Nothing to export — load a QA file first.', 'warning');
+                return;
+            }
+            if (!changesJustified()) return;
+            if (typeof renderReport === 'function') renderReport();
+            pdfBtn.disabled = true;
+            try {
+                const pageCount = await downloadReportPdf();
+                showToast(`PDF downloaded (${pageCount} pages).`, 'success');
+            } catch (err) {
+                console.error('PDF export failed:', err);
+                showToast(`Could not build the PDF: ${err.message}`, 'error', 6000);
+            } finally {
+                pdfBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Build the report as a Word document and download it (js/docx-report.js).
+     */
+    const docxBtn = document.getElementById('docx-btn');
+    if (docxBtn) {
+        docxBtn.addEventListener('click', async () => {
+            if (!window.appState.sourceJson) {
+                showToast('Nothing to export — load a QA file first.', 'warning');
+                return;
+            }
+            if (!changesJustified()) return;
+            if (typeof renderReport === 'function') renderReport();
+            docxBtn.disabled = true;
+            try {
+                await downloadReportDocx();
+                showToast('Word document downloaded.', 'success');
+            } catch (err) {
+                console.error('Word export failed:', err);
+                showToast(`Could not build the Word document: ${err.message}`, 'error', 6000);
+            } finally {
+                docxBtn.disabled = false;
+            }
+        });
+    }
+
+    /**
+     * Handle Report Generation / Printing (the browser's own print dialog).
      */
     const printBtn = document.getElementById('print-btn');
     if (printBtn) {
         printBtn.addEventListener('click', () => {
+            if (!changesJustified()) return;
             if (typeof renderReport === 'function') renderReport();
             window.print();
         });
     }
 
+    /**
+     * Preview mode highlighting the values changed from the field data (js/changes.js).
+     */
+    const highlightToggle = document.getElementById('highlight-changes-toggle');
+    if (highlightToggle) {
+        highlightToggle.addEventListener('change', (e) => {
+            window.appState.highlightChanges = e.target.checked;
+            if (typeof saveDraft === 'function') saveDraft();
+            if (typeof renderReport === 'function') renderReport();
+        });
+    }
+
     // 3. Automated State Restoration from localStorage
     if (typeof loadDraft === 'function') {
         const restored = loadDraft();
@@ -123,7 +197,7 @@ document.addEventListener('DOMContentLoaded', () => {
             if (typeof updateLoadSummaryUI === 'function') updateLoadSummaryUI();
             if (typeof initMetaForm        === 'function') initMetaForm();
             if (typeof renderDataCheck     === 'function') renderDataCheck();
+            if (typeof renderMergeConflicts === 'function') renderMergeConflicts();
         }
     }
 });
-
@@ -0,0 +1,366 @@
+/**
+ * changes.js
+ * Provenance of values changed after the field: every override made in Edit Checks (saveOverride)
+ * is listed with its field value, report value, who changed it, when, and a justification.
+ *   - appState.overrideLog holds who/when/justification per field; the values themselves are read
+ *     from appState.overrides and the loaded check data, so overrides in older drafts are listed too;
+ *   - a change needs a justification before the report can be printed or downloaded;
+ *   - the Preview can highlight the cells the changes affect, and the report ends with an
+ *     appendix of all post-field edits (renderChangesAppendix in report-renderer.js).
+ */
+
+/**
+ * Key of a field in appState.overrideLog. Legacy single-vessel checks have no plant index.
+ */
+function overrideLogKey(plantIdx, checkType, path) {
+    return `${plantIdx === null || plantIdx === undefined ? 'legacy' : plantIdx}|${checkType}|${path}`;
+}
+
+/**
+ * Value of a dot-notated path in a check's data (or overrides), undefined when absent.
+ */
+function valueAtPath(obj, path) {
+    return path.split('.').reduce((node, part) => (node && typeof node === 'object') ? node[part] : undefined, obj);
+}
+
+/**
+ * The value a field had in the loaded QA data.
+ * Gallery captions are stored on the photos, not as check fields.
+ */
+function fieldOriginalValue(state, plantIdx, checkType, path) {
+    const checks = plantIdx === null ? (state.qaChecks || {}) : ((state.plants[plantIdx] || {}).checks || {});
+    const data = checks[checkType] || {};
+    const caption = path.match(/^gallery-caption-(.+)$/);
+    if (caption) {
+        const photo = (data[PHOTO_GALLERY_KEY] || []).find(p => String(p.id) === caption[1]);
+        return photo ? (photo.caption || '') : undefined;
+    }
+    return valueAtPath(data, path);
+}
+
+/**
+ * Whether an override puts a different value in the report than the field data.
+ * An empty override is ignored by the report (getVal falls back to the field value), so it is no change.
+ */
+function isOverrideChange(original, value) {
+    if (value === undefined || value === null || value === '') return false;
+    const norm = v => (v === undefined || v === null) ? '' : (typeof v === 'object' ? canonicalJson(v) : String(v));
+    return norm(original) !== norm(value);
+}
+
+/**
+ * Every field whose override changes the report, in plant and check order.
+ * @returns {Array<Object>} { key, plantIdx, plant, checkType, check, path, field, original, value, by, at, justification }
+ */
+function collectOverrideChanges(state) {
+    const overrides = state.overrides || {};
+    const log = state.overrideLog || {};
+    const sourceMeta = state.sourceJson ? (state.sourceJson.metadata || state.sourceJson) : {};
+    const checkName = type => (typeof checkLabels !== 'undefined' && checkLabels[type]) || (sourceMeta.checkNames || {})[type] || formatLabel(type);
+    const changes = [];
+
+    const walk = (plantIdx, checkType, node, prefix) => {
+        Object.entries(node || {}).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                walk(plantIdx, checkType, value, path);
+                return;
+            }
+            const original = fieldOriginalValue(state, plantIdx, checkType, path);
+            if (!isOverrideChange(original, value)) return;
+            const entry = log[overrideLogKey(plantIdx, checkType, path)] || {};
+            const caption = path.match(/^gallery-caption-/);
+            changes.push({
+                key: overrideLogKey(plantIdx, checkType, path),
+                plantIdx,
+                plant: plantIdx === null ? '' : ((state.plants[plantIdx] || {}).name || `Vessel #${plantIdx + 1}`),
+                checkType,
+                check: checkName(checkType),
+                path,
+                field: caption ? 'Photo caption' : formatLabel(path.split('.').pop()),
+                original,
+                value,
+                by: entry.by || '',
+                at: entry.at || '',
+                justification: entry.justification || ''
+            });
+        });
+    };
+
+    Object.keys(overrides).forEach(key => {
+        if (/^\d+$/.test(key)) {
+            Object.entries(overrides[key] || {}).forEach(([checkType, fields]) => walk(Number(key), checkType, fields, ''));
+        } else {
+            walk(null, key, overrides[key], '');
+        }
+    });
+    return changes.sort((a, b) => ((a.plantIdx ?? -1) - (b.plantIdx ?? -1)) || a.checkType.localeCompare(b.checkType));
+}
+
+/**
+ * Changes still waiting for a justification.
+ */
+function unjustifiedChanges(state) {
+    return collectOverrideChanges(state).filter(change => !change.justification.trim());
+}
+
+/**
+ * Records who changed a field and when. Called by saveOverride (editor.js); any justification given
+ * before is kept.
+ */
+function recordOverrideEdit(checkType, path, plantIdx) {
+    const state = window.appState;
+    if (!state.overrideLog) state.overrideLog = {};
+    const key = overrideLogKey(plantIdx, checkType, path);
+    state.overrideLog[key] = {
+        ...(state.overrideLog[key] || {}),
+        by: (state.editorName || state.meta.preparedBy || '').trim(),
+        at: new Date().toISOString()
+    };
+}
+
+/**
+ * A value as text for the changes list and appendix.
+ */
+function formatChangeValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    if (typeof value === 'string' && value.startsWith('data:image/')) return '[Photo]';
+    if (typeof value === 'object') return canonicalJson(value);
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+}
+
+/**
+ * Local 'YYYY-MM-DD HH:MM' for a change's ISO time ('' when unknown), as the timeline writes times.
+ */
+function formatChangeTime(iso) {
+    const date = new Date(iso);
+    if (!iso || isNaN(date.getTime())) return '';
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// ===== Edit Checks Tab =====
+
+/**
+ * Marks an editor field whose value differs from the field data, naming the field value.
+ * @param {HTMLElement} group - The field's .form-group.
+ */
+function markFieldChange(group, plantIdx, checkType, path) {
+    const state = window.appState;
+    const overrideRoot = plantIdx === null ? (state.overrides || {}) : ((state.overrides || {})[plantIdx] || {});
+    const original = fieldOriginalValue(state, plantIdx, checkType, path);
+    const changed = isOverrideChange(original, valueAtPath(overrideRoot[checkType] || {}, path));
+    group.classList.toggle('field-changed', changed);
+    group.title = changed ? `Changed from the field value: ${formatChangeValue(original)}` : '';
+}
+
+/**
+ * Renders the "Changes from Field Data" section at the top of the Edit Checks tab.
+ * Called with the editor container when the tab is built, and without it to refresh after an edit.
+ */
+function renderChangesView(parentDom) {
+    let section = document.getElementById('changes-view-section');
+    if (!section) {
+        if (!parentDom) return;
+        section = document.createElement('div');
+        section.id = 'changes-view-section';
+        section.className = 'editor-section mb-4'; // Default to collapsed
+        parentDom.appendChild(section);
+    }
+
+    const state = window.appState;
+    const changes = collectOverrideChanges(state);
+    const missing = changes.filter(change => !change.justification.trim()).length;
+    section.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'editor-section-header';
+    header.style.backgroundColor = '#2c3e50';
+    header.style.padding = '10px 15px';
+    header.innerHTML = `<span style="font-weight: 600; letter-spacing: 0.5px;">CHANGES FROM FIELD DATA (${changes.length})</span>`;
+    if (missing) header.innerHTML += ` <span class="changes-missing">⚠ ${missing} need a justification</span>`;
+    header.addEventListener('click', () => section.classList.toggle('open'));
+
+    const body = document.createElement('div');
+    body.className = 'editor-section-body';
+    body.innerHTML = `
+        <p class="text-muted">Every value changed from the data recorded in the field. Each change needs a justification before the report can be printed or downloaded; all of them are listed in the report's appendix.</p>
+        <div class="form-group">
+            <label>Your name (recorded with each change you make)</label>
+            <input type="text" id="changes-editor-name">
+        </div>
+    `;
+    const nameInput = body.querySelector('#changes-editor-name');
+    nameInput.value = state.editorName || '';
+    nameInput.placeholder = state.meta.preparedBy || 'e.g., John Doe';
+    nameInput.addEventListener('input', (e) => {
+        state.editorName = e.target.value;
+        if (typeof saveDraft === 'function') saveDraft();
+    });
+
+    if (changes.length === 0) {
+        const none = document.createElement('p');
+        none.className = 'text-muted';
+        none.textContent = 'No values have been changed.';
+        body.appendChild(none);
+    } else {
+        const table = document.createElement('table');
+        table.className = 'changes-table';
+        table.innerHTML = '<thead><tr><th>Vessel / Check</th><th>Field</th><th>Field Value</th><th>Report Value</th><th>Changed</th><th>Justification</th><th></th></tr></thead><tbody></tbody>';
+        const tbody = table.querySelector('tbody');
+        changes.forEach(change => {
+            const tr = document.createElement('tr');
+            const cells = [
+                change.plant ? `${change.plant} — ${change.check}` : change.check,
+                change.field,
+                formatChangeValue(change.original),
+                formatChangeValue(change.value),
+                [change.by || 'Name not recorded', formatChangeTime(change.at)].filter(Boolean).join(', ')
+            ];
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+
+            const justifyCell = document.createElement('td');
+            const justify = document.createElement('textarea');
+            justify.rows = 2;
+            justify.placeholder = 'Required: why was this value changed?';
+            justify.value = change.justification;
+            justify.classList.toggle('missing', !change.justification.trim());
+            justify.addEventListener('input', (e) => {
+                if (!state.overrideLog) state.overrideLog = {};
+                state.overrideLog[change.key] = { ...(state.overrideLog[change.key] || {}), justification: e.target.value };
+                justify.classList.toggle('missing', !e.target.value.trim());
+                const left = unjustifiedChanges(state).length;
+                const badge = header.querySelector('.changes-missing');
+                if (badge) badge.textContent = left ? `⚠ ${left} need a justification` : '';
+                if (typeof saveDraft === 'function') saveDraft();
+            });
+            justifyCell.appendChild(justify);
+            tr.appendChild(justifyCell);
+
+            const revertCell = document.createElement('td');
+            const revert = document.createElement('button');
+            revert.className = 'btn btn-small btn-secondary';
+            revert.textContent = 'Revert';
+            revert.title = 'Put the field value back in the report';
+            revert.addEventListener('click', () => {
+                if (!confirm(`Revert ${change.field} to the field value (${formatChangeValue(change.original)})?`)) return;
+                revertOverride(change);
+            });
+            revertCell.appendChild(revert);
+            tr.appendChild(revertCell);
+            tbody.appendChild(tr);
+        });
+        body.appendChild(table);
+    }
+
+    section.appendChild(header);
+    section.appendChild(body);
+}
+
+/**
+ * Removes a change's override, so the report shows the field value again.
+ */
+function revertOverride(change) {
+    const state = window.appState;
+    const root = change.plantIdx === null ? state.overrides : state.overrides[change.plantIdx];
+    const parts = change.path.split('.');
+    const parent = parts.length > 1 ? valueAtPath(root[change.checkType], parts.slice(0, -1).join('.')) : root[change.checkType];
+    delete parent[parts[parts.length - 1]];
+    delete (state.overrideLog || {})[change.key];
+    if (typeof saveDraft === 'function') saveDraft();
+    if (typeof renderEditor === 'function') renderEditor();
+}
+
+// ===== Preview Tab =====
+
+/**
+ * Largest row alignment highlightReportChanges will build (edited rows × field rows); past it, the rows
+ * between the unchanged lead and tail are paired in order instead.
+ */
+const CHANGE_ALIGN_LIMIT = 250000;
+
+/**
+ * Index pairs of the equal units in the longest common subsequence of two unit lists, ending with
+ * [a.length, b.length]. Empty (apart from that end) when the lists are too long to align.
+ */
+function alignReportUnits(a, b) {
+    const pairs = [];
+    if (a.length * b.length <= CHANGE_ALIGN_LIMIT) {
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i].sig === b[j].sig ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i].sig === b[j].sig) { pairs.push([i, j]); i++; j++; }
+            else if (lcs[i][j + 1] >= lcs[i + 1][j]) j++;
+            else i++;
+        }
+    }
+    pairs.push([a.length, b.length]);
+    return pairs;
+}
+
+/**
+ * Highlights the report cells that differ from a render of the field data alone.
+ * Table rows (and paragraphs, captions, images and headings outside tables) are aligned first, so rows
+ * added or removed by a change (e.g. a changed reading count) are highlighted whole; rows left unmatched
+ * between two aligned ones are then compared with their field counterparts cell by cell.
+ * @param {HTMLElement} target - The rendered report.
+ */
+function highlightReportChanges(target) {
+    const state = window.appState;
+    if (collectOverrideChanges(state).length === 0) return;
+    const fieldOnly = document.createElement('div');
+    fieldOnly.innerHTML = buildReportHtml({ ...state, overrides: {} });
+
+    const signature = el => `${el.tagName}|${el.tagName === 'IMG' ? el.getAttribute('src') : el.textContent.trim()}`;
+    const unitsOf = root => {
+        const units = [];
+        const rows = new Map();
+        Array.from(root.querySelectorAll('td, th, p, figcaption, img, h4'))
+            .filter(el => !el.closest('.changes-appendix'))
+            .forEach(el => {
+                const tr = el.closest('tr');
+                if (tr && rows.has(tr)) { rows.get(tr).cells.push(el); return; }
+                const unit = { cells: [el] };
+                if (tr) rows.set(tr, unit);
+                units.push(unit);
+            });
+        units.forEach(unit => {
+            unit.sigs = unit.cells.map(signature);
+            unit.sig = unit.sigs.join('\n');
+        });
+        return units;
+    };
+    const edited = unitsOf(target);
+    const field = unitsOf(fieldOnly);
+
+    // Identical lead and tail (metadata, unchanged checks) need no alignment
+    let start = 0;
+    while (start < edited.length && start < field.length && edited[start].sig === field[start].sig) start++;
+    let endE = edited.length, endF = field.length;
+    while (endE > start && endF > start && edited[endE - 1].sig === field[endF - 1].sig) { endE--; endF--; }
+
+    const a = edited.slice(start, endE), b = field.slice(start, endF);
+    let i = 0, j = 0;
+    alignReportUnits(a, b).forEach(([matchA, matchB]) => {
+        for (; i < matchA; i++, j++) {
+            const fieldSigs = j < matchB ? b[j].sigs : [];
+            a[i].cells.forEach((el, k) => {
+                if (a[i].sigs[k] === fieldSigs[k]) return;
+                el.classList.add('override-highlight');
+                el.title = 'Changed from the field data';
+            });
+        }
+        i = matchA + 1;
+        j = matchB + 1;
+    });
+}
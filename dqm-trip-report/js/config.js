@@ -11,7 +11,7 @@
  *   MINOR: new feature or UI section (non-breaking)
  *   PATCH: bug fix, style tweak, copy change
  */
-const APP_VERSION = '1.2.0';
+const APP_VERSION = '1.18.8';
 
 
 /**
@@ -50,3 +50,21 @@ Outfall Position Check -Position of the outfall is checked by comparing the posi
 Density Verification -Onboard DQM display of density monitored when transitioning from pumping water to material to verify expected behavior.`,
     'mechanical': `Standard language pending.`
 };
+
+/**
+ * Default tolerances for automated discrepancy detection (js/discrepancies.js).
+ * A reading whose difference from the DQM system exceeds its tolerance is drafted as a discrepancy.
+ * The author can change them for a report in Report Info (saved in appState.tolerances).
+ * `decimals` (default 2) is how finely differences are compared and printed.
+ */
+window.discrepancyTolerances = {
+    'draft':     { label: 'Draft (incl. simulated)', unit: 'ft', value: 0.1 },
+    'ullage':    { label: 'Ullage', unit: 'ft', value: 0.1 },
+    'depth':     { label: 'Draghead / Suction Mouth / Bucket Depth', unit: 'ft', value: 0.5 },
+    'velocity':  { label: 'Velocity', unit: 'ft/s', value: 0.5 },
+    'position':  { label: 'GPS Position', unit: 'ft', value: 10 },
+    'trackOffset': { label: 'Dynamic GPS (Mean Track Offset)', unit: 'ft', value: 10 },
+    'bucketPosition': { label: 'Bucket Position', unit: 'ft', value: 10 },
+    'density':   { label: 'Density', unit: 'SG', value: 0.03, decimals: 3 },
+    'dataCheck': { label: 'Integration Verification Data Check', unit: '%', value: 3 }
+};
@@ -387,8 +387,9 @@ function attachCalculatorListeners(dc, sectionKey, inputLabel, outputLabel, pIdx
             const reported = parseFloat(data[outKey]);
             if (!isNaN(reported) && reported !== 0) {
                 const pctDiff = Math.abs(calculated - reported) / Math.abs(reported) * 100;
-                if (pctDiff <= 3.0) {
-                    matchEl.textContent = `✅ Within 3% (${pctDiff.toFixed(2)}%)`;
+                const tolerance = getTolerance(window.appState, 'dataCheck');
+                if (pctDiff <= tolerance) {
+                    matchEl.textContent = `✅ Within ${tolerance}% (${pctDiff.toFixed(2)}%)`;
                     matchEl.style.color = 'var(--success)';
                 } else {
                     matchEl.textContent = `❌ Mismatch (${pctDiff.toFixed(2)}%)`;
@@ -0,0 +1,450 @@
+/**
+ * discrepancies.js
+ * Automated discrepancy detection for the Discrepancies section of the report.
+ * Scans every plant's checks (with overrides applied, as the report shows them) and the Integration
+ * Verification Data Check against the tolerances in config.js (changeable per report), and drafts a
+ * sentence for each out-of-spec reading. Check-pack checks are held to the verdict the QA app logged. The author accepts (after editing, if needed) or rejects each
+ * draft in Report Info; accepted text is added to meta.discrepancies, which the report prints as before.
+ */
+
+// ===== Tolerances =====
+
+/**
+ * The tolerance in force for a rule: the report's own value, else the default from config.js.
+ * @param {Object} state - appState.
+ * @param {string} key - A key of window.discrepancyTolerances, e.g. 'draft'.
+ */
+function getTolerance(state, key) {
+    const custom = parseFloat(state.tolerances && state.tolerances[key]);
+    return isNaN(custom) ? window.discrepancyTolerances[key].value : custom;
+}
+
+/**
+ * Decimals a rule's differences are compared and printed to (config.js `decimals`, default 2).
+ */
+function toleranceDecimals(key) {
+    const rule = window.discrepancyTolerances[key];
+    return rule && rule.decimals !== undefined ? rule.decimals : 2;
+}
+
+// ===== Rules =====
+
+/**
+ * A measured-against-DQM comparison, with the difference rounded as the report prints it.
+ * @param {string} key - Identifies the reading within its check (stable across scans).
+ * @param {string} reading - What was compared, for the draft text (e.g. 'Forward draft').
+ * @param {number} offset - Added to the measured value before comparing (sensor/head offsets).
+ */
+function discrepancyReading(key, reading, tolerance, measured, dqm, offset = 0) {
+    const m = parseFloat(measured);
+    const d = parseFloat(dqm);
+    if (isNaN(m) || isNaN(d)) return null;
+    return { key, reading, tolerance, measured: m + offset, dqm: d, difference: Number(Math.abs(m + offset - d).toFixed(toleranceDecimals(tolerance))) };
+}
+
+/**
+ * Simulated draft readings (test depth plus offset against the system reading), as renderSimulatedDraft lays them out.
+ */
+function simulatedDraftReadings(data, override, prefix, ends) {
+    const readings = [];
+    ends.forEach(pos => {
+        const offset = parseFloat(getVal(data, override, `${prefix}${pos}-offset`)) || 0;
+        readingNumbers(data, override, `${prefix}${pos}`).forEach(num => {
+            const depth = getVal(data, override, `${prefix}${pos}-depth-${num}`) || getVal(data, override, `${prefix}${pos}-depth${num}`);
+            const reading = getVal(data, override, `${prefix}${pos}-reading-${num}`) || getVal(data, override, `${prefix}${pos}-reading${num}`);
+            readings.push(discrepancyReading(`${prefix}${pos}-${num}`, `${pos === 'fwd' ? 'Forward' : 'Aft'} simulated draft, position ${num}`, 'draft', depth, reading, offset));
+        });
+    });
+    return readings;
+}
+
+/**
+ * Draft and ullage readings: the port/starboard average of each end against each DQM sensor, plate
+ * simulations, and any simulated draft recorded with the check. Mirrors renderShipData.
+ */
+function shipReadings(type, data, override) {
+    const isUllage = type.startsWith('ullage');
+    const stage = type.includes('Light') ? 'light' : 'loaded';
+    const prefix = isUllage ? `ullage-${stage}-` : `${stage}-`;
+    const tolerance = isUllage ? 'ullage' : 'draft';
+    const noun = isUllage ? 'ullage' : 'draft';
+    const ends = ['fwd', 'aft'].filter(pos => !(type.endsWith('Fwd') && pos === 'aft') && !(type.endsWith('Aft') && pos === 'fwd'));
+    const readings = [];
+
+    ends.forEach(pos => {
+        const endName = pos === 'fwd' ? 'Forward' : 'Aft';
+        const sensors = isUllage ? (parseInt(getVal(data, override, `${prefix}${pos}-sensors`), 10) || 1) : 1;
+
+        if (isUllage && getVal(data, override, `${prefix}${pos}-method`) === 'plate') {
+            for (let k = 1; k <= sensors; k++) {
+                const blockId = `${prefix}${pos}-plate-s${k}`;
+                const offset = parseFloat(getVal(data, override, `${blockId}-offset`)) || 0;
+                readingNumbers(data, override, blockId).forEach(num => {
+                    readings.push(discrepancyReading(`${blockId}-${num}`, `${endName} ullage sensor ${k}, plate ${num}`, tolerance,
+                        getVal(data, override, `${blockId}-ullage-${num}`), getVal(data, override, `${blockId}-dqm-${num}`), offset));
+                });
+            }
+            return;
+        }
+
+        const average = avg(getVal(data, override, `${prefix}${pos}-port`), getVal(data, override, `${prefix}${pos}-stbd`));
+        readings.push(discrepancyReading(`${prefix}${pos}`, `${endName} ${noun}${sensors > 1 ? ' (sensor 1)' : ''}`, tolerance,
+            average, getVal(data, override, `${prefix}dqm-${pos}`)));
+        for (let k = 2; k <= sensors; k++) {
+            readings.push(discrepancyReading(`${prefix}${pos}-s${k}`, `${endName} ${noun} (sensor ${k})`, tolerance,
+                average, getVal(data, override, `${prefix}dqm-${pos}-s${k}`)));
+        }
+    });
+
+    if (!isUllage && Object.keys(data).some(k => k.startsWith(`sim-${prefix}`))) {
+        readings.push(...simulatedDraftReadings(data, override, `sim-${prefix}`, ends));
+    }
+    return readings;
+}
+
+/**
+ * Depth readings for the draghead(s), suction mouth or bucket: measured depth plus offset against the DQM depth.
+ */
+function depthReadings(type, data, override) {
+    const readings = [];
+    const series = (blockId, label, offset, manualKeys, dqmKeys) => {
+        readingNumbers(data, override, blockId).forEach(num => {
+            const first = keys => keys.map(k => getVal(data, override, k(num))).find(v => v !== undefined);
+            readings.push(discrepancyReading(`${blockId}-${num}`, `${label}, measurement ${num}`, 'depth', first(manualKeys), first(dqmKeys), offset));
+        });
+    };
+
+    if (type === 'dragheadDepth') {
+        [
+            { key: 'port', label: 'Port draghead', checkKey: 'draghead-check-port', altCheckKey: 'dh-port-chk' },
+            { key: 'center', label: 'Center draghead', checkKey: 'draghead-check-center', altCheckKey: 'dh-center-chk' },
+            { key: 'stbd', label: 'Starboard draghead', checkKey: 'draghead-check-stbd', altCheckKey: 'dh-stbd-chk' }
+        ].forEach(dh => {
+            if (getVal(data, override, dh.checkKey) === false || getVal(data, override, dh.altCheckKey) === false) return;
+            const offset = parseFloat(getVal(data, override, `draghead-${dh.key}-offset`)) || parseFloat(getVal(data, override, `dh-${dh.key}-offset`)) || 0;
+            series(`dh-${dh.key}`, dh.label, offset,
+                [n => `draghead-${dh.key}-manual-${n}`, n => `dh-${dh.key}-man-${n}`],
+                [n => `draghead-${dh.key}-dqm-${n}`, n => `dh-${dh.key}-dqm-${n}`]);
+        });
+    } else {
+        const name = type === 'suctionMouthDepth' ? 'suction' : 'bucket';
+        const offset = parseFloat(getVal(data, override, `${name}-offset`)) || 0;
+        series(name, type === 'suctionMouthDepth' ? 'Suction mouth' : 'Bucket', offset,
+            [n => `${name}-manual-${n}`, n => `${name}-man-${n}`], [n => `${name}-dqm-${n}`]);
+    }
+    return readings;
+}
+
+/**
+ * Velocity tests: dye (calculated from travel time) or meter velocity against the DQM velocity.
+ */
+function velocityReadings(data, override) {
+    const value = (longKey, shortKey) => getVal(data, override, longKey) !== undefined ? getVal(data, override, longKey) : getVal(data, override, shortKey);
+    const method = (value('velocity-method', 'vel-method') || '').toString().toLowerCase();
+    const readings = [];
+    if (method.includes('dye')) {
+        readingNumbers(data, override, 'vel-dye').forEach(num => {
+            readings.push(discrepancyReading(`vel-dye-${num}`, `Dye test ${num}`, 'velocity',
+                value(`velocity-dye-calc-${num}`, `vel-dye-calc-${num}`), value(`velocity-dye-dqm-${num}`, `vel-dye-dqm-${num}`)));
+        });
+    } else if (method.includes('meter')) {
+        readingNumbers(data, override, 'vel-meter').forEach(num => {
+            readings.push(discrepancyReading(`vel-meter-${num}`, `Meter test ${num}`, 'velocity',
+                value(`velocity-meter-manual-${num}`, `vel-meter-man-${num}`), value(`velocity-meter-dqm-${num}`, `vel-meter-dqm-${num}`)));
+        });
+    }
+    return readings;
+}
+
+/**
+ * Density: each water-baseline reading, and the expected density against the one the DQM showed. Mirrors renderDensityTable.
+ */
+function densityReadings(data, override) {
+    const readings = readingNumbers(data, override, 'density-water').map(num => discrepancyReading(`density-water-${num}`, `Water baseline, reading ${num}`, 'density',
+        getVal(data, override, `density-water-sg-${num}`), getVal(data, override, `density-water-dqm-${num}`)));
+    readings.push(discrepancyReading('density-expected', 'Expected material density', 'density',
+        getVal(data, override, 'density-expected-sg'), getVal(data, override, 'density-observed-sg')));
+    return readings;
+}
+
+/**
+ * The comparisons a built-in check type is held to. Hull status has no numeric tolerance.
+ */
+function checkReadings(type, data, override) {
+    if (type === 'draftSensorSimulated') return simulatedDraftReadings(data, override, 'sim-', ['fwd', 'aft']);
+    if (type.startsWith('draftSensor') || type.startsWith('ullage')) return shipReadings(type, data, override);
+    if (type === 'dragheadDepth' || type === 'suctionMouthDepth' || type === 'bucketDepth') return depthReadings(type, data, override);
+    if (type === 'velocity') return velocityReadings(data, override);
+    if (type === 'positionCheck') {
+        const distance = parseFloat(getVal(data, override, 'position-diff'));
+        if (isNaN(distance)) return [];
+        return [{ key: 'position', reading: 'Handheld and DQM positions', tolerance: 'position', difference: distance }];
+    }
+    if (type === 'dynamicPositionCheck') {
+        const offset = parseFloat(getVal(data, override, 'track-offset-mean'));
+        if (isNaN(offset)) return [];
+        return [{ key: 'track-offset-mean', reading: 'Handheld and DQM tracks (mean offset)', tolerance: 'trackOffset', difference: offset }];
+    }
+    if (type === 'densityCheck') return densityReadings(data, override);
+    if (type === 'bucketPosition') {
+        return readingNumbers(data, override, 'bpos', 2).map(num => discrepancyReading(`bpos-${num}`, `Bucket position, measurement ${num}`, 'bucketPosition',
+            getVal(data, override, `bpos-man-${num}`), getVal(data, override, `bpos-dqm-${num}`)));
+    }
+    return [];
+}
+
+/**
+ * Check-pack checks, which the report has no rules for: the difference cells in the verdict the QA app
+ * saved when the check was last logged, held to the plant tolerance it applied. A cell overridden since
+ * is compared at its new value. Pack tolerances are set in the QA app, so the Tolerances grid doesn't change them.
+ * @param {number|null} pIdx - The plant index (null for legacy files).
+ */
+function loggedVerdictReadings(state, pIdx, type, override) {
+    const entry = (state.timeline || [])
+        .filter(e => e.checkType === type && e.verdict && (pIdx === null || e.plantIdx === pIdx))
+        .reduce((latest, e) => (!latest || (e.timestamp || '') >= (latest.timestamp || '') ? e : latest), null);
+    if (!entry) return [];
+    const { tolerance, readings } = entry.verdict;
+    if (!tolerance || isNaN(parseFloat(tolerance.limit))) return [];
+    return Object.entries(readings || {}).map(([fieldId, graded]) => {
+        const value = parseFloat(getVal({ [fieldId]: graded.value }, override, fieldId));
+        if (isNaN(value)) return null;
+        return {
+            key: fieldId,
+            reading: formatLabel(fieldId),
+            tolerance: entry.verdict.category,
+            limit: parseFloat(tolerance.limit),
+            unit: tolerance.unit || '',
+            logged: true,
+            difference: Number(Math.abs(value).toFixed(2))
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Integration Verification Data Check rows whose calculated output is off the reported output by more
+ * than the tolerance, for the rows the report shows (see renderDataCheckSection).
+ */
+function dataCheckReadings(state, plant, pIdx) {
+    const dc = state.dataCheck && state.dataCheck[pIdx];
+    if (!dc || !qualifiesForDisplacement(plant.vesselType)) return [];
+    const rows = [
+        { key: 'displacementLight', label: 'Displacement — Light Ship', output: 'reportedDisplacement', unit: 'LT' },
+        { key: 'displacementLoaded', label: 'Displacement — Fully Loaded', output: 'reportedDisplacement', unit: 'LT' }
+    ];
+    if (qualifiesForVolume(plant.vesselType, plant.profile, dc.isUllageProfile)) {
+        rows.push({ key: 'volumeLight', label: 'Volume — Light Ship', output: 'reportedVolume', unit: 'cy' },
+            { key: 'volumeLoaded', label: 'Volume — Fully Loaded', output: 'reportedVolume', unit: 'cy' });
+    }
+    return rows.map(row => {
+        const section = dc[row.key];
+        if (!section) return null;
+        const calculated = computeVerificationValue(section, row.key);
+        const reported = parseFloat(section[row.output]);
+        if (calculated === null || isNaN(reported) || reported === 0) return null;
+        return {
+            key: row.key,
+            reading: row.label,
+            tolerance: 'dataCheck',
+            difference: Number((Math.abs(calculated - reported) / Math.abs(reported) * 100).toFixed(2)),
+            detail: `reported ${reported} ${row.unit}, calculated ${calculated.toFixed(2)} ${row.unit}`
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Drafts the Discrepancies sentence for a finding.
+ */
+function draftDiscrepancyText(finding) {
+    const { unit, decimals } = finding;
+    const amount = `${finding.difference.toFixed(decimals)}${unit === '%' ? '%' : ` ${unit}`}`;
+    const limit = `±${finding.limit}${unit === '%' ? '%' : ` ${unit}`}`;
+    let text;
+    if (finding.tolerance === 'dataCheck') {
+        text = `${finding.reading} calculated output differs from the reported output by ${amount} (tolerance ${limit}; ${finding.detail}).`;
+    } else if (finding.tolerance === 'position' || finding.tolerance === 'trackOffset') {
+        text = `${finding.reading} differ by ${amount} (tolerance ${finding.limit} ${unit}).`;
+    } else if (finding.logged) {
+        text = `${finding.reading} is ${amount}, outside the tolerance of ${limit} applied when the check was logged.`;
+    } else {
+        text = `${finding.reading} differs from the DQM system by ${amount} (tolerance ${limit}; measured ${finding.measured.toFixed(decimals)} ${unit}, DQM ${finding.dqm.toFixed(decimals)} ${unit}).`;
+    }
+    return `${finding.plant} — ${finding.check}: ${text}`;
+}
+
+/**
+ * Scans every plant's checks and data check against the tolerances.
+ * @param {Object} state - appState.
+ * @returns {Array} Findings: { id, plant, check, reading, tolerance, limit, unit, decimals, difference, measured, dqm, draft },
+ *   in report order. `id` identifies the reading across scans.
+ */
+function scanDiscrepancies(state) {
+    const findings = [];
+    const overrides = state.overrides || {};
+    const legacy = !(state.plants && state.plants.length);
+    const plants = legacy ? [{ name: '', checks: state.qaChecks || {} }] : state.plants;
+    const sourceMeta = state.sourceJson ? (state.sourceJson.metadata || state.sourceJson) : {};
+
+    plants.forEach((plant, pIdx) => {
+        const plantName = plant.name || (legacy ? 'Vessel' : `Vessel #${pIdx + 1}`);
+        const add = (idPrefix, check, reading) => {
+            if (!reading) return;
+            // Check-pack readings carry the limit and unit the QA app graded them against
+            const limit = reading.logged ? reading.limit : getTolerance(state, reading.tolerance);
+            if (!(reading.difference > limit)) return;
+            const finding = {
+                ...reading,
+                id: `${idPrefix}:${reading.key}`,
+                plant: plantName,
+                check,
+                limit,
+                unit: reading.logged ? reading.unit : window.discrepancyTolerances[reading.tolerance].unit,
+                decimals: reading.logged ? 2 : toleranceDecimals(reading.tolerance)
+            };
+            finding.draft = draftDiscrepancyText(finding);
+            findings.push(finding);
+        };
+
+        Object.entries(plant.checks || {}).forEach(([type, data]) => {
+            if (!data) return;
+            // Same override precedence as renderChecks
+            const override = legacy ? (overrides[type] || {}) : ((overrides[pIdx] && overrides[pIdx][type]) || overrides[type] || {});
+            const check = checkLabels[type] || (sourceMeta.checkNames || {})[type] || type;
+            const readings = checkLabels[type] ? checkReadings(type, data, override) : loggedVerdictReadings(state, legacy ? null : pIdx, type, override);
+            readings.forEach(reading => add(`${legacy ? 'legacy' : pIdx}:${type}`, check, reading));
+        });
+        if (!legacy) {
+            dataCheckReadings(state, plant, pIdx).forEach(reading => add(`${pIdx}:dataCheck`, 'Integration Verification Data Check', reading));
+        }
+    });
+    return findings;
+}
+
+// ===== Review =====
+// Decisions are kept in appState.discrepancyReview by finding id: { status: 'accepted' | 'rejected' | '', text, draft }.
+// A decision applies to the draft it was made on; when an edit changes the reading, it is up for review again.
+
+/**
+ * Adds a line to the Discrepancies text (and its box), unless it is already there.
+ */
+function appendDiscrepancyText(text) {
+    const meta = window.appState.meta;
+    const lines = (meta.discrepancies || '').split('\n').map(line => line.trim());
+    if (lines.includes(text.trim())) return;
+    meta.discrepancies = (meta.discrepancies || '').replace(/\s+$/, '') ? `${meta.discrepancies.replace(/\s+$/, '')}\n${text.trim()}` : text.trim();
+    const input = document.getElementById('meta-discrepancies');
+    if (input) input.value = meta.discrepancies;
+}
+
+/**
+ * Removes a line added by appendDiscrepancyText (e.g. when an acceptance is undone).
+ */
+function removeDiscrepancyText(text) {
+    const meta = window.appState.meta;
+    meta.discrepancies = (meta.discrepancies || '').split('\n').filter(line => line.trim() !== text.trim()).join('\n');
+    const input = document.getElementById('meta-discrepancies');
+    if (input) input.value = meta.discrepancies;
+}
+
+/**
+ * Renders the tolerance inputs and the detected discrepancies in Report Info.
+ * Called on load, when Report Info is opened and whenever a tolerance changes.
+ */
+function renderDiscrepancyReview() {
+    const grid = document.getElementById('tolerance-grid');
+    const list = document.getElementById('discrepancy-review-list');
+    const summary = document.getElementById('discrepancy-review-summary');
+    if (!grid || !list || !summary) return;
+    const state = window.appState;
+    if (!state.tolerances) state.tolerances = {};
+    if (!state.discrepancyReview) state.discrepancyReview = {};
+
+    grid.innerHTML = '';
+    Object.entries(window.discrepancyTolerances).forEach(([key, rule]) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `<label></label><input type="number" step="any" min="0">`;
+        group.querySelector('label').textContent = `${rule.label} (±${rule.unit})`;
+        const input = group.querySelector('input');
+        input.value = state.tolerances[key] !== undefined ? state.tolerances[key] : '';
+        input.placeholder = rule.value;
+        input.addEventListener('change', () => {
+            if (input.value === '' || isNaN(parseFloat(input.value))) delete state.tolerances[key];
+            else state.tolerances[key] = parseFloat(input.value);
+            if (typeof saveDraft === 'function') saveDraft();
+            renderDiscrepancyReview();
+        });
+        grid.appendChild(group);
+    });
+
+    list.innerHTML = '';
+    if (!state.sourceJson) {
+        summary.textContent = 'Load a QA file to check its readings against these tolerances.';
+        return;
+    }
+
+    const findings = scanDiscrepancies(state);
+    const reviewOf = finding => {
+        const entry = state.discrepancyReview[finding.id];
+        return entry && entry.draft === finding.draft ? entry : { status: '', text: finding.draft, draft: finding.draft };
+    };
+    const counts = { '': 0, accepted: 0, rejected: 0 };
+    findings.forEach(finding => counts[reviewOf(finding).status]++);
+    summary.textContent = findings.length === 0
+        ? 'No readings are out of tolerance.'
+        : `${findings.length} reading(s) out of tolerance: ${counts['']} to review, ${counts.accepted} accepted, ${counts.rejected} rejected.`;
+
+    const decide = (finding, review) => {
+        state.discrepancyReview[finding.id] = review;
+        if (typeof saveDraft === 'function') saveDraft();
+        renderDiscrepancyReview();
+    };
+
+    findings.forEach(finding => {
+        const review = reviewOf(finding);
+        const { unit, decimals } = finding;
+        const row = document.createElement('div');
+        row.className = `discrepancy-item${review.status ? ` ${review.status}` : ''}`;
+        row.innerHTML = `
+            <div class="discrepancy-info">
+                <strong></strong>
+                <small></small>
+                <textarea rows="2"></textarea>
+            </div>
+            <div class="discrepancy-actions"></div>
+        `;
+        row.querySelector('strong').textContent = `${finding.plant} — ${finding.check}`;
+        row.querySelector('small').textContent = `${finding.reading}: ${finding.difference.toFixed(decimals)} ${unit} (tolerance ±${finding.limit} ${unit})`
+            + (review.status ? ` · ${review.status === 'accepted' ? 'Accepted' : 'Rejected'}` : '');
+        const textarea = row.querySelector('textarea');
+        textarea.value = review.text;
+        textarea.disabled = !!review.status;
+        textarea.addEventListener('input', () => {
+            state.discrepancyReview[finding.id] = { ...review, text: textarea.value };
+            if (typeof saveDraft === 'function') saveDraft();
+        });
+
+        const actions = row.querySelector('.discrepancy-actions');
+        const button = (label, className, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = `btn btn-small ${className}`;
+            btn.textContent = label;
+            btn.addEventListener('click', onClick);
+            actions.appendChild(btn);
+        };
+        if (!review.status) {
+            button('Accept', 'btn-primary', () => {
+                if (!textarea.value.trim()) return;
+                appendDiscrepancyText(textarea.value);
+                decide(finding, { status: 'accepted', text: textarea.value.trim(), draft: finding.draft });
+            });
+            button('Reject', 'btn-secondary', () => decide(finding, { status: 'rejected', text: textarea.value, draft: finding.draft }));
+        } else {
+            button('Undo', 'btn-secondary', () => {
+                if (review.status === 'accepted') removeDiscrepancyText(review.text);
+                decide(finding, { status: '', text: review.text, draft: finding.draft });
+            });
+        }
+        list.appendChild(row);
+    });
+}
@@ -0,0 +1,300 @@
+/**
+ * docx-report.js
+ * Writes the trip report as a Word document (.docx), for districts that make their final edits in Word.
+ * Built from the same blocks as the PDF (report-blocks.js): headings use Word's heading styles (so they
+ * appear in the Navigation pane), tables are Word tables whose header rows repeat on each page, and
+ * photos are embedded pictures. Every page carries the "For Official Use Only" marking and page numbers.
+ * The document is a small uncompressed ZIP of WordprocessingML parts, put together in the browser
+ * with buildZip() from ../dqm-shared/zip.js.
+ */
+
+const DOCX_CONTENT_WIDTH = 9360;  // Twips (1/20 pt): Letter with 1 in margins
+const DOCX_EMU_PER_PT = 12700;    // Picture sizes are in EMUs
+const DOCX_PHOTO_MAX_HEIGHT = { 1: 260, 2: 200 }; // Points, by photos per row
+const DOCX_CELL_PHOTO_MAX_HEIGHT = 150;
+const DOCX_TABLE_FONT_SIZE = 9;
+
+const DOCX_NAMESPACES = [
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+// ===== Document Body =====
+
+/**
+ * Runs as WordprocessingML. Spaces at the start and end of each line are dropped, as a browser would.
+ * @param {Object} format - { size (pt), heading (runs are bold unless marked otherwise) }
+ */
+function docxRunsXml(runs, format = {}) {
+    const first = runs.findIndex(run => run.text && run.text.trim());
+    if (first < 0) return '';
+    const last = runs.length - 1 - runs.slice().reverse().findIndex(run => run.text && run.text.trim());
+    runs = runs.slice(first, last + 1); // No blank lines at the start or end
+    return runs.map((run, i) => {
+        if (run.br) return '<w:r><w:br/></w:r>';
+        let text = run.text;
+        if (i === 0 || runs[i - 1].br) text = text.trimStart();
+        if (i === runs.length - 1 || runs[i + 1].br) text = text.trimEnd();
+        if (!text) return '';
+        const props = [
+            run.bold ? '<w:b/>' : (format.heading ? '<w:b w:val="0"/>' : ''),
+            run.italic ? '<w:i/>' : '',
+            run.color ? `<w:color w:val="${run.color}"/>` : '',
+            format.size ? `<w:sz w:val="${Math.round(format.size * 2)}"/>` : ''
+        ].join('');
+        return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${xmlEscape(text)}</w:t></w:r>`;
+    }).join('');
+}
+
+/**
+ * A paragraph around runs or a picture. `options`: { style, align, keepNext }.
+ */
+function docxParagraph(content, options = {}) {
+    const props = [
+        options.style ? `<w:pStyle w:val="${options.style}"/>` : '',
+        options.keepNext ? '<w:keepNext/>' : '',
+        options.align && options.align !== 'left' ? `<w:jc w:val="${options.align === 'justify' ? 'both' : options.align}"/>` : ''
+    ].join('');
+    return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+}
+
+/**
+ * An inline picture of a stored photo, of the given size in points. `id` is unique in the document.
+ */
+function docxPictureXml(id, file, width, height) {
+    const cx = Math.round(width * DOCX_EMU_PER_PT);
+    const cy = Math.round(height * DOCX_EMU_PER_PT);
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/>`
+        + `<wp:docPr id="${id}" name="Picture ${id}"/><wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>`
+        + '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>'
+        + `<pic:nvPicPr><pic:cNvPr id="${id}" name="${file.file}"/><pic:cNvPicPr/></pic:nvPicPr>`
+        + `<pic:blipFill><a:blip r:embed="${file.rId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>`
+        + `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>`
+        + '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+}
+
+/**
+ * Photos placed in the document, each stored once (word/media/imageN.*) however often it appears.
+ * Base64 PNG, JPEG and GIF photos are stored as they are; other formats are converted to PNG.
+ */
+function createDocxMedia(images) {
+    const media = { images, files: [], bySrc: new Map(), nextDrawingId: 1 };
+    media.picture = (src, maxWidth, maxHeight) => {
+        const image = images.get(src);
+        if (!image) return '';
+        if (!media.bySrc.has(src)) {
+            const match = src.match(/^data:image\/(png|jpeg|jpg|gif);base64,(.*)$/i);
+            let ext, binary;
+            if (match) {
+                ext = match[1].toLowerCase() === 'jpg' ? 'jpeg' : match[1].toLowerCase();
+                binary = atob(match[2]);
+            } else {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+                canvas.getContext('2d').drawImage(image.element, 0, 0);
+                ext = 'png';
+                binary = atob(canvas.toDataURL('image/png').split(',')[1]);
+            }
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+            const n = media.files.length + 1;
+            const entry = { rId: `rIdImage${n}`, file: `image${n}.${ext}`, ext, bytes };
+            media.files.push(entry);
+            media.bySrc.set(src, entry);
+        }
+        const size = fitReportImage(image, maxWidth, maxHeight);
+        return docxPictureXml(media.nextDrawingId++, media.bySrc.get(src), size.width, size.height);
+    };
+    return media;
+}
+
+/**
+ * A table with the report's single black rules; the first row repeats on each page when it is all headings.
+ */
+function docxTableXml(block, media) {
+    const grid = block.widths.map(p => Math.round(p / 100 * DOCX_CONTENT_WIDTH));
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="000000"/>`;
+    const headerRow = block.rows.length > 1 && block.rows[0].cells.every(cell => cell.header);
+
+    const rows = block.rows.map((row, r) => {
+        let col = 0;
+        const cells = row.cells.map(cell => {
+            const span = Math.max(1, Math.min(cell.colspan, grid.length - col));
+            const width = grid.slice(col, col + span).reduce((sum, w) => sum + w, 0);
+            col += span;
+            const innerPt = width / 20 - 8;
+            const pictures = cell.images.map(src => media.picture(src, innerPt, DOCX_CELL_PHOTO_MAX_HEIGHT)).filter(Boolean);
+            const props = `<w:tcW w:w="${width}" w:type="dxa"/>${span > 1 ? `<w:gridSpan w:val="${span}"/>` : ''}`
+                + (cell.header ? '<w:shd w:val="clear" w:color="auto" w:fill="F0F0F0"/>' : '');
+            const paragraphs = [docxParagraph(docxRunsXml(cell.runs, { size: DOCX_TABLE_FONT_SIZE }), { style: 'TableText', align: cell.align })]
+                .concat(pictures.map(picture => docxParagraph(picture, { style: 'TableText' })));
+            return `<w:tc><w:tcPr>${props}</w:tcPr>${paragraphs.join('')}</w:tc>`;
+        });
+        const rowProps = `<w:cantSplit/>${headerRow && r === 0 ? '<w:tblHeader/>' : ''}`;
+        return `<w:tr><w:trPr>${rowProps}</w:trPr>${cells.join('')}</w:tr>`;
+    });
+
+    return '<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/>'
+        + `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>`
+        + '<w:tblLayout w:type="fixed"/><w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="80" w:type="dxa"/><w:bottom w:w="40" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr>'
+        + `<w:tblGrid>${grid.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`
+        + rows.join('') + '</w:tbl>'
+        + docxParagraph('', { style: 'TableSpacer' }); // Keeps consecutive tables apart (Word would merge them)
+}
+
+/**
+ * Photos with captions. Several are set two to a row in a borderless table, as in the preview.
+ */
+function docxFiguresXml(block, media) {
+    const columnPt = block.columns > 1 ? DOCX_CONTENT_WIDTH / 20 / block.columns - 8 : DOCX_CONTENT_WIDTH / 20;
+    const figure = item => {
+        const picture = media.picture(item.src, columnPt, DOCX_PHOTO_MAX_HEIGHT[block.columns] || DOCX_PHOTO_MAX_HEIGHT[1]);
+        const hasCaption = reportRunsHaveText(item.caption);
+        const shown = picture
+            ? docxParagraph(picture, { style: 'Figure', keepNext: hasCaption })
+            : docxParagraph(docxRunsXml([{ text: '[Photo could not be read]', bold: false, italic: true, color: '' }]), { style: 'Caption', keepNext: hasCaption });
+        return shown + (hasCaption ? docxParagraph(docxRunsXml(item.caption), { style: 'Caption' }) : '');
+    };
+    if (block.columns === 1) return block.items.map(figure).join('');
+
+    const width = Math.floor(DOCX_CONTENT_WIDTH / block.columns);
+    const rows = [];
+    for (let i = 0; i < block.items.length; i += block.columns) {
+        const cells = Array.from({ length: block.columns }, (_, c) => {
+            const item = block.items[i + c];
+            return `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>${item ? figure(item) : docxParagraph('')}</w:tc>`;
+        });
+        rows.push(`<w:tr><w:trPr><w:cantSplit/></w:trPr>${cells.join('')}</w:tr>`);
+    }
+    return '<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/><w:tblLayout w:type="fixed"/></w:tblPr>'
+        + `<w:tblGrid>${Array.from({ length: block.columns }, () => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>`
+        + rows.join('') + '</w:tbl>' + docxParagraph('', { style: 'TableSpacer' });
+}
+
+/**
+ * Blocks as WordprocessingML body content.
+ */
+function docxBlocksXml(blocks, media) {
+    return blocks.map(block => {
+        if (block.type === 'pageBreak') return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+        if (block.type === 'heading') {
+            return docxParagraph(docxRunsXml(block.runs, { size: block.size, heading: true }), { style: `Heading${Math.min(block.level, 4)}`, align: block.align });
+        }
+        if (block.type === 'paragraph') {
+            return docxParagraph(docxRunsXml(block.runs, { size: block.size !== 10 ? block.size : 0 }), { align: block.align });
+        }
+        if (block.type === 'table') return docxTableXml(block, media);
+        if (block.type === 'figures') return docxFiguresXml(block, media);
+        return '';
+    }).join('');
+}
+
+// ===== Package Parts =====
+
+/**
+ * The style sheet: Arial 10 pt text and the report's heading, caption and table text styles.
+ */
+function docxStylesXml() {
+    const heading = (level, size, extra = '') => `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/>`
+        + `<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/><w:pPr><w:keepNext/><w:keepLines/>${extra}`
+        + `<w:spacing w:before="${level <= 2 ? 240 : 200}" w:after="100"/><w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/><w:sz w:val="${size * 2}"/></w:rPr></w:style>`;
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+        + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:eastAsia="Arial" w:cs="Arial"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>'
+        + '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+        + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+        + heading(1, 16) + heading(2, 14)
+        + heading(3, 12, '<w:pBdr><w:bottom w:val="single" w:sz="8" w:space="1" w:color="2C3E50"/></w:pBdr>')
+        + heading(4, 11, '<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="CCCCCC"/></w:pBdr>')
+        + '<w:style w:type="paragraph" w:styleId="Caption"><w:name w:val="caption"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="160"/></w:pPr><w:rPr><w:sz w:val="18"/></w:rPr></w:style>'
+        + '<w:style w:type="paragraph" w:styleId="Figure"><w:name w:val="Figure"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:before="60" w:after="40"/></w:pPr></w:style>'
+        + '<w:style w:type="paragraph" w:styleId="TableText"><w:name w:val="Table Text"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/></w:pPr><w:rPr><w:sz w:val="18"/></w:rPr></w:style>'
+        + '<w:style w:type="paragraph" w:styleId="TableSpacer"><w:name w:val="Table Spacer"/><w:basedOn w:val="Normal"/><w:pPr><w:spacing w:after="120" w:line="120" w:lineRule="exact"/></w:pPr></w:style>'
+        + '</w:styles>';
+}
+
+/**
+ * Running header (the marking) or footer (the marking, then "Page n of N").
+ */
+function docxHeaderFooterXml(kind) {
+    const marking = docxParagraph(`<w:r><w:rPr><w:b/><w:sz w:val="18"/></w:rPr><w:t>${REPORT_MARKING}</w:t></w:r>`, { align: 'center' });
+    const field = instr => `<w:fldSimple w:instr=" ${instr} "><w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:t>1</w:t></w:r></w:fldSimple>`;
+    const text = value => `<w:r><w:rPr><w:sz w:val="16"/></w:rPr><w:t xml:space="preserve">${value}</w:t></w:r>`;
+    const body = kind === 'hdr' ? marking : marking + docxParagraph(text('Page ') + field('PAGE') + text(' of ') + field('NUMPAGES'), { align: 'right' });
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:${kind} ${DOCX_NAMESPACES}>${body}</w:${kind}>`;
+}
+
+/**
+ * Builds the report as a Word document from appState: the header block, then the report.
+ * @returns {Promise<Blob>}
+ */
+async function buildReportDocx(state) {
+    const { cover, body } = readReportBlocks(state);
+    const media = createDocxMedia(await loadReportImages(body));
+
+    const rule = '<w:p><w:pPr><w:pBdr><w:bottom w:val="single" w:sz="12" w:space="1" w:color="000000"/></w:pBdr></w:pPr></w:p>';
+    const section = '<w:sectPr><w:headerReference w:type="default" r:id="rIdHeader"/><w:footerReference w:type="default" r:id="rIdFooter"/>'
+        + '<w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>';
+    const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document ${DOCX_NAMESPACES}><w:body>`
+        + docxBlocksXml(cover, media) + rule + docxBlocksXml(body, media) + section + '</w:body></w:document>';
+
+    const imageTypes = { png: 'image/png', jpeg: 'image/jpeg', gif: 'image/gif' };
+    const usedTypes = Array.from(new Set(media.files.map(f => f.ext)));
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'
+        + usedTypes.map(ext => `<Default Extension="${ext}" ContentType="${imageTypes[ext]}"/>`).join('')
+        + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+        + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+        + '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>'
+        + '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>'
+        + '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>';
+    const rel = (id, type, target) => `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/${type}" Target="${target}"/>`;
+    const packageRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + rel('rId1', 'officeDocument/2006/relationships/officeDocument', 'word/document.xml')
+        + rel('rId2', 'package/2006/relationships/metadata/core-properties', 'docProps/core.xml') + '</Relationships>';
+    const documentRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + rel('rIdStyles', 'officeDocument/2006/relationships/styles', 'styles.xml')
+        + rel('rIdHeader', 'officeDocument/2006/relationships/header', 'header1.xml')
+        + rel('rIdFooter', 'officeDocument/2006/relationships/footer', 'footer1.xml')
+        + media.files.map(f => rel(f.rId, 'officeDocument/2006/relationships/image', `media/${f.file}`)).join('') + '</Relationships>';
+    const core = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" '
+        + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+        + `<dc:title>${xmlEscape(reportTitle(state))}</dc:title><dc:creator>${xmlEscape((state.meta && state.meta.preparedBy) || '')}</dc:creator>`
+        + `<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`;
+
+    const zip = buildZip([
+        { name: '[Content_Types].xml', content: contentTypes },
+        { name: '_rels/.rels', content: packageRels },
+        { name: 'docProps/core.xml', content: core },
+        { name: 'word/document.xml', content: documentXml },
+        { name: 'word/styles.xml', content: docxStylesXml() },
+        { name: 'word/header1.xml', content: docxHeaderFooterXml('hdr') },
+        { name: 'word/footer1.xml', content: docxHeaderFooterXml('ftr') },
+        { name: 'word/_rels/document.xml.rels', content: documentRels },
+        ...media.files.map(f => ({ name: `word/media/${f.file}`, content: f.bytes }))
+    ]);
+    return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' });
+}
+
+/**
+ * Builds the Word document and downloads it, named like the draft file.
+ */
+async function downloadReportDocx() {
+    const blob = await buildReportDocx(window.appState);
+    const url = URL.createObjectURL(blob);
+    const filename = reportFileName('docx');
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log(`Report downloaded as ${filename}.`);
+}
@@ -10,6 +10,7 @@
  */
 const checkLabels = {
     'positionCheck': 'Position Check',
+    'dynamicPositionCheck': 'Dynamic GPS',
     'hullStatus': 'Hull Status',
     'draftSensorLight': 'Draft Sensor (Light)',
     'draftSensorLightFwd': 'Draft Sensor (Light - Fwd)',
@@ -27,6 +28,7 @@ const checkLabels = {
     'dragheadDepth': 'Draghead Depth',
     'suctionMouthDepth': 'Suction Mouth Depth',
     'velocity': 'Velocity',
+    'densityCheck': 'Density Verification',
     'bucketDepth': 'Bucket Depth',
     'bucketPosition': 'Bucket Position'
 };
@@ -49,7 +51,8 @@ function renderEditor() {
 
     container.innerHTML = '';
 
-    // 1. Render Timeline Editor at the top for prominence
+    // 1. Values changed from the field data, then the Timeline Editor, at the top for prominence
+    if (typeof renderChangesView === 'function') renderChangesView(container);
     renderTimelineEditor(container);
 
     // 2. Render Check Sections
@@ -96,11 +99,16 @@ function renderSection(checkType, data, overrideObj, container, plantIdx) {
 
     const header = document.createElement('div');
     header.className = 'editor-section-header';
-    header.textContent = checkLabels[checkType] || formatLabel(checkType);
+    const sourceMeta = window.appState.sourceJson ? (window.appState.sourceJson.metadata || window.appState.sourceJson) : {};
+    header.textContent = checkLabels[checkType] || (sourceMeta.checkNames || {})[checkType] || formatLabel(checkType);
 
     const body = document.createElement('div');
     body.className = 'editor-section-body';
 
+    // The photo gallery is edited on its own (captions only), not as check fields
+    const { [PHOTO_GALLERY_KEY]: gallery, ...fields } = data;
+    data = fields;
+
     // Heuristics to choose specialized layout renderers
     if (checkType.startsWith('draftSensor') || checkType.startsWith('ullage')) {
         renderCustomShipData(data, overrideObj, body, checkType, plantIdx);
@@ -117,6 +125,9 @@ function renderSection(checkType, data, overrideObj, container, plantIdx) {
         buildInputs(data, overrideObj, grid, checkType, '', plantIdx);
         body.appendChild(grid);
     }
+    if (Array.isArray(gallery) && gallery.length > 0) {
+        renderGalleryCaptions(gallery, overrideObj, body, checkType, plantIdx);
+    }
 
     section.appendChild(header);
     section.appendChild(body);
@@ -129,6 +140,33 @@ function renderSection(checkType, data, overrideObj, container, plantIdx) {
     container.appendChild(section);
 }
 
+/**
+ * Lists a check's gallery photos with an editable caption each (saved as `gallery-caption-<photo id>` overrides).
+ */
+function renderGalleryCaptions(gallery, overrideObj, parentDom, checkType, plantIdx) {
+    const title = document.createElement('h4');
+    title.textContent = 'Photos';
+    title.style.margin = '15px 0 10px';
+    parentDom.appendChild(title);
+
+    const grid = document.createElement('div');
+    grid.className = 'form-grid';
+    gallery.forEach((photo, idx) => {
+        const key = `gallery-caption-${photo.id}`;
+        buildSingleInput(key, photo.caption || '', overrideObj[key], grid, checkType, key,
+            `Caption ${idx + 1}${photo.readingLabel ? ` (${photo.readingLabel})` : ''}`, plantIdx);
+        const thumb = document.createElement('img');
+        thumb.src = photo.ref;
+        thumb.alt = `Photo ${idx + 1}`;
+        thumb.style.maxWidth = '100%';
+        thumb.style.maxHeight = '120px';
+        thumb.style.objectFit = 'contain';
+        thumb.style.borderRadius = '4px';
+        grid.lastChild.appendChild(thumb);
+    });
+    parentDom.appendChild(grid);
+}
+
 /**
  * Specialized Layout: Ship Draft & Ullage.
  * Handles grouping forward/aft measurements and simulated draft offsets.
@@ -516,6 +554,10 @@ function buildSingleInput(displayPath, originalValue, overrideValue, parentGrid,
 
     const group = document.createElement('div');
     group.className = 'form-group';
+    // Flags the field while its value differs from the field data (changes.js)
+    const markChanged = () => {
+        if (typeof markFieldChange === 'function') markFieldChange(group, plantIdx, checkType, savePath);
+    };
 
     const label = document.createElement('label');
     label.textContent = displayLabel;
@@ -526,8 +568,9 @@ function buildSingleInput(displayPath, originalValue, overrideValue, parentGrid,
         currentValue = overrideValue;
     }
 
-    // Specialized Logic: Photo Handle
-    if (savePath.toLowerCase().includes('photo')) {
+    // Specialized Logic: Photo Handle (also track plot thumbnails and signatures, or any other image value)
+    const isImageValue = typeof currentValue === 'string' && currentValue.startsWith('data:image/');
+    if (savePath.toLowerCase().includes('photo') || savePath.endsWith('-thumbnail') || isImageValue) {
         const photoContainer = document.createElement('div');
         photoContainer.style.display = 'flex';
         photoContainer.style.flexDirection = 'column';
@@ -569,6 +612,7 @@ function buildSingleInput(displayPath, originalValue, overrideValue, parentGrid,
                     preview.style.display = 'block';
                     clearBtn.style.display = 'block';
                     saveOverride(checkType, savePath, compressedDataUrl, plantIdx);
+                    markChanged();
                 } catch (err) {
                     console.error('Image compression failed:', err);
                     alert('Failed to process and compress image. Please try again.');
@@ -582,6 +626,7 @@ function buildSingleInput(displayPath, originalValue, overrideValue, parentGrid,
             preview.style.display = 'none';
             clearBtn.style.display = 'none';
             saveOverride(checkType, savePath, '', plantIdx);
+            markChanged();
         };
 
         photoContainer.appendChild(fileInput);
@@ -608,12 +653,14 @@ function buildSingleInput(displayPath, originalValue, overrideValue, parentGrid,
                 newVal = newVal === '' ? '' : Number(newVal);
             }
             saveOverride(checkType, savePath, newVal, plantIdx);
+            markChanged();
         });
 
         group.appendChild(label);
         group.appendChild(input);
     }
 
+    markChanged();
     parentGrid.appendChild(group);
 }
 
@@ -659,7 +706,11 @@ function saveOverride(checkType, pathStr, value, plantIdx = null) {
     }
 
     current[parts[parts.length - 1]] = value;
+
+    // Who changed the value and when, for the changes list and the report appendix
+    if (typeof recordOverrideEdit === 'function') recordOverrideEdit(checkType, pathStr, plantIdx);
     window.saveDraft();
+    if (typeof renderChangesView === 'function') renderChangesView();
 }
 
 /**
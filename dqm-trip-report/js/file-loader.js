@@ -1,9 +1,16 @@
 /**
  * file-loader.js
  * Ingestion module for the Trip Report application.
- * Handles drag-and-drop or file-picker selection of .json audit exports.
+ * Handles drag-and-drop or file-picker selection of .json audit exports,
+ * and audits sent directly from the QA App.
  */
 
+/**
+ * Newest QA App export schema this report reads (EXPORT_SCHEMA_VERSION in dqm-qa-app2/schema.js).
+ * Older exports, which carry no "action" or "schemaVersion", still load as before.
+ */
+const QA_EXPORT_SCHEMA_VERSION = 2;
+
 function initFileLoader() {
     const dropZone = document.getElementById('drop-zone');
     const fileInput = document.getElementById('file-input');
@@ -36,6 +43,14 @@ function initFileLoader() {
     dropZone.addEventListener('drop', handleDrop, false);
     fileInput.addEventListener('change', handleFileSelect, false);
 
+    // Further exports merged into the loaded report (merge.js)
+    const mergeInput = document.getElementById('merge-file-input');
+    document.getElementById('add-export-btn').addEventListener('click', () => mergeInput.click());
+    mergeInput.addEventListener('change', (e) => {
+        if (e.target.files.length) processFiles(Array.from(e.target.files), true);
+        e.target.value = '';
+    });
+
     // 2. Data Ingestion Handlers
 
     /**
@@ -43,76 +58,252 @@ function initFileLoader() {
      */
     function handleDrop(e) {
         const dt = e.dataTransfer;
-        const file = dt.files[0];
-        if (file) processFile(file);
+        if (dt.files.length) processFiles(Array.from(dt.files), false);
     }
 
     /**
      * Entry point for standard file input selection.
      */
     function handleFileSelect(e) {
-        const file = e.target.files[0];
-        if (file) processFile(file);
+        if (e.target.files.length) processFiles(Array.from(e.target.files), false);
+        e.target.value = '';
+    }
+
+    /**
+     * Reads a file as text.
+     * @returns {Promise<string>}
+     */
+    function readFileText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
     }
 
     /**
      * Validates and reads the JSON file contents.
      * Accepts two file types — dispatched by the 'action' field:
-     *   'dqmTripReportDraft' → portable draft saved via downloadDraft()
-     *   anything else        → QA App export (existing path via setSourceData)
-     * @param {File} file - The raw browser File object.
+     *   'dqmTripReportDraft' → portable draft saved via downloadDraft() (one file on its own)
+     *   anything else        → QA App export (existing path via setSourceData); exports made before
+     *                          files were labelled have no 'action' but do have 'metadata'
+     * Several QA exports load as one report: the first replaces what is loaded (unless `merge`),
+     * the rest are merged into it.
+     * @param {Array<File>} files - The raw browser File objects.
+     * @param {boolean} merge - Merge every file into the loaded report instead of replacing it.
      */
-    function processFile(file) {
-        if (!file.name.endsWith('.json')) {
+    async function processFiles(files, merge) {
+        if (files.some(file => !file.name.endsWith('.json'))) {
             showStatus('Error: Please upload a valid .json file.', 'error');
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = (e) => {
+        const parsed = [];
+        for (const file of files) {
             try {
-                const data = JSON.parse(e.target.result);
-
-                // --- Branch: portable Trip Report draft ---
-                if (data.action === 'dqmTripReportDraft') {
-                    const ok = (typeof loadDraftFile === 'function') && loadDraftFile(data);
-                    if (!ok) {
-                        showStatus('Error: Could not restore draft. File may be corrupted.', 'error');
-                        return;
-                    }
+                parsed.push({ name: file.name, data: JSON.parse(await readFileText(file)) });
+            } catch (err) {
+                showStatus(`Error reading ${file.name}. Invalid format.`, 'error');
+                console.error(err);
+                return;
+            }
+        }
 
-                    // Refresh all UI components from the restored state
-                    if (typeof updateLoadSummaryUI === 'function') updateLoadSummaryUI();
-                    if (typeof initMetaForm      === 'function') initMetaForm();
-                    if (typeof renderDataCheck   === 'function') renderDataCheck();
+        if (parsed.some(item => item.data.action === 'dqmTripReportDraft') && (parsed.length > 1 || merge)) {
+            showStatus('Error: A Trip Report draft has to be opened on its own, not merged with QA exports.', 'error');
+            return;
+        }
+        const newer = parsed.find(item => item.data.action === 'dqmQaLogExport' && item.data.schemaVersion > QA_EXPORT_SCHEMA_VERSION);
+        if (newer) {
+            showStatus(`Error: ${newer.name} was exported by a newer QA App (schema ${newer.data.schemaVersion}). Update the Trip Report and try again.`, 'error');
+            return;
+        }
+        if (parsed.length > 1 || merge) {
+            const single = parsed.find(item => !((item.data.metadata || item.data).plants || []).length);
+            if (single) {
+                showStatus(`Error: ${single.name} has no plant list (older single-vessel export) and cannot be merged.`, 'error');
+                return;
+            }
+        }
 
-                    showStatus('Draft restored successfully!', 'success');
+        try {
+            if (parsed.length === 1 && !merge) {
+                processParsedFile(parsed[0].data, parsed[0].name);
+                return;
+            }
+            const queue = merge && window.appState.sourceJson ? parsed : parsed.slice(1);
+            if (queue.length === parsed.length - 1) loadQaExport(parsed[0].data, '', parsed[0].name);
+            const totals = { plantsAdded: 0, checksAdded: 0, conflicts: 0, timelineDuplicates: 0 };
+            const alreadyMerged = [];
+            queue.forEach(item => {
+                const added = mergeQaExport(item.data, item.name, verifyExportIntegrity(item.data.metadata || item.data));
+                if (added.alreadyMerged) alreadyMerged.push(item.name);
+                Object.keys(totals).forEach(key => { totals[key] += added[key]; });
+            });
+            refreshAfterLoad();
+            const modified = window.appState.sourceFiles.some(f => f.integrity === 'modified');
+            const skipped = (alreadyMerged.length ? ` Skipped ${alreadyMerged.join(', ')} – already in the report.` : '')
+                + (totals.timelineDuplicates ? ` Skipped ${totals.timelineDuplicates} timeline entr${totals.timelineDuplicates === 1 ? 'y' : 'ies'} already in the report.` : '');
+            showStatus(`Merged ${window.appState.sourceFiles.length} QA exports: ${totals.plantsAdded} plant(s) and ${totals.checksAdded} check(s) added`
+                + (totals.conflicts ? `, ${totals.conflicts} conflicting check(s) to resolve below.` : '.')
+                + skipped
+                + (modified ? ' Warning: a file was changed outside the QA App – see the summary.' : ''),
+                totals.conflicts || modified || skipped ? 'warning' : 'success');
+            displaySummary(window.appState.sourceJson);
+        } catch (err) {
+            showStatus('Error merging the QA exports.', 'error');
+            console.error(err);
+        }
+    }
 
-                    // Re-display summary using the embedded sourceJson
-                    if (window.appState.sourceJson) displaySummary(window.appState.sourceJson);
+    /**
+     * Loads one parsed file: a draft or a QA App export.
+     */
+    function processParsedFile(data, fileName) {
+        try {
+            // --- Branch: portable Trip Report draft ---
+            if (data.action === 'dqmTripReportDraft') {
+                const ok = (typeof loadDraftFile === 'function') && loadDraftFile(data);
+                if (!ok) {
+                    showStatus('Error: Could not restore draft. File may be corrupted.', 'error');
                     return;
                 }
 
-                // --- Branch: QA App export (original path) ---
-                if (data.action !== 'dqmQaLogExport') {
-                    showStatus('Warning: This file might not be a valid DQM QA App export.', 'warning');
-                }
+                // Refresh all UI components from the restored state
+                if (typeof updateLoadSummaryUI === 'function') updateLoadSummaryUI();
+                refreshAfterLoad();
+
+                showStatus('Draft restored successfully!', 'success');
 
-                if (typeof setSourceData === 'function') setSourceData(data);
-                if (typeof initMetaForm  === 'function') initMetaForm();
-                if (typeof renderDataCheck === 'function') renderDataCheck();
+                // Re-display summary using the embedded sourceJson
+                if (window.appState.sourceJson) displaySummary(window.appState.sourceJson);
+                return;
+            }
 
-                showStatus('File loaded successfully!', 'success');
-                displaySummary(data);
+            // --- Branch: QA App export (original path) ---
+            const isLabelled = data.action === 'dqmQaLogExport';
+            if (!isLabelled && !data.metadata) {
+                showStatus('Warning: This file might not be a valid DQM QA App export.', 'warning');
+            }
+            loadQaExport(data, 'File loaded successfully!', fileName);
 
-            } catch (err) {
-                showStatus('Error reading JSON file. Invalid format.', 'error');
-                console.error(err);
+        } catch (err) {
+            showStatus('Error reading JSON file. Invalid format.', 'error');
+            console.error(err);
+        }
+    }
+
+    /**
+     * Loads a QA App export, whether read from a file or sent from the QA App.
+     * It replaces the QA data loaded before, and starts the report's list of source files.
+     * @param {Object} data - The parsed export.
+     * @param {string} successMsg - Status shown when the export verifies ('' for none).
+     * @param {string} fileName - File name (or the name it was sent under).
+     */
+    function loadQaExport(data, successMsg, fileName) {
+        // Check the change history and seal before setSourceData normalizes anything
+        const integrity = verifyExportIntegrity(data.metadata || data);
+
+        if (typeof setSourceData === 'function') setSourceData(data);
+        window.appState.sourceFiles = [sourceFileRecord(data, fileName, integrity)];
+        window.appState.mergeConflicts = [];
+        if (typeof saveDraft === 'function') saveDraft();
+        refreshAfterLoad();
+
+        if (integrity.status === 'modified') {
+            showStatus('Warning: This file was changed outside the QA App – see the integrity check below.', 'warning');
+        } else if (successMsg) {
+            showStatus(successMsg, 'success');
+        }
+        displaySummary(data);
+    }
+
+    /**
+     * Refreshes the views that depend on the loaded data.
+     */
+    function refreshAfterLoad() {
+        if (typeof initMetaForm  === 'function') initMetaForm();
+        if (typeof renderDataCheck === 'function') renderDataCheck();
+        if (typeof renderMergeConflicts === 'function') renderMergeConflicts();
+    }
+
+    // 3. Audits sent from the QA App (see ../dqm-shared/handoff.js)
+
+    /**
+     * Lists the audits waiting to be opened. The card is hidden when there are none.
+     */
+    async function renderPendingHandoffs() {
+        const card = document.getElementById('handoff-card');
+        const list = document.getElementById('handoff-list');
+        let pending;
+        try {
+            pending = await listHandoffs();
+        } catch (err) {
+            console.warn('Could not read audits sent from the QA App:', err);
+            card.classList.add('hidden');
+            return;
+        }
+        card.classList.toggle('hidden', pending.length === 0);
+        list.innerHTML = '';
+        pending.forEach(item => {
+            const row = document.createElement('div');
+            row.className = 'handoff-item';
+            const sent = item.sentAt ? new Date(item.sentAt).toLocaleString() : 'Unknown';
+            row.innerHTML = `
+                <div class="handoff-info">
+                    <strong></strong>
+                    <small>Check date ${item.checkDate || '—'} · ${(item.plants || []).length} plant(s) · sent ${sent}</small>
+                    <small class="handoff-plants"></small>
+                </div>
+                <button class="btn btn-primary btn-small">Open</button>
+                <button class="btn btn-secondary btn-small">Dismiss</button>
+            `;
+            row.querySelector('strong').textContent = item.name || 'QA Audit';
+            row.querySelector('.handoff-plants').textContent = (item.plants || []).join(', ');
+            const [openBtn, dismissBtn] = row.querySelectorAll('button');
+            openBtn.addEventListener('click', () => openPendingHandoff(item.id));
+            dismissBtn.addEventListener('click', async () => {
+                if (!confirm(`Dismiss "${item.name || 'QA Audit'}"? It stays in the QA App and can be sent again.`)) return;
+                try {
+                    await deleteHandoff(item.id);
+                } catch (err) {
+                    showStatus('Error dismissing the audit sent from the QA App.', 'error');
+                    console.error(err);
+                }
+                renderPendingHandoffs();
+            });
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Opens a sent audit through the same path as a loaded file, then removes it from the pending list.
+     */
+    async function openPendingHandoff(id) {
+        if (window.appState.sourceJson && !confirm('Open this audit? It replaces the QA data loaded now (report text you entered is kept).')) return;
+        try {
+            const record = await getHandoff(id);
+            if (!record) {
+                showStatus('Error: This audit is no longer waiting – send it again from the QA App.', 'error');
+                renderPendingHandoffs();
+                return;
             }
-        };
-        reader.readAsText(file);
+            loadQaExport(record.data, `Loaded "${record.name || 'QA Audit'}" from the QA App.`, record.name || 'QA Audit');
+            await deleteHandoff(id);
+        } catch (err) {
+            showStatus('Error opening the audit sent from the QA App.', 'error');
+            console.error(err);
+        }
+        renderPendingHandoffs();
     }
 
+    renderPendingHandoffs();
+    watchHandoffs(() => {
+        renderPendingHandoffs();
+        if (typeof showToast === 'function') showToast('New audit received from the QA App', 'success');
+    });
+
     /**
      * Displays transient status messages to the user.
      * @param {string} msg - The text to display.
@@ -142,6 +333,7 @@ function initFileLoader() {
             <div><strong>Original Date:</strong> ${date}</div>
             <div><strong>QA Team:</strong> ${qaTeam}</div>
             <div><strong>Plants Included:</strong> ${plants.length}</div>
+            ${loadedSourcesHTML(data)}
         `;
 
         if (plants.length > 0) {
@@ -176,8 +368,18 @@ window.updateLoadSummaryUI = function () {
             <div><strong>Original Date:</strong> ${meta.checkDate || ''}</div>
             <div><strong>QA Team:</strong> ${qaTeam}</div>
             <div><strong>Plants Included:</strong> ${(meta.plants || []).length}</div>
+            ${loadedSourcesHTML(data)}
         `;
         summaryContent.innerHTML = html;
         summaryCard.classList.remove('hidden');
     }
 };
+
+/**
+ * The Load Tab's integrity line: the export's own check, or each file's when several were merged.
+ * @param {Object} data - The loaded (possibly merged) audit JSON.
+ */
+function loadedSourcesHTML(data) {
+    const sourceFiles = window.appState.sourceFiles || [];
+    return sourceFiles.length > 1 ? sourceFilesSummaryHTML(sourceFiles) : integritySummaryHTML(data);
+}
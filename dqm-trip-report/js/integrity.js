@@ -0,0 +1,28 @@
+/**
+ * integrity.js
+ * Shows the result of checking a DQM QA App export's change history and seal, so edits made to the
+ * file outside the QA App are flagged when it is loaded. The check itself is verifyExportIntegrity()
+ * in ../dqm-shared/export-integrity.js, the same file the QA App seals its exports with.
+ */
+
+/**
+ * Builds the Load Tab line describing a QA export's integrity check.
+ * @param {Object} data - The parsed audit JSON.
+ * @returns {string} HTML for one grid row.
+ */
+function integritySummaryHTML(data) {
+    const result = verifyExportIntegrity(data.metadata || data);
+    if (result.status === 'unsealed') {
+        return '<div style="grid-column: 1 / -1;"><strong>Integrity:</strong> Not sealed (exported by an older QA App version)</div>';
+    }
+    if (result.status === 'verified') {
+        const events = (data.metadata || data).auditTrail.length;
+        return `<div style="grid-column: 1 / -1; color: #1e8449;"><strong>Integrity:</strong> ✔ Verified – unchanged since export (${events} recorded changes)</div>`;
+    }
+    return `
+        <div style="grid-column: 1 / -1; color: #c0392b;">
+            <strong>Integrity:</strong> ⚠ This file was changed outside the QA App
+            <ul>${result.problems.map(p => `<li>${p.replace(/</g, '&lt;')}</li>`).join('')}</ul>
+        </div>
+    `;
+}
@@ -0,0 +1,300 @@
+/**
+ * merge.js
+ * Builds one multi-day trip report from several QA App exports (several days, or split teams).
+ * Each added export is folded into the report already loaded:
+ *   - plants are matched by name and vessel type; new plants are appended, so plant indices
+ *     (and the overrides and data checks keyed by them) stay valid;
+ *   - a check recorded in both is combined when the two agree, and otherwise flagged as a
+ *     conflict for the author to resolve on the Load tab;
+ *   - timeline entries are interleaved chronologically, skipping entries the report already has;
+ *   - every file is recorded in appState.sourceFiles (shown on the Load tab and in the report),
+ *     and a file already recorded there is not merged a second time.
+ */
+
+/**
+ * Identifies a plant across exports: its name and vessel type, ignoring case and spacing.
+ */
+function mergePlantKey(plant) {
+    const norm = value => (value || '').toString().trim().replace(/\s+/g, ' ').toLowerCase();
+    return `${norm(plant.name)}|${norm(plant.vesselType)}`;
+}
+
+/**
+ * Describes a loaded export for appState.sourceFiles.
+ * @param {Object} data - The parsed export.
+ * @param {string} name - File name (or the name it was sent under from the QA App).
+ * @param {Object} integrity - Its verifyExportIntegrity() result.
+ */
+function sourceFileRecord(data, name, integrity) {
+    const meta = data.metadata || data;
+    return {
+        name: name || 'QA export',
+        checkDate: meta.checkDate || '',
+        exportedAt: meta.exportedAt || '',
+        head: (meta.integrity || {}).head || '',
+        plants: (meta.plants || []).map(p => p.name || 'Unnamed plant'),
+        integrity: integrity.status,
+        problems: integrity.problems
+    };
+}
+
+/**
+ * Whether an export is one already in the report: same export time and change-history head.
+ */
+function isMergedSourceFile(sourceFiles, record) {
+    return !!record.exportedAt && sourceFiles.some(f => f.exportedAt === record.exportedAt && (f.head || '') === record.head);
+}
+
+/**
+ * Sort time of a timeline entry in ms: its ISO timestamp, else its time (with the export's check
+ * date when the time has no date). NaN when neither can be read.
+ */
+function timelineEntryTime(entry, checkDate) {
+    const fromStamp = Date.parse(entry.timestamp);
+    if (!isNaN(fromStamp)) return fromStamp;
+    const time = (entry.time || '').toString().trim();
+    const direct = Date.parse(time.replace(' ', 'T'));
+    if (!isNaN(direct)) return direct;
+    return checkDate && /^\d{1,2}:\d{2}/.test(time) ? Date.parse(`${checkDate}T${time.padStart(5, '0')}`) : NaN;
+}
+
+/**
+ * Interleaves two timelines chronologically. An entry whose time cannot be read stays right
+ * after the entry before it in its own timeline; ties keep the loaded report's entry first.
+ */
+function interleaveTimelines(base, baseDate, added, addedDate) {
+    const keyed = (entries, date, rank) => {
+        let last = -Infinity;
+        return entries.map((entry, i) => {
+            const time = timelineEntryTime(entry, date);
+            if (!isNaN(time)) last = time;
+            return { entry, time: last, rank, i };
+        });
+    };
+    return keyed(base, baseDate, 0).concat(keyed(added, addedDate, 1))
+        .sort((a, b) => (a.time - b.time) || (a.rank - b.rank) || (a.i - b.i))
+        .map(item => item.entry);
+}
+
+/**
+ * Fields two versions of a check disagree on (both set, to different values).
+ * @returns {Array<string>}
+ */
+function conflictingCheckFields(a, b) {
+    const isSet = v => v !== undefined && v !== null && v !== '';
+    return Object.keys(a).filter(key => key in b && isSet(a[key]) && isSet(b[key]) && canonicalJson(a[key]) !== canonicalJson(b[key]));
+}
+
+/**
+ * Distinct non-empty values, in order.
+ */
+function mergeDistinct(values) {
+    return Array.from(new Set(values.map(v => (v || '').toString().trim()).filter(Boolean)));
+}
+
+/**
+ * Adds a QA export to the report already loaded.
+ * @param {Object} data - The parsed export to add.
+ * @param {string} name - Its file name.
+ * @param {Object} integrity - Its verifyExportIntegrity() result.
+ * @returns {Object} { plantsAdded, checksAdded, conflicts, timelineDuplicates, alreadyMerged } - for
+ *     the status message. An export already in the report is left out, with alreadyMerged set.
+ */
+function mergeQaExport(data, name, integrity) {
+    const state = window.appState;
+    const baseMeta = state.sourceJson.metadata || state.sourceJson;
+    const addedMeta = data.metadata || data;
+    if (!state.mergeConflicts) state.mergeConflicts = [];
+    if (!state.sourceFiles || state.sourceFiles.length === 0) {
+        // Report loaded before source files were recorded
+        state.sourceFiles = [sourceFileRecord(state.sourceJson, 'Loaded report', verifyExportIntegrity(baseMeta))];
+    }
+    const result = { plantsAdded: 0, checksAdded: 0, conflicts: 0, timelineDuplicates: 0, alreadyMerged: false };
+    const record = sourceFileRecord(data, name, integrity);
+    if (isMergedSourceFile(state.sourceFiles, record)) {
+        result.alreadyMerged = true;
+        return result;
+    }
+
+    // 1. Plants and checks
+    const plants = state.plants;
+    const indexMap = {}; // Plant index in the added export -> index in the report
+    (addedMeta.plants || []).forEach((plant, addedIdx) => {
+        const pIdx = plants.findIndex(p => mergePlantKey(p) === mergePlantKey(plant));
+        if (pIdx === -1) {
+            plants.push(JSON.parse(JSON.stringify({ ...plant, checks: plant.checks || {} })));
+            indexMap[addedIdx] = plants.length - 1;
+            result.plantsAdded++;
+            return;
+        }
+        indexMap[addedIdx] = pIdx;
+        const target = plants[pIdx];
+        if (!target.checks) target.checks = {};
+        Object.entries(plant.checks || {}).forEach(([type, incoming]) => {
+            const copy = JSON.parse(JSON.stringify(incoming));
+            const current = target.checks[type];
+            if (!current || Object.keys(current).length === 0) {
+                target.checks[type] = copy;
+                result.checksAdded++;
+                return;
+            }
+            const fields = conflictingCheckFields(current, copy);
+            if (fields.length === 0) {
+                // Same readings (or each file holds readings the other lacks): keep them all
+                Object.entries(copy).forEach(([key, value]) => {
+                    if (current[key] === undefined || current[key] === null || current[key] === '') current[key] = value;
+                });
+                return;
+            }
+            const id = `${pIdx}:${type}`;
+            let conflict = state.mergeConflicts.find(c => c.id === id);
+            if (!conflict) {
+                const baseSources = state.sourceFiles.filter(f => f.plants.includes(target.name || 'Unnamed plant'));
+                conflict = {
+                    id,
+                    plantIdx: pIdx,
+                    checkType: type,
+                    versions: [{ source: baseSources.map(f => f.name).join(', ') || 'Loaded report', data: JSON.parse(JSON.stringify(current)) }],
+                    chosen: 0,
+                    resolved: false
+                };
+                state.mergeConflicts.push(conflict);
+            }
+            conflict.versions.push({ source: name, data: copy });
+            conflict.resolved = false;
+            result.conflicts++;
+        });
+    });
+
+    // 2. Timeline: the report's (possibly edited) timeline plus the added one, plant indices remapped.
+    //    An entry the report already has (same id, or same timestamp when it has no id) is skipped.
+    const baseTimeline = state.timeline || [];
+    const ids = new Set(baseTimeline.filter(e => e.id).map(e => String(e.id)));
+    const stamps = new Set(baseTimeline.filter(e => !e.id && e.timestamp).map(e => e.timestamp));
+    const addedTimeline = (addedMeta.timeline || []).filter(entry => {
+        const duplicate = entry.id ? ids.has(String(entry.id)) : !!entry.timestamp && stamps.has(entry.timestamp);
+        if (duplicate) result.timelineDuplicates++;
+        return !duplicate;
+    }).map(entry => {
+        const copy = JSON.parse(JSON.stringify(entry));
+        if (copy.plantIdx !== undefined && indexMap[copy.plantIdx] !== undefined) copy.plantIdx = indexMap[copy.plantIdx];
+        return copy;
+    });
+    const baseDate = state.sourceFiles[0].checkDate || baseMeta.checkDate;
+    const timeline = interleaveTimelines(baseTimeline, baseDate, addedTimeline, addedMeta.checkDate);
+
+    // 3. Report metadata: each file's date, team, provider and comments
+    state.sourceFiles = state.sourceFiles.concat(record);
+    const dates = mergeDistinct(state.sourceFiles.map(f => f.checkDate)).sort();
+    const team = value => Array.isArray(value) ? value : (value || '').toString().split(',');
+    const comments = mergeDistinct([baseMeta.generalComments, addedMeta.generalComments]);
+    const merged = {
+        action: data.action || state.sourceJson.action,
+        schemaVersion: data.schemaVersion || state.sourceJson.schemaVersion,
+        metadata: {
+            plants,
+            checkDate: dates.length > 1 ? `${dates[0]} to ${dates[dates.length - 1]}` : (dates[0] || ''),
+            weather: mergeDistinct([baseMeta.weather, addedMeta.weather]).join('; '),
+            qaTeamMembers: mergeDistinct(team(baseMeta.qaTeamMembers || baseMeta.qaTeam).concat(team(addedMeta.qaTeamMembers || addedMeta.qaTeam))),
+            systemProvider: mergeDistinct([baseMeta.systemProvider, addedMeta.systemProvider]).join(', '),
+            timeline,
+            generalComments: comments.join('\n\n'),
+            checkNames: { ...(baseMeta.checkNames || {}), ...(addedMeta.checkNames || {}) },
+            exportedAt: addedMeta.exportedAt || baseMeta.exportedAt
+        }
+    };
+    // The merged data is not any one file's export, so it carries no seal; each file's check is in sourceFiles
+    setSourceData(merged);
+    return result;
+}
+
+// ===== Load Tab =====
+
+/**
+ * Load Tab lines listing each merged file and its integrity check.
+ * @returns {string} HTML for summary grid rows.
+ */
+function sourceFilesSummaryHTML(sourceFiles) {
+    const status = file => {
+        if (file.integrity === 'verified') return '<span style="color: #1e8449;">✔ Verified – unchanged since export</span>';
+        if (file.integrity === 'modified') return `<span style="color: #c0392b;">⚠ Changed outside the QA App (${file.problems.length} problem(s))</span>`;
+        return 'Not sealed (exported by an older QA App version)';
+    };
+    return `
+        <div style="grid-column: 1 / -1;"><strong>Merged from ${sourceFiles.length} files:</strong>
+            <ul>${sourceFiles.map(file => `<li>${escapeHtml(file.name)} – check date ${escapeHtml(file.checkDate) || '—'}, ${file.plants.length} plant(s): ${status(file)}</li>`).join('')}</ul>
+        </div>
+    `;
+}
+
+/**
+ * Lists checks recorded differently in the merged files; choosing a version puts it in the report.
+ * The card is hidden when there are none.
+ */
+function renderMergeConflicts() {
+    const card = document.getElementById('merge-conflicts-card');
+    const list = document.getElementById('merge-conflicts-list');
+    if (!card || !list) return;
+    const state = window.appState;
+    const conflicts = state.mergeConflicts || [];
+    card.classList.toggle('hidden', conflicts.length === 0);
+    list.innerHTML = '';
+
+    conflicts.forEach(conflict => {
+        const plant = state.plants[conflict.plantIdx] || {};
+        const fields = Array.from(new Set(conflict.versions.slice(1).flatMap(v => conflictingCheckFields(conflict.versions[0].data, v.data))));
+        const row = document.createElement('div');
+        row.className = 'merge-conflict';
+        row.innerHTML = `
+            <div class="handoff-info">
+                <strong></strong>
+                <small></small>
+            </div>
+            <table class="merge-conflict-table"><thead><tr><th>Field</th></tr></thead><tbody></tbody></table>
+            <div class="merge-conflict-actions"></div>
+        `;
+        row.querySelector('strong').textContent = `${plant.name || `Vessel #${conflict.plantIdx + 1}`} — ${checkLabels[conflict.checkType] || conflict.checkType}`;
+        row.querySelector('small').textContent = conflict.resolved
+            ? `Resolved: using ${conflict.versions[conflict.chosen].source}`
+            : `${fields.length} field(s) differ – choose the version for the report (now using ${conflict.versions[conflict.chosen].source}).`;
+
+        const headRow = row.querySelector('thead tr');
+        conflict.versions.forEach(version => {
+            const th = document.createElement('th');
+            th.textContent = version.source;
+            headRow.appendChild(th);
+        });
+        const body = row.querySelector('tbody');
+        fields.forEach(field => {
+            const tr = document.createElement('tr');
+            const cells = [formatLabel(field)].concat(conflict.versions.map(v => {
+                const value = v.data[field];
+                if (value === undefined || value === '') return '—';
+                return typeof value === 'object' ? `${Array.isArray(value) ? value.length : Object.keys(value).length} item(s)` : String(value);
+            }));
+            cells.forEach(text => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                tr.appendChild(td);
+            });
+            body.appendChild(tr);
+        });
+
+        const actions = row.querySelector('.merge-conflict-actions');
+        conflict.versions.forEach((version, i) => {
+            const btn = document.createElement('button');
+            const isChosen = conflict.resolved && conflict.chosen === i;
+            btn.className = `btn btn-small ${isChosen ? 'btn-primary' : 'btn-secondary'}`;
+            btn.textContent = isChosen ? `✔ ${version.source}` : `Use ${version.source}`;
+            btn.addEventListener('click', () => {
+                state.plants[conflict.plantIdx].checks[conflict.checkType] = JSON.parse(JSON.stringify(version.data));
+                conflict.chosen = i;
+                conflict.resolved = true;
+                if (typeof saveDraft === 'function') saveDraft();
+                renderMergeConflicts();
+            });
+            actions.appendChild(btn);
+        });
+        list.appendChild(row);
+    });
+}
@@ -0,0 +1,654 @@
+/**
+ * pdf-report.js
+ * Writes the trip report as a PDF in the browser, without the print dialog.
+ * The report is read into blocks (report-blocks.js) – headings, paragraphs, tables and figures –
+ * and laid out on Letter pages with fixed Helvetica metrics, so a report always breaks the same way
+ * whichever browser makes it. Adds a contents list, a running "For Official Use Only" marking and
+ * page numbers; photos are re-encoded as JPEG at PDF_IMAGE_DPI for their printed size.
+ */
+
+const PDF_PAGE_WIDTH = 612;   // Letter, in points (1/72 in)
+const PDF_PAGE_HEIGHT = 792;
+const PDF_MARGIN_X = 54;
+const PDF_CONTENT_TOP = 64;   // Below the running header
+const PDF_CONTENT_BOTTOM = 728; // Above the running footer
+const PDF_CONTENT_WIDTH = PDF_PAGE_WIDTH - 2 * PDF_MARGIN_X;
+const PDF_IMAGE_DPI = 150;    // Photos are resampled to this resolution at their size on the page
+const PDF_IMAGE_QUALITY = 0.85;
+
+// ===== Font Metrics =====
+
+// Advance widths (1/1000 em) of characters 32–126 in the standard Helvetica fonts (Adobe AFM).
+// The oblique faces share the widths of their upright ones.
+const PDF_HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const PDF_HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Widths [regular, bold] of the WinAnsi characters above 126 that reports use, by code.
+// Accented letters take the width of their base letter.
+const PDF_WINANSI_EXTRA_WIDTHS = {
+    0x80: [556, 556], 0x85: [1000, 1000], 0x91: [222, 278], 0x92: [222, 278], 0x93: [333, 500],
+    0x94: [333, 500], 0x95: [350, 350], 0x96: [556, 556], 0x97: [1000, 1000], 0x99: [1000, 1000],
+    0xA0: [278, 278], 0xA7: [556, 556], 0xA9: [737, 737], 0xAE: [737, 737], 0xB0: [400, 400],
+    0xB1: [584, 584], 0xB2: [333, 333], 0xB3: [333, 333], 0xB5: [556, 611], 0xB7: [278, 278],
+    0xBC: [834, 834], 0xBD: [834, 834], 0xBE: [834, 834], 0xD7: [584, 584], 0xF7: [584, 584]
+};
+
+// WinAnsi codes of the characters outside Latin-1 that Helvetica has
+const PDF_WINANSI_CODES = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+    '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+// Stand-ins for characters the standard fonts cannot show
+const PDF_TEXT_SUBSTITUTES = {
+    '✅': 'OK', '✔': 'OK', '❌': 'FAIL', '✖': 'FAIL', '⚠': '!', 'Δ': 'Delta ', '≤': '<=', '≥': '>=',
+    '≈': '~', '→': '->', '←': '<-', '−': '-', '\u2009': ' ', '\u202f': ' '
+};
+
+/**
+ * Width table (1/1000 em, by WinAnsi code) for the regular or bold face.
+ */
+function buildPdfWidthTable(bold) {
+    const base = bold ? PDF_HELVETICA_BOLD_WIDTHS : PDF_HELVETICA_WIDTHS;
+    return Array.from({ length: 256 }, (_, code) => {
+        if (code >= 32 && code <= 126) return base[code - 32];
+        if (PDF_WINANSI_EXTRA_WIDTHS[code]) return PDF_WINANSI_EXTRA_WIDTHS[code][bold ? 1 : 0];
+        const letter = code >= 0xC0 ? String.fromCharCode(code).normalize('NFD')[0] : '';
+        if (letter && letter.charCodeAt(0) <= 126) return base[letter.charCodeAt(0) - 32];
+        return bold ? 611 : 556;
+    });
+}
+
+const PDF_FONT_WIDTHS = { regular: buildPdfWidthTable(false), bold: buildPdfWidthTable(true) };
+
+/**
+ * Converts text to WinAnsi (one character per byte, codes 0–255), the encoding of the standard fonts.
+ * Characters they lack become a readable stand-in, or '?'.
+ */
+function pdfEncodeText(text) {
+    let out = '';
+    for (const ch of String(text).normalize('NFC')) {
+        const code = ch.codePointAt(0);
+        if (PDF_TEXT_SUBSTITUTES[ch] !== undefined) out += PDF_TEXT_SUBSTITUTES[ch];
+        else if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) out += ch;
+        else if (PDF_WINANSI_CODES[ch]) out += String.fromCharCode(PDF_WINANSI_CODES[ch]);
+        else if (code === 9 || code === 10 || code === 13) out += ' ';
+        else if (/\p{M}|[\u200b-\u200d\ufe0f]/u.test(ch)) continue; // Combining marks, zero-width characters, emoji selectors
+        else out += '?';
+    }
+    return out;
+}
+
+/**
+ * Width in points of WinAnsi-encoded text.
+ */
+function pdfTextWidth(text, bold, size) {
+    const widths = bold ? PDF_FONT_WIDTHS.bold : PDF_FONT_WIDTHS.regular;
+    let total = 0;
+    for (let i = 0; i < text.length; i++) total += widths[text.charCodeAt(i)] || 0;
+    return total * size / 1000;
+}
+
+/**
+ * Shortens encoded text with an ellipsis until it fits the width.
+ */
+function pdfFitText(text, bold, size, width) {
+    if (pdfTextWidth(text, bold, size) <= width) return text;
+    let cut = text.length;
+    while (cut > 0 && pdfTextWidth(text.slice(0, cut) + '\x85', bold, size) > width) cut--;
+    return text.slice(0, cut).trimEnd() + '\x85';
+}
+
+/**
+ * Breaks styled runs into lines no wider than the width, at spaces (or inside words too long for a line).
+ * @param {Array<Object>} runs - { text, bold, italic, color } or { br: true }.
+ * @returns {Array<Object>} Lines: { segments: [{ text (encoded), bold, italic, color, width }], width }.
+ */
+function layoutPdfText(runs, width, size) {
+    const lines = [];
+    let segments = [];
+    let lineWidth = 0;
+    let pendingSpace = null; // Run whose space separates the next word from the line so far
+
+    const flush = () => {
+        lines.push({ segments, width: lineWidth });
+        segments = [];
+        lineWidth = 0;
+        pendingSpace = null;
+    };
+    const place = (text, run) => {
+        const w = pdfTextWidth(text, run.bold, size);
+        const last = segments[segments.length - 1];
+        if (last && last.bold === run.bold && last.italic === run.italic && last.color === run.color) {
+            last.text += text;
+            last.width += w;
+        } else {
+            segments.push({ text, bold: run.bold, italic: run.italic, color: run.color, width: w });
+        }
+        lineWidth += w;
+    };
+
+    runs.forEach(run => {
+        if (run.br) {
+            flush();
+            return;
+        }
+        pdfEncodeText(run.text).split(/( +)/).forEach(token => {
+            if (!token) return;
+            if (token[0] === ' ') {
+                if (segments.length) pendingSpace = run;
+                return;
+            }
+            const spaceWidth = pendingSpace ? pdfTextWidth(' ', pendingSpace.bold, size) : 0;
+            if (segments.length && lineWidth + spaceWidth + pdfTextWidth(token, run.bold, size) > width) flush();
+            else if (pendingSpace) place(' ', pendingSpace);
+            pendingSpace = null;
+
+            let word = token;
+            while (pdfTextWidth(word, run.bold, size) > width - lineWidth && word.length > 1) {
+                let cut = word.length - 1;
+                while (cut > 1 && pdfTextWidth(word.slice(0, cut), run.bold, size) > width - lineWidth) cut--;
+                place(word.slice(0, cut), run);
+                flush();
+                word = word.slice(cut);
+            }
+            place(word, run);
+        });
+    });
+    if (segments.length || lines.length === 0) flush();
+    return lines;
+}
+
+// ===== Page Layout =====
+
+/**
+ * A run of pages being filled top to bottom. `y` is measured down from the top of the page.
+ */
+function createPdfFlow() {
+    const flow = { pages: [], y: PDF_CONTENT_TOP };
+    flow.newPage = () => {
+        flow.pages.push({ ops: [], links: [] });
+        flow.y = PDF_CONTENT_TOP;
+    };
+    flow.page = () => flow.pages[flow.pages.length - 1];
+    flow.fits = height => flow.y + height <= PDF_CONTENT_BOTTOM;
+    // Starts a new page unless the height fits (or the page is still empty)
+    flow.ensure = height => {
+        if (!flow.fits(height) && flow.y > PDF_CONTENT_TOP) flow.newPage();
+    };
+    flow.newPage();
+    return flow;
+}
+
+/**
+ * Number formatted for a content stream.
+ */
+function pdfNum(n) {
+    return String(Math.round(n * 100) / 100);
+}
+
+/**
+ * Fill colour operator for six hex digits.
+ */
+function pdfFillColor(hex) {
+    return `${hex.match(/../g).map(d => pdfNum(parseInt(d, 16) / 255)).join(' ')} rg`;
+}
+
+/**
+ * Escapes encoded text as a PDF string literal.
+ */
+function pdfString(text) {
+    return `(${text.replace(/[\\()]/g, '\\$&').replace(/\r/g, '\\r').replace(/\n/g, '\\n')})`;
+}
+
+/**
+ * Draws one line of segments with its baseline at `baseline` (from the top of the page).
+ */
+function drawPdfSegments(page, segments, x, baseline, size) {
+    if (!segments.some(s => s.text)) return;
+    let ops = `BT ${pdfNum(x)} ${pdfNum(PDF_PAGE_HEIGHT - baseline)} Td`;
+    segments.forEach(s => {
+        const font = s.bold ? (s.italic ? 'F4' : 'F2') : (s.italic ? 'F3' : 'F1');
+        ops += ` /${font} ${pdfNum(size)} Tf ${s.color ? pdfFillColor(s.color) : '0 g'} ${pdfString(s.text)} Tj`;
+    });
+    page.ops.push(ops + ' ET');
+}
+
+/**
+ * Draws wrapped lines inside a box of the given width, one line-height apart.
+ */
+function drawPdfLines(page, lines, x, top, width, size, lineHeight, align) {
+    lines.forEach((line, i) => {
+        const offset = align === 'center' ? (width - line.width) / 2 : align === 'right' ? width - line.width : 0;
+        drawPdfSegments(page, line.segments, x + offset, top + i * lineHeight + (lineHeight - size) / 2 + size * 0.8, size);
+    });
+}
+
+/**
+ * Draws a rectangle: `fill` and `stroke` are grey levels (0 black – 1 white), or null to skip.
+ */
+function drawPdfRect(page, x, top, width, height, fill, stroke, lineWidth = 0.5) {
+    const rect = `${pdfNum(x)} ${pdfNum(PDF_PAGE_HEIGHT - top - height)} ${pdfNum(width)} ${pdfNum(height)} re`;
+    if (fill !== null) page.ops.push(`${pdfNum(fill)} g ${rect} f`);
+    if (stroke !== null) page.ops.push(`${pdfNum(lineWidth)} w ${pdfNum(stroke)} G ${rect} S`);
+}
+
+/**
+ * Draws a horizontal rule.
+ */
+function drawPdfRule(page, x, y, width, lineWidth, grey) {
+    page.ops.push(`${pdfNum(lineWidth)} w ${pdfNum(grey)} G ${pdfNum(x)} ${pdfNum(PDF_PAGE_HEIGHT - y)} m ${pdfNum(x + width)} ${pdfNum(PDF_PAGE_HEIGHT - y)} l S`);
+}
+
+/**
+ * Places a photo; it is encoded once the layout is done (see encodePdfImages).
+ */
+function drawPdfImage(page, src, x, top, width, height) {
+    page.ops.push({ image: src, x, top, width, height });
+}
+
+/**
+ * Headings are kept with at least this much of what follows them.
+ */
+const PDF_KEEP_WITH_NEXT = 48;
+
+/**
+ * Lays out a heading, recording it for the contents when `toc` is given.
+ */
+function layoutPdfHeading(flow, block, toc) {
+    const lineHeight = block.size * 1.25;
+    const lines = layoutPdfText(block.runs, PDF_CONTENT_WIDTH, block.size);
+    const spaceBefore = block.size * 0.8;
+    flow.ensure(spaceBefore + lines.length * lineHeight + PDF_KEEP_WITH_NEXT);
+    if (flow.y > PDF_CONTENT_TOP) flow.y += spaceBefore;
+
+    if (toc && block.level >= 2 && block.level <= 4) {
+        toc.push({ text: pdfEncodeText(reportRunsText(block.runs)), level: block.level === 4 ? 1 : 0, page: flow.pages.length - 1, top: flow.y });
+    }
+    drawPdfLines(flow.page(), lines, PDF_MARGIN_X, flow.y, PDF_CONTENT_WIDTH, block.size, lineHeight, block.align);
+    flow.y += lines.length * lineHeight + 2;
+    if (block.level === 3) drawPdfRule(flow.page(), PDF_MARGIN_X, flow.y, PDF_CONTENT_WIDTH, 1, 0.17);
+    if (block.level === 4) drawPdfRule(flow.page(), PDF_MARGIN_X, flow.y, PDF_CONTENT_WIDTH, 0.5, 0.8);
+    flow.y += 6;
+}
+
+/**
+ * Lays out a paragraph line by line, breaking pages between lines.
+ */
+function layoutPdfParagraph(flow, block) {
+    const lineHeight = block.size * 1.35;
+    layoutPdfText(block.runs, PDF_CONTENT_WIDTH, block.size).forEach(line => {
+        flow.ensure(lineHeight);
+        drawPdfLines(flow.page(), [line], PDF_MARGIN_X, flow.y, PDF_CONTENT_WIDTH, block.size, lineHeight, block.align);
+        flow.y += lineHeight;
+    });
+    flow.y += block.size * 0.6;
+}
+
+const PDF_TABLE_FONT_SIZE = 9;
+const PDF_TABLE_LINE_HEIGHT = 11.5;
+const PDF_CELL_PAD_X = 4;
+const PDF_CELL_PAD_Y = 3;
+const PDF_CELL_IMAGE_HEIGHT = 150; // Tallest photo inside a table cell
+
+/**
+ * Lays out a table. Rows are not split unless taller than a page; a header row is repeated on each page.
+ */
+function layoutPdfTable(flow, block, images) {
+    const lineHeight = PDF_TABLE_LINE_HEIGHT;
+    const columns = block.widths.map(p => p / 100 * PDF_CONTENT_WIDTH);
+    const starts = [0];
+    columns.forEach((w, i) => starts.push(starts[i] + w));
+
+    const rows = block.rows.map(row => {
+        let col = 0;
+        const cells = row.cells.map(cell => {
+            const span = Math.min(cell.colspan, columns.length - col);
+            const x = starts[Math.min(col, columns.length - 1)];
+            const width = starts[Math.min(col + span, columns.length)] - x;
+            col += span;
+            const inner = Math.max(width - 2 * PDF_CELL_PAD_X, 10);
+            const photos = cell.images.filter(src => images.has(src)).map(src => ({ src, ...fitReportImage(images.get(src), inner, PDF_CELL_IMAGE_HEIGHT) }));
+            const lines = reportRunsHaveText(cell.runs) || photos.length === 0 ? layoutPdfText(cell.runs, inner, PDF_TABLE_FONT_SIZE) : [];
+            return { ...cell, x, width, lines, photos };
+        });
+        return { cells, ...measurePdfRow(cells, lineHeight) };
+    });
+
+    const headerRow = rows.length > 1 && rows[0].cells.every(cell => cell.header) ? rows[0] : null;
+    const fullPage = PDF_CONTENT_BOTTOM - PDF_CONTENT_TOP - (headerRow ? headerRow.height : 0);
+
+    flow.ensure(rows[0].height + (rows[1] ? rows[1].height : 0));
+    let pageTop = flow.y;
+    rows.forEach(row => {
+        while (!flow.fits(row.height)) {
+            const room = Math.floor((PDF_CONTENT_BOTTOM - flow.y - 2 * PDF_CELL_PAD_Y) / lineHeight);
+            if (row.height > fullPage && !row.hasPhotos && room >= 1) {
+                // Taller than a page: fill this one and carry the rest of the row over
+                const head = row.cells.map(cell => ({ ...cell, lines: cell.lines.slice(0, room) }));
+                const rest = row.cells.map(cell => ({ ...cell, lines: cell.lines.slice(room) }));
+                drawPdfRow(flow, { cells: head, ...measurePdfRow(head, lineHeight) }, lineHeight);
+                row = { cells: rest, ...measurePdfRow(rest, lineHeight) };
+            } else if (flow.y <= pageTop) {
+                break; // Cannot be split and already starts a page: let it run over
+            }
+            flow.newPage();
+            if (headerRow && row !== headerRow) drawPdfRow(flow, headerRow, lineHeight);
+            pageTop = flow.y;
+        }
+        drawPdfRow(flow, row, lineHeight);
+    });
+    flow.y += 12;
+}
+
+/**
+ * Height of a row from its tallest cell.
+ */
+function measurePdfRow(cells, lineHeight) {
+    const heights = cells.map(cell => cell.lines.length * lineHeight + cell.photos.reduce((sum, p) => sum + p.height + 4, 0));
+    return { height: Math.max(lineHeight, ...heights) + 2 * PDF_CELL_PAD_Y, hasPhotos: cells.some(cell => cell.photos.length > 0) };
+}
+
+/**
+ * Draws a row at the current position: header cells shaded, every cell ruled.
+ */
+function drawPdfRow(flow, row, lineHeight) {
+    const page = flow.page();
+    row.cells.forEach(cell => {
+        const x = PDF_MARGIN_X + cell.x;
+        drawPdfRect(page, x, flow.y, cell.width, row.height, cell.header ? 0.94 : null, 0);
+        drawPdfLines(page, cell.lines, x + PDF_CELL_PAD_X, flow.y + PDF_CELL_PAD_Y, cell.width - 2 * PDF_CELL_PAD_X, PDF_TABLE_FONT_SIZE, lineHeight, cell.align);
+        let top = flow.y + PDF_CELL_PAD_Y + cell.lines.length * lineHeight;
+        cell.photos.forEach(photo => {
+            drawPdfImage(page, photo.src, x + PDF_CELL_PAD_X, top + 2, photo.width, photo.height);
+            top += photo.height + 4;
+        });
+    });
+    flow.y += row.height;
+}
+
+const PDF_FIGURE_GAP = 12;
+const PDF_FIGURE_PAD = 6;
+const PDF_FIGURE_MAX_HEIGHT = { 1: 260, 2: 200 }; // By photos per row
+
+/**
+ * Lays out photos with their captions, `columns` to a row; a row is never split across pages.
+ */
+function layoutPdfFigures(flow, block, images) {
+    const columnWidth = (PDF_CONTENT_WIDTH - PDF_FIGURE_GAP * (block.columns - 1)) / block.columns;
+    const inner = columnWidth - 2 * PDF_FIGURE_PAD;
+    const captionLineHeight = 11;
+    const items = block.items.map(item => {
+        const image = images.get(item.src);
+        const photo = image ? fitReportImage(image, inner, PDF_FIGURE_MAX_HEIGHT[block.columns]) : null;
+        const runs = photo ? item.caption : [{ text: '[Photo could not be read] ', bold: false, italic: true, color: '' }].concat(item.caption);
+        const lines = reportRunsHaveText(runs) ? layoutPdfText(runs, inner, 9) : [];
+        const height = 2 * PDF_FIGURE_PAD + (photo ? photo.height : 0) + (lines.length ? (photo ? 4 : 0) + lines.length * captionLineHeight : 0);
+        return { src: item.src, photo, lines, height };
+    });
+
+    for (let i = 0; i < items.length; i += block.columns) {
+        const row = items.slice(i, i + block.columns);
+        const height = Math.max(...row.map(item => item.height));
+        flow.ensure(height);
+        row.forEach((item, col) => {
+            const x = PDF_MARGIN_X + col * (columnWidth + PDF_FIGURE_GAP);
+            const page = flow.page();
+            drawPdfRect(page, x, flow.y, columnWidth, item.height, null, 0.85);
+            let top = flow.y + PDF_FIGURE_PAD;
+            if (item.photo) {
+                drawPdfImage(page, item.src, x + PDF_FIGURE_PAD + (inner - item.photo.width) / 2, top, item.photo.width, item.photo.height);
+                top += item.photo.height + 4;
+            }
+            drawPdfLines(page, item.lines, x + PDF_FIGURE_PAD, top, inner, 9, captionLineHeight, 'left');
+        });
+        flow.y += height + PDF_FIGURE_GAP;
+    }
+}
+
+/**
+ * Lays out blocks in order, collecting headings into `toc` (pass null to leave them out).
+ */
+function layoutPdfBlocks(flow, blocks, images, toc) {
+    blocks.forEach(block => {
+        if (block.type === 'pageBreak') {
+            if (flow.y > PDF_CONTENT_TOP) flow.newPage();
+        } else if (block.type === 'heading') {
+            layoutPdfHeading(flow, block, toc);
+        } else if (block.type === 'paragraph') {
+            layoutPdfParagraph(flow, block);
+        } else if (block.type === 'table') {
+            layoutPdfTable(flow, block, images);
+        } else if (block.type === 'figures') {
+            layoutPdfFigures(flow, block, images);
+        }
+    });
+}
+
+const PDF_TOC_LINE_HEIGHT = 15;
+const PDF_TOC_NUMBER_WIDTH = 36;
+
+/**
+ * Places the contents entries after the cover. Their page numbers are drawn by drawPdfContents once
+ * the number of cover pages is known; the entries themselves never depend on those numbers.
+ */
+function layoutPdfContents(flow, toc) {
+    layoutPdfHeading(flow, { level: 3, runs: [{ text: 'Contents', bold: true, italic: false, color: '' }], size: 12, align: 'left' }, null);
+    toc.forEach(entry => {
+        flow.ensure(PDF_TOC_LINE_HEIGHT);
+        const indent = entry.level * 14;
+        entry.label = pdfFitText(entry.text, entry.level === 0, 10, PDF_CONTENT_WIDTH - indent - PDF_TOC_NUMBER_WIDTH - 12);
+        entry.at = { page: flow.pages.length - 1, top: flow.y, x: PDF_MARGIN_X + indent };
+        flow.y += PDF_TOC_LINE_HEIGHT;
+    });
+}
+
+/**
+ * Draws the contents entries with dot leaders and page numbers, each linked to its heading.
+ * @param {number} firstBodyPage - Index of the page the report body starts on.
+ */
+function drawPdfContents(pages, toc, firstBodyPage) {
+    toc.forEach(entry => {
+        const page = pages[entry.at.page];
+        const bold = entry.level === 0;
+        const number = String(firstBodyPage + entry.page + 1);
+        const right = PDF_MARGIN_X + PDF_CONTENT_WIDTH;
+        const numberWidth = pdfTextWidth(number, bold, 10);
+        const labelWidth = pdfTextWidth(entry.label, bold, 10);
+        const baseline = entry.at.top + 11;
+        drawPdfSegments(page, [{ text: entry.label, bold, italic: false, color: '' }], entry.at.x, baseline, 10);
+        const dots = Math.floor((right - numberWidth - 4 - (entry.at.x + labelWidth + 4)) / pdfTextWidth('.', false, 10));
+        if (dots > 0) drawPdfSegments(page, [{ text: '.'.repeat(dots), bold: false, italic: false, color: '999999' }], right - numberWidth - 4 - dots * pdfTextWidth('.', false, 10), baseline, 10);
+        drawPdfSegments(page, [{ text: number, bold, italic: false, color: '' }], right - numberWidth, baseline, 10);
+        page.links.push({ x: entry.at.x, top: entry.at.top, width: right - entry.at.x, height: PDF_TOC_LINE_HEIGHT, page: firstBodyPage + entry.page, targetTop: entry.top });
+    });
+}
+
+/**
+ * Draws the running header and footer: the marking on both, a report label and "Page n of N" in the footer.
+ */
+function drawPdfRunningHeadings(page, number, count, label) {
+    const marking = pdfEncodeText(REPORT_MARKING);
+    const markingWidth = pdfTextWidth(marking, true, 9);
+    drawPdfSegments(page, [{ text: marking, bold: true, italic: false, color: '' }], (PDF_PAGE_WIDTH - markingWidth) / 2, 36, 9);
+    drawPdfRule(page, PDF_MARGIN_X, 44, PDF_CONTENT_WIDTH, 0.5, 0.6);
+
+    drawPdfRule(page, PDF_MARGIN_X, 748, PDF_CONTENT_WIDTH, 0.5, 0.6);
+    const pageText = `Page ${number} of ${count}`;
+    const pageWidth = pdfTextWidth(pageText, false, 8);
+    const labelText = pdfFitText(pdfEncodeText(label), false, 8, (PDF_CONTENT_WIDTH - markingWidth) / 2 - 12);
+    drawPdfSegments(page, [{ text: labelText, bold: false, italic: false, color: '555555' }], PDF_MARGIN_X, 762, 8);
+    drawPdfSegments(page, [{ text: marking, bold: true, italic: false, color: '' }], (PDF_PAGE_WIDTH - markingWidth) / 2, 762, 9);
+    drawPdfSegments(page, [{ text: pageText, bold: false, italic: false, color: '555555' }], PDF_MARGIN_X + PDF_CONTENT_WIDTH - pageWidth, 762, 8);
+}
+
+// ===== Photos =====
+
+/**
+ * Re-encodes every placed photo as a JPEG of PDF_IMAGE_DPI at its printed size (never above its own resolution),
+ * on white so transparent areas print white.
+ * @returns {Array<Object>} { key, name, width, height, bytes } – one per photo and size.
+ */
+function encodePdfImages(pages, images) {
+    const encoded = new Map();
+    pages.forEach(page => page.ops.forEach(op => {
+        if (typeof op === 'string') return;
+        const image = images.get(op.image);
+        const width = Math.max(1, Math.min(image.width, Math.round(op.width / 72 * PDF_IMAGE_DPI)));
+        const height = Math.max(1, Math.round(width * image.height / image.width));
+        const key = `${width}x${height}:${op.image}`;
+        op.key = key;
+        if (encoded.has(key)) return;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(image.element, 0, 0, width, height);
+        const binary = atob(canvas.toDataURL('image/jpeg', PDF_IMAGE_QUALITY).split(',')[1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        encoded.set(key, { key, name: `Im${encoded.size + 1}`, width, height, bytes });
+    }));
+    return Array.from(encoded.values());
+}
+
+// ===== File Assembly =====
+
+/**
+ * Writes the pages out as a PDF 1.4 file: standard fonts, JPEG photos, contents links.
+ * @param {Object} info - { title }.
+ * @returns {Blob}
+ */
+function serializePdf(pages, photos, info) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = data => {
+        const bytes = typeof data === 'string' ? Uint8Array.from(data, ch => ch.charCodeAt(0) & 0xFF) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (num, dict, stream) => {
+        offsets[num] = length;
+        if (stream === undefined) {
+            write(`${num} 0 obj\n${dict}\nendobj\n`);
+            return;
+        }
+        write(`${num} 0 obj\n<< ${dict} /Length ${stream.length} >>\nstream\n`);
+        write(stream);
+        write('\nendstream\nendobj\n');
+    };
+
+    // Object numbers: 1 catalog, 2 page tree, 3–6 fonts, 7 info, then photos, then each page, its content and its links
+    const fonts = ['Helvetica', 'Helvetica-Bold', 'Helvetica-Oblique', 'Helvetica-BoldOblique'];
+    const photoNum = new Map(photos.map((photo, i) => [photo.key, 8 + i]));
+    let next = 8 + photos.length;
+    const pageNums = pages.map(page => {
+        const nums = { page: next, content: next + 1, links: page.links.map((_, i) => next + 2 + i) };
+        next += 2 + page.links.length;
+        return nums;
+    });
+
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageNums.map(n => `${n.page} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    fonts.forEach((font, i) => object(3 + i, `<< /Type /Font /Subtype /Type1 /BaseFont /${font} /Encoding /WinAnsiEncoding >>`));
+    const now = new Date();
+    const stamp = `D:${now.getFullYear()}${[now.getMonth() + 1, now.getDate(), now.getHours(), now.getMinutes(), now.getSeconds()].map(n => String(n).padStart(2, '0')).join('')}`;
+    object(7, `<< /Title ${pdfString(pdfEncodeText(info.title))} /Producer ${pdfString(`DQM Trip Report Generator v${typeof APP_VERSION !== 'undefined' ? APP_VERSION : ''}`)} /CreationDate (${stamp}) >>`);
+    photos.forEach(photo => object(photoNum.get(photo.key),
+        `/Type /XObject /Subtype /Image /Width ${photo.width} /Height ${photo.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`, photo.bytes));
+
+    const fontResources = fonts.map((_, i) => `/F${i + 1} ${3 + i} 0 R`).join(' ');
+    pages.forEach((page, idx) => {
+        const nums = pageNums[idx];
+        const used = new Set();
+        const content = page.ops.map(op => {
+            if (typeof op === 'string') return op;
+            const photo = photos.find(p => p.key === op.key);
+            used.add(photo);
+            return `q ${pdfNum(op.width)} 0 0 ${pdfNum(op.height)} ${pdfNum(op.x)} ${pdfNum(PDF_PAGE_HEIGHT - op.top - op.height)} cm /${photo.name} Do Q`;
+        }).join('\n');
+        const xobjects = Array.from(used).map(photo => `/${photo.name} ${photoNum.get(photo.key)} 0 R`).join(' ');
+        const annots = nums.links.length ? ` /Annots [${nums.links.map(n => `${n} 0 R`).join(' ')}]` : '';
+        object(nums.page, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE_WIDTH} ${PDF_PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >>${xobjects ? ` /XObject << ${xobjects} >>` : ''} >> /Contents ${nums.content} 0 R${annots} >>`);
+        object(nums.content, '', content);
+        page.links.forEach((link, i) => {
+            const rect = [link.x, PDF_PAGE_HEIGHT - link.top - link.height, link.x + link.width, PDF_PAGE_HEIGHT - link.top].map(pdfNum).join(' ');
+            object(nums.links[i], `<< /Type /Annot /Subtype /Link /Rect [${rect}] /Border [0 0 0] /Dest [${pageNums[link.page].page} 0 R /XYZ null ${pdfNum(PDF_PAGE_HEIGHT - link.targetTop + 12)} null] >>`);
+        });
+    });
+
+    const xref = length;
+    write(`xref\n0 ${next}\n0000000000 65535 f \n`);
+    for (let num = 1; num < next; num++) write(`${String(offsets[num]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${next} /Root 1 0 R /Info 7 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// ===== Entry Points =====
+
+/**
+ * Builds the report PDF from appState: a cover with the report details and contents, then the report.
+ * @returns {Promise<Object>} { blob, pageCount }
+ */
+async function buildReportPdf(state) {
+    const { cover: coverBlocks, body: bodyBlocks } = readReportBlocks(state);
+    const images = await loadReportImages(bodyBlocks);
+
+    const toc = [];
+    const body = createPdfFlow();
+    layoutPdfBlocks(body, bodyBlocks, images, toc);
+
+    const cover = createPdfFlow();
+    layoutPdfBlocks(cover, coverBlocks, images, null);
+    drawPdfRule(cover.page(), PDF_MARGIN_X, cover.y, PDF_CONTENT_WIDTH, 1.5, 0);
+    cover.y += 18;
+    layoutPdfContents(cover, toc);
+
+    const pages = cover.pages.concat(body.pages);
+    drawPdfContents(pages, toc, cover.pages.length);
+    const label = reportTitle(state);
+    pages.forEach((page, i) => drawPdfRunningHeadings(page, i + 1, pages.length, label));
+
+    const blob = serializePdf(pages, encodePdfImages(pages, images), { title: label.replace('–', '-') });
+    return { blob, pageCount: pages.length };
+}
+
+/**
+ * Builds the report PDF and downloads it, named like the draft file.
+ * @returns {Promise<number>} The number of pages.
+ */
+async function downloadReportPdf() {
+    const { blob, pageCount } = await buildReportPdf(window.appState);
+    const url = URL.createObjectURL(blob);
+    const filename = reportFileName('pdf');
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    console.log(`Report PDF downloaded as ${filename} (${pageCount} pages).`);
+    return pageCount;
+}
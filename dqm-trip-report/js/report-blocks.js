@@ -0,0 +1,256 @@
+/**
+ * report-blocks.js
+ * Reads the report HTML (buildReportHtml) back into a simple document model for the file exports
+ * (pdf-report.js, docx-report.js): headings, paragraphs of styled text runs, tables and photo figures.
+ *
+ * Text runs: { text, bold, italic, color ('rrggbb' or '') }, or { br: true } for a line break.
+ * Blocks:
+ *   { type: 'heading', level, runs, size (pt), align }
+ *   { type: 'paragraph', runs, size (pt), align }
+ *   { type: 'table', widths (percent per column), rows: [{ cells: [{ header, runs, images, align, colspan }] }] }
+ *   { type: 'figures', columns (photos per row), items: [{ src, caption (runs) }] }
+ *   { type: 'pageBreak' }
+ */
+
+const REPORT_MARKING = 'FOR OFFICIAL USE ONLY'; // Running header and footer of the exported files
+
+const REPORT_BLOCK_TAGS = ['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'TABLE', 'DIV', 'FIGURE', 'FIGCAPTION', 'IMG'];
+const REPORT_HEADING_SIZES = { 1: 16, 2: 14, 3: 12, 4: 11, 5: 10, 6: 10 };
+
+/**
+ * Font size in points from an element's inline style, or the fallback.
+ */
+function reportFontSize(el, fallback) {
+    const size = parseFloat(el.style.fontSize);
+    if (isNaN(size)) return fallback;
+    return el.style.fontSize.endsWith('px') ? size * 0.75 : size;
+}
+
+/**
+ * An element's inline text colour as six hex digits ('' for none or black).
+ */
+function reportColor(el) {
+    const value = el.style.color;
+    let rgb = null;
+    const fn = value.match(/rgb\((\d+),\s*(\d+),\s*(\d+)/);
+    if (fn) rgb = fn.slice(1, 4).map(Number);
+    const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d) : hex[1].match(/../g);
+        rgb = digits.map(d => parseInt(d, 16));
+    }
+    if (!rgb || rgb.every(c => c === 0)) return '';
+    return rgb.map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Collects an element's text as styled runs. Block elements inside it start a new line.
+ */
+function collectReportRuns(el, style = {}, runs = []) {
+    el.childNodes.forEach(node => collectReportNodeRuns(node, style, runs));
+    while (runs.length && runs[0].br) runs.shift();
+    while (runs.length && runs[runs.length - 1].br) runs.pop();
+    return runs;
+}
+
+/**
+ * Adds one node's text to runs, in the style it inherits plus its own.
+ */
+function collectReportNodeRuns(node, style, runs) {
+    if (node.nodeType === 3) {
+        const text = node.textContent.replace(/[ \t\n\r\f]+/g, ' ');
+        if (text) runs.push({ text, bold: !!style.bold, italic: !!style.italic, color: style.color || '' });
+        return;
+    }
+    if (node.nodeType !== 1 || node.tagName === 'IMG') return;
+    if (node.tagName === 'BR') {
+        runs.push({ br: true });
+        return;
+    }
+    const weight = node.style.fontWeight;
+    const inner = {
+        bold: weight === 'normal' ? false : style.bold || ['STRONG', 'B', 'TH'].includes(node.tagName) || weight === 'bold' || parseInt(weight, 10) >= 600,
+        italic: style.italic || ['EM', 'I'].includes(node.tagName) || node.style.fontStyle === 'italic',
+        color: reportColor(node) || style.color
+    };
+    const isBlock = REPORT_BLOCK_TAGS.includes(node.tagName);
+    if (isBlock && runs.length && !runs[runs.length - 1].br) runs.push({ br: true });
+    node.childNodes.forEach(child => collectReportNodeRuns(child, inner, runs));
+    if (isBlock && runs.length && !runs[runs.length - 1].br) runs.push({ br: true });
+}
+
+/**
+ * True when runs contain any visible text.
+ */
+function reportRunsHaveText(runs) {
+    return runs.some(run => run.text && run.text.trim());
+}
+
+/**
+ * Plain text of runs, for the contents list.
+ */
+function reportRunsText(runs) {
+    return runs.map(run => run.br ? ' ' : run.text).join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Reads a table into rows of cells. Column widths (percent, summing to 100) come from the cells'
+ * width attributes; columns without one share what is left.
+ */
+function readReportTable(table) {
+    const rows = Array.from(table.querySelectorAll('tr')).map(tr => ({
+        cells: Array.from(tr.children).filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH').map(cell => ({
+            header: cell.tagName === 'TH',
+            runs: collectReportRuns(cell, { bold: cell.tagName === 'TH' || parseInt(cell.style.fontWeight, 10) >= 600 }),
+            images: Array.from(cell.querySelectorAll('img')).map(img => img.getAttribute('src') || ''),
+            align: cell.classList.contains('text-center') ? 'center' : cell.classList.contains('text-right') ? 'right' : 'left',
+            colspan: Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1),
+            width: parseFloat(cell.getAttribute('width'))
+        }))
+    })).filter(row => row.cells.length > 0);
+
+    const columnCount = Math.max(1, ...rows.map(row => row.cells.reduce((sum, cell) => sum + cell.colspan, 0)));
+    const percents = new Array(columnCount).fill(null);
+    rows.forEach(row => {
+        let col = 0;
+        row.cells.forEach(cell => {
+            if (cell.colspan === 1 && !isNaN(cell.width) && percents[col] === null) percents[col] = cell.width;
+            col += cell.colspan;
+        });
+    });
+    const given = percents.reduce((sum, p) => sum + (p || 0), 0);
+    const unset = percents.filter(p => p === null).length;
+    const share = unset ? Math.max(0, 100 - given) / unset : 0;
+    const filled = percents.map(p => p === null ? (share || 100 / columnCount) : p);
+    const total = filled.reduce((sum, p) => sum + p, 0);
+    return { type: 'table', rows, widths: filled.map(p => p / total * 100) };
+}
+
+/**
+ * A photo with its caption (any text around the image in the same element).
+ */
+function readReportFigureItem(el) {
+    const img = el.tagName === 'IMG' ? el : el.querySelector('img');
+    return { src: img.getAttribute('src') || '', caption: el.tagName === 'IMG' ? [] : collectReportRuns(el) };
+}
+
+/**
+ * Reads report HTML into blocks: heading, paragraph, table, figures (photos side by side) and pageBreak.
+ */
+function collectReportBlocks(parent, blocks) {
+    let loose = []; // Inline content sitting directly in a container
+    const flushLoose = () => {
+        while (loose.length && loose[0].br) loose.shift();
+        while (loose.length && loose[loose.length - 1].br) loose.pop();
+        if (reportRunsHaveText(loose)) {
+            blocks.push({ type: 'paragraph', runs: loose, size: reportFontSize(parent, 10), align: parent.style.textAlign || 'left' });
+        }
+        loose = [];
+    };
+
+    parent.childNodes.forEach(node => {
+        if (node.nodeType !== 1 || !REPORT_BLOCK_TAGS.includes(node.tagName)) {
+            collectReportNodeRuns(node, {}, loose);
+            return;
+        }
+        flushLoose();
+
+        const heading = node.tagName.match(/^H(\d)$/);
+        if (heading) {
+            const runs = collectReportRuns(node, { bold: node.style.fontWeight !== 'normal' });
+            if (reportRunsHaveText(runs)) {
+                const level = Number(heading[1]);
+                blocks.push({ type: 'heading', level, runs, size: reportFontSize(node, REPORT_HEADING_SIZES[level]), align: node.style.textAlign || 'left' });
+            }
+        } else if (node.tagName === 'P' || node.tagName === 'FIGCAPTION') {
+            const runs = collectReportRuns(node, {
+                bold: node.style.fontWeight === 'bold' || parseInt(node.style.fontWeight, 10) >= 600,
+                italic: node.style.fontStyle === 'italic',
+                color: reportColor(node)
+            });
+            if (reportRunsHaveText(runs)) blocks.push({ type: 'paragraph', runs, size: reportFontSize(node, 10), align: node.style.textAlign || 'left' });
+        } else if (node.tagName === 'TABLE') {
+            const table = readReportTable(node);
+            if (table.rows.length) blocks.push(table);
+        } else if (node.tagName === 'IMG' || node.tagName === 'FIGURE') {
+            blocks.push({ type: 'figures', columns: 1, items: [readReportFigureItem(node)] });
+        } else if (node.classList.contains('page-break')) {
+            blocks.push({ type: 'pageBreak' });
+        } else if (node.style.display === 'flex' && node.querySelector('img')) {
+            // A row of photos (hull status, photo gallery): two to a row, other content before them
+            const items = [];
+            Array.from(node.children).forEach(child => {
+                if (child.tagName === 'IMG' || child.querySelector('img')) {
+                    items.push(readReportFigureItem(child));
+                } else {
+                    const wrapper = node.ownerDocument.createElement('div');
+                    wrapper.appendChild(child.cloneNode(true));
+                    collectReportBlocks(wrapper, blocks);
+                }
+            });
+            if (items.length) blocks.push({ type: 'figures', columns: 2, items });
+        } else {
+            collectReportBlocks(node, blocks);
+        }
+    });
+    flushLoose();
+    return blocks;
+}
+
+/**
+ * Reads the report for appState into the cover (the header block: titles, date, authors) and the body.
+ * @returns {Object} { cover: Array<block>, body: Array<block> }
+ */
+function readReportBlocks(state) {
+    const doc = new DOMParser().parseFromString(`<div id="report-root">${buildReportHtml(state)}</div>`, 'text/html');
+    const root = doc.getElementById('report-root');
+    const cover = [];
+    const header = root.querySelector('.report-header-grid');
+    if (header) {
+        collectReportBlocks(header, cover);
+        header.remove();
+    }
+    return { cover, body: collectReportBlocks(root, []) };
+}
+
+/**
+ * Title of an exported report: the report name and the vessels it covers.
+ */
+function reportTitle(state) {
+    const vessels = (state.plants || []).map(p => p.name).filter(Boolean).join(', ');
+    return `DQM Quality Assurance Check Report${vessels ? ` – ${vessels}` : ''}`;
+}
+
+// ===== Photos =====
+
+/**
+ * Decodes the embedded photos (data URLs) the blocks refer to.
+ * @returns {Promise<Map<string, Object>>} src -> { element, width, height }; photos that fail to decode are left out.
+ */
+async function loadReportImages(blocks) {
+    const sources = new Set();
+    blocks.forEach(block => {
+        if (block.type === 'figures') block.items.forEach(item => sources.add(item.src));
+        if (block.type === 'table') block.rows.forEach(row => row.cells.forEach(cell => cell.images.forEach(src => sources.add(src))));
+    });
+
+    const images = new Map();
+    await Promise.all(Array.from(sources).filter(src => src.startsWith('data:image/')).map(src => new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => {
+            if (img.naturalWidth > 0 && img.naturalHeight > 0) images.set(src, { element: img, width: img.naturalWidth, height: img.naturalHeight });
+            resolve();
+        };
+        img.onerror = () => resolve();
+        img.src = src;
+    })));
+    return images;
+}
+
+/**
+ * Size of a photo scaled into a box, keeping its shape.
+ */
+function fitReportImage(image, maxWidth, maxHeight) {
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height);
+    return { width: image.width * scale, height: image.height * scale };
+}
@@ -12,7 +12,6 @@
 function renderReport() {
     const target = document.getElementById('report-render-target');
     const state = window.appState;
-    const meta = state.meta;
 
     // Safety Check: Avoid rendering empty structure if no data is present
     if (!state.sourceJson) {
@@ -20,8 +19,28 @@ function renderReport() {
         return;
     }
 
-    // 1. Core Document Structure (Header, Project Info, methodology)
-    const reportHtml = `
+    const reportHtml = buildReportHtml(state);
+
+    // Deployment: Update UI Preview and Print Context
+    target.innerHTML = reportHtml;
+    // Optional: mark the cells changed from the field data (preview only, see changes.js)
+    const highlightToggle = document.getElementById('highlight-changes-toggle');
+    if (highlightToggle) highlightToggle.checked = !!state.highlightChanges;
+    if (state.highlightChanges && typeof highlightReportChanges === 'function') highlightReportChanges(target);
+
+    // Synchronization with the hidden print-only container
+    document.getElementById('print-container').innerHTML = reportHtml;
+}
+
+/**
+ * Builds the report HTML from a snapshot of appState.
+ * Shared by the Preview tab and the PDF writer (pdf-report.js), which lays the same HTML out on pages.
+ */
+function buildReportHtml(state) {
+    const meta = state.meta;
+
+    // Core Document Structure (Header, Project Info, methodology), then the check sheets
+    return `
         <div class="report-header-grid" style="border-bottom: 2px solid black; padding-bottom: 20px; align-items: end;">
             <div>
                 <h1 style="border: none; margin: 0; padding: 0; text-align: left; font-size: 16pt;">National Dredging Quality Management (DQM) Program</h1>
@@ -56,13 +75,14 @@ function renderReport() {
                 <th>Vessels Checked</th>
                 <td>${renderVesselList(state.plants)}</td>
             </tr>
+            ${renderSourceFilesRow(state.sourceFiles)}
         </table>
 
         <h3>Discrepancies</h3>
-        <p style="margin-bottom: 20px; font-size: 10pt;">${escapeHtml(meta.discrepancies) || 'None noted.'}</p>
+        <p style="margin-bottom: 20px; font-size: 10pt;">${escapeHtml(meta.discrepancies).replace(/\n/g, '<br>') || 'None noted.'}</p>
 
         <h3>General Comments</h3>
-        <p style="margin-bottom: 20px; font-size: 10pt;">${escapeHtml(state.originalGeneralComments) || 'None'}</p>
+        <p style="margin-bottom: 20px; font-size: 10pt;">${escapeHtml(state.originalGeneralComments).replace(/\n/g, '<br>') || 'None'}</p>
 
         <h3>Methods</h3>
         <p style="text-align: justify; margin-bottom: 30px; font-size: 10pt; line-height: 1.5;">${escapeHtml(meta.methods).replace(/\n/g, '<br>')}</p>
@@ -75,13 +95,44 @@ function renderReport() {
 
         <!-- Detailed Check Data for each Vessel -->
         ${renderChecks(state)}
-    `;
 
-    // 2. Deployment: Update UI Preview and Print Context
-    target.innerHTML = reportHtml;
+        ${renderChangesAppendix(state)}
+    `;
+}
 
-    // Synchronization with the hidden print-only container
-    document.getElementById('print-container').innerHTML = reportHtml;
+/**
+ * Appendix listing every value changed after the field (changes.js), with who, when and why.
+ * Empty when nothing was changed.
+ */
+function renderChangesAppendix(state) {
+    const changes = (typeof collectOverrideChanges === 'function') ? collectOverrideChanges(state) : [];
+    if (changes.length === 0) return '';
+    const rows = changes.map(change => `
+            <tr>
+                <td>${escapeHtml(change.plant ? `${change.plant} — ${change.check}` : change.check)}</td>
+                <td>${escapeHtml(change.field)}</td>
+                <td class="text-center">${escapeHtml(formatChangeValue(change.original))}</td>
+                <td class="text-center">${escapeHtml(formatChangeValue(change.value))}</td>
+                <td>${escapeHtml([change.by || 'Not recorded', formatChangeTime(change.at)].filter(Boolean).join(', '))}</td>
+                <td>${escapeHtml(change.justification) || '<em>None given</em>'}</td>
+            </tr>`).join('');
+    return `
+        <div class="page-break"></div>
+        <div class="changes-appendix">
+            <h2 style="text-align: center; font-size: 16pt; font-weight: bold; margin-bottom: 20px; border-bottom: none;">APPENDIX: POST-FIELD EDITS</h2>
+            <p style="font-size: 10pt;">The following values in this report differ from the data recorded in the field by the QA App.</p>
+            <table class="report-table">
+                <tr>
+                    <th width="20%">Vessel / Check</th>
+                    <th width="14%">Field</th>
+                    <th width="12%" class="text-center">Field Value</th>
+                    <th width="12%" class="text-center">Report Value</th>
+                    <th width="16%">Changed By</th>
+                    <th width="26%">Justification</th>
+                </tr>${rows}
+            </table>
+        </div>
+    `;
 }
 
 /**
@@ -92,6 +143,16 @@ function renderVesselList(plants) {
     return plants.map(p => `${escapeHtml(p.name)} (${escapeHtml(p.vesselType)})`).join(', ');
 }
 
+/**
+ * Project Information row naming the QA exports a multi-file report was merged from (merge.js).
+ * Empty for a report built from one export.
+ */
+function renderSourceFilesRow(sourceFiles) {
+    if (!sourceFiles || sourceFiles.length < 2) return '';
+    const files = sourceFiles.map(f => `${escapeHtml(f.name)}${f.checkDate ? ` (${escapeHtml(f.checkDate)})` : ''}`).join(', ');
+    return `<tr><th>Source Files</th><td colspan="3">${files}</td></tr>`;
+}
+
 /**
  * Iterates through all plants and their respective checks.
  * Applies the 'overrides' layer on top of 'original' data.
@@ -104,6 +165,7 @@ function renderChecks(state) {
     // Standard Print Order for Audit Sheets
     const order = [
         'positionCheck',
+        'dynamicPositionCheck',
         'draftSensorLight',
         'draftSensorLightFwd',
         'draftSensorLightAft',
@@ -121,12 +183,14 @@ function renderChecks(state) {
         'dragheadDepth',
         'suctionMouthDepth',
         'velocity',
+        'densityCheck',
         'bucketDepth',
         'bucketPosition'
     ];
 
     const labels = {
         'positionCheck': 'GPS Position Check',
+        'dynamicPositionCheck': 'Dynamic GPS Check',
         'draftSensorLight': 'Draft Sensor Check (Light)',
         'draftSensorLightFwd': 'Draft Sensor Check (Light - Forward)',
         'draftSensorLightAft': 'Draft Sensor Check (Light - Aft)',
@@ -144,10 +208,22 @@ function renderChecks(state) {
         'dragheadDepth': 'Draghead Depth Check',
         'suctionMouthDepth': 'Suction Mouth Depth Check',
         'velocity': 'Velocity Check',
+        'densityCheck': 'Density Verification Check',
         'bucketDepth': 'Bucket Depth Check',
         'bucketPosition': 'Bucket Position Check'
     };
 
+    // Names of checks added through QA app check packs, exported alongside the data
+    const sourceMeta = state.sourceJson ? (state.sourceJson.metadata || state.sourceJson) : {};
+    const exportedLabels = sourceMeta.checkNames || {};
+
+    /**
+     * Standard print order, followed by any check types it doesn't list (e.g. check-pack checks).
+     */
+    function orderedTypes(checks) {
+        return order.concat(Object.keys(checks).filter(type => !order.includes(type)));
+    }
+
     /**
      * Predicate to skip sections that contain only empty/null fields.
      */
@@ -161,7 +237,7 @@ function renderChecks(state) {
      * For velocity, appends " — Meter" or " — Dye" when the method is known.
      */
     function getSectionLabel(type, data, override) {
-        const base = labels[type] || type;
+        const base = labels[type] || exportedLabels[type] || type;
         if (type === 'velocity') {
             const method = (override && (override['velocity-method'] || override['vel-method']))
                         || (data && (data['velocity-method'] || data['vel-method']))
@@ -179,7 +255,7 @@ function renderChecks(state) {
             const plantChecks = plant.checks || {};
             let plantHtml = '';
 
-            order.forEach(type => {
+            orderedTypes(plantChecks).forEach(type => {
                 if (plantChecks[type] && hasAnyValue(plantChecks[type])) {
                     const data = plantChecks[type];
                     // Merged Override Logic: 
@@ -206,9 +282,14 @@ function renderChecks(state) {
                         plantHtml += renderPositionCheck(data, override);
                     } else if (type === 'velocity') {
                         plantHtml += renderVelocityTable(data, override);
+                    } else if (type === 'densityCheck') {
+                        plantHtml += renderDensityTable(data, override);
+                    } else if (type === 'dynamicPositionCheck') {
+                        plantHtml += renderTrackCheck(data, override);
                     } else {
                         plantHtml += renderGenericTable(data, override);
                     }
+                    plantHtml += renderPhotoGallery(data, override);
                 }
             });
 
@@ -229,7 +310,7 @@ function renderChecks(state) {
     } else {
         // Legacy Fallback for files without a 'plants' array
         const checks = state.qaChecks || {};
-        order.forEach(type => {
+        orderedTypes(checks).forEach(type => {
             if (checks[type] && hasAnyValue(checks[type])) {
                 const data = checks[type];
                 const override = overrides[type] || {};
@@ -247,6 +328,10 @@ function renderChecks(state) {
                     html += renderBucketTable(data, override);
                 } else if (type === 'velocity') {
                     html += renderVelocityTable(data, override);
+                } else if (type === 'densityCheck') {
+                    html += renderDensityTable(data, override);
+                } else if (type === 'dynamicPositionCheck') {
+                    html += renderTrackCheck(data, override);
                 } else {
                     html += renderGenericTable(data, override);
                 }
@@ -257,6 +342,180 @@ function renderChecks(state) {
     return html;
 }
 
+/**
+ * Renders the Density Verification check: water baseline, water-to-material transition and expected vs observed.
+ * Specific gravity is shown to three decimals.
+ */
+function renderDensityTable(data, override) {
+    const sg = val => {
+        const n = Number(val);
+        return (val === undefined || isNaN(n)) ? '-' : n.toFixed(3);
+    };
+    let html = '';
+
+    let baselineRows = '';
+    readingNumbers(data, override, 'density-water').forEach(num => {
+        const measured = getVal(data, override, `density-water-sg-${num}`);
+        const dqm = getVal(data, override, `density-water-dqm-${num}`);
+        if (measured === undefined && dqm === undefined) return;
+        const diffVal = (measured !== undefined && dqm !== undefined) ? Math.abs(parseFloat(measured) - parseFloat(dqm)) : undefined;
+        baselineRows += `
+            <tr>
+                <td class="text-center">Reading ${num}</td>
+                <td class="text-center">${sg(measured)}</td>
+                <td class="text-center">${sg(dqm)}</td>
+                <td class="text-center">${sg(diffVal)}</td>
+            </tr>`;
+    });
+    if (baselineRows) {
+        const method = getVal(data, override, 'density-water-method');
+        html += `
+        <h4 style="margin: 15px 0 5px; font-size:11pt; color:#333;">Water Baseline${method ? ` — ${escapeHtml(method.toString())}` : ''}</h4>
+        <table class="report-table">
+            <tr>
+                <th width="40%">Reading</th>
+                <th width="20%" class="text-center">Measured (SG)</th>
+                <th width="20%" class="text-center">DQM Reported (SG)</th>
+                <th width="20%" class="text-center">Difference</th>
+            </tr>
+            ${baselineRows}
+        </table>
+        ${renderReadingStats(data, override, 'density-water', 'SG', 3)}`;
+    }
+
+    let transitionRows = '';
+    [1, 2, 3, 4, 5].forEach(num => {
+        const time = getVal(data, override, `density-trans-time-${num}`);
+        const dqm = getVal(data, override, `density-trans-sg-${num}`);
+        const note = getVal(data, override, `density-trans-note-${num}`);
+        if (time === undefined && dqm === undefined && note === undefined) return;
+        transitionRows += `
+            <tr>
+                <td class="text-center">${escapeHtml(time || '-')}</td>
+                <td class="text-center">${sg(dqm)}</td>
+                <td>${escapeHtml(note || '')}</td>
+            </tr>`;
+    });
+    if (transitionRows) {
+        html += `
+        <h4 style="margin: 15px 0 5px; font-size:11pt; color:#333;">Water to Material Transition</h4>
+        <table class="report-table">
+            <tr>
+                <th width="25%" class="text-center">Time</th>
+                <th width="25%" class="text-center">DQM Reported (SG)</th>
+                <th width="50%">Observation</th>
+            </tr>
+            ${transitionRows}
+        </table>`;
+    }
+
+    const expected = getVal(data, override, 'density-expected-sg');
+    const observed = getVal(data, override, 'density-observed-sg');
+    const behavior = getVal(data, override, 'density-behavior');
+    if (expected !== undefined || observed !== undefined || behavior !== undefined) {
+        const diffVal = (expected !== undefined && observed !== undefined) ? Math.abs(parseFloat(expected) - parseFloat(observed)) : undefined;
+        html += `
+        <h4 style="margin: 15px 0 5px; font-size:11pt; color:#333;">Expected vs Observed</h4>
+        <table class="report-table">
+            <tr>
+                <th width="25%" class="text-center">Expected (SG)</th>
+                <th width="25%" class="text-center">Observed DQM (SG)</th>
+                <th width="25%" class="text-center">Difference</th>
+                <th width="25%" class="text-center">Responded as Expected</th>
+            </tr>
+            <tr>
+                <td class="text-center">${sg(expected)}</td>
+                <td class="text-center">${sg(observed)}</td>
+                <td class="text-center">${sg(diffVal)}</td>
+                <td class="text-center">${behavior ? escapeHtml(behavior.toString().toUpperCase()) : '-'}</td>
+            </tr>
+        </table>`;
+    }
+
+    if (!html) return '<p>No density data recorded.</p>';
+
+    const remarks = getVal(data, override, 'density-remarks') || getVal(data, override, 'remarks');
+    if (remarks) html += `<p style="font-size: 10pt; font-style: italic;">Remarks: ${escapeHtml(remarks.toString())}</p>`;
+
+    return html;
+}
+
+/**
+ * Renders the Dynamic GPS check: track files, the plot thumbnail and the offset, heading
+ * and logging-interval statistics computed when the handheld and provider tracks were compared.
+ */
+function renderTrackCheck(data, override) {
+    const num = (key, decimals) => {
+        const val = getVal(data, override, key);
+        const n = Number(val);
+        return (val === undefined || isNaN(n)) ? '-' : n.toFixed(decimals);
+    };
+    const handheldFile = getVal(data, override, 'track-handheld-file');
+    const providerFile = getVal(data, override, 'track-provider-file');
+    const shift = getVal(data, override, 'track-time-shift');
+    const thumbnail = getVal(data, override, 'track-thumbnail');
+
+    if (getVal(data, override, 'track-matched') === undefined && !thumbnail) return '<p>No track comparison recorded.</p>';
+
+    let html = `
+        <table class="report-table">
+            <tr><th width="40%">Handheld Track</th><td>${escapeHtml(handheldFile || '-')}</td></tr>
+            <tr><th>Provider Track</th><td>${escapeHtml(providerFile || '-')}${shift && Number(shift) !== 0 ? ` (time offset ${escapeHtml(shift.toString())} h)` : ''}</td></tr>
+            <tr><th>Matched Points / Duration</th><td>${num('track-matched', 0)} points over ${num('track-duration', 1)} min</td></tr>
+        </table>`;
+
+    if (thumbnail && thumbnail.toString().startsWith('data:image')) {
+        html += `<img src="${thumbnail}" style="max-width: 100%; max-height: 300px; display: block; margin: 10px 0; border: 1px solid #ccc; padding: 3px; background: #fff;" alt="Handheld and provider tracks">`;
+    }
+
+    html += `
+        <table class="report-table">
+            <tr>
+                <th width="25%"></th>
+                <th width="25%" class="text-center">Mean</th>
+                <th width="25%" class="text-center">95th Percentile</th>
+                <th width="25%" class="text-center">Maximum</th>
+            </tr>
+            <tr>
+                <td>Horizontal Offset (ft)</td>
+                <td class="text-center">${num('track-offset-mean', 2)}</td>
+                <td class="text-center">${num('track-offset-p95', 2)}</td>
+                <td class="text-center">${num('track-offset-max', 2)}</td>
+            </tr>
+            <tr>
+                <td>Heading Difference (°)</td>
+                <td class="text-center">${num('track-heading-mean', 1)}</td>
+                <td class="text-center">-</td>
+                <td class="text-center">${num('track-heading-max', 1)}</td>
+            </tr>
+        </table>
+        <table class="report-table">
+            <tr>
+                <th width="25%">Logging Interval (s)</th>
+                <th width="25%" class="text-center">Mean</th>
+                <th width="25%" class="text-center">Maximum</th>
+                <th width="25%" class="text-center">Gaps</th>
+            </tr>
+            <tr>
+                <td>Handheld</td>
+                <td class="text-center">${num('track-hh-interval-mean', 1)}</td>
+                <td class="text-center">${num('track-hh-interval-max', 1)}</td>
+                <td class="text-center">-</td>
+            </tr>
+            <tr>
+                <td>DQM Provider</td>
+                <td class="text-center">${num('track-dqm-interval-mean', 1)}</td>
+                <td class="text-center">${num('track-dqm-interval-max', 1)}</td>
+                <td class="text-center">${num('track-dqm-gaps', 0)}</td>
+            </tr>
+        </table>`;
+
+    const remarks = getVal(data, override, 'track-remarks') || getVal(data, override, 'remarks');
+    if (remarks) html += `<p style="font-size: 10pt; font-style: italic;">Remarks: ${escapeHtml(remarks.toString())}</p>`;
+
+    return html;
+}
+
 /**
  * Renders the Integration Verification Data Check section for a single plant.
  * Reads from appState.dataCheck[pIdx] — no DOM dependency.
@@ -276,6 +535,7 @@ function renderDataCheckSection(state, plant, pIdx) {
     if (!isHopp && !isScow) return '';
 
     const dc = state.dataCheck && state.dataCheck[pIdx];
+    const tolerance = (typeof getTolerance === 'function') ? getTolerance(state, 'dataCheck') : 3; // Status limit, %
 
     // Determine volume eligibility
     const profile      = (plant.profile || '').toLowerCase();
@@ -322,7 +582,7 @@ function renderDataCheckSection(state, plant, pIdx) {
             const rep = parseFloat(repOutRaw);
             if (!isNaN(rep) && rep !== 0) {
                 const pctDiff = Math.abs(calcVal - rep) / Math.abs(rep) * 100;
-                statusStr = pctDiff <= 3.0
+                statusStr = pctDiff <= tolerance
                     ? `✅ ${pctDiff.toFixed(2)}%`
                     : `❌ ${pctDiff.toFixed(2)}%`;
             }
@@ -355,7 +615,7 @@ function renderDataCheckSection(state, plant, pIdx) {
                     <th width="18%" class="text-center">Reported Input</th>
                     <th width="18%" class="text-center">Reported Output</th>
                     <th width="18%" class="text-center">Calculated Output</th>
-                    <th width="18%" class="text-center">Status (±3%)</th>
+                    <th width="18%" class="text-center">Status (±${tolerance}%)</th>
                 </tr>
                 ${rows}
             </table>
@@ -390,6 +650,13 @@ function renderShipData(data, override, typeName) {
     const isFwdOnly = typeName.endsWith('Fwd');
     const isAftOnly = typeName.endsWith('Aft');
 
+    // Ullage ends may be checked by plate simulation (rendered separately) and carry several sensors
+    const isUllage = typeName.startsWith('ullage');
+    const isPlate = pos => isUllage && getVal(data, override, `${prefix}${pos}-method`) === 'plate';
+    const sensorCount = pos => isUllage ? (parseInt(getVal(data, override, `${prefix}${pos}-sensors`), 10) || 1) : 1;
+    const showFwd = !isAftOnly && !isPlate('fwd');
+    const showAft = !isFwdOnly && !isPlate('aft');
+
     // Attribute extraction with override precedence
     let fwdPort = getVal(data, override, `${prefix}fwd-port`);
     let fwdStbd = getVal(data, override, `${prefix}fwd-stbd`);
@@ -399,11 +666,26 @@ function renderShipData(data, override, typeName) {
     let dqmAft = getVal(data, override, `${prefix}dqm-aft`);
 
     // Verify presence of data before attempting calculation
-    if (fwdPort !== undefined || fwdStbd !== undefined || aftPort !== undefined || aftStbd !== undefined || dqmFwd !== undefined || dqmAft !== undefined) {
+    if ((showFwd || showAft) && (fwdPort !== undefined || fwdStbd !== undefined || aftPort !== undefined || aftStbd !== undefined || dqmFwd !== undefined || dqmAft !== undefined)) {
         let fwdAvg = avg(fwdPort, fwdStbd);
         let aftAvg = avg(aftPort, aftStbd);
         let fwdDiff = diff(fwdAvg, dqmFwd);
         let aftDiff = diff(aftAvg, dqmAft);
+        const multiSensor = sensorCount('fwd') > 1 || sensorCount('aft') > 1;
+
+        // Sensors 2..n of an end are each compared with that end's sounding average
+        const extraSensorRows = (pos, average) => Array.from({ length: sensorCount(pos) - 1 }, (_, i) => {
+            const dqm = getVal(data, override, `${prefix}dqm-${pos}-s${i + 2}`);
+            return `
+        <tr>
+            <td><strong>${pos === 'fwd' ? 'Forward' : 'Aft'}</strong> — Sensor ${i + 2}</td>
+            <td class="text-center"></td>
+            <td class="text-center"></td>
+            <td class="text-center">${formatNum(average)}</td>
+            <td class="text-center">${formatNum(dqm)}</td>
+            <td class="text-center">${formatNum(diff(average, dqm))}</td>
+        </tr>`;
+        }).join('');
 
         html += `
         <table class="report-table">
@@ -415,27 +697,33 @@ function renderShipData(data, override, typeName) {
             <th class="text-center">DQM System</th>
             <th class="text-center">Difference</th>
         </tr>
-        ${!isAftOnly ? `
+        ${showFwd ? `
         <tr>
-            <td><strong>Forward</strong></td>
+            <td><strong>Forward</strong>${multiSensor ? ' — Sensor 1' : ''}</td>
             <td class="text-center">${formatNum(fwdPort)}</td>
             <td class="text-center">${formatNum(fwdStbd)}</td>
             <td class="text-center">${formatNum(fwdAvg)}</td>
             <td class="text-center">${formatNum(dqmFwd)}</td>
             <td class="text-center">${formatNum(fwdDiff)}</td>
-        </tr>` : ''}
-        ${!isFwdOnly ? `
+        </tr>${extraSensorRows('fwd', fwdAvg)}` : ''}
+        ${showAft ? `
         <tr>
-            <td><strong>Aft</strong></td>
+            <td><strong>Aft</strong>${multiSensor ? ' — Sensor 1' : ''}</td>
             <td class="text-center">${formatNum(aftPort)}</td>
             <td class="text-center">${formatNum(aftStbd)}</td>
             <td class="text-center">${formatNum(aftAvg)}</td>
             <td class="text-center">${formatNum(dqmAft)}</td>
             <td class="text-center">${formatNum(aftDiff)}</td>
-        </tr>` : ''}
+        </tr>${extraSensorRows('aft', aftAvg)}` : ''}
         </table>`;
     }
 
+    // Plate-simulated ullage ends: one table of plate heights per sensor
+    ['fwd', 'aft'].forEach(pos => {
+        if ((pos === 'fwd' && isAftOnly) || (pos === 'aft' && isFwdOnly) || !isPlate(pos)) return;
+        html += renderUllagePlate(data, override, `${prefix}${pos}`, pos === 'fwd' ? 'Forward' : 'Aft', sensorCount(pos));
+    });
+
     // 2. Secondary Logic: Append Simulated Draft offsets if present
     if (typeName.startsWith('draftSensor')) {
         const simPrefix = `sim-${prefix}`;
@@ -458,6 +746,57 @@ function renderShipData(data, override, typeName) {
     return html;
 }
 
+/**
+ * Specialized Renderer: Plate-Simulated Ullage.
+ * A plate lowered under each sensor stands in for the material surface; each plate ullage (plus the
+ * sensor's offset) is compared with the DQM ullage.
+ * @param {string} base - Key prefix of the end, e.g. 'ullage-light-fwd'.
+ * @param {string} endName - 'Forward' or 'Aft'.
+ * @param {number} sensors - Number of sensors at the end.
+ */
+function renderUllagePlate(data, override, base, endName, sensors) {
+    let html = '';
+    for (let k = 1; k <= sensors; k++) {
+        const blockId = `${base}-plate-s${k}`;
+        const offset = parseFloat(getVal(data, override, `${blockId}-offset`)) || 0;
+        let rows = '';
+        readingNumbers(data, override, blockId).forEach(num => {
+            const plate = getVal(data, override, `${blockId}-ullage-${num}`);
+            const dqm = getVal(data, override, `${blockId}-dqm-${num}`);
+            if (plate === undefined && dqm === undefined) return;
+            const diffVal = (plate !== undefined && dqm !== undefined)
+                ? Math.abs((parseFloat(plate) + offset) - parseFloat(dqm)).toFixed(2)
+                : undefined;
+            rows += `
+                <tr>
+                    <td class="text-center">Plate ${num}</td>
+                    <td class="text-center">${formatNum(plate)}</td>
+                    <td class="text-center">${formatNum(dqm)}</td>
+                    <td class="text-center">${formatNum(diffVal)}</td>
+                </tr>`;
+        });
+        if (!rows) continue;
+
+        html += `<h4 style="margin: 15px 0 5px;">${endName} Sensor ${k} — Plate Simulation, Offset: ${formatNum(offset)} ft</h4>
+            <table class="report-table">
+                <tr>
+                    <th width="40%">Measurement</th>
+                    <th width="20%" class="text-center">Plate Ullage (ft)</th>
+                    <th width="20%" class="text-center">DQM Ullage (ft)</th>
+                    <th width="20%" class="text-center">Difference</th>
+                </tr>
+                ${rows}
+            </table>
+            ${renderReadingStats(data, override, blockId, 'ft')}`;
+    }
+
+    const details = getVal(data, override, `${base}-plate-details`);
+    if (html && details) {
+        html += `<p style="font-size: 10pt; font-style: italic;">Plate Details: ${escapeHtml(details.toString())}</p>`;
+    }
+    return html;
+}
+
 /**
  * Specialized Renderer: Simulated Draft Tables.
  * Renders the 3-point depth verification for sensors.
@@ -474,7 +813,7 @@ function renderSimulatedDraft(data, override, prefixOverride, typeName) {
         if (pos === 'aft' && isFwdOnly) return;
 
         let rows = '';
-        [1, 2, 3].forEach(num => {
+        readingNumbers(data, override, `${prefix}${pos}`).forEach(num => {
             let offset = parseFloat(getVal(data, override, `${prefix}${pos}-offset`)) || 0;
             let depth = getVal(data, override, `${prefix}${pos}-depth-${num}`) || getVal(data, override, `${prefix}${pos}-depth${num}`);
             let reading = getVal(data, override, `${prefix}${pos}-reading-${num}`) || getVal(data, override, `${prefix}${pos}-reading${num}`);
@@ -507,7 +846,8 @@ function renderSimulatedDraft(data, override, prefixOverride, typeName) {
                     <th width="20%" class="text-center">Difference</th>
                 </tr>
                 ${rows}
-            </table>`;
+            </table>
+            ${renderReadingStats(data, override, `${prefix}${pos}`, 'ft')}`;
         }
     });
 
@@ -541,7 +881,7 @@ function renderDragheadTable(data, override) {
         let rows = '';
         let offset = parseFloat(getVal(data, override, `draghead-${dh.key}-offset`)) || parseFloat(getVal(data, override, `dh-${dh.key}-offset`)) || 0;
 
-        [1, 2, 3].forEach(num => {
+        readingNumbers(data, override, `dh-${dh.key}`).forEach(num => {
             let manual = getVal(data, override, `draghead-${dh.key}-manual-${num}`) || getVal(data, override, `dh-${dh.key}-man-${num}`);
             let dqm = getVal(data, override, `draghead-${dh.key}-dqm-${num}`) || getVal(data, override, `dh-${dh.key}-dqm-${num}`);
 
@@ -574,6 +914,7 @@ function renderDragheadTable(data, override) {
                     </tr>
                     ${rows}
                 </table>
+                ${renderReadingStats(data, override, `dh-${dh.key}`, 'ft')}
             </div>`;
         }
     });
@@ -591,7 +932,7 @@ function renderSuctionTable(data, override) {
     let rows = '';
     let offset = parseFloat(getVal(data, override, 'suction-offset')) || 0;
 
-    [1, 2, 3].forEach(num => {
+    readingNumbers(data, override, 'suction').forEach(num => {
         // Accept 'suction-manual-N' (legacy) or 'suction-man-N' (dqm-qa-app2)
         let manual = getVal(data, override, `suction-manual-${num}`) || getVal(data, override, `suction-man-${num}`);
         let dqm = getVal(data, override, `suction-dqm-${num}`);
@@ -625,6 +966,7 @@ function renderSuctionTable(data, override) {
             </tr>
             ${rows}
         </table>
+        ${renderReadingStats(data, override, 'suction', 'ft')}
     `;
 
     let remarks = getVal(data, override, 'suction-remarks') || getVal(data, override, 'remarks');
@@ -640,7 +982,7 @@ function renderBucketTable(data, override) {
     let rows = '';
     let offset = parseFloat(getVal(data, override, 'bucket-offset')) || 0;
 
-    [1, 2, 3].forEach(num => {
+    readingNumbers(data, override, 'bucket').forEach(num => {
         let manual = getVal(data, override, `bucket-manual-${num}`) || getVal(data, override, `bucket-man-${num}`);
         let dqm = getVal(data, override, `bucket-dqm-${num}`);
 
@@ -673,6 +1015,7 @@ function renderBucketTable(data, override) {
             </tr>
             ${rows}
         </table>
+        ${renderReadingStats(data, override, 'bucket', 'ft')}
     `;
 
     let remarks = getVal(data, override, 'bucket-depth-remarks') || getVal(data, override, 'remarks');
@@ -751,7 +1094,7 @@ function renderVelocityTable(data, override) {
         }
 
         let rows = '';
-        [1, 2, 3].forEach(num => {
+        readingNumbers(data, override, 'vel-dye').forEach(num => {
             let time = getVelVal(data, override, `velocity-dye-time-${num}`, `vel-dye-time-${num}`);
             let calc = getVelVal(data, override, `velocity-dye-calc-${num}`, `vel-dye-calc-${num}`);
             let dqm  = getVelVal(data, override, `velocity-dye-dqm-${num}`,  `vel-dye-dqm-${num}`);
@@ -780,7 +1123,8 @@ function renderVelocityTable(data, override) {
                     <th width="20%" class="text-center">Difference</th>
                 </tr>
                 ${rows}
-            </table>`;
+            </table>
+            ${renderReadingStats(data, override, 'vel-dye', 'ft/s')}`;
         }
     } else if (method && method.toLowerCase().includes('meter')) {
         let calDate = getVelVal(data, override, 'velocity-cal-date', 'vel-cal-date');
@@ -789,7 +1133,7 @@ function renderVelocityTable(data, override) {
         }
 
         let rows = '';
-        [1, 2, 3].forEach(num => {
+        readingNumbers(data, override, 'vel-meter').forEach(num => {
             // Accept 'velocity-meter-manual-N' (legacy) or 'vel-meter-man-N' (dqm-qa-app2)
             let manual = getVelVal(data, override, `velocity-meter-manual-${num}`, `vel-meter-man-${num}`);
             let dqm    = getVelVal(data, override, `velocity-meter-dqm-${num}`,    `vel-meter-dqm-${num}`);
@@ -816,7 +1160,8 @@ function renderVelocityTable(data, override) {
                     <th width="20%" class="text-center">Difference</th>
                 </tr>
                 ${rows}
-            </table>`;
+            </table>
+            ${renderReadingStats(data, override, 'vel-meter', 'ft/s')}`;
         }
     }
 
@@ -835,6 +1180,7 @@ function renderGenericTable(originalData, overrideData) {
     let rows = '';
     function recurse(obj, overrideObj, prefix = '') {
         for (const [key, val] of Object.entries(obj)) {
+            if (key === PHOTO_GALLERY_KEY) continue; // Rendered by renderPhotoGallery
             const currentOverride = overrideObj ? overrideObj[key] : undefined;
             const finalVal = currentOverride !== undefined ? currentOverride : val;
 
@@ -868,6 +1214,43 @@ function renderGenericTable(originalData, overrideData) {
     `;
 }
 
+/**
+ * Check data key of the QA App's per-check photo gallery:
+ * [{ id, ref (image data URL), caption, takenAt, reading, readingLabel, gps: { lat, lon, accuracy } }]
+ */
+const PHOTO_GALLERY_KEY = 'photo-gallery';
+
+/**
+ * Renders a check's photo gallery as captioned figures (two per row).
+ * Captions can be overridden in the editor (`gallery-caption-<photo id>`).
+ */
+function renderPhotoGallery(data, override) {
+    const photos = (data[PHOTO_GALLERY_KEY] || []).filter(p => typeof p.ref === 'string' && p.ref.startsWith('data:image/'));
+    if (photos.length === 0) return '';
+
+    const figures = photos.map((photo, idx) => {
+        const caption = getVal(data, override, `gallery-caption-${photo.id}`) ?? photo.caption;
+        const taken = photo.takenAt ? new Date(photo.takenAt) : null;
+        const details = [
+            photo.readingLabel ? `Reading: ${escapeHtml(photo.readingLabel)}` : '',
+            taken && !isNaN(taken) ? `Taken ${escapeHtml(taken.toLocaleString('en-US'))}` : '',
+            photo.gps ? `${Number(photo.gps.lat).toFixed(6)}, ${Number(photo.gps.lon).toFixed(6)}${photo.gps.accuracy ? ` (±${photo.gps.accuracy} m)` : ''}` : ''
+        ].filter(Boolean).join(' · ');
+        return `
+            <figure style="flex: 1; min-width: 200px; max-width: 45%; margin: 0; border: 1px solid #eee; padding: 10px; border-radius: 4px; page-break-inside: avoid;">
+                <img src="${photo.ref}" style="width: 100%; height: auto; border-radius: 2px;" alt="${escapeHtml(caption || `Photo ${idx + 1}`)}">
+                <figcaption style="font-size: 9pt; margin-top: 5px;">
+                    <strong>${escapeHtml(caption || `Photo ${idx + 1}`)}</strong>
+                    ${details ? `<br><span style="color: #555;">${details}</span>` : ''}
+                </figcaption>
+            </figure>`;
+    }).join('');
+
+    return `
+        <p style="font-size: 10pt; font-weight: bold; margin: 15px 0 5px;">Photos</p>
+        <div style="display: flex; flex-wrap: wrap; gap: 20px;">${figures}</div>`;
+}
+
 /**
  * Renders the Audit Timeline sheet.
  * Maps 'action'/'activity' and 'details'/'notes' permutations from different app versions.
@@ -928,6 +1311,46 @@ function getVal(data, override, key) {
     return undefined;
 }
 
+/**
+ * Reading numbers recorded for a variable readings block (dqm-qa-app2 saves `${blockId}-count`).
+ * Older exports without a count fall back to the fixed number of readings they always had.
+ */
+function readingNumbers(data, override, blockId, fallback = 3) {
+    const count = parseInt(getVal(data, override, `${blockId}-count`), 10);
+    return Array.from({ length: count >= 1 ? count : fallback }, (_, i) => i + 1);
+}
+
+/**
+ * Renders the statistical summary saved with a readings block (empty for exports without one).
+ * Bias and errors are DQM minus reference; the fit is DQM = slope × reference + offset.
+ * @param {string} unit - Unit of the readings, e.g. 'ft'.
+ * @param {number} decimals - Decimals for values in that unit.
+ */
+function renderReadingStats(data, override, blockId, unit, decimals = 2) {
+    const stat = key => getVal(data, override, `${blockId}-stats-${key}`);
+    if (stat('bias') === undefined) return '';
+    const fmt = (val, places) => (val === undefined || isNaN(Number(val))) ? '-' : Number(val).toFixed(places);
+    return `
+        <table class="report-table">
+            <tr>
+                <th width="20%" class="text-center">Mean Bias (${unit})</th>
+                <th width="20%" class="text-center">Std Deviation (${unit})</th>
+                <th width="20%" class="text-center">Max |Error| (${unit})</th>
+                <th width="20%" class="text-center">Fit Slope</th>
+                <th width="20%" class="text-center">Fit Offset (${unit})</th>
+            </tr>
+            <tr>
+                <td class="text-center">${fmt(stat('bias'), decimals)}</td>
+                <td class="text-center">${fmt(stat('sd'), decimals)}</td>
+                <td class="text-center">${fmt(stat('max'), decimals)}</td>
+                <td class="text-center">${fmt(stat('slope'), 4)}</td>
+                <td class="text-center">${fmt(stat('intercept'), decimals)}</td>
+            </tr>
+        </table>
+        <p style="font-size: 9pt; color: #555; margin-top: -5px;">Bias is DQM minus reference. Fit: DQM = slope × reference + offset; a slope away from 1 indicates a scale error, an offset with slope 1 a constant error.</p>
+    `;
+}
+
 /**
  * Arithmetic Average.
  * Returns a fixed 2-decimal string. Handles missing single values gracefully.
@@ -1031,12 +1454,31 @@ function renderPositionCheck(data, override) {
             if ([latD, latDm, lonD, lonDm].some(v => v === undefined)) return 'N/A';
             return `${latD}° ${Number(latDm).toFixed(4)}' ${latH} / ${lonD}° ${Number(lonDm).toFixed(4)}' ${lonH}`;
         }
+        if (fmt === 'spcs') {
+            const zone = getVal(data, override, `${prefix}-spcs-zone`);
+            const unit = getVal(data, override, `${prefix}-spcs-unit`) || 'usft';
+            const n = getVal(data, override, `${prefix}-spcs-n`);
+            const e = getVal(data, override, `${prefix}-spcs-e`);
+            if ([zone, n, e].some(v => v === undefined)) return 'N/A';
+            const unitLabel = { usft: 'US ft', ift: 'ft', m: 'm' }[unit] || unit;
+            return `N ${Number(n).toFixed(2)}, E ${Number(e).toFixed(2)} ${escapeHtml(unitLabel)} (zone ${escapeHtml(zone.toString())})`;
+        }
+        if (fmt === 'utm') {
+            const zone = getVal(data, override, `${prefix}-utm-zone`);
+            const hem = getVal(data, override, `${prefix}-utm-hem`) || 'N';
+            const n = getVal(data, override, `${prefix}-utm-n`);
+            const e = getVal(data, override, `${prefix}-utm-e`);
+            if ([zone, n, e].some(v => v === undefined)) return 'N/A';
+            return `N ${Number(n).toFixed(2)}, E ${Number(e).toFixed(2)} m (zone ${escapeHtml(zone.toString())}${escapeHtml(hem.toString())})`;
+        }
         return 'N/A';
     }
 
     const hhDisplay = formatCoord('handheld', hhFmt);
     const dqmDisplay = formatCoord('dqm', dqmFmt);
     const diff = getVal(data, override, 'position-diff');
+    const diffNorth = getVal(data, override, 'position-diff-north');
+    const diffEast = getVal(data, override, 'position-diff-east');
     const remarks = getVal(data, override, 'position-remarks') || getVal(data, override, 'remarks');
 
     let html = `
@@ -1058,7 +1500,7 @@ function renderPositionCheck(data, override) {
         </tr>
         <tr>
             <td colspan="2"><strong>Distance Difference</strong></td>
-            <td><strong>${diff ? diff + ' ft' : '-'}</strong></td>
+            <td><strong>${diff ? diff + ' ft' : '-'}</strong>${diffNorth !== undefined && diffEast !== undefined ? ` (ΔN ${diffNorth} ft, ΔE ${diffEast} ft)` : ''}</td>
         </tr>
     </table>
     `;
@@ -37,6 +37,21 @@ const defaultState = {
     // Catch-all for logic overrides or temporary UI states
     overrides: {},
 
+    // Provenance of overrides (changes.js): who/when/justification per field, keyed by overrideLogKey(),
+    // the name recorded with new changes, and whether the Preview highlights changed cells.
+    overrideLog: {},
+    editorName: '',
+    highlightChanges: false,
+
+    // Discrepancy detection (discrepancies.js): tolerances changed from the config.js defaults,
+    // and the author's decision on each drafted discrepancy, keyed by finding id.
+    tolerances: {},
+    discrepancyReview: {},
+
+    // Multi-file reports (merge.js): each loaded QA export, and checks recorded differently in two of them.
+    sourceFiles: [],
+    mergeConflicts: [],
+
     // Per-plant Integration Verification Data Check state.
     // Keyed by plant array index (0, 1, 2…) matching appState.plants.
     // Each value is an object returned by getDefaultDataCheckState() in data-check.js.
@@ -108,6 +123,18 @@ function clearState() {
     console.log("State cleared.");
 }
 
+/**
+ * Derives a download filename: app name + plant names + live timestamp (HH-MM, colon-safe for Windows/iOS).
+ * @param {string} extension - e.g. 'json' for drafts, 'pdf' for the report.
+ */
+function reportFileName(extension) {
+    const plantNames = (window.appState.plants || [])
+        .map(p => (p.name || '').trim()).filter(n => n).join('_') || 'Unnamed-Plants';
+    const now = new Date();
+    const ts = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}`;
+    return `DQM-TripReport_${plantNames}_${ts}.${extension}`;
+}
+
 /**
  * Downloads the current appState as a portable draft .json file.
  * The file can be re-uploaded on any machine to resume work.
@@ -123,12 +150,7 @@ function downloadDraft() {
     const blob = new Blob([JSON.stringify(envelope, null, 2)], { type: 'application/json' });
     const url  = URL.createObjectURL(blob);
 
-    // Derive filename: app name + plant names + live timestamp (HH-MM, colon-safe for Windows/iOS)
-    const plantNames = (window.appState.plants || [])
-        .map(p => (p.name || '').trim()).filter(n => n).join('_') || 'Unnamed-Plants';
-    const now = new Date();
-    const ts = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}_${String(now.getHours()).padStart(2, '0')}-${String(now.getMinutes()).padStart(2, '0')}`;
-    const filename = `DQM-TripReport_${plantNames}_${ts}.json`;
+    const filename = reportFileName('json');
 
     const a = document.createElement('a');
     a.href     = url;
@@ -42,7 +42,9 @@ function initTabs() {
 
         // Dynamic State Synchronization:
         // Ensure the visual state is refreshed when moving to core logic tabs.
-        if (targetId === 'edit-tab') {
+        if (targetId === 'meta-tab') {
+            if (typeof renderDiscrepancyReview === 'function') renderDiscrepancyReview();
+        } else if (targetId === 'edit-tab') {
             if (typeof renderEditor === 'function') renderEditor();
         } else if (targetId === 'data-check-tab') {
             if (typeof renderDataCheck === 'function') renderDataCheck();
@@ -99,4 +101,7 @@ function initMetaForm() {
             }
         });
     });
+
+    // Readings out of tolerance, drafted for the Discrepancies box (discrepancies.js)
+    if (typeof renderDiscrepancyReview === 'function') renderDiscrepancyReview();
 }